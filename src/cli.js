@@ -11,6 +11,13 @@ const { tasksCommand, nextTaskCommand, continueCommand, fallbackCommand, addTask
 const { syncStartCommand, syncStopCommand, syncStatusCommand, syncNowCommand, repoCreateCommand, repoListCommand, repoCloneCommand, authCommand: gitlabAuthCommand, authStatusCommand: gitlabAuthStatusCommand, authLogoutCommand: gitlabAuthLogoutCommand } = require('./commands/gitlab');
 const { registryLoginCommand, registryImagesCommand, registryPushCommand, registryPullCommand } = require('./commands/registry');
 const { startCommand, resumeCommand, stopCommand, runsCommand, autoCommand } = require('./commands/orchestrator');
+const { agentsListCommand } = require('./commands/agents');
+const { doctorCommand } = require('./commands/doctor');
+const { usageCommand } = require('./commands/usage');
+const { serveCommand } = require('./commands/serve');
+const { outboxListCommand, outboxFlushCommand, outboxClearCommand } = require('./commands/outbox');
+const { profileListCommand, profileAddCommand, profileUseCommand, profileRemoveCommand } = require('./commands/profile');
+const { repoCreateCommand: gitRepoCreateCommand, repoListCommand: gitRepoListCommand, repoCloneCommand: gitRepoCloneCommand, repoAuthCommand, repoStatusCommand } = require('./commands/repo');
 const config = require('./lib/config');
 const { displayStatus, printBanner } = require('./lib/display');
 
@@ -19,7 +26,31 @@ const VERSION = require('../package.json').version;
 program
   .name('gbos')
   .description('GBOS - Command line interface for GBOS services')
-  .version(VERSION);
+  .version(VERSION)
+  .option('--verbose', 'Log GBOS API requests to stderr (same as GBOS_DEBUG=1)')
+  .option('--profile <name>', 'Profile to use for this command (same as GBOS_PROFILE)')
+  .hook('preAction', (thisCommand, actionCommand) => {
+    const globalOptions = thisCommand.opts();
+    if (globalOptions.verbose) {
+      process.env.GBOS_DEBUG = '1';
+    }
+    if (globalOptions.profile) {
+      config.configure({ profile: globalOptions.profile });
+    }
+
+    // `gbos profile ...` manages profiles, so an unknown one must not stop it
+    const profile = config.getActiveProfileName();
+    if (actionCommand.parent?.name() !== 'profile' && !config.profileExists(profile)) {
+      console.error(`\n✗ Unknown profile "${profile}". Create it with "gbos profile add ${profile}" or see "gbos profile list".\n`);
+      process.exit(1);
+    }
+
+    // Otherwise tokens the credential store cannot give back just look like being signed out
+    const credentialError = config.loadSession()?.credential_error;
+    if (credentialError) {
+      console.error(`\n! ${credentialError}\n`);
+    }
+  });
 
 program
   .command('auth')
@@ -85,11 +116,14 @@ program
   .description('Show current authentication and connection status')
   .action(async () => {
     const session = config.loadSession();
+    const profile = config.getActiveProfileName();
+    const profileNote = profile !== config.DEFAULT_PROFILE ? `  Profile: ${profile} (${config.getApiUrl()})\n` : null;
 
     if (!session || !session.access_token) {
       printBanner();
-      console.log('  Status: Not authenticated');
+      console.log(session?.credential_error ? '  Status: Credential store unavailable' : '  Status: Not authenticated');
       console.log('  Run "gbos auth" to authenticate.\n');
+      if (profileNote) console.log(profileNote);
       return;
     }
 
@@ -109,6 +143,7 @@ program
       connectionId: connection?.connection_id,
       connectedAt: connection?.connected_at ? new Date(connection.connected_at).toLocaleString() : null,
     });
+    if (profileNote) console.log(profileNote);
   });
 
 program
@@ -150,16 +185,29 @@ program
 program
   .command('start')
   .description('Start the GBOS orchestrator to automatically process tasks')
-  .option('-a, --agent <agent>', 'Agent to use (claude-code, codex, gemini)', 'claude-code')
+  .option('-a, --agent <agent>', 'Agent to use (claude-code, codex, gemini, aider, opencode, or a custom agent; default: .gbos.yml, then claude-code)')
+  .option('-m, --model <model>', 'Model for the agent (e.g. sonnet, gpt-5, anthropic/claude-sonnet-4-5; default: .gbos.yml)')
   .option('-d, --dir <directory>', 'Working directory')
   .option('--auto-approve', 'Auto-approve agent actions')
   .option('--no-mr', 'Skip merge request creation')
   .option('-c, --continuous', 'Continuously process tasks')
-  .option('-n, --max-tasks <number>', 'Maximum tasks to process', '1')
+  .option('-n, --max-tasks <number>', 'Maximum tasks to process (default: 1, or the concurrency when running in parallel)')
   .option('--show-prompt', 'Show the generated prompt')
   .option('--skip-verification', 'Skip post-processing and test verification')
   .option('--skip-git', 'Skip git commit and push')
   .option('--task-id <id>', 'Run a specific task by ID')
+  .option('--max-repair-attempts <number>', 'Times to send failing checks back to the agent before failing the task', '2')
+  .option('--on-conflict <mode>', 'When rebasing onto the target branch conflicts: agent (let the agent resolve it) or abort (default: .gbos.yml, then agent)')
+  .option('--draft-unverified', 'Push tasks that fail verification with a draft MR instead of not pushing them (default: .gbos.yml mr_draft_unverified)')
+  .option('--no-draft-unverified', 'Do not push tasks that fail verification')
+  .option('--auto-merge', 'Set MRs of verified tasks to merge when the pipeline succeeds (default: .gbos.yml mr_auto_merge)')
+  .option('--no-auto-merge', 'Leave MRs of verified tasks for manual merge')
+  .option('-j, --concurrency <number>', 'Number of tasks to run in parallel, each in its own git worktree', '1')
+  .option('--stream-json', 'Use structured agent output (Claude Code) for tool, file edit and usage events')
+  .option('--max-minutes <number>', 'Stop the agent once it has worked on a task this many minutes (repair rounds and resumed runs included)')
+  .option('--max-cost <usd>', 'Stop the agent once a task has cost more than this (USD, where the agent reports cost; Claude Code reports it when a session ends)')
+  .option('--max-turns <number>', 'Stop the agent once a task has taken more than this many turns')
+  .option('--metrics-port <[host:]port>', 'Serve Prometheus metrics for this run on /metrics (host defaults to 127.0.0.1)')
   .action(startCommand);
 
 program
@@ -182,19 +230,126 @@ program
   .option('-l, --limit <number>', 'Number of runs to show', '10')
   .action(runsCommand);
 
+program
+  .command('usage')
+  .description('Show agent token and cost usage by agent, day and application')
+  .option('--days <number>', 'Only include the last N days')
+  .option('--since <date>', 'Only include usage since a date (YYYY-MM-DD)')
+  .option('-a, --agent <agent>', 'Only include one agent')
+  .option('--app <app>', 'Only include one application (ID or name)')
+  .option('--json', 'Output as JSON')
+  .action(usageCommand);
+
 program
   .command('auto')
   .description('Headless automation mode for thin client / PTY integration (NDJSON output)')
-  .option('-a, --agent <agent>', 'Agent to use (claude-code, codex, gemini)', 'gemini')
+  .option('-a, --agent <agent>', 'Agent to use (claude-code, codex, gemini, aider, opencode, or a custom agent; default: .gbos.yml, then gemini)')
+  .option('-m, --model <model>', 'Model for the agent (e.g. sonnet, gpt-5, anthropic/claude-sonnet-4-5; default: .gbos.yml)')
   .option('-d, --dir <directory>', 'Working directory')
-  .option('-b, --branch <branch>', 'Git branch to push to (default: main)', 'main')
+  .option('-b, --branch <branch>', 'Git branch to push to (default: main)')
   .option('--mr', 'Create a merge request instead of pushing directly')
   .option('-c, --continuous', 'Continuously process tasks')
-  .option('-n, --max-tasks <number>', 'Maximum tasks to process', '1')
+  .option('-n, --max-tasks <number>', 'Maximum tasks to process (default: 1, or the concurrency when running in parallel)')
   .option('--task-id <id>', 'Run a specific task by ID')
   .option('--skip-verification', 'Skip post-processing and test verification')
+  .option('--max-repair-attempts <number>', 'Times to send failing checks back to the agent before failing the task', '2')
+  .option('--on-conflict <mode>', 'When rebasing onto the target branch conflicts: agent (let the agent resolve it) or abort (default: .gbos.yml, then agent)')
+  .option('--draft-unverified', 'Push tasks that fail verification with a draft MR instead of not pushing them (default: .gbos.yml mr_draft_unverified)')
+  .option('--no-draft-unverified', 'Do not push tasks that fail verification')
+  .option('--auto-merge', 'Set MRs of verified tasks to merge when the pipeline succeeds (default: .gbos.yml mr_auto_merge)')
+  .option('--no-auto-merge', 'Leave MRs of verified tasks for manual merge')
+  .option('-j, --concurrency <number>', 'Number of tasks to run in parallel, each in its own git worktree', '1')
+  .option('--stream-json', 'Use structured agent output (Claude Code) for tool, file edit and usage events')
+  .option('--max-minutes <number>', 'Stop the agent once it has worked on a task this many minutes (repair rounds and resumed runs included)')
+  .option('--max-cost <usd>', 'Stop the agent once a task has cost more than this (USD, where the agent reports cost; Claude Code reports it when a session ends)')
+  .option('--max-turns <number>', 'Stop the agent once a task has taken more than this many turns')
+  .option('--metrics-port <[host:]port>', 'Serve Prometheus metrics for this run on /metrics (host defaults to 127.0.0.1)')
   .action(autoCommand);
 
+program
+  .command('serve')
+  .description('Start a local REST + WebSocket control server for thin clients')
+  .option('-p, --port <port>', 'Port to listen on (default: 7341)')
+  .option('--host <host>', 'Interface to listen on (default: 127.0.0.1)')
+  .option('-d, --dir <directory>', 'Default working directory for runs')
+  .option('--rotate-token', 'Generate a new bearer token before starting')
+  .option('--metrics-port <[host:]port>', 'Also serve /metrics without a token on this address, for Prometheus')
+  .action(serveCommand);
+
+// ==================== Agent Commands ====================
+
+const agentsCmd = program
+  .command('agents')
+  .description('Coding agents available to the orchestrator');
+
+agentsCmd
+  .command('list')
+  .description('List built-in and custom agents with availability and versions')
+  .option('-d, --dir <directory>', 'Project directory for project-level agents (defaults to current directory)')
+  .option('--json', 'Output as JSON')
+  .action(agentsListCommand);
+
+program
+  .command('doctor')
+  .description('Check tools, agents, GBOS and GitLab access and suggest fixes')
+  .option('-d, --dir <directory>', 'Project directory for git identity and project-level agents (defaults to current directory)')
+  .option('--json', 'Output as JSON')
+  .action(doctorCommand);
+
+// ==================== Profile Commands ====================
+
+const profileCmd = program
+  .command('profile')
+  .description('Named profiles for GBOS accounts and environments (API URL, session, GitLab host)');
+
+profileCmd
+  .command('list')
+  .description('List profiles and show which one is active')
+  .option('--json', 'Output as JSON')
+  .action(profileListCommand);
+
+profileCmd
+  .command('add <name>')
+  .description('Create a profile')
+  .option('--api-url <url>', 'GBOS API URL (default: https://api.gbos.io/api/v1)')
+  .option('--gitlab-url <url>', 'GitLab host (default: GITLAB_URL or https://git.gbos.io)')
+  .option('--use', 'Switch to the new profile')
+  .action(profileAddCommand);
+
+profileCmd
+  .command('use <name>')
+  .description('Make a profile the active one for every command')
+  .action(profileUseCommand);
+
+profileCmd
+  .command('remove <name>')
+  .description('Delete a profile with its session and GitLab settings')
+  .action(profileRemoveCommand);
+
+// ==================== Outbox Commands ====================
+
+const outboxCmd = program
+  .command('outbox')
+  .description('Status reports and heartbeats queued while the GBOS API was unreachable');
+
+outboxCmd
+  .command('list')
+  .description('List queued requests and the ones the API rejected')
+  .option('--json', 'Output as JSON')
+  .action(outboxListCommand);
+
+outboxCmd
+  .command('flush')
+  .description('Send queued requests now, in the order they were made')
+  .option('--retry-failed', 'Also retry requests the API rejected')
+  .action(outboxFlushCommand);
+
+outboxCmd
+  .command('clear')
+  .description('Discard queued requests')
+  .option('--failed', 'Discard the rejected requests instead')
+  .action(outboxClearCommand);
+
 program
   .command('logout')
   .description('Log out from GBOS services and clear credentials')
@@ -282,6 +437,56 @@ gitlabCmd
   .description('Remove GitLab credentials')
   .action(gitlabAuthLogoutCommand);
 
+// ==================== Repo Commands ====================
+// GitLab, GitHub or Gitea, from --provider or the origin remote of the current directory
+
+const repoCmd = program
+  .command('repo')
+  .description('Repositories on GitLab, GitHub or Gitea (provider from --provider or the origin remote)');
+
+repoCmd
+  .command('create <name>')
+  .description('Create a repository (<namespace>/<name> creates it in a group or organization)')
+  .option('--provider <provider>', 'gitlab, github or gitea')
+  .option('--private', 'Create as private repository (default)')
+  .option('--public', 'Create as public repository')
+  .option('-d, --description <description>', 'Repository description')
+  .option('--readme', 'Initialize with README')
+  .action(gitRepoCreateCommand);
+
+repoCmd
+  .command('list')
+  .description('List repositories')
+  .option('--provider <provider>', 'gitlab, github or gitea')
+  .option('-a, --all', 'Show all accessible repositories (not just owned)')
+  .option('-s, --search <text>', 'Only repositories matching the text')
+  .option('--json', 'Output as JSON')
+  .action(gitRepoListCommand);
+
+repoCmd
+  .command('clone <name>')
+  .description('Clone a repository by path (group/project, owner/repo) or name')
+  .option('--provider <provider>', 'gitlab, github or gitea')
+  .option('--ssh', 'Use SSH URL instead of HTTPS')
+  .option('-d, --dir <directory>', 'Target directory name')
+  .action(gitRepoCloneCommand);
+
+repoCmd
+  .command('auth')
+  .description('Store a token for GitLab, GitHub or Gitea and configure git credentials')
+  .option('--provider <provider>', 'gitlab, github or gitea')
+  .option('-t, --token <token>', 'Personal access token')
+  .option('-h, --host <host>', 'Instance URL for self-managed GitLab, GitHub Enterprise or Gitea/Forgejo')
+  .action(repoAuthCommand);
+
+repoCmd
+  .command('status')
+  .description('Show the provider, project and latest pipeline of the current repository')
+  .option('--provider <provider>', 'gitlab, github or gitea (default: detected from the origin remote)')
+  .option('-d, --dir <directory>', 'Repository directory')
+  .option('--json', 'Output as JSON')
+  .action(repoStatusCommand);
+
 // ==================== Registry Commands ====================
 
 const registryCmd = program
@@ -324,7 +529,7 @@ program
         cmd.outputHelp();
       } else {
         console.log(`Unknown command: ${command}`);
-        console.log('Available commands: auth, auth-token, connect, disconnect, status, tasks, next, continue, completed, fallback, add_task, start, resume, stop, runs, auto, logout, gitlab, registry, help');
+        console.log('Available commands: auth, auth-token, connect, disconnect, status, tasks, next, continue, completed, fallback, add_task, start, resume, stop, runs, auto, logout, gitlab, repo, registry, help');
       }
     } else {
       program.outputHelp();
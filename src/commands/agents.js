@@ -0,0 +1,74 @@
+/**
+ * Agent Commands
+ * List built-in and custom (declared in ~/.gbos/agents or .gbos/agents) agents
+ */
+
+const path = require('path');
+const { fg, LOGO_PURPLE, RESET, BOLD, DIM, getTerminalWidth } = require('../lib/display');
+const { checkInstalledAdapters, loadCustomAdapters, getUserAgentsDir } = require('../orchestrator/adapters');
+
+// Colors
+const GREEN = '\x1b[32m';
+const YELLOW = '\x1b[33m';
+const RED = '\x1b[31m';
+const CYAN = '\x1b[36m';
+
+/**
+ * gbos agents list - Show agents with availability and versions
+ */
+async function agentsListCommand(options) {
+  const projectDir = options.dir ? path.resolve(options.dir) : process.cwd();
+  const adapters = await checkInstalledAdapters({ projectDir });
+  const { errors } = loadCustomAdapters(projectDir);
+
+  if (options.json) {
+    console.log(JSON.stringify({ agents: adapters, errors }, null, 2));
+    return;
+  }
+
+  const termWidth = getTerminalWidth();
+  const tableWidth = Math.min(80, termWidth - 4);
+
+  console.log(`\n${fg(...LOGO_PURPLE)}${'─'.repeat(tableWidth)}${RESET}`);
+  console.log(`${BOLD}  Agents${RESET}`);
+  console.log(`${fg(...LOGO_PURPLE)}${'─'.repeat(tableWidth)}${RESET}\n`);
+
+  const printGroup = (title, entries) => {
+    console.log(`  ${BOLD}${title}${RESET}`);
+    if (entries.length === 0) {
+      console.log(`    ${DIM}None${RESET}`);
+    }
+    for (const [name, info] of entries) {
+      const icon = info.available ? `${GREEN}✓${RESET}` : `${DIM}○${RESET}`;
+      const version = info.available ? `${DIM}${info.version}${RESET}` : `${DIM}not installed${RESET}`;
+      console.log(`    ${icon} ${CYAN}${name}${RESET} ${version}`);
+      if (info.aliases?.length > 0) {
+        console.log(`      ${DIM}Aliases: ${info.aliases.join(', ')}${RESET}`);
+      }
+      if (info.source) {
+        console.log(`      ${DIM}${info.source}${RESET}`);
+      }
+    }
+    console.log('');
+  };
+
+  const entries = Object.entries(adapters);
+  printGroup('Built-in', entries.filter(([, info]) => info.builtIn));
+  printGroup('Custom', entries.filter(([, info]) => !info.builtIn));
+
+  if (errors.length > 0) {
+    console.log(`  ${YELLOW}!${RESET} ${BOLD}Invalid declarations${RESET}`);
+    for (const { file, error } of errors) {
+      console.log(`    ${RED}✗${RESET} ${file}`);
+      console.log(`      ${DIM}${error}${RESET}`);
+    }
+    console.log('');
+  }
+
+  console.log(`${fg(...LOGO_PURPLE)}${'─'.repeat(tableWidth)}${RESET}`);
+  console.log(`${DIM}  Declare custom agents in ${getUserAgentsDir()} or ${path.join(projectDir, '.gbos', 'agents')}${RESET}\n`);
+}
+
+module.exports = {
+  agentsListCommand,
+};
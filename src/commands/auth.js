@@ -50,13 +50,15 @@ async function authCommand(options) {
     console.log(`\n${verification_url_complete}\n`);
     console.log(`Code expires in ${Math.floor(expires_in / 60)} minutes.\n`);
 
-    // Try to open the URL in the default browser
+    // Try to open the URL in the default browser (the URL is an argument, not shell text)
     const openCommand =
-      process.platform === 'darwin' ? 'open' : process.platform === 'win32' ? 'start' : 'xdg-open';
+      process.platform === 'darwin' ? 'open' : process.platform === 'win32' ? 'explorer' : 'xdg-open';
 
     try {
-      const { exec } = require('child_process');
-      exec(`${openCommand} "${verification_url_complete}"`);
+      const { spawn } = require('child_process');
+      spawn(openCommand, [verification_url_complete], { detached: true, stdio: 'ignore' })
+        .on('error', () => {})
+        .unref();
       console.log('Opening browser...\n');
     } catch (e) {
       console.log('Please open the URL above in your browser.\n');
@@ -0,0 +1,83 @@
+/**
+ * Doctor Command
+ * Checks the setup (tools, agents, GBOS and GitLab access, leftovers) and
+ * prints how to fix each problem
+ */
+
+const path = require('path');
+const config = require('../lib/config');
+const { runChecks } = require('../lib/doctor');
+const { fg, LOGO_PURPLE, RESET, BOLD, DIM, getTerminalWidth } = require('../lib/display');
+
+// Colors
+const GREEN = '\x1b[32m';
+const YELLOW = '\x1b[33m';
+const RED = '\x1b[31m';
+const CYAN = '\x1b[36m';
+
+const CATEGORIES = {
+  system: 'System',
+  gbos: 'GBOS',
+  agents: 'Agents',
+  gitlab: 'GitLab',
+  housekeeping: 'Housekeeping',
+};
+
+const ICONS = {
+  ok: `${GREEN}✓${RESET}`,
+  warn: `${YELLOW}!${RESET}`,
+  fail: `${RED}✗${RESET}`,
+  skip: `${DIM}○${RESET}`,
+};
+
+/**
+ * gbos doctor - Diagnose the local setup
+ */
+async function doctorCommand(options) {
+  const workingDir = options.dir ? path.resolve(options.dir) : process.cwd();
+  const checks = await runChecks({ workingDir });
+
+  const summary = { ok: 0, warn: 0, fail: 0, skip: 0 };
+  for (const { status } of checks) summary[status]++;
+
+  if (options.json) {
+    console.log(JSON.stringify({ profile: config.getActiveProfileName(), summary, checks }, null, 2));
+    if (summary.fail > 0) process.exit(1);
+    return;
+  }
+
+  const termWidth = getTerminalWidth();
+  const tableWidth = Math.min(80, termWidth - 4);
+
+  console.log(`\n${fg(...LOGO_PURPLE)}${'─'.repeat(tableWidth)}${RESET}`);
+  console.log(`${BOLD}  GBOS Doctor${RESET} ${DIM}(profile ${config.getActiveProfileName()})${RESET}`);
+  console.log(`${fg(...LOGO_PURPLE)}${'─'.repeat(tableWidth)}${RESET}\n`);
+
+  for (const [category, title] of Object.entries(CATEGORIES)) {
+    const inCategory = checks.filter(c => c.category === category);
+    if (inCategory.length === 0) continue;
+
+    console.log(`  ${BOLD}${title}${RESET}`);
+    for (const result of inCategory) {
+      const message = result.status === 'skip' ? `${DIM}${result.message}${RESET}` : result.message;
+      console.log(`    ${ICONS[result.status]} ${CYAN}${result.name}${RESET}  ${message}`);
+      if (result.fix && result.status !== 'ok') {
+        console.log(`      ${DIM}→ ${result.fix}${RESET}`);
+      }
+    }
+    console.log('');
+  }
+
+  console.log(`${fg(...LOGO_PURPLE)}${'─'.repeat(tableWidth)}${RESET}`);
+  if (summary.fail === 0 && summary.warn === 0) {
+    console.log(`  ${GREEN}✓${RESET} Everything looks good\n`);
+  } else {
+    console.log(`  ${summary.fail > 0 ? RED : YELLOW}${summary.fail} problem(s), ${summary.warn} warning(s)${RESET}\n`);
+  }
+
+  if (summary.fail > 0) process.exit(1);
+}
+
+module.exports = {
+  doctorCommand,
+};
@@ -1,9 +1,9 @@
 const config = require('../lib/config');
 const { displayMessageBox, fg, LOGO_PURPLE, LOGO_LIGHT, RESET, BOLD, DIM, getTerminalWidth } = require('../lib/display');
-const { exec, spawn } = require('child_process');
+const { spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
-const os = require('os');
+const processes = require('../lib/process');
 
 // Colors
 const CYAN = '\x1b[36m';
@@ -12,14 +12,14 @@ const YELLOW = '\x1b[33m';
 const RED = '\x1b[31m';
 
 // GitLab configuration
-const GITLAB_CONFIG_FILE = path.join(os.homedir(), '.gbos', 'gitlab.json');
-const SYNC_PID_DIR = path.join(os.homedir(), '.gbos', 'sync');
+const getGitLabConfigFile = () => config.getProfilePath('gitlab.json');
+const getSyncPidDir = () => config.getConfigPath('sync');
 
 // Load GitLab config
 function loadGitLabConfig() {
   try {
-    if (fs.existsSync(GITLAB_CONFIG_FILE)) {
-      return JSON.parse(fs.readFileSync(GITLAB_CONFIG_FILE, 'utf8'));
+    if (fs.existsSync(getGitLabConfigFile())) {
+      return JSON.parse(fs.readFileSync(getGitLabConfigFile(), 'utf8'));
     }
   } catch (e) {
     // Ignore errors
@@ -29,27 +29,28 @@ function loadGitLabConfig() {
 
 // Save GitLab config
 function saveGitLabConfig(config) {
-  const dir = path.dirname(GITLAB_CONFIG_FILE);
+  const dir = path.dirname(getGitLabConfigFile());
   if (!fs.existsSync(dir)) {
     fs.mkdirSync(dir, { recursive: true });
   }
-  fs.writeFileSync(GITLAB_CONFIG_FILE, JSON.stringify(config, null, 2), 'utf8');
+  fs.writeFileSync(getGitLabConfigFile(), JSON.stringify(config, null, 2), 'utf8');
 }
 
 // Get GitLab URL from session or config
 function getGitLabUrl() {
   // Check config file first
   try {
-    if (fs.existsSync(GITLAB_CONFIG_FILE)) {
-      const gitlabConfig = JSON.parse(fs.readFileSync(GITLAB_CONFIG_FILE, 'utf8'));
+    if (fs.existsSync(getGitLabConfigFile())) {
+      const gitlabConfig = JSON.parse(fs.readFileSync(getGitLabConfigFile(), 'utf8'));
       if (gitlabConfig.host) return gitlabConfig.host;
     }
   } catch (e) {
     // Ignore
   }
 
+  const { getGitLabHost } = require('../lib/gitlab');
   const session = config.loadSession();
-  return session?.gitlab_url || process.env.GITLAB_URL || 'https://git.gbos.io';
+  return session?.gitlab_url || getGitLabHost();
 }
 
 // Get GitLab token (checks all storage locations)
@@ -59,17 +60,13 @@ async function getGitLabToken() {
   return await gitlabService.getToken();
 }
 
-// Execute git command
-function execGit(args, cwd = process.cwd()) {
-  return new Promise((resolve, reject) => {
-    exec(`git ${args}`, { cwd }, (error, stdout, stderr) => {
-      if (error) {
-        reject(new Error(stderr || error.message));
-      } else {
-        resolve(stdout.trim());
-      }
-    });
-  });
+// Execute git command (args as an array, never through a shell)
+async function execGit(args, cwd = process.cwd()) {
+  try {
+    return await processes.git(args, { cwd });
+  } catch (error) {
+    throw new Error(error.stderr || error.message);
+  }
 }
 
 // ==================== SYNC COMMANDS ====================
@@ -81,7 +78,7 @@ async function syncStartCommand(options) {
 
   // Verify it's a git repository
   try {
-    await execGit('rev-parse --is-inside-work-tree', absolutePath);
+    await execGit(['rev-parse', '--is-inside-work-tree'], absolutePath);
   } catch (e) {
     displayMessageBox('Not a Git Repository', `${absolutePath} is not a git repository.`, 'error');
     process.exit(1);
@@ -90,13 +87,13 @@ async function syncStartCommand(options) {
   // Get remote URL
   let remoteUrl;
   try {
-    remoteUrl = await execGit('remote get-url origin', absolutePath);
+    remoteUrl = await execGit(['remote', 'get-url', 'origin'], absolutePath);
   } catch (e) {
     displayMessageBox('No Remote', 'No git remote "origin" configured.', 'error');
     process.exit(1);
   }
 
-  const interval = options.interval || 60; // Default 60 seconds
+  const interval = parseInt(options.interval) || 60; // Default 60 seconds
 
   // Check if already syncing
   const gitlabConfig = loadGitLabConfig();
@@ -107,18 +104,19 @@ async function syncStartCommand(options) {
   }
 
   // Create sync PID directory
-  if (!fs.existsSync(SYNC_PID_DIR)) {
-    fs.mkdirSync(SYNC_PID_DIR, { recursive: true });
+  if (!fs.existsSync(getSyncPidDir())) {
+    fs.mkdirSync(getSyncPidDir(), { recursive: true });
   }
 
   // Start background sync process
   const syncId = Date.now().toString();
-  const pidFile = path.join(SYNC_PID_DIR, `${syncId}.pid`);
+  const pidFile = path.join(getSyncPidDir(), `${syncId}.pid`);
 
-  // Create sync script
+  // Create sync script; the path and interval are passed as $1 and $2 so the
+  // shell never parses them
   const syncScript = `
     while true; do
-      cd "${absolutePath}"
+      cd "$1" || exit 1
       git fetch origin 2>/dev/null
       git add -A 2>/dev/null
       CHANGES=$(git status --porcelain)
@@ -126,11 +124,11 @@ async function syncStartCommand(options) {
         git commit -m "Auto-sync: $(date '+%Y-%m-%d %H:%M:%S')" 2>/dev/null
         git push origin HEAD 2>/dev/null
       fi
-      sleep ${interval}
+      sleep "$2"
     done
   `;
 
-  const child = spawn('bash', ['-c', syncScript], {
+  const child = spawn('bash', ['-c', syncScript, 'gbos-sync', absolutePath, String(interval)], {
     detached: true,
     stdio: 'ignore',
   });
@@ -248,7 +246,7 @@ async function syncNowCommand(options) {
 
   // Verify it's a git repository
   try {
-    await execGit('rev-parse --is-inside-work-tree', targetPath);
+    await execGit(['rev-parse', '--is-inside-work-tree'], targetPath);
   } catch (e) {
     displayMessageBox('Not a Git Repository', `${targetPath} is not a git repository.`, 'error');
     process.exit(1);
@@ -259,24 +257,24 @@ async function syncNowCommand(options) {
   try {
     // Fetch from remote
     console.log(`  ${DIM}Fetching from origin...${RESET}`);
-    await execGit('fetch origin', targetPath);
+    await execGit(['fetch', 'origin'], targetPath);
 
     // Stage all changes
     console.log(`  ${DIM}Staging changes...${RESET}`);
-    await execGit('add -A', targetPath);
+    await execGit(['add', '-A'], targetPath);
 
     // Check for changes
-    const status = await execGit('status --porcelain', targetPath);
+    const status = await execGit(['status', '--porcelain'], targetPath);
 
     if (status) {
       // Commit changes
       const commitMsg = `Manual sync: ${new Date().toISOString()}`;
       console.log(`  ${DIM}Committing changes...${RESET}`);
-      await execGit(`commit -m "${commitMsg}"`, targetPath);
+      await execGit(['commit', '-m', commitMsg], targetPath);
 
       // Push to remote
       console.log(`  ${DIM}Pushing to origin...${RESET}`);
-      await execGit('push origin HEAD', targetPath);
+      await execGit(['push', 'origin', 'HEAD'], targetPath);
 
       console.log(`\n${GREEN}✓${RESET} ${BOLD}Sync complete${RESET} - Changes pushed to remote.\n`);
     } else {
@@ -286,7 +284,7 @@ async function syncNowCommand(options) {
     // Pull any remote changes
     try {
       console.log(`  ${DIM}Pulling remote changes...${RESET}`);
-      await execGit('pull origin HEAD --rebase', targetPath);
+      await execGit(['pull', 'origin', 'HEAD', '--rebase'], targetPath);
     } catch (e) {
       // May fail if there are conflicts
       console.log(`  ${YELLOW}!${RESET} ${DIM}Could not pull remote changes (may have conflicts).${RESET}`);
@@ -459,7 +457,7 @@ async function repoCloneCommand(name, options) {
     console.log(`  ${DIM}Cloning ${repo.path_with_namespace}...${RESET}`);
     console.log(`  ${DIM}URL: ${cloneUrl}${RESET}\n`);
 
-    await execGit(`clone ${cloneUrl} ${targetDir}`);
+    await execGit(['clone', '--', cloneUrl, targetDir]);
 
     console.log(`${GREEN}✓${RESET} ${BOLD}Repository cloned${RESET}`);
     console.log(`  ${DIM}Location:${RESET} ${path.resolve(targetDir)}\n`);
@@ -474,7 +472,7 @@ async function repoCloneCommand(name, options) {
 
 // Authenticate with GitLab
 async function authCommand(options) {
-  const { createGitLabService, GITLAB_HOST } = require('../lib/gitlab');
+  const { createGitLabService, getGitLabHost } = require('../lib/gitlab');
   const readline = require('readline');
 
   const termWidth = getTerminalWidth();
@@ -485,7 +483,7 @@ async function authCommand(options) {
   console.log(`${fg(...LOGO_PURPLE)}${'─'.repeat(tableWidth)}${RESET}\n`);
 
   let token = options.token;
-  const host = options.host || GITLAB_HOST;
+  const host = options.host || getGitLabHost();
 
   // Interactive prompt if no token provided
   if (!token) {
@@ -542,7 +540,7 @@ async function authCommand(options) {
 
 // Show GitLab auth status
 async function authStatusCommand() {
-  const { createGitLabService, GITLAB_HOST, GITLAB_CONFIG_FILE } = require('../lib/gitlab');
+  const { createGitLabService, getGitLabHost, getGitLabConfigFile } = require('../lib/gitlab');
 
   const termWidth = getTerminalWidth();
   const tableWidth = Math.min(80, termWidth - 4);
@@ -570,11 +568,11 @@ async function authStatusCommand() {
     console.log(`  ${DIM}User:${RESET}  ${user.username}`);
     console.log(`  ${DIM}Name:${RESET}  ${user.name || 'N/A'}`);
     console.log(`  ${DIM}Email:${RESET} ${user.email || 'N/A'}`);
-    console.log(`  ${DIM}Host:${RESET}  ${GITLAB_HOST}\n`);
+    console.log(`  ${DIM}Host:${RESET}  ${gitlabService.host}\n`);
 
     // Check if config file exists
-    if (fs.existsSync(GITLAB_CONFIG_FILE)) {
-      const gitlabConfig = JSON.parse(fs.readFileSync(GITLAB_CONFIG_FILE, 'utf8'));
+    if (fs.existsSync(getGitLabConfigFile())) {
+      const gitlabConfig = JSON.parse(fs.readFileSync(getGitLabConfigFile(), 'utf8'));
       if (gitlabConfig.storedAt) {
         console.log(`  ${DIM}Stored: ${new Date(gitlabConfig.storedAt).toLocaleString()}${RESET}\n`);
       }
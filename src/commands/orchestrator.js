@@ -8,8 +8,12 @@ const config = require('../lib/config');
 const api = require('../lib/api');
 const { displayMessageBox, fg, LOGO_PURPLE, RESET, BOLD, DIM, getTerminalWidth } = require('../lib/display');
 const Orchestrator = require('../orchestrator/orchestrator');
-const { StateMachine, STATES, RUNS_DIR } = require('../orchestrator/state-machine');
+const TaskScheduler = require('../orchestrator/scheduler');
+const { StateMachine, STATES, getRunsDir } = require('../orchestrator/state-machine');
 const { checkInstalledAdapters } = require('../orchestrator/adapters');
+const { formatTokens, formatCost } = require('../orchestrator/usage');
+const { loadProjectConfig, CONFLICT_MODES } = require('../lib/project-config');
+const { MetricsCollector, startMetricsServer, parseListenAddress } = require('../lib/metrics');
 const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
@@ -88,6 +92,21 @@ function isDirEmpty(dir) {
   return entries.length === 0;
 }
 
+/**
+ * --max-repair-attempts as a whole number of 0 or more, null when it is not one
+ */
+function parseRepairAttempts(value) {
+  return /^\d+$/.test(String(value).trim()) ? parseInt(value, 10) : null;
+}
+
+/**
+ * Flags shown after "MR", e.g. " (draft, updated)"
+ */
+function formatMRFlags(mr) {
+  const flags = [mr.draft && 'draft', mr.updated && 'updated', mr.autoMerge && 'auto-merge'].filter(Boolean);
+  return flags.length > 0 ? ` (${flags.join(', ')})` : '';
+}
+
 /**
  * Pre-check workspace: ensure CWD is the app's repo or offer to initialize
  * Returns the working directory to use, or null to abort
@@ -151,6 +170,20 @@ async function preCheckWorkspace(connection) {
   return currentDir;
 }
 
+/**
+ * Expose Prometheus metrics for a run when --metrics-port is given
+ * @param {Orchestrator|TaskScheduler} runner
+ * @param {string|undefined} address - <port> or <host>:<port>
+ * @returns {Promise<string|null>} Metrics URL
+ */
+async function serveRunMetrics(runner, address) {
+  if (!address) return null;
+  const collector = new MetricsCollector();
+  collector.attach(runner);
+  const { url } = await startMetricsServer(collector, parseListenAddress(address));
+  return url;
+}
+
 /**
  * gbos start - Start the orchestrator
  */
@@ -193,10 +226,30 @@ async function startCommand(options) {
     }
   }
 
+  // Project settings from .gbos.yml fill in whatever was not given as a flag
+  let projectConfig;
+  try {
+    projectConfig = loadProjectConfig(workingDir);
+  } catch (e) {
+    displayMessageBox('Invalid Project Config', e.message, 'error');
+    process.exit(1);
+  }
+
+  if (options.onConflict && !CONFLICT_MODES.includes(options.onConflict)) {
+    displayMessageBox('Invalid Option', `--on-conflict must be ${CONFLICT_MODES.join(' or ')}`, 'error');
+    process.exit(1);
+  }
+
+  const maxRepairAttempts = parseRepairAttempts(options.maxRepairAttempts);
+  if (maxRepairAttempts === null) {
+    displayMessageBox('Invalid Option', '--max-repair-attempts must be a whole number (0 or more)', 'error');
+    process.exit(1);
+  }
+
   // Check agent availability
-  const adapters = await checkInstalledAdapters();
-  const agentName = options.agent || 'claude-code';
-  const agentInfo = adapters[agentName] || adapters['claude-code'];
+  const adapters = await checkInstalledAdapters({ projectDir: workingDir });
+  const agentName = options.agent || projectConfig.agent || 'claude-code';
+  const agentInfo = adapters[agentName.toLowerCase()] || adapters['claude-code'];
 
   if (!agentInfo?.available) {
     displayMessageBox('Agent Not Found', `Agent "${agentName}" is not installed.\n\nAvailable agents: ${Object.entries(adapters).filter(([_, v]) => v.available).map(([k]) => k).join(', ') || 'none'}`, 'error');
@@ -206,20 +259,48 @@ async function startCommand(options) {
   console.log(`  ${GREEN}✓${RESET} Agent: ${agentName} (${agentInfo.version || 'installed'})`);
   console.log(`  ${DIM}Application: ${connection.application?.name || 'N/A'}${RESET}`);
   console.log(`  ${DIM}Node: ${connection.node?.name || 'N/A'}${RESET}`);
+  if (projectConfig.path) {
+    console.log(`  ${DIM}Project config: ${path.relative(workingDir, projectConfig.path)}${RESET}`);
+  }
   console.log('');
 
-  // Create orchestrator
-  const orchestrator = new Orchestrator({
+  const concurrency = parseInt(options.concurrency) || 1;
+  const orchestratorOptions = {
     agent: agentName,
+    model: options.model || projectConfig.model || null,
     autoApprove: options.autoApprove !== false,
     createMR: options.mr !== false,
     continuous: options.continuous || false,
-    maxTasks: options.maxTasks ? parseInt(options.maxTasks) : 1,
+    maxTasks: options.maxTasks ? parseInt(options.maxTasks) : concurrency,
     workingDir: workingDir,
     skipVerification: options.skipVerification || false,
     skipGit: options.skipGit || false,
     taskId: options.taskId || null,
-  });
+    maxRepairAttempts,
+    onConflict: options.onConflict || null,
+    draftUnverified: options.draftUnverified,
+    autoMerge: options.autoMerge,
+    streamJson: options.streamJson || false,
+    maxMinutes: options.maxMinutes ? parseFloat(options.maxMinutes) : null,
+    maxCost: options.maxCost ? parseFloat(options.maxCost) : null,
+    maxTurns: options.maxTurns ? parseInt(options.maxTurns) : null,
+    projectConfig,
+  };
+
+  if (concurrency > 1) {
+    return startParallel({ ...orchestratorOptions, concurrency }, tableWidth, options.metricsPort);
+  }
+
+  // Create orchestrator
+  const orchestrator = new Orchestrator(orchestratorOptions);
+
+  try {
+    const metricsUrl = await serveRunMetrics(orchestrator, options.metricsPort);
+    if (metricsUrl) console.log(`  ${DIM}Metrics: ${metricsUrl}${RESET}\n`);
+  } catch (error) {
+    console.log(`${RED}✗${RESET} Could not serve metrics: ${error.message}\n`);
+    process.exit(1);
+  }
 
   // Track active spinner
   let activeSpinner = null;
@@ -274,6 +355,31 @@ async function startCommand(options) {
     console.log(`${fg(...LOGO_PURPLE)}${'─'.repeat(tableWidth)}${RESET}\n`);
   });
 
+  orchestrator.on('repair_attempt', ({ attempt, maxAttempts, failedChecks }) => {
+    if (activeSpinner) { activeSpinner.fail('Verification failed'); activeSpinner = null; }
+    console.log(`  ${YELLOW}!${RESET} Repair attempt ${attempt}/${maxAttempts} ${DIM}(failed: ${failedChecks.join(', ')})${RESET}`);
+  });
+
+  orchestrator.on('budget_exceeded', ({ value, max, unit }) => {
+    if (activeSpinner) { activeSpinner.fail('Budget exceeded'); activeSpinner = null; }
+    console.log(`\n  ${YELLOW}!${RESET} Budget exceeded: ${value} of ${max} ${unit}, stopping agent`);
+  });
+
+  orchestrator.on('hook', ({ hook, command, passed, exitCode, onFailure }) => {
+    const icon = passed ? `${GREEN}✓${RESET}` : (onFailure === 'warn' ? `${YELLOW}!${RESET}` : `${RED}✗${RESET}`);
+    const status = passed ? '' : ` ${DIM}(exit ${exitCode ?? 'n/a'})${RESET}`;
+    console.log(`    ${icon} Hook ${hook}: ${DIM}${command}${RESET}${status}`);
+  });
+
+  orchestrator.on('task_status', ({ taskKey, taskId, status, reason, queued }) => {
+    if (queued) {
+      console.log(`    ${YELLOW}!${RESET} GBOS API unreachable, "${status}" status queued ${DIM}(gbos outbox list)${RESET}`);
+    }
+    if (status !== 'failed') return;
+    if (activeSpinner) { activeSpinner.fail(); activeSpinner = null; }
+    console.log(`    ${RED}✗${RESET} Task ${taskKey || taskId} failed ${DIM}(${reason})${RESET}`);
+  });
+
   orchestrator.on('log', ({ message }) => {
     // Only show important logs, not during spinner stages
     if (!activeSpinner) {
@@ -301,7 +407,7 @@ async function startCommand(options) {
       console.log(`    ${GREEN}✓${RESET} Committed: ${result.commit.shortHash}`);
     }
     if (result.mergeRequest) {
-      console.log(`    ${GREEN}✓${RESET} MR: ${result.mergeRequest.url}`);
+      console.log(`    ${GREEN}✓${RESET} MR${formatMRFlags(result.mergeRequest)}: ${result.mergeRequest.url}`);
     }
   });
 
@@ -338,6 +444,108 @@ async function startCommand(options) {
   }
 }
 
+/**
+ * Run several tasks at once. Spinners and streamed agent output would
+ * interleave, so every line is prefixed with the task it belongs to.
+ */
+async function startParallel(schedulerOptions, tableWidth, metricsAddress) {
+  const scheduler = new TaskScheduler(schedulerOptions);
+
+  try {
+    const metricsUrl = await serveRunMetrics(scheduler, metricsAddress);
+    if (metricsUrl) console.log(`  ${DIM}Metrics: ${metricsUrl}${RESET}\n`);
+  } catch (error) {
+    console.log(`${RED}✗${RESET} Could not serve metrics: ${error.message}\n`);
+    process.exit(1);
+  }
+  const taskKeys = {};
+  const label = (taskId, taskKey) => {
+    if (taskKey) taskKeys[taskId] = taskKey;
+    return `${CYAN}[${taskKeys[taskId] || taskId}]${RESET}`;
+  };
+
+  scheduler.on('started', ({ concurrency }) => {
+    console.log(`  ${GREEN}✓${RESET} Running up to ${concurrency} tasks in parallel\n`);
+  });
+
+  scheduler.on('worker_started', ({ taskId, taskKey, runId }) => {
+    console.log(`  ${label(taskId, taskKey)} Run started: ${DIM}${runId}${RESET}`);
+  });
+
+  scheduler.on('task_fetched', ({ taskId, taskKey, title }) => {
+    console.log(`  ${label(taskId, taskKey)} ${title || ''}`);
+  });
+
+  scheduler.on('agent_start', ({ taskId, agent }) => {
+    console.log(`  ${label(taskId)} ${DIM}Running ${agent}...${RESET}`);
+  });
+
+  scheduler.on('agent_done', ({ taskId, exitCode }) => {
+    const icon = exitCode === 0 ? `${GREEN}✓${RESET}` : `${YELLOW}!${RESET}`;
+    console.log(`  ${label(taskId)} ${icon} Agent exited with code ${exitCode}`);
+  });
+
+  scheduler.on('repair_attempt', ({ taskId, attempt, maxAttempts, failedChecks }) => {
+    console.log(`  ${label(taskId)} ${YELLOW}!${RESET} Repair attempt ${attempt}/${maxAttempts} ${DIM}(failed: ${failedChecks.join(', ')})${RESET}`);
+  });
+
+  scheduler.on('budget_exceeded', ({ taskId, value, max, unit }) => {
+    console.log(`  ${label(taskId)} ${YELLOW}!${RESET} Budget exceeded: ${value} of ${max} ${unit}, stopping agent`);
+  });
+
+  scheduler.on('hook', ({ taskId, hook, command, passed, exitCode, onFailure }) => {
+    const icon = passed ? `${GREEN}✓${RESET}` : (onFailure === 'warn' ? `${YELLOW}!${RESET}` : `${RED}✗${RESET}`);
+    const status = passed ? '' : ` ${DIM}(exit ${exitCode ?? 'n/a'})${RESET}`;
+    console.log(`  ${label(taskId)} ${icon} Hook ${hook}: ${DIM}${command}${RESET}${status}`);
+  });
+
+  scheduler.on('committed', ({ taskId, commit, mergeRequest }) => {
+    if (commit) {
+      console.log(`  ${label(taskId)} ${GREEN}✓${RESET} Committed: ${commit.shortHash}`);
+    }
+    if (mergeRequest) {
+      console.log(`  ${label(taskId)} ${GREEN}✓${RESET} MR${formatMRFlags(mergeRequest)}: ${mergeRequest.url}`);
+    }
+  });
+
+  scheduler.on('task_status', ({ taskId, status, reason, queued }) => {
+    const icon = status === 'failed' ? `${RED}✗${RESET}` : `${GREEN}✓${RESET}`;
+    const queuedNote = queued ? ` ${YELLOW}(queued, API unreachable)${RESET}` : '';
+    console.log(`  ${label(taskId)} ${icon} Status: ${status}${reason ? ` ${DIM}(${reason})${RESET}` : ''}${queuedNote}`);
+  });
+
+  scheduler.on('log', ({ taskId, message }) => {
+    if (message.startsWith('Stage:')) return;
+    const prefix = taskId ? `${label(taskId)} ` : '';
+    console.log(`    ${prefix}${DIM}${message}${RESET}`);
+  });
+
+  scheduler.on('worker_failed', ({ taskId, error }) => {
+    console.log(`  ${label(taskId)} ${RED}✗${RESET} Failed: ${error.message}`);
+  });
+
+  scheduler.on('completed', ({ tasksCompleted, tasksFailed }) => {
+    console.log(`\n${fg(...LOGO_PURPLE)}${'─'.repeat(tableWidth)}${RESET}`);
+    console.log(`${GREEN}✓${RESET} ${BOLD}Orchestrator completed${RESET}`);
+    console.log(`  ${DIM}Tasks completed: ${tasksCompleted} | Failed: ${tasksFailed}${RESET}`);
+    console.log(`${fg(...LOGO_PURPLE)}${'─'.repeat(tableWidth)}${RESET}\n`);
+  });
+
+  process.on('SIGINT', async () => {
+    console.log(`\n\n  ${YELLOW}!${RESET} Stopping all workers...`);
+    await scheduler.stop();
+    console.log(`  ${DIM}Runs paused. Use "gbos runs" to list them and "gbos resume -r <runId>" to continue.${RESET}\n`);
+    process.exit(0);
+  });
+
+  try {
+    await scheduler.start();
+  } catch (error) {
+    console.log(`\n${RED}✗${RESET} ${error.message}\n`);
+    process.exit(1);
+  }
+}
+
 /**
  * gbos resume - Resume a paused run
  */
@@ -480,7 +688,7 @@ async function runsCommand(options) {
 
   StateMachine.ensureRunsDir();
 
-  const files = fs.readdirSync(RUNS_DIR)
+  const files = fs.readdirSync(getRunsDir())
     .filter(f => f.endsWith('.json'))
     .sort()
     .reverse()
@@ -508,7 +716,11 @@ async function runsCommand(options) {
       console.log(`  ${stateColor}●${RESET} ${BOLD}${summary.runId}${RESET}`);
       console.log(`    ${DIM}State: ${summary.state} | Agent: ${summary.agent}${RESET}`);
       if (summary.taskKey) {
-        console.log(`    ${DIM}Task: ${summary.taskKey}${RESET}`);
+        const outcome = summary.outcome ? ` | Outcome: ${summary.outcome}` : '';
+        console.log(`    ${DIM}Task: ${summary.taskKey}${outcome} | Repair rounds: ${summary.repairAttempts}${RESET}`);
+      }
+      if (summary.usage.sessions > 0) {
+        console.log(`    ${DIM}Usage: ${formatTokens(summary.usage.totalTokens)} tokens | Cost: ${formatCost(summary.usage.costUsd)}${RESET}`);
       }
       if (summary.startTime) {
         console.log(`    ${DIM}Started: ${new Date(summary.startTime).toLocaleString()}${RESET}`);
@@ -531,6 +743,7 @@ function emitEvent(event, data = {}) {
   const payload = {
     event,
     ts: new Date().toISOString(),
+    taskId: null,
     ...data,
   };
   process.stdout.write(JSON.stringify(payload) + '\n');
@@ -608,105 +821,214 @@ async function autoCommand(options) {
     }
   }
 
+  let projectConfig;
+  try {
+    projectConfig = loadProjectConfig(workingDir);
+  } catch (e) {
+    emitEvent('error', { message: e.message });
+    process.exit(1);
+  }
+
+  if (options.onConflict && !CONFLICT_MODES.includes(options.onConflict)) {
+    emitEvent('error', { message: `--on-conflict must be ${CONFLICT_MODES.join(' or ')}` });
+    process.exit(1);
+  }
+
+  const maxRepairAttempts = parseRepairAttempts(options.maxRepairAttempts);
+  if (maxRepairAttempts === null) {
+    emitEvent('error', { message: '--max-repair-attempts must be a whole number (0 or more)' });
+    process.exit(1);
+  }
+
   // Check agent
-  const adapters = await checkInstalledAdapters();
-  const agentName = options.agent || 'gemini';
-  const agentInfo = adapters[agentName];
+  const adapters = await checkInstalledAdapters({ projectDir: workingDir });
+  const agentName = options.agent || projectConfig.agent || 'gemini';
+  const agentInfo = adapters[agentName.toLowerCase()];
 
   if (!agentInfo?.available) {
     emitEvent('error', { message: `Agent "${agentName}" is not installed`, available: Object.keys(adapters).filter(k => adapters[k].available) });
     process.exit(1);
   }
 
-  const orchestrator = new Orchestrator({
+  const concurrency = parseInt(options.concurrency) || 1;
+  const orchestratorOptions = {
     agent: agentName,
+    model: options.model || projectConfig.model || null,
     autoApprove: true,
     createMR: options.mr === true, // No MR by default in auto mode — push directly to branch
     continuous: options.continuous || false,
-    maxTasks: options.maxTasks ? parseInt(options.maxTasks) : 1,
+    maxTasks: options.maxTasks ? parseInt(options.maxTasks) : concurrency,
     workingDir: workingDir,
     branch: options.branch || 'main', // Push to main by default for CI/CD auto-deploy
     skipVerification: options.skipVerification || false,
     skipGit: false, // Always commit and push in auto mode
     taskId: options.taskId || null,
+    maxRepairAttempts,
+    onConflict: options.onConflict || null,
+    draftUnverified: options.draftUnverified,
+    autoMerge: options.autoMerge,
+    streamJson: options.streamJson || false,
+    maxMinutes: options.maxMinutes ? parseFloat(options.maxMinutes) : null,
+    maxCost: options.maxCost ? parseFloat(options.maxCost) : null,
+    maxTurns: options.maxTurns ? parseInt(options.maxTurns) : null,
+    projectConfig,
+  };
+
+  // With --concurrency the scheduler runs one orchestrator per task and tags
+  // each forwarded event with its taskId
+  const orchestrator = concurrency > 1
+    ? new TaskScheduler({ ...orchestratorOptions, concurrency })
+    : new Orchestrator(orchestratorOptions);
+
+  try {
+    const metricsUrl = await serveRunMetrics(orchestrator, options.metricsPort);
+    if (metricsUrl) emitEvent('metrics', { url: metricsUrl });
+  } catch (error) {
+    emitEvent('error', { message: `Could not serve metrics: ${error.message}` });
+    process.exit(1);
+  }
+
+  // Every NDJSON event carries the task it belongs to so clients can demultiplex
+  const on = (event, handler) => orchestrator.on(event, (payload = {}) => {
+    const taskId = payload.taskId ?? orchestrator.currentTask?.id ?? null;
+    handler(payload, taskId);
   });
 
   // Wire all orchestrator events to NDJSON output
-  orchestrator.on('started', ({ runId }) => {
+  on('started', ({ runId, concurrency: workers }, taskId) => {
     emitEvent('started', {
+      taskId,
       runId,
+      concurrency: workers,
       agent: agentName,
       agentVersion: agentInfo.version,
       application: connection.application?.name,
       nodeId: connection.node?.id,
       workingDir,
+      projectConfig: projectConfig.path,
     });
   });
 
-  orchestrator.on('stage', ({ stage }) => {
-    emitEvent('stage', { stage });
+  on('stage', ({ stage }, taskId) => {
+    emitEvent('stage', { taskId, stage });
   });
 
-  orchestrator.on('task_fetched', (task) => {
-    emitEvent('task_fetched', { task });
+  on('task_fetched', (task, taskId) => {
+    emitEvent('task_fetched', { taskId, task });
   });
 
-  orchestrator.on('task_status', ({ taskId, taskKey, status }) => {
-    emitEvent('task_status', { taskId, taskKey, status });
+  on('task_status', ({ taskId, taskKey, status, reason, queued }) => {
+    emitEvent('task_status', { taskId, taskKey, status, reason, queued });
   });
 
-  orchestrator.on('log', ({ message, data }) => {
-    emitEvent('log', { message, ...data });
+  on('repair_attempt', ({ attempt, maxAttempts, failedChecks }, taskId) => {
+    emitEvent('repair_attempt', { taskId, attempt, maxAttempts, failedChecks });
   });
 
-  orchestrator.on('prompt', ({ prompt }) => {
-    emitEvent('prompt', { prompt });
+  on('log', ({ message, data }, taskId) => {
+    emitEvent('log', { taskId, message, ...data });
   });
 
-  orchestrator.on('agent_start', ({ agent }) => {
-    emitEvent('agent_start', { agent });
+  on('prompt', ({ prompt }, taskId) => {
+    emitEvent('prompt', { taskId, prompt });
   });
 
-  orchestrator.on('agent_output', ({ data }) => {
-    emitEvent('agent_output', { data: data.toString() });
+  on('agent_start', ({ agent }, taskId) => {
+    emitEvent('agent_start', { taskId, agent });
   });
 
-  orchestrator.on('agent_done', ({ exitCode }) => {
-    emitEvent('agent_done', { exitCode });
+  on('agent_output', ({ data }, taskId) => {
+    emitEvent('agent_output', { taskId, data: data.toString() });
   });
 
-  orchestrator.on('committed', (result) => {
+  on('agent_done', ({ exitCode }, taskId) => {
+    emitEvent('agent_done', { taskId, exitCode });
+  });
+
+  on('agent_tool_use', ({ id, name, input, kind }, taskId) => {
+    emitEvent('agent_tool_use', { taskId, id, name, input, kind });
+  });
+
+  on('agent_file_edit', ({ id, tool, path: filePath }, taskId) => {
+    emitEvent('agent_file_edit', { taskId, id, tool, path: filePath });
+  });
+
+  on('agent_usage', (usage, taskId) => {
+    emitEvent('agent_usage', { ...usage, taskId });
+  });
+
+  on('budget_exceeded', ({ limit, value, max, unit }, taskId) => {
+    emitEvent('budget_exceeded', { taskId, limit, value, max, unit });
+  });
+
+  on('hook', ({ hook, command, passed, exitCode, durationMs, onFailure }, taskId) => {
+    emitEvent('hook', { taskId, hook, command, passed, exitCode, durationMs, onFailure });
+  });
+
+  on('verification', ({ passed, checks }, taskId) => {
+    emitEvent('verification', { taskId, passed, checks });
+  });
+
+  on('task_finished', ({ taskKey, outcome, durationMs, stageDurations }, taskId) => {
+    emitEvent('task_finished', { taskId, taskKey, outcome, durationMs, stageDurations });
+  });
+
+  on('heartbeat_failed', ({ error }, taskId) => {
+    emitEvent('heartbeat_failed', { taskId, error });
+  });
+
+  on('conflict', ({ onto, files, attempt, action }, taskId) => {
+    emitEvent('conflict', { taskId, onto, files, attempt, action });
+  });
+
+  on('committed', (result, taskId) => {
     emitEvent('committed', {
+      taskId,
       committed: result.committed,
       pushed: result.pushed,
       commit: result.commit?.shortHash || null,
       commitHash: result.commit?.hash || null,
       branch: result.commit?.branch || null,
       mergeRequest: result.mergeRequest?.url || null,
+      draft: result.mergeRequest?.draft ?? null,
+      autoMerge: result.mergeRequest?.autoMerge ?? null,
       message: result.message,
     });
   });
 
-  orchestrator.on('completed', ({ tasksCompleted }) => {
-    emitEvent('completed', { tasksCompleted });
+  on('completed', ({ tasksCompleted, tasksFailed }, taskId) => {
+    emitEvent('completed', { taskId, tasksCompleted, tasksFailed });
   });
 
-  orchestrator.on('failed', ({ error }) => {
-    emitEvent('error', { message: error.message, stack: error.stack });
+  on('failed', ({ error }, taskId) => {
+    emitEvent('error', { taskId, message: error.message, stack: error.stack });
+  });
+
+  // Per-task lifecycle when running in parallel
+  on('worker_started', ({ runId }, taskId) => {
+    emitEvent('task_started', { taskId, runId });
+  });
+
+  on('worker_completed', (payload, taskId) => {
+    emitEvent('task_completed', { taskId });
+  });
+
+  on('worker_failed', ({ error }, taskId) => {
+    emitEvent('error', { taskId, message: error.message, stack: error.stack });
   });
 
   // Handle interrupts
   process.on('SIGINT', async () => {
-    emitEvent('stopping', { reason: 'SIGINT' });
+    emitEvent('stopping', { taskId: orchestrator.currentTask?.id ?? null, reason: 'SIGINT' });
     await orchestrator.stop();
-    emitEvent('stopped', { runId: orchestrator.stateMachine?.runId });
+    emitEvent('stopped', { taskId: orchestrator.currentTask?.id ?? null, runId: orchestrator.stateMachine?.runId });
     process.exit(0);
   });
 
   process.on('SIGTERM', async () => {
-    emitEvent('stopping', { reason: 'SIGTERM' });
+    emitEvent('stopping', { taskId: orchestrator.currentTask?.id ?? null, reason: 'SIGTERM' });
     await orchestrator.stop();
-    emitEvent('stopped', { runId: orchestrator.stateMachine?.runId });
+    emitEvent('stopped', { taskId: orchestrator.currentTask?.id ?? null, runId: orchestrator.stateMachine?.runId });
     process.exit(0);
   });
 
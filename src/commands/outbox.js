@@ -0,0 +1,125 @@
+/**
+ * Outbox Commands
+ * Inspect and replay API requests queued while GBOS was unreachable
+ */
+
+const { displayMessageBox, fg, LOGO_PURPLE, RESET, BOLD, DIM, getTerminalWidth } = require('../lib/display');
+const config = require('../lib/config');
+const api = require('../lib/api');
+const outbox = require('../lib/outbox');
+
+// Colors
+const GREEN = '\x1b[32m';
+const YELLOW = '\x1b[33m';
+const RED = '\x1b[31m';
+const CYAN = '\x1b[36m';
+
+/**
+ * Print one queued request
+ */
+function printEntry(entry) {
+  const when = new Date(entry.createdAt).toLocaleString();
+  console.log(`  ${CYAN}${entry.method}${RESET} ${entry.endpoint}`);
+  console.log(`    ${DIM}${entry.description || 'API request'} · ${when}${entry.attempts ? ` · ${entry.attempts} attempt(s)` : ''}${RESET}`);
+  if (entry.lastError) {
+    console.log(`    ${DIM}Last error: ${entry.lastError}${RESET}`);
+  }
+}
+
+/**
+ * gbos outbox list - Show queued (and rejected) requests
+ */
+async function outboxListCommand(options) {
+  const pending = outbox.list();
+  const failed = outbox.list({ failed: true });
+
+  if (options.json) {
+    const strip = ({ file, ...entry }) => entry;
+    console.log(JSON.stringify({ pending: pending.map(strip), failed: failed.map(strip) }, null, 2));
+    return;
+  }
+
+  const termWidth = getTerminalWidth();
+  const tableWidth = Math.min(80, termWidth - 4);
+
+  console.log(`\n${fg(...LOGO_PURPLE)}${'─'.repeat(tableWidth)}${RESET}`);
+  console.log(`${BOLD}  Outbox${RESET} ${DIM}(${outbox.getOutboxDir()})${RESET}`);
+  console.log(`${fg(...LOGO_PURPLE)}${'─'.repeat(tableWidth)}${RESET}\n`);
+
+  if (pending.length === 0) {
+    console.log(`  ${GREEN}✓${RESET} Nothing waiting to be sent\n`);
+  } else {
+    console.log(`  ${BOLD}Waiting (${pending.length})${RESET}`);
+    pending.forEach(printEntry);
+    console.log('');
+  }
+
+  if (failed.length > 0) {
+    console.log(`  ${RED}✗${RESET} ${BOLD}Rejected by the API (${failed.length})${RESET}`);
+    failed.forEach(printEntry);
+    console.log('');
+  }
+
+  console.log(`${fg(...LOGO_PURPLE)}${'─'.repeat(tableWidth)}${RESET}`);
+  console.log(`${DIM}  "gbos outbox flush" sends waiting requests, "gbos outbox clear" discards them.${RESET}\n`);
+}
+
+/**
+ * gbos outbox flush - Replay queued requests now
+ */
+async function outboxFlushCommand(options) {
+  if (!config.isAuthenticated()) {
+    displayMessageBox('Not Authenticated', 'Please run "gbos auth" first.', 'warning');
+    process.exit(1);
+  }
+
+  if (options.retryFailed) {
+    const moved = outbox.requeueFailed();
+    if (moved > 0) {
+      console.log(`\n  ${DIM}Retrying ${moved} rejected request(s)${RESET}`);
+    }
+  }
+
+  if (outbox.count() === 0) {
+    console.log(`\n  ${GREEN}✓${RESET} Outbox is empty\n`);
+    return;
+  }
+
+  const result = await outbox.flush(api);
+
+  if (result.locked) {
+    console.log(`\n  ${YELLOW}!${RESET} Another gbos process is sending the outbox, try again shortly.\n`);
+    return;
+  }
+
+  console.log('');
+  if (result.sent > 0) {
+    console.log(`  ${GREEN}✓${RESET} Sent ${result.sent} request(s)`);
+  }
+  if (result.failed > 0) {
+    console.log(`  ${RED}✗${RESET} ${result.failed} request(s) rejected by the API ${DIM}(see "gbos outbox list")${RESET}`);
+  }
+  if (result.remaining > 0) {
+    console.log(`  ${YELLOW}!${RESET} ${result.remaining} request(s) still waiting: ${result.error}`);
+  }
+  console.log('');
+
+  if (result.remaining > 0) {
+    process.exit(1);
+  }
+}
+
+/**
+ * gbos outbox clear - Discard queued requests
+ */
+async function outboxClearCommand(options) {
+  const removed = outbox.clear({ failed: options.failed });
+  const what = options.failed ? 'rejected' : 'waiting';
+  console.log(`\n  ${GREEN}✓${RESET} Removed ${removed} ${what} request(s)\n`);
+}
+
+module.exports = {
+  outboxListCommand,
+  outboxFlushCommand,
+  outboxClearCommand,
+};
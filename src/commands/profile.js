@@ -0,0 +1,209 @@
+/**
+ * Profile Commands
+ * Named profiles, each with its own API URL, session, connection and GitLab host
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../lib/config');
+const credentials = require('../lib/credentials');
+const { getKeychainAccount, KEYCHAIN_SERVICE } = require('../lib/gitlab');
+const { KEYCHAIN_SERVICE: GITHUB_KEYCHAIN_SERVICE } = require('../lib/git-hosts/github-host');
+const { KEYCHAIN_SERVICE: GITEA_KEYCHAIN_SERVICE } = require('../lib/git-hosts/gitea-host');
+const { fg, LOGO_PURPLE, RESET, BOLD, DIM, getTerminalWidth } = require('../lib/display');
+
+// Colors
+const GREEN = '\x1b[32m';
+const YELLOW = '\x1b[33m';
+const RED = '\x1b[31m';
+const CYAN = '\x1b[36m';
+
+/**
+ * Session of a profile without switching to it
+ */
+function loadProfileSession(name) {
+  const sessionFile = name === config.DEFAULT_PROFILE
+    ? config.getConfigPath('session.json')
+    : config.getConfigPath('profiles', name, 'session.json');
+  try {
+    return JSON.parse(fs.readFileSync(sessionFile, 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Check a URL option
+ */
+function isValidUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * gbos profile list - Show profiles and which one is active
+ */
+async function profileListCommand(options) {
+  const { profiles } = config.loadProfiles();
+  const active = config.getActiveProfileName();
+  const names = [config.DEFAULT_PROFILE, ...Object.keys(profiles).filter(n => n !== config.DEFAULT_PROFILE).sort()];
+
+  const rows = names.map((name) => {
+    const settings = profiles[name] || {};
+    const session = loadProfileSession(name);
+    return {
+      name,
+      active: name === active,
+      apiUrl: settings.api_url || config.DEFAULT_API_URL,
+      gitlabUrl: settings.gitlab_url || null,
+      user: session?.access_token ? (session.user_name || null) : null,
+      account: session?.access_token ? (session.account_name || null) : null,
+      application: session?.connection?.application?.name || null,
+    };
+  });
+
+  if (options.json) {
+    console.log(JSON.stringify({ active, profiles: rows }, null, 2));
+    return;
+  }
+
+  const termWidth = getTerminalWidth();
+  const tableWidth = Math.min(80, termWidth - 4);
+
+  console.log(`\n${fg(...LOGO_PURPLE)}${'─'.repeat(tableWidth)}${RESET}`);
+  console.log(`${BOLD}  Profiles${RESET}`);
+  console.log(`${fg(...LOGO_PURPLE)}${'─'.repeat(tableWidth)}${RESET}\n`);
+
+  for (const row of rows) {
+    const marker = row.active ? `${GREEN}●${RESET}` : `${DIM}○${RESET}`;
+    console.log(`  ${marker} ${row.active ? BOLD : ''}${CYAN}${row.name}${RESET}${row.active ? ` ${DIM}(active)${RESET}` : ''}`);
+    console.log(`      ${DIM}API:${RESET}     ${row.apiUrl}`);
+    if (row.gitlabUrl) {
+      console.log(`      ${DIM}GitLab:${RESET}  ${row.gitlabUrl}`);
+    }
+    const signedIn = row.user ? `${row.user}${row.account ? ` · ${row.account}` : ''}` : `${DIM}not authenticated${RESET}`;
+    console.log(`      ${DIM}User:${RESET}    ${signedIn}`);
+    if (row.application) {
+      console.log(`      ${DIM}App:${RESET}     ${row.application}`);
+    }
+    console.log('');
+  }
+
+  if (process.env.GBOS_API_URL) {
+    console.log(`  ${YELLOW}!${RESET} GBOS_API_URL is set and overrides the API URL of every profile\n`);
+  }
+
+  console.log(`${fg(...LOGO_PURPLE)}${'─'.repeat(tableWidth)}${RESET}`);
+  console.log(`${DIM}  Switch with "gbos profile use <name>", or per command with --profile <name> / GBOS_PROFILE.${RESET}\n`);
+}
+
+/**
+ * gbos profile add <name> - Create a profile
+ */
+async function profileAddCommand(name, options) {
+  if (!config.isValidProfileName(name) || name === config.DEFAULT_PROFILE) {
+    console.log(`\n${RED}✗${RESET} Invalid profile name "${name}". Use letters, digits, ".", "_" and "-" (and not "${config.DEFAULT_PROFILE}").\n`);
+    process.exit(1);
+  }
+
+  for (const [flag, value] of [['--api-url', options.apiUrl], ['--gitlab-url', options.gitlabUrl]]) {
+    if (value && !isValidUrl(value)) {
+      console.log(`\n${RED}✗${RESET} ${flag} must be an http(s) URL: ${value}\n`);
+      process.exit(1);
+    }
+  }
+
+  const registry = config.loadProfiles();
+  if (registry.profiles[name]) {
+    console.log(`\n${RED}✗${RESET} Profile "${name}" already exists. Remove it first to recreate it.\n`);
+    process.exit(1);
+  }
+
+  registry.profiles[name] = {
+    api_url: options.apiUrl ? options.apiUrl.replace(/\/+$/, '') : null,
+    gitlab_url: options.gitlabUrl ? options.gitlabUrl.replace(/\/+$/, '') : null,
+    created_at: new Date().toISOString(),
+  };
+  if (options.use) {
+    registry.current = name;
+  }
+  config.saveProfiles(registry);
+
+  console.log(`\n  ${GREEN}✓${RESET} Profile ${CYAN}${name}${RESET} created${options.use ? ' and activated' : ''}`);
+  console.log(`  ${DIM}API: ${registry.profiles[name].api_url || config.DEFAULT_API_URL}${RESET}`);
+  console.log(`  ${DIM}Sign in with: gbos auth --profile ${name}${RESET}\n`);
+}
+
+/**
+ * gbos profile use <name> - Make a profile the default for every command
+ */
+async function profileUseCommand(name) {
+  if (!config.profileExists(name)) {
+    console.log(`\n${RED}✗${RESET} Unknown profile "${name}". See "gbos profile list".\n`);
+    process.exit(1);
+  }
+
+  const registry = config.loadProfiles();
+  registry.current = name === config.DEFAULT_PROFILE ? null : name;
+  config.saveProfiles(registry);
+
+  console.log(`\n  ${GREEN}✓${RESET} Using profile ${CYAN}${name}${RESET}`);
+  if (process.env.GBOS_PROFILE && process.env.GBOS_PROFILE !== name) {
+    console.log(`  ${YELLOW}!${RESET} GBOS_PROFILE=${process.env.GBOS_PROFILE} still takes precedence in this shell`);
+  }
+  if (!loadProfileSession(name)?.access_token) {
+    console.log(`  ${DIM}Not authenticated yet, run "gbos auth".${RESET}`);
+  }
+  console.log('');
+}
+
+/**
+ * gbos profile remove <name> - Delete a profile with its session and GitLab settings
+ */
+async function profileRemoveCommand(name) {
+  if (name === config.DEFAULT_PROFILE) {
+    console.log(`\n${RED}✗${RESET} The ${config.DEFAULT_PROFILE} profile cannot be removed; use "gbos logout" to clear its session.\n`);
+    process.exit(1);
+  }
+
+  const registry = config.loadProfiles();
+  if (!registry.profiles[name]) {
+    console.log(`\n${RED}✗${RESET} Unknown profile "${name}". See "gbos profile list".\n`);
+    process.exit(1);
+  }
+
+  // Tokens of the profile in the credential store
+  config.configure({ profile: name });
+  config.clearSession();
+  credentials.remove(KEYCHAIN_SERVICE, getKeychainAccount());
+  credentials.remove(GITHUB_KEYCHAIN_SERVICE, getKeychainAccount());
+  credentials.remove(GITEA_KEYCHAIN_SERVICE, getKeychainAccount());
+  config.configure({ profile: null });
+
+  delete registry.profiles[name];
+  const wasCurrent = registry.current === name;
+  if (wasCurrent) {
+    registry.current = null;
+  }
+  config.saveProfiles(registry);
+
+  // Session, GitLab settings and outbox of the profile
+  fs.rmSync(path.join(config.getConfigPath('profiles'), name), { recursive: true, force: true });
+
+  console.log(`\n  ${GREEN}✓${RESET} Profile ${CYAN}${name}${RESET} removed`);
+  if (wasCurrent) {
+    console.log(`  ${DIM}Now using the ${config.DEFAULT_PROFILE} profile.${RESET}`);
+  }
+  console.log('');
+}
+
+module.exports = {
+  profileListCommand,
+  profileAddCommand,
+  profileUseCommand,
+  profileRemoveCommand,
+};
@@ -1,9 +1,10 @@
 const config = require('../lib/config');
 const { displayMessageBox, fg, LOGO_PURPLE, LOGO_LIGHT, RESET, BOLD, DIM, getTerminalWidth } = require('../lib/display');
-const { exec, spawn } = require('child_process');
+const { spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const processes = require('../lib/process');
 
 // Colors
 const CYAN = '\x1b[36m';
@@ -14,7 +15,7 @@ const RED = '\x1b[31m';
 // Get GitLab URL from session or config
 function getGitLabUrl() {
   const session = config.loadSession();
-  return session?.gitlab_url || process.env.GITLAB_URL || 'https://gitlab.com';
+  return session?.gitlab_url || process.env.GITLAB_URL || config.getProfile().gitlab_url || 'https://gitlab.com';
 }
 
 // Get GitLab token
@@ -34,17 +35,14 @@ function getRegistryUrl() {
   }
 }
 
-// Execute shell command
-function execCommand(command, options = {}) {
-  return new Promise((resolve, reject) => {
-    exec(command, options, (error, stdout, stderr) => {
-      if (error) {
-        reject(new Error(stderr || error.message));
-      } else {
-        resolve({ stdout: stdout.trim(), stderr: stderr.trim() });
-      }
-    });
-  });
+// Execute a command (args as an array, never through a shell)
+async function execCommand(command, args = [], options = {}) {
+  try {
+    const { stdout, stderr } = await processes.run(command, args, options);
+    return { stdout: stdout.trim(), stderr: stderr.trim() };
+  } catch (error) {
+    throw new Error(error.stderr || error.message);
+  }
 }
 
 // ==================== REGISTRY COMMANDS ====================
@@ -99,7 +97,7 @@ async function registryLoginCommand(options) {
   } catch (error) {
     // Check if docker is installed
     try {
-      await execCommand('docker --version');
+      await execCommand('docker', ['--version']);
     } catch (e) {
       displayMessageBox('Docker Not Found', 'Docker is not installed or not in PATH. Please install Docker first.', 'error');
       process.exit(1);
@@ -228,7 +226,7 @@ async function registryPushCommand(image, options) {
     // Tag the image if needed
     if (fullImage !== image) {
       console.log(`  ${DIM}Tagging image...${RESET}`);
-      await execCommand(`docker tag ${image} ${fullImage}`);
+      await execCommand('docker', ['tag', image, fullImage]);
     }
 
     // Push the image
@@ -254,7 +252,7 @@ async function registryPushCommand(image, options) {
   } catch (error) {
     // Check if docker is installed
     try {
-      await execCommand('docker --version');
+      await execCommand('docker', ['--version']);
     } catch (e) {
       displayMessageBox('Docker Not Found', 'Docker is not installed or not in PATH. Please install Docker first.', 'error');
       process.exit(1);
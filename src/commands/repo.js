@@ -0,0 +1,311 @@
+/**
+ * Repo Commands
+ * Repositories on GitLab, GitHub or Gitea/Forgejo, picked with --provider or from the origin
+ * remote of the current directory
+ */
+
+const path = require('path');
+const readline = require('readline');
+const { displayMessageBox, fg, LOGO_PURPLE, RESET, BOLD, DIM, getTerminalWidth } = require('../lib/display');
+const { git } = require('../lib/process');
+const { getGitHost, extractProjectPath, PROVIDER_NAMES } = require('../lib/git-hosts');
+
+// Colors
+const GREEN = '\x1b[32m';
+const YELLOW = '\x1b[33m';
+const RED = '\x1b[31m';
+const CYAN = '\x1b[36m';
+
+const PIPELINE_COLORS = {
+  success: GREEN,
+  failed: RED,
+  canceled: DIM,
+  running: CYAN,
+  pending: YELLOW,
+  none: DIM,
+};
+
+/**
+ * Origin remote of a directory
+ */
+async function getOriginUrl(cwd = process.cwd()) {
+  try {
+    return await git(['remote', 'get-url', 'origin'], { cwd });
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Provider from --provider, else the origin remote of the current directory, else GitLab
+ */
+async function resolveGitHost(options = {}, cwd = process.cwd()) {
+  if (options.provider && !PROVIDER_NAMES.includes(options.provider)) {
+    displayMessageBox('Unknown Provider', `--provider must be ${PROVIDER_NAMES.join(', ')}`, 'error');
+    process.exit(1);
+  }
+  const remoteUrl = options.provider ? null : await getOriginUrl(cwd);
+  return getGitHost({ provider: options.provider, remoteUrl, host: options.host });
+}
+
+/**
+ * gbos repo create <name> - Create a repository
+ */
+async function repoCreateCommand(name, options) {
+  const host = await resolveGitHost(options);
+  const visibility = options.public ? 'public' : 'private';
+
+  console.log(`\n${DIM}Creating repository "${name}" on ${host.displayName}...${RESET}\n`);
+
+  try {
+    const repo = await host.createRepo(name, {
+      visibility,
+      description: options.description || '',
+      initializeWithReadme: options.readme || false,
+    });
+
+    console.log(`${GREEN}✓${RESET} ${BOLD}Repository created${RESET}`);
+    console.log(`  ${DIM}Name:${RESET}       ${repo.path}`);
+    console.log(`  ${DIM}URL:${RESET}        ${repo.webUrl}`);
+    console.log(`  ${DIM}Clone SSH:${RESET}  ${repo.sshUrl}`);
+    console.log(`  ${DIM}Clone HTTP:${RESET} ${repo.httpUrl}`);
+    console.log(`  ${DIM}Visibility:${RESET} ${repo.visibility}\n`);
+  } catch (error) {
+    displayMessageBox('Failed', error.message, 'error');
+    process.exit(1);
+  }
+}
+
+/**
+ * gbos repo list - List repositories
+ */
+async function repoListCommand(options) {
+  const host = await resolveGitHost(options);
+
+  let repos;
+  try {
+    repos = await host.listRepos({ all: options.all, search: options.search });
+  } catch (error) {
+    displayMessageBox('Failed', error.message, 'error');
+    process.exit(1);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify({ provider: host.name, host: host.host, repos }, null, 2));
+    return;
+  }
+
+  const termWidth = getTerminalWidth();
+  const tableWidth = Math.min(100, termWidth - 4);
+
+  console.log(`\n${fg(...LOGO_PURPLE)}${'─'.repeat(tableWidth)}${RESET}`);
+  console.log(`${BOLD}  ${host.displayName} Repositories${RESET} ${DIM}(${host.host})${RESET}`);
+  console.log(`${fg(...LOGO_PURPLE)}${'─'.repeat(tableWidth)}${RESET}\n`);
+
+  if (repos.length === 0) {
+    console.log(`  ${DIM}No repositories found.${RESET}\n`);
+  } else {
+    repos.forEach((repo, i) => {
+      const visibility = repo.visibility === 'public' ? `${GREEN}${repo.visibility}${RESET}` : `${YELLOW}${repo.visibility}${RESET}`;
+      console.log(`  ${CYAN}${i + 1}.${RESET} ${BOLD}${repo.path}${RESET} (${visibility})`);
+      if (repo.description) {
+        console.log(`     ${DIM}${repo.description.substring(0, 60)}${repo.description.length > 60 ? '...' : ''}${RESET}`);
+      }
+      console.log(`     ${DIM}${repo.httpUrl}${RESET}`);
+      if (i < repos.length - 1) console.log('');
+    });
+  }
+
+  console.log(`\n${fg(...LOGO_PURPLE)}${'─'.repeat(tableWidth)}${RESET}`);
+  console.log(`${DIM}  Total: ${repos.length} repository(ies)${RESET}\n`);
+}
+
+/**
+ * gbos repo clone <name> - Clone a repository by path (group/project) or name
+ */
+async function repoCloneCommand(name, options) {
+  const host = await resolveGitHost(options);
+
+  console.log(`\n${DIM}Looking up "${name}" on ${host.displayName}...${RESET}\n`);
+
+  try {
+    let repo = null;
+    if (name.includes('/')) {
+      repo = await host.getProject(name);
+    } else {
+      const repos = await host.listRepos({ all: true, search: name });
+      repo = repos.find(r => r.name === name) || repos[0] || null;
+    }
+
+    if (!repo) {
+      displayMessageBox('Not Found', `Repository "${name}" not found.`, 'error');
+      process.exit(1);
+    }
+
+    const cloneUrl = options.ssh ? repo.sshUrl : repo.httpUrl;
+    const targetDir = options.dir || repo.name;
+
+    console.log(`  ${DIM}Cloning ${repo.path}...${RESET}`);
+    console.log(`  ${DIM}URL: ${cloneUrl}${RESET}\n`);
+
+    try {
+      await git(['clone', '--', cloneUrl, targetDir]);
+    } catch (e) {
+      throw new Error(e.stderr || e.message);
+    }
+
+    console.log(`${GREEN}✓${RESET} ${BOLD}Repository cloned${RESET}`);
+    console.log(`  ${DIM}Location:${RESET} ${path.resolve(targetDir)}\n`);
+  } catch (error) {
+    displayMessageBox('Clone Failed', error.message, 'error');
+    process.exit(1);
+  }
+}
+
+/**
+ * gbos repo auth - Store a token for a provider
+ */
+async function repoAuthCommand(options) {
+  const host = await resolveGitHost(options);
+
+  const termWidth = getTerminalWidth();
+  const tableWidth = Math.min(80, termWidth - 4);
+
+  console.log(`\n${fg(...LOGO_PURPLE)}${'─'.repeat(tableWidth)}${RESET}`);
+  console.log(`${BOLD}  ${host.displayName} Authentication${RESET}`);
+  console.log(`${fg(...LOGO_PURPLE)}${'─'.repeat(tableWidth)}${RESET}\n`);
+
+  let token = options.token;
+  if (!token) {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+    });
+
+    console.log(`  ${DIM}Host: ${host.host}${RESET}`);
+    if (host.name === 'github') {
+      console.log(`  ${DIM}Create a token with the "repo" scope (classic) or Contents, Pull requests${RESET}`);
+      console.log(`  ${DIM}and Actions access (fine-grained).${RESET}\n`);
+    } else if (host.name === 'gitea') {
+      console.log(`  ${DIM}Create an access token with read/write access to repositories and read access to user.${RESET}\n`);
+    } else {
+      console.log(`  ${DIM}Create a Personal Access Token with the api and write_repository scopes.${RESET}\n`);
+    }
+
+    token = await new Promise((resolve) => {
+      rl.question(`  ${CYAN}?${RESET} Enter ${host.displayName} token: `, (answer) => {
+        rl.close();
+        resolve(answer.trim());
+      });
+    });
+
+    if (!token) {
+      console.log(`\n  ${YELLOW}!${RESET} No token provided. Cancelled.\n`);
+      return;
+    }
+  }
+
+  console.log(`\n  ${DIM}Validating token...${RESET}`);
+
+  try {
+    const user = await host.storeToken(token);
+
+    console.log(`\n${GREEN}✓${RESET} ${BOLD}${host.displayName} authentication successful${RESET}`);
+    console.log(`  ${DIM}User:${RESET} ${user.username}${user.name ? ` (${user.name})` : ''}`);
+    console.log(`  ${DIM}Host:${RESET} ${host.host}`);
+    console.log(`  ${GREEN}✓${RESET} Token stored securely`);
+    console.log(`  ${GREEN}✓${RESET} Git credentials configured\n`);
+  } catch (error) {
+    console.log(`\n${RED}✗${RESET} ${BOLD}Authentication failed${RESET}`);
+    console.log(`  ${DIM}${error.message}${RESET}\n`);
+    process.exit(1);
+  }
+}
+
+/**
+ * gbos repo status - Provider, project and latest pipeline of the current repository
+ */
+async function repoStatusCommand(options) {
+  const cwd = options.dir ? path.resolve(options.dir) : process.cwd();
+  const remoteUrl = await getOriginUrl(cwd);
+  const projectPath = extractProjectPath(remoteUrl);
+
+  if (!projectPath) {
+    displayMessageBox('No Remote', `${cwd} has no origin remote on a git host.`, 'error');
+    process.exit(1);
+  }
+
+  const host = await resolveGitHost(options, cwd);
+  let branch = null;
+  try {
+    branch = await git(['rev-parse', '--abbrev-ref', 'HEAD'], { cwd });
+  } catch (e) {
+    // No commits yet
+  }
+
+  const status = {
+    provider: host.name,
+    host: host.host,
+    remoteUrl,
+    projectPath,
+    branch,
+    user: null,
+    project: null,
+    pipeline: null,
+    error: null,
+  };
+
+  try {
+    status.user = await host.getCurrentUser();
+    status.project = await host.getProject(projectPath);
+    if (branch && branch !== 'HEAD') {
+      status.pipeline = await host.getPipelineStatus(projectPath, branch);
+    }
+  } catch (error) {
+    status.error = error.message;
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(status, null, 2));
+    if (status.error) process.exit(1);
+    return;
+  }
+
+  const termWidth = getTerminalWidth();
+  const tableWidth = Math.min(80, termWidth - 4);
+
+  console.log(`\n${fg(...LOGO_PURPLE)}${'─'.repeat(tableWidth)}${RESET}`);
+  console.log(`${BOLD}  Repository${RESET}`);
+  console.log(`${fg(...LOGO_PURPLE)}${'─'.repeat(tableWidth)}${RESET}\n`);
+
+  console.log(`  ${DIM}Provider:${RESET} ${host.displayName} ${DIM}(${host.host})${RESET}`);
+  console.log(`  ${DIM}Project:${RESET}  ${projectPath}`);
+  if (status.user) {
+    console.log(`  ${DIM}User:${RESET}     ${status.user.username}`);
+  }
+  if (status.project) {
+    console.log(`  ${DIM}URL:${RESET}      ${status.project.webUrl}`);
+    console.log(`  ${DIM}Default:${RESET}  ${status.project.defaultBranch || 'N/A'}`);
+  }
+  if (branch) {
+    console.log(`  ${DIM}Branch:${RESET}   ${branch}`);
+  }
+  if (status.pipeline) {
+    const color = PIPELINE_COLORS[status.pipeline.status] || DIM;
+    console.log(`  ${DIM}Pipeline:${RESET} ${color}${status.pipeline.status}${RESET}${status.pipeline.url ? ` ${DIM}${status.pipeline.url}${RESET}` : ''}`);
+  }
+  console.log('');
+
+  if (status.error) {
+    console.log(`  ${RED}✗${RESET} ${status.error}\n`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  repoCreateCommand,
+  repoListCommand,
+  repoCloneCommand,
+  repoAuthCommand,
+  repoStatusCommand,
+};
@@ -0,0 +1,147 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { repoStatusCommand } = require('./repo');
+
+const ENV_KEYS = ['GBOS_CONFIG_DIR', 'GITLAB_URL', 'GITLAB_TOKEN', 'GITHUB_URL', 'GITHUB_TOKEN', 'GH_TOKEN', 'GITEA_URL', 'GITEA_TOKEN'];
+
+class Exit extends Error {
+  constructor(code) {
+    super(`process.exit(${code})`);
+    this.code = code;
+  }
+}
+
+describe('gbos repo provider selection', () => {
+  let root;
+  let saved;
+  let savedFetch;
+  let requests;
+
+  // A repository whose origin is remoteUrl (none when null)
+  const repoWithOrigin = (remoteUrl) => {
+    const dir = fs.mkdtempSync(path.join(root, 'repo-'));
+    execFileSync('git', ['init', '-q', dir]);
+    if (remoteUrl) execFileSync('git', ['remote', 'add', 'origin', remoteUrl], { cwd: dir });
+    return dir;
+  };
+
+  // Run `gbos repo status --json`, returning what it printed and the exit code
+  const status = async (options) => {
+    const printed = [];
+    const { log } = console;
+    const { exit } = process;
+    console.log = (...args) => printed.push(args.join(' '));
+    process.exit = (code) => { throw new Exit(code); };
+    let exitCode = 0;
+    try {
+      await repoStatusCommand({ json: true, ...options });
+    } catch (e) {
+      if (!(e instanceof Exit)) throw e;
+      exitCode = e.code;
+    } finally {
+      console.log = log;
+      process.exit = exit;
+    }
+    const output = printed.join('\n');
+    return { exitCode, output, json: () => JSON.parse(output) };
+  };
+
+  before(() => {
+    saved = { ...process.env };
+    savedFetch = global.fetch;
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'gbos-repo-'));
+  });
+
+  after(() => {
+    global.fetch = savedFetch;
+    fs.rmSync(root, { recursive: true, force: true });
+    for (const key of ENV_KEYS) {
+      if (saved[key] === undefined) delete process.env[key]; else process.env[key] = saved[key];
+    }
+  });
+
+  // Every host answers 404; the test only looks at where requests went
+  beforeEach(() => {
+    for (const key of ENV_KEYS) delete process.env[key];
+    process.env.GBOS_CONFIG_DIR = fs.mkdtempSync(path.join(root, 'config-'));
+    process.env.GITLAB_URL = 'https://gitlab.example.test';
+    process.env.GITLAB_TOKEN = 'gitlab-token';
+    process.env.GITHUB_TOKEN = 'github-token';
+    process.env.GITEA_TOKEN = 'gitea-token';
+    requests = [];
+    global.fetch = async (url, options = {}) => {
+      requests.push({ url: String(url), headers: options.headers || {} });
+      return new Response(JSON.stringify({ message: 'Not Found' }), { status: 404, headers: { 'Content-Type': 'application/json' } });
+    };
+  });
+
+  afterEach(() => {
+    global.fetch = savedFetch;
+  });
+
+  const tokenSentTo = (prefix) => {
+    const sent = requests.filter(request => request.url.startsWith(prefix));
+    assert.ok(sent.length > 0, `no request to ${prefix}`);
+    return sent.map(request => request.headers.Authorization || request.headers['PRIVATE-TOKEN']);
+  };
+
+  it('should pick GitHub for a github.com origin', async () => {
+    const result = await status({ dir: repoWithOrigin('git@github.com:team/app.git') });
+
+    const { provider, host, projectPath } = result.json();
+    assert.deepStrictEqual({ provider, host, projectPath }, { provider: 'github', host: 'https://github.com', projectPath: 'team/app' });
+    assert.ok(tokenSentTo('https://api.github.com/').every(header => /github-token/.test(header)));
+    assert.strictEqual(requests.length, tokenSentTo('https://api.github.com/').length);
+  });
+
+  it('should pick GitHub Enterprise for an origin on GITHUB_URL', async () => {
+    process.env.GITHUB_URL = 'https://github.corp.test';
+
+    const { provider, host } = (await status({ dir: repoWithOrigin('https://github.corp.test/team/app.git') })).json();
+
+    assert.deepStrictEqual({ provider, host }, { provider: 'github', host: 'https://github.corp.test' });
+    assert.strictEqual(requests.length, tokenSentTo('https://github.corp.test/api/v3/').length);
+  });
+
+  it('should pick Gitea for an origin on GITEA_URL', async () => {
+    process.env.GITEA_URL = 'https://gitea.example.test';
+
+    const { provider, host } = (await status({ dir: repoWithOrigin('https://gitea.example.test/team/app.git') })).json();
+
+    assert.deepStrictEqual({ provider, host }, { provider: 'gitea', host: 'https://gitea.example.test' });
+    assert.ok(tokenSentTo('https://gitea.example.test/api/v1/').every(header => /gitea-token/.test(header)));
+  });
+
+  it('should fall back to the configured GitLab host for any other origin', async () => {
+    const result = await status({ dir: repoWithOrigin('git@git.example.test:group/sub/app.git') });
+
+    const { provider, host, projectPath, error } = result.json();
+    assert.deepStrictEqual({ provider, host, projectPath }, { provider: 'gitlab', host: 'https://gitlab.example.test', projectPath: 'group/sub/app' });
+    assert.ok(tokenSentTo('https://gitlab.example.test/api/v4/').every(header => header === 'gitlab-token'));
+    // A failing host is reported in the output and the exit code
+    assert.ok(error);
+    assert.strictEqual(result.exitCode, 1);
+  });
+
+  it('should take --provider over the origin remote', async () => {
+    process.env.GITEA_URL = 'https://gitea.example.test';
+
+    const { provider, host, projectPath } = (await status({ dir: repoWithOrigin('git@github.com:team/app.git'), provider: 'gitea' })).json();
+
+    assert.deepStrictEqual({ provider, host, projectPath }, { provider: 'gitea', host: 'https://gitea.example.test', projectPath: 'team/app' });
+    assert.ok(!requests.some(request => request.url.includes('github')));
+  });
+
+  it('should refuse an unknown --provider and a repository without an origin', async () => {
+    const unknown = await status({ dir: repoWithOrigin('git@github.com:team/app.git'), provider: 'bitbucket' });
+    assert.strictEqual(unknown.exitCode, 1);
+
+    const noRemote = await status({ dir: repoWithOrigin(null) });
+    assert.strictEqual(noRemote.exitCode, 1);
+    assert.strictEqual(requests.length, 0);
+  });
+});
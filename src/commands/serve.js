@@ -0,0 +1,87 @@
+/**
+ * Serve Command
+ * Runs the local control server thin clients use to drive the orchestrator
+ */
+
+const path = require('path');
+const { fg, LOGO_PURPLE, RESET, BOLD, DIM, getTerminalWidth } = require('../lib/display');
+const { ControlServer, loadOrCreateToken, getTokenFile, DEFAULT_PORT } = require('../lib/control-server');
+const { startMetricsServer, parseListenAddress } = require('../lib/metrics');
+
+// Colors
+const GREEN = '\x1b[32m';
+const YELLOW = '\x1b[33m';
+const RED = '\x1b[31m';
+const CYAN = '\x1b[36m';
+
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+
+/**
+ * gbos serve - Start the REST + WebSocket control server
+ */
+async function serveCommand(options) {
+  const port = options.port !== undefined ? parseInt(options.port, 10) : DEFAULT_PORT;
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    console.log(`\n${RED}✗${RESET} Invalid port: ${options.port}\n`);
+    process.exit(1);
+  }
+
+  const host = options.host || '127.0.0.1';
+  const token = loadOrCreateToken({ rotate: options.rotateToken });
+  const server = new ControlServer({
+    host,
+    port,
+    token,
+    workingDir: options.dir ? path.resolve(options.dir) : process.cwd(),
+  });
+
+  let address;
+  let metricsUrl = null;
+  try {
+    address = await server.start();
+    if (options.metricsPort) {
+      ({ url: metricsUrl } = await startMetricsServer(server.metrics, parseListenAddress(options.metricsPort)));
+    }
+  } catch (error) {
+    console.log(`\n${RED}✗${RESET} Could not start the control server: ${error.message}\n`);
+    process.exit(1);
+  }
+
+  const termWidth = getTerminalWidth();
+  const tableWidth = Math.min(80, termWidth - 4);
+
+  console.log(`\n${fg(...LOGO_PURPLE)}${'─'.repeat(tableWidth)}${RESET}`);
+  console.log(`${BOLD}  GBOS Control Server${RESET}`);
+  console.log(`${fg(...LOGO_PURPLE)}${'─'.repeat(tableWidth)}${RESET}\n`);
+  console.log(`  ${GREEN}✓${RESET} Listening on ${CYAN}${address.url}${RESET}`);
+  console.log(`  ${DIM}Events:${RESET}      ${address.url.replace(/^http/, 'ws')}/events`);
+  console.log(`  ${DIM}Token file:${RESET}  ${getTokenFile()}${options.rotateToken ? ` ${DIM}(rotated)${RESET}` : ''}`);
+  console.log(`  ${DIM}Working dir:${RESET} ${server.options.workingDir}`);
+  if (metricsUrl) {
+    console.log(`  ${DIM}Metrics:${RESET}     ${metricsUrl} ${DIM}(no token)${RESET}`);
+  }
+
+  if (!LOOPBACK_HOSTS.includes(host)) {
+    console.log(`\n  ${YELLOW}!${RESET} Listening on ${host}: anyone who can reach this port and has the token can run agents on this machine.`);
+  }
+
+  console.log(`\n${fg(...LOGO_PURPLE)}${'─'.repeat(tableWidth)}${RESET}`);
+  console.log(`${DIM}  Send "Authorization: Bearer <token>" with every request. Press Ctrl+C to stop.${RESET}\n`);
+
+  server.on('event', (event, payload) => {
+    if (['started', 'resumed', 'task_fetched', 'committed', 'failed', 'completed', 'stopped'].includes(event)) {
+      const detail = payload?.task?.title || payload?.error?.message || payload?.runId || '';
+      console.log(`  ${DIM}${new Date().toLocaleTimeString()}${RESET} ${event}${detail ? ` ${DIM}${detail}${RESET}` : ''}`);
+    }
+  });
+
+  process.on('SIGINT', async () => {
+    console.log(`\n\n  ${YELLOW}!${RESET} Stopping control server...`);
+    await server.stop();
+    process.exit(0);
+  });
+}
+
+module.exports = {
+  serveCommand,
+};
@@ -2,9 +2,10 @@ const api = require('../lib/api');
 const config = require('../lib/config');
 const { displayMessageBox, printBanner, printStatusTable, fg, LOGO_LIGHT, LOGO_PURPLE, RESET, BOLD, DIM, getTerminalWidth } = require('../lib/display');
 const readline = require('readline');
-const { exec, spawn } = require('child_process');
+const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
+const processes = require('../lib/process');
 
 // Colors for prompts
 const CYAN = '\x1b[36m';
@@ -700,17 +701,13 @@ async function addTaskCommand() {
   }
 }
 
-// Execute git command
-function execGit(args, cwd = process.cwd()) {
-  return new Promise((resolve, reject) => {
-    exec(`git ${args}`, { cwd, maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
-      if (error) {
-        reject(new Error(stderr || error.message));
-      } else {
-        resolve(stdout.trim());
-      }
-    });
-  });
+// Execute git command (args as an array, never through a shell)
+async function execGit(args, cwd = process.cwd(), options = {}) {
+  try {
+    return await processes.git(args, { ...options, cwd });
+  } catch (error) {
+    throw new Error(error.stderr || error.message);
+  }
 }
 
 // Get GitLab URL and token from session or env
@@ -735,13 +732,13 @@ async function completedCommand(options) {
   let remoteUrl = '';
 
   try {
-    await execGit('rev-parse --is-inside-work-tree', cwd);
+    await execGit(['rev-parse', '--is-inside-work-tree'], cwd);
     isGitRepo = true;
     console.log(`  ${GREEN}✓${RESET} Git repository detected`);
 
     // Check for remote
     try {
-      remoteUrl = await execGit('remote get-url origin', cwd);
+      remoteUrl = await execGit(['remote', 'get-url', 'origin'], cwd);
       hasRemote = true;
       console.log(`  ${GREEN}✓${RESET} Remote: ${remoteUrl}`);
     } catch (e) {
@@ -757,7 +754,7 @@ async function completedCommand(options) {
   if (!isGitRepo) {
     console.log(`\n  ${DIM}Initializing git repository...${RESET}`);
     try {
-      await execGit('init', cwd);
+      await execGit(['init'], cwd);
       isGitRepo = true;
       console.log(`  ${GREEN}✓${RESET} Git repository initialized`);
     } catch (e) {
@@ -796,7 +793,7 @@ async function completedCommand(options) {
           remoteUrl = repo.ssh_url_to_repo || repo.http_url_to_repo;
 
           // Add remote
-          await execGit(`remote add origin ${remoteUrl}`, cwd);
+          await execGit(['remote', 'add', 'origin', remoteUrl], cwd);
           hasRemote = true;
 
           console.log(`  ${GREEN}✓${RESET} GitLab repository created: ${repo.web_url}`);
@@ -815,7 +812,7 @@ async function completedCommand(options) {
               if (userResponse.ok) {
                 const user = await userResponse.json();
                 remoteUrl = `git@${new URL(gitlab.url).hostname}:${user.username}/${dirName}.git`;
-                await execGit(`remote add origin ${remoteUrl}`, cwd);
+                await execGit(['remote', 'add', 'origin', remoteUrl], cwd);
                 hasRemote = true;
                 console.log(`  ${GREEN}✓${RESET} Remote added: ${remoteUrl}`);
               }
@@ -836,7 +833,7 @@ async function completedCommand(options) {
   // Step 4: Stage all changes
   console.log(`\n  ${DIM}Staging changes...${RESET}`);
   try {
-    await execGit('add -A', cwd);
+    await execGit(['add', '-A'], cwd);
     console.log(`  ${GREEN}✓${RESET} Changes staged`);
   } catch (e) {
     console.log(`  ${YELLOW}!${RESET} Failed to stage: ${e.message}`);
@@ -845,7 +842,7 @@ async function completedCommand(options) {
   // Step 5: Check for changes to commit
   let hasChanges = false;
   try {
-    const status = await execGit('status --porcelain', cwd);
+    const status = await execGit(['status', '--porcelain'], cwd);
     hasChanges = status.length > 0;
   } catch (e) {
     // Assume changes exist
@@ -874,7 +871,7 @@ async function completedCommand(options) {
     const commitMessage = options.message || `${taskInfo}Completed: ${timestamp}`;
 
     try {
-      await execGit(`commit -m "${commitMessage.replace(/"/g, '\\"')}"`, cwd);
+      await execGit(['commit', '-F', '-'], cwd, { input: commitMessage });
       console.log(`  ${GREEN}✓${RESET} Changes committed: "${commitMessage}"`);
     } catch (e) {
       if (e.message.includes('nothing to commit')) {
@@ -894,19 +891,19 @@ async function completedCommand(options) {
       // Try to get current branch
       let branch = 'main';
       try {
-        branch = await execGit('rev-parse --abbrev-ref HEAD', cwd);
+        branch = await execGit(['rev-parse', '--abbrev-ref', 'HEAD'], cwd);
       } catch (e) {
         branch = 'main';
       }
 
       // Push with upstream tracking
       try {
-        await execGit(`push -u origin ${branch}`, cwd);
+        await execGit(['push', '-u', 'origin', branch], cwd);
         console.log(`  ${GREEN}✓${RESET} Pushed to origin/${branch}`);
       } catch (e) {
         // If push fails, try setting upstream
         if (e.message.includes('no upstream branch')) {
-          await execGit(`push --set-upstream origin ${branch}`, cwd);
+          await execGit(['push', '--set-upstream', 'origin', branch], cwd);
           console.log(`  ${GREEN}✓${RESET} Pushed to origin/${branch}`);
         } else {
           throw e;
@@ -926,10 +923,14 @@ async function completedCommand(options) {
 
       if (task && task.status === 'in_progress') {
         console.log(`\n  ${DIM}Marking GBOS task as complete...${RESET}`);
-        await api.completeTask(task.id, {
+        const response = await api.completeTask(task.id, {
           completion_notes: options.message || 'Completed via gbos completed command',
         });
-        console.log(`  ${GREEN}✓${RESET} Task "${task.title || task.id}" marked as complete`);
+        if (response?.queued) {
+          console.log(`  ${YELLOW}!${RESET} GBOS API unreachable, completion queued. Run "gbos outbox flush" once it is back.`);
+        } else {
+          console.log(`  ${GREEN}✓${RESET} Task "${task.title || task.id}" marked as complete`);
+        }
       }
     } catch (e) {
       // Task completion is optional, don't fail the whole command
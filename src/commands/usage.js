@@ -0,0 +1,125 @@
+/**
+ * Usage Command
+ * Sums token and cost usage recorded in orchestrator run files
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { displayMessageBox, fg, LOGO_PURPLE, RESET, BOLD, DIM, getTerminalWidth } = require('../lib/display');
+const { StateMachine, getRunsDir } = require('../orchestrator/state-machine');
+const { sumUsage, formatTokens, formatCost } = require('../orchestrator/usage');
+
+// Colors
+const CYAN = '\x1b[36m';
+
+/**
+ * Collect usage entries from every run file
+ * @returns {Object[]} Entries tagged with their runId
+ */
+function loadUsageEntries() {
+  StateMachine.ensureRunsDir();
+  const entries = [];
+
+  for (const file of fs.readdirSync(getRunsDir()).filter(f => f.endsWith('.json'))) {
+    try {
+      const data = JSON.parse(fs.readFileSync(path.join(getRunsDir(), file), 'utf8'));
+      for (const entry of data.context?.usage || []) {
+        entries.push({
+          ...entry,
+          runId: data.context.runId || file.replace('.json', ''),
+          agent: entry.agent || data.context.agentVendor,
+          appId: entry.appId ?? data.context.appId,
+          appName: entry.appName || data.context.appName,
+        });
+      }
+    } catch (e) {
+      // Skip invalid files
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Group entries by a key and sum each group
+ * @returns {Object[]} [{ key, usage }] sorted by key
+ */
+function groupUsage(entries, keyFn) {
+  const groups = {};
+  for (const entry of entries) {
+    const key = keyFn(entry);
+    (groups[key] = groups[key] || []).push(entry);
+  }
+  return Object.keys(groups).sort().map(key => ({ key, usage: sumUsage(groups[key]) }));
+}
+
+/**
+ * gbos usage - Token and cost totals by agent, day and application
+ */
+async function usageCommand(options) {
+  let since = null;
+  if (options.since) {
+    since = new Date(options.since);
+    if (isNaN(since.getTime())) {
+      displayMessageBox('Invalid Date', `Cannot parse --since "${options.since}". Use YYYY-MM-DD.`, 'error');
+      process.exit(1);
+    }
+  } else if (options.days) {
+    since = new Date(Date.now() - parseInt(options.days) * 24 * 60 * 60 * 1000);
+  }
+
+  const entries = loadUsageEntries().filter(entry => {
+    if (since && new Date(entry.timestamp) < since) return false;
+    if (options.agent && entry.agent !== options.agent) return false;
+    if (options.app && String(entry.appId) !== options.app && entry.appName !== options.app) return false;
+    return true;
+  });
+
+  const breakdown = {
+    total: sumUsage(entries),
+    byAgent: groupUsage(entries, e => e.agent || 'unknown'),
+    byDay: groupUsage(entries, e => (e.timestamp || '').substring(0, 10) || 'unknown'),
+    byApp: groupUsage(entries, e => e.appName || (e.appId ? `app ${e.appId}` : 'unknown')),
+  };
+
+  if (options.json) {
+    console.log(JSON.stringify({ since: since ? since.toISOString() : null, ...breakdown }, null, 2));
+    return;
+  }
+
+  const termWidth = getTerminalWidth();
+  const tableWidth = Math.min(80, termWidth - 4);
+
+  console.log(`\n${fg(...LOGO_PURPLE)}${'─'.repeat(tableWidth)}${RESET}`);
+  console.log(`${BOLD}  Agent Usage${RESET}${since ? ` ${DIM}since ${since.toISOString().substring(0, 10)}${RESET}` : ''}`);
+  console.log(`${fg(...LOGO_PURPLE)}${'─'.repeat(tableWidth)}${RESET}\n`);
+
+  if (entries.length === 0) {
+    console.log(`  ${DIM}No usage recorded yet.${RESET}`);
+    console.log(`  ${DIM}Usage is recorded for each agent session run by "gbos start" or "gbos auto".${RESET}\n`);
+    return;
+  }
+
+  const row = (label, usage) => {
+    const tokens = `${formatTokens(usage.inputTokens)} in / ${formatTokens(usage.outputTokens)} out / ${formatTokens(usage.totalTokens)} total`;
+    console.log(`    ${CYAN}${label.padEnd(20)}${RESET} ${tokens.padEnd(36)} ${formatCost(usage.costUsd).padStart(10)} ${DIM}${usage.sessions} session(s)${RESET}`);
+  };
+
+  const section = (title, groups) => {
+    console.log(`  ${BOLD}${title}${RESET}`);
+    groups.forEach(({ key, usage }) => row(key, usage));
+    console.log('');
+  };
+
+  section('By agent', breakdown.byAgent);
+  section('By day', breakdown.byDay);
+  section('By application', breakdown.byApp);
+
+  console.log(`${fg(...LOGO_PURPLE)}${'─'.repeat(tableWidth)}${RESET}`);
+  row('Total', breakdown.total);
+  console.log(`${DIM}  Cost is only counted for agents that report it.${RESET}\n`);
+}
+
+module.exports = {
+  usageCommand,
+};
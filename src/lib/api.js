@@ -1,48 +1,347 @@
 const config = require('./config');
+const outbox = require('./outbox');
+
+// Refresh the access token this long before it expires
+const TOKEN_REFRESH_MARGIN = 5 * 60 * 1000;
+
+const DEFAULT_TIMEOUT = 30 * 1000;
+const DEFAULT_RETRIES = 3;
+const RETRY_BASE_DELAY = 500;
+const RETRY_MAX_DELAY = 10 * 1000;
+// Longer Retry-After values are not waited for
+const RETRY_AFTER_MAX = 60 * 1000;
+
+const RETRY_STATUSES = [408, 429, 500, 502, 503, 504];
+// Statuses that mean the server did not act on the request, so even a POST can be resent
+const NOT_PROCESSED_STATUSES = [429, 503];
+// Connection errors raised before the request reached the server
+const NOT_SENT_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE', 'PATCH'];
+
+/**
+ * Error from a GBOS API request: an error response, a timeout or a network failure
+ */
+class GbosApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} details - { status, code, data, method, endpoint, cause }
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'GbosApiError';
+    this.status = details.status ?? null; // HTTP status, null for timeouts and network errors
+    this.code = details.code ?? null; // API error code, or e.g. TIMEOUT / ECONNREFUSED
+    this.data = details.data ?? null; // Parsed response body (or { body } when it was not JSON)
+    this.method = details.method || null;
+    this.endpoint = details.endpoint || null;
+    if (details.cause) this.cause = details.cause;
+  }
+}
+
+/**
+ * Whether request debugging is on (--verbose or GBOS_DEBUG)
+ */
+function isDebugEnabled() {
+  const value = process.env.GBOS_DEBUG;
+  return !!value && value !== '0' && value !== 'false';
+}
 
-// Default API endpoint (new domain)
-const DEFAULT_API_URL = 'https://api.gbos.io/api/v1';
+/**
+ * Delay before retry number `attempt` (1-based): exponential with jitter
+ */
+function getBackoffDelay(attempt) {
+  const delay = Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * 2 ** (attempt - 1));
+  return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+/**
+ * Parse a Retry-After header (seconds or an HTTP date)
+ * @returns {number|null} Milliseconds to wait
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return parseInt(value, 10) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
 
-// Support GBOS_API_URL env var for backwards compatibility or custom endpoints
-const API_BASE_URL = process.env.GBOS_API_URL || DEFAULT_API_URL;
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 class GbosApiClient {
-  constructor() {
-    this.baseUrl = API_BASE_URL;
+  /**
+   * @param {Object} options - { baseUrl } fixes the endpoint; by default it
+   *                           follows config.getApiUrl(). { timeout, retries }
+   *                           set the per-request defaults.
+   */
+  constructor(options = {}) {
+    this.baseUrl = options.baseUrl || null;
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+    this.retries = options.retries ?? DEFAULT_RETRIES;
+    this.refreshPromise = null; // In-flight token refresh shared by concurrent requests
   }
 
+  // API endpoint, resolved per request so config.configure() applies
+  getBaseUrl() {
+    return this.baseUrl || config.getApiUrl();
+  }
+
+  /**
+   * Call the API
+   * @param {string} endpoint - Path below the API URL, e.g. /cli/tasks
+   * @param {Object} options - fetch options plus { body (JSON), skipAuth,
+   *                           timeout (ms), retries (0 disables retrying) }
+   * @returns {Promise<Object|null>} Parsed JSON body (null when empty)
+   * @throws {GbosApiError}
+   */
   async request(endpoint, options = {}) {
-    const url = `${this.baseUrl}${endpoint}`;
+    const method = (options.method || 'GET').toUpperCase();
+    const retries = options.retries ?? this.retries;
+
+    if (!options.skipAuth) {
+      await this.refreshIfExpiring();
+    }
+    const token = options.skipAuth ? null : config.getAccessToken();
+
+    let attempt = 0;
+    for (;;) {
+      try {
+        return await this.send(endpoint, method, token, options);
+      } catch (error) {
+        // The token was revoked or expired early: refresh once and retry
+        if (error.status === 401 && token && !options.isRetry && config.loadSession()?.refresh_token) {
+          await this.refreshSession(token);
+          return this.request(endpoint, { ...options, isRetry: true });
+        }
+
+        attempt++;
+        const delay = attempt <= retries ? this.getRetryDelay(error, method, attempt) : null;
+        if (delay === null) throw error;
+
+        this.debug(`${method} ${endpoint} failed (${error.status || error.code}), retry ${attempt}/${retries} in ${delay}ms`, token);
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Send a request that has to reach GBOS eventually (status reports,
+   * completions, activity, heartbeats). While the API is unreachable it is
+   * kept in the outbox and replayed in order by later calls or `gbos outbox flush`.
+   * @param {string} endpoint
+   * @param {Object} options - As for request()
+   * @param {Object} meta - { description, coalesceKey } for the outbox entry
+   * @returns {Promise<Object>} Response, or { queued: true, id } when it was queued
+   * @throws {GbosApiError} When the API rejects the request
+   */
+  async requestOrQueue(endpoint, options = {}, meta = {}) {
+    // Earlier reports go first; if they are still stuck, queue behind them
+    if (outbox.count() > 0) {
+      const flushed = await outbox.flush(this);
+      if (flushed.remaining > 0) {
+        const entry = outbox.enqueue(endpoint, options, meta);
+        this.debug(`${entry.method} ${endpoint} queued behind ${flushed.remaining} outbox request(s)`);
+        return { queued: true, id: entry.id };
+      }
+    }
+
+    try {
+      return await this.request(endpoint, options);
+    } catch (error) {
+      if (!outbox.isTransientError(error)) throw error;
+      const entry = outbox.enqueue(endpoint, options, { ...meta, error });
+      this.debug(`${entry.method} ${endpoint} queued in the outbox: ${error.message}`);
+      return { queued: true, id: entry.id };
+    }
+  }
+
+  /**
+   * Make one HTTP request
+   * @throws {GbosApiError}
+   */
+  async send(endpoint, method, token, options) {
+    const url = `${this.getBaseUrl()}${endpoint}`;
     const headers = {
       'Content-Type': 'application/json',
       ...options.headers,
     };
-
-    // Add auth header if we have a token
-    const token = config.getAccessToken();
-    if (token && !options.skipAuth) {
+    if (token) {
       headers['Authorization'] = `Bearer ${token}`;
     }
 
-    const response = await fetch(url, {
-      ...options,
-      headers,
-      body: options.body ? JSON.stringify(options.body) : undefined,
-    });
+    const timeout = options.timeout || this.timeout;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    const startedAt = Date.now();
+
+    let response;
+    let text;
+    try {
+      response = await fetch(url, {
+        ...options,
+        method,
+        headers,
+        body: options.body ? JSON.stringify(options.body) : undefined,
+        signal: controller.signal,
+      });
+      text = await response.text();
+    } catch (error) {
+      const timedOut = controller.signal.aborted;
+      const code = timedOut ? 'TIMEOUT' : (error.cause?.code || error.code || 'NETWORK_ERROR');
+      this.debug(`${method} ${url} ${timedOut ? `timed out after ${timeout}ms` : `failed: ${code}`}`, token);
+      throw new GbosApiError(
+        timedOut
+          ? `GBOS API request timed out after ${Math.round(timeout / 100) / 10}s (${method} ${endpoint})`
+          : `Could not reach the GBOS API (${code}): ${error.cause?.message || error.message}`,
+        { code, method, endpoint, cause: error }
+      );
+    } finally {
+      clearTimeout(timer);
+    }
 
-    const data = await response.json();
+    this.debug(`${method} ${url} ${response.status} ${Date.now() - startedAt}ms`, token);
+
+    // Error pages from proxies (e.g. an HTML 502) are not JSON
+    let data = null;
+    let isJson = true;
+    if (text.trim()) {
+      try {
+        data = JSON.parse(text);
+      } catch (e) {
+        isJson = false;
+        data = { body: text.slice(0, 500) };
+      }
+    }
 
     if (!response.ok) {
-      const error = new Error(data.error || data.message || 'API request failed');
-      error.status = response.status;
-      error.code = data.code;
-      error.data = data;
+      const message = (isJson && (data?.error || data?.message))
+        || `GBOS API request failed: ${response.status} ${response.statusText}`.trim();
+      const error = new GbosApiError(typeof message === 'string' ? message : JSON.stringify(message), {
+        status: response.status,
+        code: isJson ? data?.code : null,
+        data,
+        method,
+        endpoint,
+      });
+      error.retryAfter = parseRetryAfter(response.headers.get('retry-after'));
       throw error;
     }
 
+    if (!isJson) {
+      throw new GbosApiError(`GBOS API returned a non-JSON response (${method} ${endpoint})`, {
+        status: response.status,
+        code: 'INVALID_RESPONSE',
+        data,
+        method,
+        endpoint,
+      });
+    }
+
     return data;
   }
 
+  /**
+   * How long to wait before retrying a failed request
+   * @returns {number|null} Milliseconds, or null when it should not be retried
+   */
+  getRetryDelay(error, method, attempt) {
+    let retryable;
+    if (error.status) {
+      retryable = RETRY_STATUSES.includes(error.status)
+        && (IDEMPOTENT_METHODS.includes(method) || NOT_PROCESSED_STATUSES.includes(error.status));
+    } else {
+      // Timeouts and dropped connections may have reached the server
+      retryable = IDEMPOTENT_METHODS.includes(method) || NOT_SENT_CODES.includes(error.code);
+    }
+    if (!retryable) return null;
+
+    if (error.retryAfter !== null && error.retryAfter !== undefined) {
+      return error.retryAfter <= RETRY_AFTER_MAX ? error.retryAfter : null;
+    }
+    return getBackoffDelay(attempt);
+  }
+
+  /**
+   * Log a request line to stderr when debugging, without the access token
+   */
+  debug(message, token) {
+    if (!isDebugEnabled()) return;
+    const redacted = token ? message.split(token).join('[REDACTED]') : message;
+    process.stderr.write(`[gbos] ${redacted.replace(/([?&](?:access_)?token=)[^&\s]+/gi, '$1[REDACTED]')}\n`);
+  }
+
+  /**
+   * Refresh the access token ahead of time when it is about to expire.
+   * Failures are left for the request itself to surface.
+   */
+  async refreshIfExpiring() {
+    const session = config.loadSession();
+    if (!session?.refresh_token || !session.token_expires_at) return;
+    if (new Date(session.token_expires_at).getTime() - Date.now() > TOKEN_REFRESH_MARGIN) return;
+
+    try {
+      await this.refreshSession(session.access_token);
+    } catch (e) {
+      // The old token may still work; a 401 retries the refresh
+    }
+  }
+
+  /**
+   * Exchange the stored refresh token for a new access token and save it.
+   * Concurrent callers share one refresh.
+   * @param {string} staleToken - Token the caller found expired; if the session
+   *                              already holds a different one, nothing is refreshed
+   * @returns {Promise<Object>} Updated session
+   */
+  async refreshSession(staleToken = null) {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.performRefresh(staleToken).finally(() => {
+        this.refreshPromise = null;
+      });
+    }
+    return this.refreshPromise;
+  }
+
+  async performRefresh(staleToken) {
+    const session = config.loadSession();
+    if (!session?.refresh_token) {
+      throw new GbosApiError('Session expired. Run "gbos auth" to sign in again.', { status: 401 });
+    }
+
+    // Another process (or an earlier refresh) already replaced the token
+    const expiring = session.token_expires_at
+      && new Date(session.token_expires_at).getTime() - Date.now() <= TOKEN_REFRESH_MARGIN;
+    if (staleToken && session.access_token !== staleToken && !expiring) {
+      return session;
+    }
+
+    let response;
+    try {
+      response = await this.refreshToken(session.refresh_token);
+    } catch (error) {
+      throw new GbosApiError('Session expired and could not be refreshed. Run "gbos auth" to sign in again.', {
+        status: 401,
+        cause: error,
+      });
+    }
+
+    const tokens = response.data || response;
+    if (!tokens?.access_token) {
+      throw new GbosApiError('Token refresh returned no access token. Run "gbos auth" to sign in again.', { status: 401 });
+    }
+
+    // Same default as gbos auth when the server does not say
+    const expiresInSeconds = tokens.expires_in && tokens.expires_in > 60 ? tokens.expires_in : 86400;
+
+    // Reload so a connection saved meanwhile is kept
+    return config.saveSession({
+      ...(config.loadSession() || session),
+      access_token: tokens.access_token,
+      refresh_token: tokens.refresh_token || session.refresh_token,
+      token_expires_at: new Date(Date.now() + expiresInSeconds * 1000).toISOString(),
+      token_refreshed_at: new Date().toISOString(),
+    });
+  }
+
   // Auth endpoints
   async initAuth(clientInfo) {
     const machineInfo = config.getMachineInfo();
@@ -122,14 +421,15 @@ class GbosApiClient {
     });
   }
 
+  // Only the latest heartbeat per task is kept while offline
   async sendHeartbeat(taskId = null, progress = null) {
-    return this.request('/cli/heartbeat', {
+    return this.requestOrQueue('/cli/heartbeat', {
       method: 'POST',
       body: {
         current_task_id: taskId,
         progress,
       },
-    });
+    }, { description: `Heartbeat for task ${taskId ?? '-'}`, coalesceKey: `heartbeat:${taskId ?? ''}` });
   }
 
   // Task endpoints
@@ -159,17 +459,25 @@ class GbosApiClient {
   }
 
   async completeTask(taskId, data = {}) {
-    return this.request(`/cli/tasks/${taskId}/complete`, {
+    return this.requestOrQueue(`/cli/tasks/${taskId}/complete`, {
       method: 'POST',
       body: data,
-    });
+    }, { description: `Complete task ${taskId}` });
   }
 
   async failTask(taskId, data = {}) {
-    return this.request(`/cli/tasks/${taskId}/fail`, {
+    return this.requestOrQueue(`/cli/tasks/${taskId}/fail`, {
       method: 'POST',
       body: data,
-    });
+    }, { description: `Fail task ${taskId}` });
+  }
+
+  // Final status report of an orchestrated task (review, failed, ...)
+  async reportTaskStatus(taskId, data = {}) {
+    return this.requestOrQueue(`/development-tasks/${taskId}/status`, {
+      method: 'PATCH',
+      body: data,
+    }, { description: `Set task ${taskId} to ${data.status}` });
   }
 
   async cancelTask(taskId, data = {}) {
@@ -201,11 +509,13 @@ class GbosApiClient {
 
   // Activity logging
   async logActivity(activity) {
-    return this.request('/cli/activity', {
+    return this.requestOrQueue('/cli/activity', {
       method: 'POST',
       body: activity,
-    });
+    }, { description: `Activity: ${activity?.action || activity?.type || 'log'}` });
   }
 }
 
 module.exports = new GbosApiClient();
+module.exports.GbosApiClient = GbosApiClient;
+module.exports.GbosApiError = GbosApiError;
@@ -0,0 +1,245 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('./config');
+const outbox = require('./outbox');
+const { GbosApiClient, GbosApiError } = require('./api');
+
+const BASE_URL = 'https://gbos.test/api/v1';
+
+const json = (status, body, headers = {}) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'Content-Type': 'application/json', ...headers },
+});
+
+const refused = () => Object.assign(new TypeError('fetch failed'), {
+  cause: Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:443'), { code: 'ECONNREFUSED' }),
+});
+
+describe('GbosApiClient', () => {
+  let root;
+  let saved;
+  let savedFetch;
+  let calls;
+  let route;
+
+  before(() => {
+    saved = { ...process.env };
+    savedFetch = global.fetch;
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'gbos-api-'));
+    process.env.GBOS_CONFIG_DIR = root;
+    process.env.GBOS_CREDENTIAL_STORE = 'file';
+    delete process.env.GBOS_PROFILE;
+    delete process.env.GBOS_DEBUG;
+  });
+
+  after(() => {
+    global.fetch = savedFetch;
+    fs.rmSync(root, { recursive: true, force: true });
+    for (const key of ['GBOS_CONFIG_DIR', 'GBOS_CREDENTIAL_STORE', 'GBOS_PROFILE', 'GBOS_DEBUG']) {
+      if (saved[key] === undefined) delete process.env[key]; else process.env[key] = saved[key];
+    }
+  });
+
+  // Every fetch is recorded and answered by route(call)
+  beforeEach(() => {
+    calls = [];
+    route = () => json(200, {});
+    global.fetch = async (url, options) => {
+      const call = {
+        endpoint: url.slice(BASE_URL.length),
+        method: options.method,
+        token: (options.headers.Authorization || '').replace(/^Bearer /, '') || null,
+        body: options.body ? JSON.parse(options.body) : null,
+        signal: options.signal,
+      };
+      calls.push(call);
+      return route(call);
+    };
+    config.saveSession({
+      access_token: 'token-old',
+      refresh_token: 'refresh-1',
+      token_expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+    });
+  });
+
+  afterEach(() => {
+    config.clearSession();
+    outbox.clear();
+    outbox.clear({ failed: true });
+  });
+
+  const client = (options = {}) => new GbosApiClient({ baseUrl: BASE_URL, ...options });
+
+  describe('token refresh', () => {
+    it('should refresh once for concurrent 401s and retry each request with the new token', async () => {
+      route = async (call) => {
+        if (call.endpoint === '/cli/auth/refresh') {
+          await new Promise(resolve => setTimeout(resolve, 20));
+          return json(200, { data: { access_token: 'token-new', refresh_token: 'refresh-2', expires_in: 3600 } });
+        }
+        return call.token === 'token-new' ? json(200, { path: call.endpoint }) : json(401, { error: 'Token expired' });
+      };
+      const api = client();
+
+      const results = await Promise.all(['/a', '/b', '/c'].map(endpoint => api.request(endpoint)));
+
+      assert.deepStrictEqual(results.map(r => r.path), ['/a', '/b', '/c']);
+      const refreshes = calls.filter(c => c.endpoint === '/cli/auth/refresh');
+      assert.strictEqual(refreshes.length, 1);
+      assert.deepStrictEqual(refreshes[0].body, { refresh_token: 'refresh-1' });
+      assert.strictEqual(refreshes[0].token, null);
+      assert.strictEqual(config.loadSession().access_token, 'token-new');
+      assert.strictEqual(config.loadSession().refresh_token, 'refresh-2');
+    });
+
+    it('should refresh a token about to expire before sending the request', async () => {
+      config.saveSession({ ...config.loadSession(), token_expires_at: new Date(Date.now() + 60 * 1000).toISOString() });
+      route = call => (call.endpoint === '/cli/auth/refresh'
+        ? json(200, { access_token: 'token-new', expires_in: 3600 })
+        : json(200, {}));
+
+      await client().request('/cli/tasks');
+
+      assert.deepStrictEqual(calls.map(c => [c.endpoint, c.token]), [['/cli/auth/refresh', null], ['/cli/tasks', 'token-new']]);
+      assert.strictEqual(config.loadSession().refresh_token, 'refresh-1');
+    });
+
+    it('should ask to sign in again when the refresh is rejected', async () => {
+      route = call => json(401, { error: call.endpoint === '/cli/auth/refresh' ? 'Refresh token revoked' : 'Token expired' });
+
+      await assert.rejects(client({ retries: 0 }).request('/cli/tasks'), (e) => {
+        assert.ok(e instanceof GbosApiError);
+        assert.strictEqual(e.status, 401);
+        assert.match(e.message, /could not be refreshed\. Run "gbos auth"/);
+        return true;
+      });
+    });
+  });
+
+  describe('retries', () => {
+    it('should retry a GET after a server error with backoff', async () => {
+      let failures = 1;
+      route = () => (failures-- > 0 ? json(500, { error: 'boom' }) : json(200, { ok: true }));
+
+      const startedAt = Date.now();
+      assert.deepStrictEqual(await client().request('/cli/tasks'), { ok: true });
+
+      assert.strictEqual(calls.length, 2);
+      assert.ok(Date.now() - startedAt >= 250);
+    });
+
+    it('should wait as long as Retry-After says, and give up on a long one', async () => {
+      let failures = 1;
+      route = () => (failures-- > 0 ? json(429, { error: 'Slow down' }, { 'Retry-After': '1' }) : json(200, { ok: true }));
+
+      const startedAt = Date.now();
+      await client().request('/cli/tasks', { method: 'POST', body: {} });
+      assert.ok(Date.now() - startedAt >= 1000);
+      assert.strictEqual(calls.length, 2);
+
+      calls = [];
+      route = () => json(503, { error: 'Maintenance' }, { 'Retry-After': '120' });
+      await assert.rejects(client().request('/cli/tasks'), { status: 503, retryAfter: 120000 });
+      assert.strictEqual(calls.length, 1);
+    });
+
+    it('should not resend a POST the server may have acted on', async () => {
+      route = () => json(500, { error: 'boom' });
+
+      await assert.rejects(client().request('/cli/tasks/1/complete', { method: 'POST', body: {} }), { status: 500, message: 'boom' });
+      assert.strictEqual(calls.length, 1);
+    });
+
+    it('should stop after the configured number of retries', async () => {
+      route = () => json(503, { error: 'Maintenance' }, { 'Retry-After': '0' });
+
+      await assert.rejects(client({ retries: 2 }).request('/cli/tasks'), { status: 503 });
+      assert.strictEqual(calls.length, 3);
+    });
+  });
+
+  it('should time out a request that does not answer', async () => {
+    route = call => new Promise((resolve, reject) => {
+      call.signal.addEventListener('abort', () => reject(new DOMException('This operation was aborted', 'AbortError')));
+    });
+
+    await assert.rejects(client({ timeout: 50, retries: 0 }).request('/cli/tasks'), (e) => {
+      assert.strictEqual(e.code, 'TIMEOUT');
+      assert.strictEqual(e.status, null);
+      assert.match(e.message, /timed out after 0\.1s \(GET \/cli\/tasks\)/);
+      return true;
+    });
+  });
+
+  it('should keep tokens out of the debug output', async () => {
+    process.env.GBOS_DEBUG = '1';
+    const written = [];
+    const write = process.stderr.write;
+    process.stderr.write = (chunk) => {
+      written.push(String(chunk));
+      return true;
+    };
+    try {
+      route = () => json(200, {});
+      await client().request('/cli/stream?access_token=token-old&task=1');
+      await client().request('/cli/files?token=file-secret');
+    } finally {
+      process.stderr.write = write;
+      delete process.env.GBOS_DEBUG;
+    }
+
+    const output = written.join('');
+    assert.match(output, /GET https:\/\/gbos\.test\/api\/v1\/cli\/stream\?access_token=\[REDACTED\]&task=1 200/);
+    assert.match(output, /\?token=\[REDACTED\]/);
+    assert.doesNotMatch(output, /token-old|file-secret/);
+  });
+
+  describe('outbox', () => {
+    it('should queue reports while the API is unreachable and send them in order once it is back', async () => {
+      route = () => { throw refused(); };
+      const api = client({ retries: 0 });
+
+      const first = await api.requestOrQueue('/development-tasks/1/status', { method: 'PATCH', body: { status: 'in_progress' } });
+      const second = await api.requestOrQueue('/cli/tasks/1/complete', { method: 'POST', body: { summary: 'Done' } });
+
+      assert.strictEqual(first.queued, true);
+      assert.strictEqual(second.queued, true);
+      assert.deepStrictEqual(outbox.list().map(e => e.endpoint), ['/development-tasks/1/status', '/cli/tasks/1/complete']);
+      assert.match(outbox.list()[0].lastError, /ECONNREFUSED/);
+
+      calls = [];
+      route = () => json(200, { ok: true });
+      const result = await api.requestOrQueue('/cli/heartbeat', { method: 'POST', body: {} });
+
+      assert.deepStrictEqual(result, { ok: true });
+      assert.deepStrictEqual(calls.map(c => c.endpoint), ['/development-tasks/1/status', '/cli/tasks/1/complete', '/cli/heartbeat']);
+      assert.strictEqual(outbox.count(), 0);
+    });
+
+    it('should keep one heartbeat per task and set aside requests the API rejects', async () => {
+      route = () => { throw refused(); };
+      const api = client({ retries: 0 });
+      await api.requestOrQueue('/cli/tasks/9/complete', { method: 'POST', body: {} });
+      await api.sendHeartbeat(1, 10);
+      await api.sendHeartbeat(1, 20);
+
+      assert.deepStrictEqual(outbox.list().map(e => e.body?.progress ?? null), [null, 20]);
+
+      route = call => (call.endpoint === '/cli/tasks/9/complete' ? json(404, { error: 'Task not found' }) : json(200, {}));
+      const flushed = await outbox.flush(api);
+
+      assert.deepStrictEqual({ sent: flushed.sent, failed: flushed.failed, remaining: flushed.remaining }, { sent: 1, failed: 1, remaining: 0 });
+      assert.strictEqual(outbox.list({ failed: true })[0].status, 404);
+    });
+
+    it('should not queue a request the API rejects', async () => {
+      route = () => json(422, { error: 'Invalid status' });
+
+      await assert.rejects(client().requestOrQueue('/development-tasks/1/status', { method: 'PATCH', body: {} }), { status: 422 });
+      assert.strictEqual(outbox.count(), 0);
+    });
+  });
+});
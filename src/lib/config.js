@@ -1,15 +1,134 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const crypto = require('crypto');
 
-const CONFIG_DIR = path.join(os.homedir(), '.gbos');
-const CONFIG_FILE = path.join(CONFIG_DIR, 'config.json');
-const SESSION_FILE = path.join(CONFIG_DIR, 'session.json');
+const DEFAULT_CONFIG_DIR = path.join(os.homedir(), '.gbos');
+const DEFAULT_API_URL = 'https://api.gbos.io/api/v1';
+
+// The profile used when none is selected keeps its files at the top of the config dir
+const DEFAULT_PROFILE = 'default';
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.-]*$/;
+
+// Session fields kept in the credential store instead of session.json
+const SESSION_SECRETS = ['access_token', 'refresh_token', 'gitlab_token'];
+const CREDENTIAL_SERVICE = 'gbos-cli';
+
+// Secrets of the last session read or written: { ref, secrets }. credential_ref
+// in session.json changes on every store, so other processes' updates are seen
+let secretsCache = null;
+
+// Overrides set with configure(); everything under the config dir is resolved
+// on use so an embedding process can point GBOS somewhere other than ~/.gbos
+const overrides = {
+  configDir: null,
+  sessionFile: null,
+  apiUrl: null,
+  profile: null,
+};
+
+/**
+ * Override where GBOS keeps its files and which API it talks to.
+ * Pass null to go back to the default for a setting.
+ * @param {Object} options - { configDir, sessionFile, apiUrl, profile }
+ */
+function configure(options = {}) {
+  if (options.configDir !== undefined) {
+    overrides.configDir = options.configDir ? path.resolve(options.configDir) : null;
+  }
+  if (options.sessionFile !== undefined) {
+    overrides.sessionFile = options.sessionFile ? path.resolve(options.sessionFile) : null;
+  }
+  if (options.apiUrl !== undefined) {
+    overrides.apiUrl = options.apiUrl || null;
+  }
+  if (options.profile !== undefined) {
+    overrides.profile = options.profile || null;
+  }
+}
+
+// Get config directory path (for other tools to access)
+function getConfigDir() {
+  return overrides.configDir || process.env.GBOS_CONFIG_DIR || DEFAULT_CONFIG_DIR;
+}
+
+// Path of a file or directory inside the config directory
+function getConfigPath(...segments) {
+  return path.join(getConfigDir(), ...segments);
+}
+
+// ==================== Profiles ====================
+// profiles.json: { "current": "staging", "profiles": { "staging": { "api_url", "gitlab_url", "created_at" } } }
+
+function getProfilesFile() {
+  return getConfigPath('profiles.json');
+}
+
+// Load the profile registry
+function loadProfiles() {
+  try {
+    const data = JSON.parse(fs.readFileSync(getProfilesFile(), 'utf8'));
+    return { current: data.current || null, profiles: data.profiles || {} };
+  } catch (err) {
+    return { current: null, profiles: {} };
+  }
+}
+
+// Save the profile registry
+function saveProfiles(data) {
+  ensureConfigDir();
+  const file = getProfilesFile();
+  const tempFile = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(data, null, 2), { mode: 0o600 });
+  fs.renameSync(tempFile, file);
+}
+
+// Whether a string can be used as a profile name (it becomes a directory name)
+function isValidProfileName(name) {
+  return typeof name === 'string' && PROFILE_NAME_PATTERN.test(name);
+}
+
+// Active profile: --profile / configure(), then GBOS_PROFILE, then `gbos profile use`
+function getActiveProfileName() {
+  return overrides.profile || process.env.GBOS_PROFILE || loadProfiles().current || DEFAULT_PROFILE;
+}
+
+// Whether a profile exists (the default one always does)
+function profileExists(name) {
+  return name === DEFAULT_PROFILE || !!loadProfiles().profiles[name];
+}
+
+// Settings of a profile (the active one by default)
+function getProfile(name = getActiveProfileName()) {
+  const settings = loadProfiles().profiles[name] || {};
+  return { name, ...settings };
+}
+
+// Path of a per-profile file: the config dir itself for the default profile,
+// profiles/<name>/ for the others
+function getProfilePath(...segments) {
+  const name = getActiveProfileName();
+  if (name === DEFAULT_PROFILE) {
+    return getConfigPath(...segments);
+  }
+  return getConfigPath('profiles', name, ...segments);
+}
+
+// Session file path (defaults to session.json of the active profile)
+function getSessionFile() {
+  return overrides.sessionFile || getProfilePath('session.json');
+}
+
+// API endpoint: configure(), then GBOS_API_URL, then the active profile's api_url
+function getApiUrl() {
+  return overrides.apiUrl || process.env.GBOS_API_URL || getProfile().api_url || DEFAULT_API_URL;
+}
 
 // Ensure config directory exists
 function ensureConfigDir() {
-  if (!fs.existsSync(CONFIG_DIR)) {
-    fs.mkdirSync(CONFIG_DIR, { recursive: true, mode: 0o700 });
+  const configDir = getConfigDir();
+  if (!fs.existsSync(configDir)) {
+    fs.mkdirSync(configDir, { recursive: true, mode: 0o700 });
   }
 }
 
@@ -26,7 +145,7 @@ function getMachineInfo() {
 // Generate a persistent machine ID
 function getMachineId() {
   ensureConfigDir();
-  const machineIdFile = path.join(CONFIG_DIR, '.machine_id');
+  const machineIdFile = getConfigPath('.machine_id');
 
   if (fs.existsSync(machineIdFile)) {
     return fs.readFileSync(machineIdFile, 'utf8').trim();
@@ -37,34 +156,115 @@ function getMachineId() {
   return machineId;
 }
 
-// Save session data
+// Required on use: credentials.js needs this module to find its files
+function getCredentials() {
+  return require('./credentials');
+}
+
+// Credential store entry of the session file (one per profile or config dir)
+function getSessionAccount() {
+  return `session:${getSessionFile()}`;
+}
+
+// Save session data (written to a temp file and renamed, so readers never see half a file).
+// Tokens go to the credential store when there is a secure one.
 function saveSession(data) {
-  ensureConfigDir();
+  const sessionFile = getSessionFile();
+  fs.mkdirSync(path.dirname(sessionFile), { recursive: true, mode: 0o700 });
   const session = {
     ...data,
     updated_at: new Date().toISOString(),
   };
-  fs.writeFileSync(SESSION_FILE, JSON.stringify(session, null, 2), { mode: 0o600 });
-  return session;
+
+  const onDisk = { ...session };
+  delete onDisk.credential_store;
+  delete onDisk.credential_ref;
+  delete onDisk.credential_error;
+  // Tokens that could not be read stay where they are
+  if (data.credential_error && !SESSION_SECRETS.some(field => session[field])) {
+    onDisk.credential_store = data.credential_store;
+    onDisk.credential_ref = data.credential_ref;
+  }
+  const secrets = {};
+  for (const field of SESSION_SECRETS) {
+    if (session[field]) secrets[field] = session[field];
+  }
+  if (Object.keys(secrets).length > 0) {
+    const unchanged = secretsCache && JSON.stringify(secretsCache.secrets) === JSON.stringify(secrets);
+    const stored = unchanged && data.credential_store && data.credential_ref === secretsCache.ref
+      ? { store: data.credential_store, ref: data.credential_ref }
+      : { store: getCredentials().store(CREDENTIAL_SERVICE, getSessionAccount(), JSON.stringify(secrets)) };
+    if (stored.store !== 'file') {
+      for (const field of SESSION_SECRETS) delete onDisk[field];
+      onDisk.credential_store = stored.store;
+      onDisk.credential_ref = stored.ref || crypto.randomBytes(8).toString('hex');
+      secretsCache = { ref: onDisk.credential_ref, secrets };
+    }
+  }
+
+  const tempFile = `${sessionFile}.${process.pid}.tmp`;
+  try {
+    fs.writeFileSync(tempFile, JSON.stringify(onDisk, null, 2), { mode: 0o600 });
+    fs.renameSync(tempFile, sessionFile);
+  } catch (err) {
+    fs.rmSync(tempFile, { force: true });
+    throw err;
+  }
+  return { ...onDisk, ...secrets };
 }
 
-// Load session data
+// Load session data, with the tokens from the credential store
 function loadSession() {
+  const sessionFile = getSessionFile();
+  let data;
   try {
-    if (fs.existsSync(SESSION_FILE)) {
-      const data = JSON.parse(fs.readFileSync(SESSION_FILE, 'utf8'));
-      return data;
-    }
+    if (!fs.existsSync(sessionFile)) return null;
+    data = JSON.parse(fs.readFileSync(sessionFile, 'utf8'));
   } catch (err) {
-    // Ignore parse errors
+    return null; // Ignore parse errors
   }
-  return null;
+
+  if (data.credential_store) {
+    if (secretsCache?.ref !== data.credential_ref) {
+      const raw = getCredentials().retrieve(CREDENTIAL_SERVICE, getSessionAccount(), data.credential_store);
+      try {
+        secretsCache = { ref: data.credential_ref, secrets: JSON.parse(raw) };
+      } catch (err) {
+        secretsCache = null;
+      }
+      if (!secretsCache?.secrets) {
+        secretsCache = null;
+        // Store locked, wrong GBOS_KEY or entry gone: signed out until it can be read, and say why
+        return {
+          ...data,
+          credential_error: `Credential store unavailable: the GBOS tokens in ${data.credential_store} could not be read `
+            + '(locked, GBOS_KEY missing or wrong, or the entry was removed). Unlock it or run "gbos auth --force".',
+        };
+      }
+    }
+    return { ...data, ...secretsCache.secrets };
+  }
+
+  // Move tokens written by older versions (or while no store was available) out of the file
+  if (SESSION_SECRETS.some(field => data[field])) {
+    try {
+      if (getCredentials().getBackend().secure) {
+        return saveSession(data);
+      }
+    } catch (err) {
+      // Keep the plain file
+    }
+  }
+  return data;
 }
 
 // Clear session data
 function clearSession() {
-  if (fs.existsSync(SESSION_FILE)) {
-    fs.unlinkSync(SESSION_FILE);
+  const sessionFile = getSessionFile();
+  getCredentials().remove(CREDENTIAL_SERVICE, getSessionAccount());
+  secretsCache = null;
+  if (fs.existsSync(sessionFile)) {
+    fs.unlinkSync(sessionFile);
   }
 }
 
@@ -75,8 +275,9 @@ function isAuthenticated() {
     return false;
   }
 
-  // Check if token is expired
-  if (session.token_expires_at) {
+  // An expired token only counts when there is no refresh token to renew it;
+  // the API client refreshes on the next request
+  if (session.token_expires_at && !session.refresh_token) {
     const expiresAt = new Date(session.token_expires_at);
     if (expiresAt < new Date()) {
       return false;
@@ -131,15 +332,20 @@ function getSessionEnv() {
   };
 }
 
-// Get config directory path (for other tools to access)
-function getConfigDir() {
-  return CONFIG_DIR;
-}
-
 module.exports = {
-  CONFIG_DIR,
-  CONFIG_FILE,
-  SESSION_FILE,
+  DEFAULT_API_URL,
+  DEFAULT_PROFILE,
+  configure,
+  getConfigPath,
+  getSessionFile,
+  getApiUrl,
+  loadProfiles,
+  saveProfiles,
+  isValidProfileName,
+  getActiveProfileName,
+  profileExists,
+  getProfile,
+  getProfilePath,
   ensureConfigDir,
   getMachineInfo,
   getMachineId,
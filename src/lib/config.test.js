@@ -0,0 +1,155 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('./config');
+
+const ENV_KEYS = ['GBOS_CONFIG_DIR', 'GBOS_PROFILE', 'GBOS_API_URL', 'GBOS_CREDENTIAL_STORE', 'GBOS_KEY', 'GBOS_PASSPHRASE'];
+
+describe('Config', () => {
+  let root;
+  let saved;
+
+  before(() => {
+    saved = { ...process.env };
+  });
+
+  after(() => {
+    config.configure({ profile: null });
+    for (const key of ENV_KEYS) {
+      if (saved[key] === undefined) delete process.env[key]; else process.env[key] = saved[key];
+    }
+  });
+
+  // A fresh config dir per test
+  beforeEach(() => {
+    if (root) fs.rmSync(root, { recursive: true, force: true });
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'gbos-config-'));
+    for (const key of ENV_KEYS) delete process.env[key];
+    process.env.GBOS_CONFIG_DIR = root;
+    process.env.GBOS_CREDENTIAL_STORE = 'file';
+    config.configure({ profile: null });
+  });
+
+  const sessionOnDisk = () => JSON.parse(fs.readFileSync(config.getSessionFile(), 'utf8'));
+
+  describe('profiles', () => {
+    beforeEach(() => {
+      config.saveProfiles({
+        current: 'staging',
+        profiles: {
+          staging: { api_url: 'https://staging.gbos.test/api/v1' },
+          ci: { api_url: 'https://ci.gbos.test/api/v1' },
+          local: {},
+        },
+      });
+    });
+
+    it('should pick --profile over GBOS_PROFILE over "profile use" over the default', () => {
+      assert.strictEqual(config.getActiveProfileName(), 'staging');
+
+      process.env.GBOS_PROFILE = 'ci';
+      assert.strictEqual(config.getActiveProfileName(), 'ci');
+
+      config.configure({ profile: 'local' });
+      assert.strictEqual(config.getActiveProfileName(), 'local');
+
+      config.configure({ profile: null });
+      delete process.env.GBOS_PROFILE;
+      config.saveProfiles({ ...config.loadProfiles(), current: null });
+      assert.strictEqual(config.getActiveProfileName(), config.DEFAULT_PROFILE);
+    });
+
+    it('should keep each profile in its own directory, the default one at the top', () => {
+      assert.strictEqual(config.getSessionFile(), path.join(root, 'profiles', 'staging', 'session.json'));
+      assert.strictEqual(config.getProfilePath('outbox'), path.join(root, 'profiles', 'staging', 'outbox'));
+
+      config.saveSession({ access_token: 'staging-token' });
+      config.configure({ profile: config.DEFAULT_PROFILE });
+
+      assert.strictEqual(config.getSessionFile(), path.join(root, 'session.json'));
+      assert.strictEqual(config.loadSession(), null);
+      config.configure({ profile: 'staging' });
+      assert.strictEqual(config.loadSession().access_token, 'staging-token');
+    });
+
+    it('should take the API URL from GBOS_API_URL, then the profile, then the default', () => {
+      assert.strictEqual(config.getApiUrl(), 'https://staging.gbos.test/api/v1');
+
+      config.configure({ profile: 'local' });
+      assert.strictEqual(config.getApiUrl(), config.DEFAULT_API_URL);
+
+      process.env.GBOS_API_URL = 'https://env.gbos.test/api/v1';
+      assert.strictEqual(config.getApiUrl(), 'https://env.gbos.test/api/v1');
+    });
+
+    it('should know which profiles exist and which names are usable', () => {
+      assert.strictEqual(config.profileExists('ci'), true);
+      assert.strictEqual(config.profileExists(config.DEFAULT_PROFILE), true);
+      assert.strictEqual(config.profileExists('prod'), false);
+      assert.strictEqual(config.isValidProfileName('team-a.v2'), true);
+      assert.strictEqual(config.isValidProfileName('../escape'), false);
+      assert.strictEqual(config.isValidProfileName('-flag'), false);
+    });
+  });
+
+  describe('credential store', () => {
+    beforeEach(() => {
+      process.env.GBOS_CREDENTIAL_STORE = 'encrypted-file';
+      process.env.GBOS_KEY = 'correct horse battery staple';
+    });
+
+    it('should move plaintext tokens from session.json into the store', () => {
+      fs.writeFileSync(config.getSessionFile(), JSON.stringify({
+        access_token: 'plain-access',
+        refresh_token: 'plain-refresh',
+        user_id: 7,
+      }));
+
+      const session = config.loadSession();
+
+      assert.strictEqual(session.access_token, 'plain-access');
+      assert.strictEqual(session.refresh_token, 'plain-refresh');
+      const onDisk = sessionOnDisk();
+      assert.strictEqual(onDisk.access_token, undefined);
+      assert.strictEqual(onDisk.refresh_token, undefined);
+      assert.strictEqual(onDisk.user_id, 7);
+      assert.strictEqual(onDisk.credential_store, 'encrypted-file');
+      assert.doesNotMatch(fs.readFileSync(path.join(root, 'credentials.enc'), 'utf8'), /plain-access/);
+      assert.strictEqual(config.loadSession().access_token, 'plain-access');
+    });
+
+    it('should keep tokens in session.json while only the plain file store is available', () => {
+      process.env.GBOS_CREDENTIAL_STORE = 'file';
+      fs.writeFileSync(config.getSessionFile(), JSON.stringify({ access_token: 'plain-access' }));
+
+      assert.strictEqual(config.loadSession().access_token, 'plain-access');
+      assert.strictEqual(sessionOnDisk().access_token, 'plain-access');
+    });
+
+    it('should say the store is unavailable rather than act signed out, and keep the reference', () => {
+      config.saveSession({ access_token: 'stored-access', user_id: 7 });
+      // As a new process with another GBOS_KEY would see it
+      fs.writeFileSync(config.getSessionFile(), JSON.stringify({ ...sessionOnDisk(), credential_ref: 'other-process' }));
+      process.env.GBOS_KEY = 'wrong key';
+
+      const session = config.loadSession();
+
+      assert.strictEqual(session.access_token, undefined);
+      assert.match(session.credential_error, /^Credential store unavailable: the GBOS tokens in encrypted-file could not be read/);
+      assert.strictEqual(config.isAuthenticated(), false);
+
+      // Saving other settings meanwhile must not drop the tokens' reference
+      config.saveSession({ ...session, connection: { node: { id: 1 } } });
+      const onDisk = sessionOnDisk();
+      assert.strictEqual(onDisk.credential_store, 'encrypted-file');
+      assert.strictEqual(onDisk.credential_ref, 'other-process');
+      assert.strictEqual(onDisk.credential_error, undefined);
+
+      process.env.GBOS_KEY = 'correct horse battery staple';
+      assert.strictEqual(config.loadSession().access_token, 'stored-access');
+      assert.strictEqual(config.loadSession().credential_error, undefined);
+    });
+  });
+});
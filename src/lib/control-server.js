@@ -0,0 +1,509 @@
+/**
+ * Control Server
+ * Local REST + WebSocket API so thin clients (IDE extensions, desktop apps)
+ * can drive the orchestrator in this process instead of scraping NDJSON
+ * from `gbos auto`.
+ *
+ * Every route except GET /health needs `Authorization: Bearer <token>`. The
+ * token is generated once and kept in <config dir>/serve-token; the WebSocket
+ * also accepts it as ?token= because browsers cannot set headers there.
+ *
+ *   GET  /health               Liveness
+ *   GET  /status               Status of the run this server is driving
+ *   GET  /metrics              Prometheus metrics of the runs this server drove
+ *   GET  /runs                 Recent runs (?limit=20)
+ *   GET  /runs/:runId          Run summary and context
+ *   GET  /runs/:runId/logs     Agent session logs of a run (?tail=<lines>)
+ *   POST /runs                 Start a run (JSON body: agent, model, workingDir, taskId,
+ *                              maxTasks, continuous, concurrency, createMR, skipVerification,
+ *                              skipGit, maxRepairAttempts, onConflict, draftUnverified, autoMerge,
+ *                              streamJson, maxMinutes, maxCost, maxTurns)
+ *   POST /runs/:runId/resume   Resume a paused run
+ *   POST /stop                 Stop the active run
+ *   WS   /events               Live orchestrator events, shaped like `gbos auto` NDJSON
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { WebSocketServer } = require('ws');
+const config = require('./config');
+const Orchestrator = require('../orchestrator/orchestrator');
+const TaskScheduler = require('../orchestrator/scheduler');
+const { StateMachine, getRunsDir } = require('../orchestrator/state-machine');
+const { MetricsCollector, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./metrics');
+const { CONFLICT_MODES } = require('./project-config');
+
+const DEFAULT_PORT = 7341;
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Path of the bearer token file
+ */
+function getTokenFile() {
+  return config.getConfigPath('serve-token');
+}
+
+/**
+ * Read the bearer token, generating it on first use
+ * @param {Object} options - { rotate } replaces an existing token
+ * @returns {string}
+ */
+function loadOrCreateToken(options = {}) {
+  const tokenFile = getTokenFile();
+  if (!options.rotate && fs.existsSync(tokenFile)) {
+    const token = fs.readFileSync(tokenFile, 'utf8').trim();
+    if (token) return token;
+  }
+
+  config.ensureConfigDir();
+  const token = crypto.randomBytes(32).toString('hex');
+  fs.writeFileSync(tokenFile, token + '\n', { mode: 0o600 });
+  return token;
+}
+
+/**
+ * HTTP error with a status code for the response
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Drop undefined values so orchestrator defaults apply
+ */
+function definedOnly(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Parse an optional numeric request field
+ */
+function toNumber(value, parse = parseFloat) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = parse(value);
+  if (!Number.isFinite(number)) throw httpError(400, `Invalid number: ${value}`);
+  return number;
+}
+
+class ControlServer extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string} [options.host] - Interface to listen on (default 127.0.0.1)
+   * @param {number} [options.port] - Port (default 7341, 0 picks a free one)
+   * @param {string} options.token - Bearer token clients must send
+   * @param {string} [options.workingDir] - Default working directory for runs
+   * @param {MetricsCollector} [options.metrics] - Collector fed by every run (default: a new one)
+   */
+  constructor(options = {}) {
+    super();
+    this.options = {
+      host: options.host || '127.0.0.1',
+      port: options.port ?? DEFAULT_PORT,
+      workingDir: options.workingDir || process.cwd(),
+      ...options,
+    };
+    if (!this.options.token) {
+      throw new Error('A bearer token is required');
+    }
+
+    this.metrics = options.metrics || new MetricsCollector();
+    this.server = null;
+    this.wss = null;
+    this.runner = null; // Orchestrator or TaskScheduler of the active run
+    this.runPromise = null;
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<Object>} { host, port, url }
+   */
+  async start() {
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch((error) => {
+        this.sendJson(res, error.status || 500, { error: error.message });
+      });
+    });
+
+    this.wss = new WebSocketServer({ noServer: true });
+    this.server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.options.port, this.options.host, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+
+    const { port } = this.server.address();
+    return { host: this.options.host, port, url: `http://${this.options.host}:${port}` };
+  }
+
+  /**
+   * Stop the active run and close all connections
+   */
+  async stop() {
+    if (this.runner?.isRunning) {
+      await this.runner.stop();
+    }
+    if (this.wss) {
+      for (const client of this.wss.clients) {
+        client.close(1001, 'Server shutting down');
+      }
+      this.wss.close();
+    }
+    if (this.server) {
+      await new Promise(resolve => this.server.close(() => resolve()));
+    }
+  }
+
+  /**
+   * Compare the request's token with ours in constant time
+   * @param {http.IncomingMessage} req
+   * @param {URL} url
+   * @param {boolean} allowQuery - Accept ?token= (WebSocket only)
+   */
+  isAuthorized(req, url, allowQuery = false) {
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    const supplied = match ? match[1].trim() : (allowQuery ? url.searchParams.get('token') : null);
+    if (!supplied) return false;
+
+    const expected = Buffer.from(this.options.token);
+    const actual = Buffer.from(supplied);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Route a REST request
+   */
+  async handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const { pathname } = url;
+
+    if (req.method === 'GET' && pathname === '/health') {
+      return this.sendJson(res, 200, { status: 'ok', service: 'gbos' });
+    }
+
+    if (!this.isAuthorized(req, url)) {
+      throw httpError(401, 'Missing or invalid bearer token');
+    }
+
+    let match;
+    if (req.method === 'GET' && pathname === '/status') {
+      return this.sendJson(res, 200, this.getStatus());
+    }
+    if (req.method === 'GET' && pathname === '/metrics') {
+      res.writeHead(200, { 'Content-Type': METRICS_CONTENT_TYPE });
+      return res.end(this.metrics.render());
+    }
+    if (req.method === 'GET' && pathname === '/runs') {
+      return this.sendJson(res, 200, { runs: this.listRuns(toNumber(url.searchParams.get('limit'), parseInt) || 20) });
+    }
+    if (req.method === 'POST' && pathname === '/runs') {
+      const result = this.startRun(await this.readBody(req));
+      return this.sendJson(res, 202, result);
+    }
+    if (req.method === 'POST' && pathname === '/stop') {
+      return this.sendJson(res, 200, await this.stopRun());
+    }
+    if (req.method === 'GET' && (match = pathname.match(/^\/runs\/([\w-]+)$/))) {
+      const run = this.loadRun(match[1]);
+      return this.sendJson(res, 200, { ...run.getSummary(), context: run.context });
+    }
+    if (req.method === 'GET' && (match = pathname.match(/^\/runs\/([\w-]+)\/logs$/))) {
+      return this.sendJson(res, 200, this.getRunLogs(match[1], toNumber(url.searchParams.get('tail'), parseInt)));
+    }
+    if (req.method === 'POST' && (match = pathname.match(/^\/runs\/([\w-]+)\/resume$/))) {
+      return this.sendJson(res, 202, this.resumeRun(match[1]));
+    }
+
+    throw httpError(404, `No route for ${req.method} ${pathname}`);
+  }
+
+  /**
+   * Accept WebSocket connections on /events
+   */
+  handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== '/events' || !this.isAuthorized(req, url, true)) {
+      const status = url.pathname !== '/events' ? '404 Not Found' : '401 Unauthorized';
+      socket.write(`HTTP/1.1 ${status}\r\nConnection: close\r\n\r\n`);
+      socket.destroy();
+      return;
+    }
+
+    this.wss.handleUpgrade(req, socket, head, (ws) => {
+      ws.send(JSON.stringify(this.formatEvent('status', this.getStatus())));
+    });
+  }
+
+  /**
+   * Shape an event like the NDJSON `gbos auto` writes
+   */
+  formatEvent(event, payload = {}) {
+    const data = { ...payload };
+    if (data.error instanceof Error) {
+      data.error = data.error.message;
+    }
+    return {
+      event,
+      ts: new Date().toISOString(),
+      taskId: null,
+      ...data,
+    };
+  }
+
+  /**
+   * Send an event to every connected WebSocket client
+   */
+  broadcast(event, payload) {
+    const message = JSON.stringify(this.formatEvent(event, payload));
+    for (const client of this.wss?.clients || []) {
+      if (client.readyState === client.OPEN) {
+        client.send(message);
+      }
+    }
+    this.emit('event', event, payload);
+  }
+
+  /**
+   * Forward every event of a run to the WebSocket clients
+   * @param {Orchestrator|TaskScheduler} runner
+   */
+  attach(runner) {
+    const events = runner instanceof TaskScheduler ? TaskScheduler.EVENTS : Orchestrator.EVENTS;
+    for (const event of events) {
+      runner.on(event, (payload = {}) => {
+        const taskId = payload.taskId ?? runner.currentTask?.id ?? null;
+        this.broadcast(event, { ...payload, taskId });
+      });
+    }
+  }
+
+  /**
+   * Whether a run is in progress in this server
+   */
+  isBusy() {
+    return !!this.runner?.isRunning;
+  }
+
+  /**
+   * Start a run from a request body
+   * @param {Object} body
+   * @returns {Object} { runId, status }
+   */
+  startRun(body = {}) {
+    if (this.isBusy()) {
+      throw httpError(409, 'A run is already in progress; stop it first');
+    }
+
+    if (body.onConflict !== undefined && !CONFLICT_MODES.includes(body.onConflict)) {
+      throw httpError(400, `onConflict must be ${CONFLICT_MODES.join(' or ')}`);
+    }
+
+    const maxRepairAttempts = toNumber(body.maxRepairAttempts, parseInt);
+    if (maxRepairAttempts < 0) {
+      throw httpError(400, 'maxRepairAttempts must be 0 or more');
+    }
+
+    const concurrency = toNumber(body.concurrency, parseInt) || 1;
+    const options = definedOnly({
+      agent: body.agent,
+      model: body.model,
+      workingDir: body.workingDir ? path.resolve(body.workingDir) : this.options.workingDir,
+      taskId: body.taskId,
+      continuous: body.continuous === true,
+      maxTasks: toNumber(body.maxTasks, parseInt) || concurrency,
+      createMR: body.createMR,
+      skipVerification: body.skipVerification,
+      skipGit: body.skipGit,
+      maxRepairAttempts,
+      onConflict: body.onConflict,
+      draftUnverified: body.draftUnverified,
+      autoMerge: body.autoMerge,
+      streamJson: body.streamJson,
+      maxMinutes: toNumber(body.maxMinutes),
+      maxCost: toNumber(body.maxCost),
+      maxTurns: toNumber(body.maxTurns, parseInt),
+      echoOutput: false,
+    });
+
+    let runner;
+    try {
+      runner = concurrency > 1
+        ? new TaskScheduler({ ...options, concurrency })
+        : new Orchestrator(options);
+    } catch (error) {
+      // e.g. an invalid .gbos.yml in the working directory
+      throw httpError(400, error.message);
+    }
+
+    return this.run(runner, () => runner.start());
+  }
+
+  /**
+   * Resume a paused run
+   * @param {string} runId
+   */
+  resumeRun(runId) {
+    if (this.isBusy()) {
+      throw httpError(409, 'A run is already in progress; stop it first');
+    }
+
+    const run = this.loadRun(runId);
+    if (!run.isResumable()) {
+      throw httpError(409, `Run ${runId} is not resumable (state: ${run.state})`);
+    }
+
+    const runner = new Orchestrator({
+      agent: run.context.agentVendor || undefined,
+      workingDir: run.context.workingDir || this.options.workingDir,
+      echoOutput: false,
+    });
+    return this.run(runner, () => runner.resume(runId));
+  }
+
+  /**
+   * Run in the background and report how it went over the WebSocket
+   */
+  run(runner, begin) {
+    if (this.runner) this.metrics.detach(this.runner);
+    this.runner = runner;
+    this.attach(runner);
+    this.metrics.attach(runner);
+
+    let failureReported = false;
+    runner.once('failed', () => { failureReported = true; });
+
+    this.runPromise = begin().catch((error) => {
+      // Runs that fail before reaching the workflow (e.g. resume checks) never emit 'failed'
+      if (!failureReported) {
+        this.broadcast('failed', { error, runId: runner.stateMachine?.runId || null });
+      }
+    });
+
+    return {
+      runId: runner.stateMachine?.runId || null,
+      status: runner.getStatus(),
+    };
+  }
+
+  /**
+   * Stop the active run
+   */
+  async stopRun() {
+    if (!this.isBusy()) {
+      throw httpError(409, 'No run in progress');
+    }
+    await this.runner.stop();
+    return { stopped: true, status: this.runner.getStatus() };
+  }
+
+  /**
+   * Status of the active (or last) run driven by this server
+   */
+  getStatus() {
+    return this.runner ? this.runner.getStatus() : { isRunning: false };
+  }
+
+  /**
+   * Load a run or throw 404
+   */
+  loadRun(runId) {
+    try {
+      return StateMachine.loadRun(runId);
+    } catch (e) {
+      throw httpError(404, `Run ${runId} not found`);
+    }
+  }
+
+  /**
+   * Summaries of the most recent runs
+   * @param {number} limit
+   */
+  listRuns(limit) {
+    StateMachine.ensureRunsDir();
+    return fs.readdirSync(getRunsDir())
+      .filter(f => f.endsWith('.json'))
+      .sort()
+      .reverse()
+      .slice(0, limit)
+      .map((file) => {
+        try {
+          return StateMachine.loadRun(file.replace('.json', '')).getSummary();
+        } catch (e) {
+          return null; // Skip unreadable run files
+        }
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Agent session logs recorded for a run
+   * @param {string} runId
+   * @param {number|undefined} tail - Only the last N lines of each log
+   */
+  getRunLogs(runId, tail) {
+    const run = this.loadRun(runId);
+    const logs = (run.context.artifacts || [])
+      .filter(artifact => artifact.type === 'session_log')
+      .map((artifact) => {
+        let content = null;
+        if (fs.existsSync(artifact.path)) {
+          content = fs.readFileSync(artifact.path, 'utf8');
+          if (tail) content = content.replace(/\n$/, '').split('\n').slice(-tail).join('\n');
+        }
+        return {
+          path: artifact.path,
+          taskId: artifact.metadata?.taskId ?? null,
+          timestamp: artifact.timestamp,
+          content,
+        };
+      });
+    return { runId, logs };
+  }
+
+  /**
+   * Read a JSON request body
+   */
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      let body = '';
+      req.on('data', (chunk) => {
+        body += chunk;
+        if (body.length > MAX_BODY_BYTES) {
+          reject(httpError(413, 'Request body too large'));
+          req.destroy();
+        }
+      });
+      req.on('end', () => {
+        if (!body.trim()) return resolve({});
+        try {
+          resolve(JSON.parse(body));
+        } catch (e) {
+          reject(httpError(400, 'Request body must be JSON'));
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  sendJson(res, status, data) {
+    if (res.headersSent) return;
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  }
+}
+
+module.exports = {
+  ControlServer,
+  loadOrCreateToken,
+  getTokenFile,
+  DEFAULT_PORT,
+};
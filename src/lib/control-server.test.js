@@ -0,0 +1,186 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+const { ControlServer, loadOrCreateToken, getTokenFile } = require('./control-server');
+const { StateMachine, STATES } = require('../orchestrator/state-machine');
+
+const TOKEN = 'test-token-0123456789';
+
+describe('ControlServer', () => {
+  let root;
+  let savedConfigDir;
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    savedConfigDir = process.env.GBOS_CONFIG_DIR;
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'gbos-control-'));
+    process.env.GBOS_CONFIG_DIR = root;
+
+    const log = path.join(root, 'session.log');
+    fs.writeFileSync(log, 'one\ntwo\nthree\n');
+    const finishedRun = new StateMachine('run_1000_done');
+    finishedRun.state = STATES.COMPLETED;
+    Object.assign(finishedRun.context, { taskId: 7, taskKey: 'GB-7' });
+    finishedRun.addArtifact('session_log', log, { taskId: 7 });
+    finishedRun.save();
+    const pausedRun = new StateMachine('run_2000_paused');
+    pausedRun.state = STATES.PAUSED;
+    pausedRun.save();
+
+    server = new ControlServer({ port: 0, token: TOKEN, workingDir: root });
+    ({ url: baseUrl } = await server.start());
+  });
+
+  after(async () => {
+    await server.stop();
+    fs.rmSync(root, { recursive: true, force: true });
+    if (savedConfigDir === undefined) delete process.env.GBOS_CONFIG_DIR; else process.env.GBOS_CONFIG_DIR = savedConfigDir;
+  });
+
+  const request = async (method, route, { token = TOKEN, body } = {}) => {
+    const headers = token ? { Authorization: `Bearer ${token}` } : {};
+    const response = await fetch(baseUrl + route, { method, headers, body });
+    const text = await response.text();
+    return { status: response.status, type: response.headers.get('content-type'), body: text, json: () => JSON.parse(text) };
+  };
+
+  it('should keep one token in the config dir until it is rotated', () => {
+    const token = loadOrCreateToken();
+
+    assert.match(token, /^[0-9a-f]{64}$/);
+    assert.strictEqual(loadOrCreateToken(), token);
+    assert.strictEqual(fs.statSync(getTokenFile()).mode & 0o777, 0o600);
+    assert.notStrictEqual(loadOrCreateToken({ rotate: true }), token);
+    assert.throws(() => new ControlServer({ token: '' }), /A bearer token is required/);
+  });
+
+  describe('authentication', () => {
+    it('should answer /health without a token', async () => {
+      const response = await request('GET', '/health', { token: null });
+
+      assert.strictEqual(response.status, 200);
+      assert.deepStrictEqual(response.json(), { status: 'ok', service: 'gbos' });
+    });
+
+    it('should refuse other routes without the right bearer token', async () => {
+      for (const token of [null, 'wrong', `${TOKEN}x`]) {
+        const response = await request('GET', '/status', { token });
+        assert.strictEqual(response.status, 401);
+        assert.deepStrictEqual(response.json(), { error: 'Missing or invalid bearer token' });
+      }
+      // ?token= is for the WebSocket only
+      assert.strictEqual((await request('GET', `/status?token=${TOKEN}`, { token: null })).status, 401);
+    });
+  });
+
+  describe('routes', () => {
+    it('should report no run before one starts', async () => {
+      assert.deepStrictEqual((await request('GET', '/status')).json(), { isRunning: false });
+    });
+
+    it('should list recent runs, newest first', async () => {
+      const { runs } = (await request('GET', '/runs')).json();
+      assert.deepStrictEqual(runs.map(run => run.runId), ['run_2000_paused', 'run_1000_done']);
+
+      const limited = (await request('GET', '/runs?limit=1')).json();
+      assert.deepStrictEqual(limited.runs.map(run => run.runId), ['run_2000_paused']);
+      assert.strictEqual((await request('GET', '/runs?limit=many')).status, 400);
+    });
+
+    it('should show a run with its context and its session logs', async () => {
+      const run = (await request('GET', '/runs/run_1000_done')).json();
+      assert.strictEqual(run.state, STATES.COMPLETED);
+      assert.strictEqual(run.taskKey, 'GB-7');
+      assert.strictEqual(run.context.taskId, 7);
+
+      const { logs } = (await request('GET', '/runs/run_1000_done/logs?tail=2')).json();
+      assert.strictEqual(logs.length, 1);
+      assert.strictEqual(logs[0].taskId, 7);
+      assert.strictEqual(logs[0].content, 'two\nthree');
+
+      assert.strictEqual((await request('GET', '/runs/run_404')).status, 404);
+    });
+
+    it('should serve metrics in the Prometheus format', async () => {
+      const response = await request('GET', '/metrics');
+
+      assert.strictEqual(response.status, 200);
+      assert.match(response.type, /^text\/plain; version=0\.0\.4/);
+      assert.match(response.body, /^gbos_run_active 0$/m);
+    });
+
+    it('should refuse to resume a run that cannot be resumed or stop a run that is not there', async () => {
+      const resume = await request('POST', '/runs/run_1000_done/resume');
+      assert.strictEqual(resume.status, 409);
+      assert.match(resume.json().error, /Run run_1000_done is not resumable \(state: completed\)/);
+
+      assert.strictEqual((await request('POST', '/stop')).status, 409);
+      assert.strictEqual((await request('DELETE', '/runs')).status, 404);
+    });
+
+    it('should check a run request before starting anything', async () => {
+      const cases = [
+        ['{ not json', 400, /Request body must be JSON/],
+        [JSON.stringify({ onConflict: 'merge' }), 400, /onConflict must be agent or abort/],
+        [JSON.stringify({ maxRepairAttempts: -1 }), 400, /maxRepairAttempts must be 0 or more/],
+        [JSON.stringify({ maxCost: 'lots' }), 400, /Invalid number: lots/],
+      ];
+      for (const [body, status, error] of cases) {
+        const response = await request('POST', '/runs', { body });
+        assert.strictEqual(response.status, status);
+        assert.match(response.json().error, error);
+      }
+      assert.strictEqual(server.runner, null);
+    });
+
+    it('should not start a second run while one is in progress', async () => {
+      server.runner = { isRunning: true, getStatus: () => ({ isRunning: true }) };
+      try {
+        const response = await request('POST', '/runs', { body: '{}' });
+        assert.strictEqual(response.status, 409);
+        assert.strictEqual((await request('POST', '/runs/run_2000_paused/resume')).status, 409);
+      } finally {
+        server.runner = null;
+      }
+    });
+  });
+
+  describe('events', () => {
+    const connect = query => new WebSocket(`${baseUrl.replace('http', 'ws')}/events${query}`);
+
+    it('should refuse a WebSocket without the token', async () => {
+      const ws = connect('');
+      const status = await new Promise((resolve) => {
+        ws.on('unexpected-response', (req, res) => resolve(res.statusCode));
+        ws.on('error', () => resolve(null));
+      });
+
+      assert.strictEqual(status, 401);
+    });
+
+    it('should send the status on connect and then broadcast events', async () => {
+      const ws = connect(`?token=${TOKEN}`);
+      const messages = [];
+      await new Promise((resolve, reject) => {
+        ws.on('message', (data) => {
+          messages.push(JSON.parse(data));
+          if (messages.length === 1) server.broadcast('task_started', { taskId: 3, error: new Error('boom') });
+          if (messages.length === 2) resolve();
+        });
+        ws.on('error', reject);
+      });
+      ws.close();
+
+      assert.strictEqual(messages[0].event, 'status');
+      assert.strictEqual(messages[0].isRunning, false);
+      assert.strictEqual(messages[1].event, 'task_started');
+      assert.strictEqual(messages[1].taskId, 3);
+      assert.strictEqual(messages[1].error, 'boom');
+      assert.ok(!Number.isNaN(Date.parse(messages[1].ts)));
+    });
+  });
+});
@@ -0,0 +1,303 @@
+/**
+ * Credentials
+ * Keeps secrets (GBOS tokens, the GitLab token) out of plain JSON files.
+ *
+ * Backends, tried in this order:
+ *   keychain        macOS Keychain, through the `security` tool
+ *   libsecret       GNOME Keyring / KWallet on Linux, through `secret-tool`
+ *   encrypted-file  AES-256-GCM file in the config dir, keyed by GBOS_KEY (or GBOS_PASSPHRASE)
+ *   file            The secret stays in the JSON file next to the other settings
+ *
+ * The OS stores are driven through their command-line tools so the session can
+ * still be read synchronously; they see the same entries keytar writes.
+ * GBOS_CREDENTIAL_STORE=<backend> forces one backend instead.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+const config = require('./config');
+
+const BACKENDS = ['keychain', 'libsecret', 'encrypted-file', 'file'];
+const ENCRYPTED_FILE_VERSION = 1;
+const TOOL_TIMEOUT_MS = 10000;
+
+// Key derived from GBOS_KEY, keyed by passphrase + salt (scrypt is slow on purpose)
+let derivedKey = null;
+
+/**
+ * Run an OS credential tool
+ * @returns {string|null} stdout, or null when the tool failed
+ */
+function runTool(command, args, input) {
+  try {
+    return execFileSync(command, args, {
+      input,
+      encoding: 'utf8',
+      stdio: ['pipe', 'pipe', 'ignore'],
+      timeout: TOOL_TIMEOUT_MS,
+    });
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Whether a command is on the PATH
+ */
+function hasCommand(command) {
+  return (process.env.PATH || '').split(path.delimiter).some((dir) => {
+    try {
+      fs.accessSync(path.join(dir, command), fs.constants.X_OK);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  });
+}
+
+// ==================== Keychain (macOS) ====================
+
+// Quote a value for `security -i`, which reads commands from stdin so the
+// secret never shows up in the process list
+function quoteForSecurity(value) {
+  return `"${String(value).replace(/(["\\])/g, '\\$1')}"`;
+}
+
+const keychain = {
+  name: 'keychain',
+  secure: true,
+  isAvailable: () => process.platform === 'darwin' && hasCommand('security'),
+  get: (service, account) => {
+    const out = runTool('security', ['find-generic-password', '-s', service, '-a', account, '-w']);
+    return out === null ? null : out.replace(/\n$/, '');
+  },
+  set: (service, account, secret) => {
+    const command = ['add-generic-password', '-U', '-s', service, '-a', account, '-w', secret]
+      .map(quoteForSecurity).join(' ');
+    return runTool('security', ['-i'], `${command}\n`) !== null;
+  },
+  delete: (service, account) => {
+    runTool('security', ['delete-generic-password', '-s', service, '-a', account]);
+  },
+};
+
+// ==================== libsecret (Linux) ====================
+
+const libsecret = {
+  name: 'libsecret',
+  secure: true,
+  // secret-tool is often installed on servers without a session bus to talk to
+  isAvailable: () => process.platform === 'linux'
+    && hasCommand('secret-tool')
+    && !!(process.env.DBUS_SESSION_BUS_ADDRESS
+      || (process.env.XDG_RUNTIME_DIR && fs.existsSync(path.join(process.env.XDG_RUNTIME_DIR, 'bus')))),
+  get: (service, account) => {
+    const out = runTool('secret-tool', ['lookup', 'service', service, 'account', account]);
+    return out || null;
+  },
+  set: (service, account, secret) => runTool(
+    'secret-tool',
+    ['store', `--label=${service} (${account})`, 'service', service, 'account', account],
+    secret
+  ) !== null,
+  delete: (service, account) => {
+    runTool('secret-tool', ['clear', 'service', service, 'account', account]);
+  },
+};
+
+// ==================== Encrypted file ====================
+// credentials.enc: { version, salt, entries: { "<service>/<account>": { iv, tag, data } } }
+
+function getEncryptedFile() {
+  return config.getConfigPath('credentials.enc');
+}
+
+function getPassphrase() {
+  return process.env.GBOS_KEY || process.env.GBOS_PASSPHRASE || null;
+}
+
+function readEncryptedFile() {
+  try {
+    return JSON.parse(fs.readFileSync(getEncryptedFile(), 'utf8'));
+  } catch (e) {
+    return { version: ENCRYPTED_FILE_VERSION, salt: crypto.randomBytes(16).toString('base64'), entries: {} };
+  }
+}
+
+function writeEncryptedFile(data) {
+  config.ensureConfigDir();
+  const file = getEncryptedFile();
+  const tempFile = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(data, null, 2), { mode: 0o600 });
+  fs.renameSync(tempFile, file);
+}
+
+function getKey(salt) {
+  const passphrase = getPassphrase();
+  const id = `${passphrase}\0${salt}`;
+  if (!derivedKey || derivedKey.id !== id) {
+    derivedKey = { id, key: crypto.scryptSync(passphrase, Buffer.from(salt, 'base64'), 32) };
+  }
+  return derivedKey.key;
+}
+
+const encryptedFile = {
+  name: 'encrypted-file',
+  secure: true,
+  isAvailable: () => !!getPassphrase(),
+  get: (service, account) => {
+    const data = readEncryptedFile();
+    const entry = data.entries[`${service}/${account}`];
+    if (!entry || !getPassphrase()) return null;
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(data.salt), Buffer.from(entry.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(entry.tag, 'base64'));
+      return Buffer.concat([decipher.update(Buffer.from(entry.data, 'base64')), decipher.final()]).toString('utf8');
+    } catch (e) {
+      return null; // Wrong GBOS_KEY or a tampered file
+    }
+  },
+  set: (service, account, secret) => {
+    if (!getPassphrase()) return false;
+    const data = readEncryptedFile();
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getKey(data.salt), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    data.entries[`${service}/${account}`] = {
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: encrypted.toString('base64'),
+    };
+    writeEncryptedFile(data);
+    return true;
+  },
+  delete: (service, account) => {
+    const data = readEncryptedFile();
+    if (data.entries[`${service}/${account}`]) {
+      delete data.entries[`${service}/${account}`];
+      writeEncryptedFile(data);
+    }
+  },
+};
+
+// ==================== Plain file ====================
+// Storing "succeeds" without doing anything; callers keep the secret in their own file
+
+const plainFile = {
+  name: 'file',
+  secure: false,
+  isAvailable: () => true,
+  get: () => null,
+  set: () => true,
+  delete: () => {},
+};
+
+const backends = {
+  keychain,
+  libsecret,
+  'encrypted-file': encryptedFile,
+  file: plainFile,
+};
+
+/**
+ * Backends to try, best first
+ * @returns {Object[]}
+ */
+function getCandidates() {
+  const forced = process.env.GBOS_CREDENTIAL_STORE;
+  if (forced && forced !== 'auto') {
+    if (!backends[forced]) {
+      throw new Error(`Unknown GBOS_CREDENTIAL_STORE "${forced}" (use auto, ${BACKENDS.join(', ')})`);
+    }
+    return [backends[forced]];
+  }
+  return BACKENDS.map(name => backends[name]).filter(backend => backend.isAvailable());
+}
+
+/**
+ * Backend new secrets go to
+ * @returns {Object} { name, secure }
+ */
+function getBackend() {
+  const [backend] = getCandidates();
+  return { name: backend.name, secure: backend.secure };
+}
+
+/**
+ * Store a secret in the best backend that accepts it
+ * @param {string} service - e.g. gbos-cli
+ * @param {string} account - e.g. session:staging
+ * @param {string} secret
+ * @returns {string} Name of the backend that stored it ("file" means the caller must keep it)
+ */
+function store(service, account, secret) {
+  for (const backend of getCandidates()) {
+    if (backend.set(service, account, secret)) {
+      return backend.name;
+    }
+  }
+  return plainFile.name;
+}
+
+/**
+ * Read a secret from the backend it was stored in
+ * @param {string} service
+ * @param {string} account
+ * @param {string} backendName - As returned by store()
+ * @returns {string|null}
+ */
+function retrieve(service, account, backendName) {
+  const backend = backends[backendName];
+  return backend ? backend.get(service, account) : null;
+}
+
+/**
+ * Delete a secret from every backend that may hold it
+ */
+function remove(service, account) {
+  for (const name of BACKENDS) {
+    if (backends[name].isAvailable()) {
+      backends[name].delete(service, account);
+    }
+  }
+}
+
+/**
+ * Report on the backends, for `gbos doctor`
+ * @returns {Object} { active, secure, forced, backends: [{ name, secure, available }] }
+ */
+function describe() {
+  const forced = process.env.GBOS_CREDENTIAL_STORE && process.env.GBOS_CREDENTIAL_STORE !== 'auto'
+    ? process.env.GBOS_CREDENTIAL_STORE
+    : null;
+  let active = null;
+  let error = null;
+  try {
+    active = getBackend();
+  } catch (e) {
+    error = e.message;
+  }
+  return {
+    active: active?.name || null,
+    secure: !!active?.secure,
+    forced,
+    error,
+    encryptedFile: getEncryptedFile(),
+    backends: BACKENDS.map(name => ({
+      name,
+      secure: backends[name].secure,
+      available: backends[name].isAvailable(),
+    })),
+  };
+}
+
+module.exports = {
+  BACKENDS,
+  getBackend,
+  store,
+  retrieve,
+  remove,
+  describe,
+};
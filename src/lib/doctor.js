@@ -0,0 +1,421 @@
+/**
+ * Doctor
+ * Checks the local setup an orchestrator run depends on and says how to fix
+ * what is wrong. Used by `gbos doctor`.
+ *
+ * Every check returns { id, category, name, status, message, fix, details }
+ * with status ok, warn, fail or skip.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const config = require('./config');
+const api = require('./api');
+const credentials = require('./credentials');
+const { createGitLabService } = require('./gitlab');
+const { checkInstalledAdapters } = require('../orchestrator/adapters');
+const { StateMachine, getRunsDir } = require('../orchestrator/state-machine');
+const { engines } = require('../../package.json');
+
+const execAsync = promisify(exec);
+
+const COMMAND_TIMEOUT_MS = 10000;
+const NETWORK_TIMEOUT_MS = 10000;
+// Unfinished runs not touched for this long are reported as stale
+const STALE_RUN_MS = 24 * 60 * 60 * 1000;
+// Tokens expiring within this window are reported
+const EXPIRY_WARNING_MS = 7 * 24 * 60 * 60 * 1000;
+
+// GitLab token scopes: MRs and the registry need api, pushing needs write_repository
+const GITLAB_REQUIRED_SCOPES = ['api'];
+const GITLAB_RECOMMENDED_SCOPES = ['write_repository'];
+
+// Where each agent CLI can get its API key from, besides the GBOS server
+const AGENT_KEY_SOURCES = {
+  'claude-code': { env: ['ANTHROPIC_API_KEY'], login: ['.claude/.credentials.json', '.claude.json'], loginCommand: 'claude login' },
+  codex: { env: ['OPENAI_API_KEY'], login: ['.codex/auth.json'], loginCommand: 'codex login' },
+  gemini: { env: ['GEMINI_API_KEY', 'GOOGLE_API_KEY'], login: ['.gemini/oauth_creds.json'], loginCommand: 'gemini' },
+  aider: { env: ['ANTHROPIC_API_KEY', 'OPENAI_API_KEY', 'GEMINI_API_KEY', 'OPENROUTER_API_KEY', 'DEEPSEEK_API_KEY'], login: [] },
+  opencode: { env: ['ANTHROPIC_API_KEY', 'OPENAI_API_KEY', 'GEMINI_API_KEY', 'OPENROUTER_API_KEY'], login: ['.local/share/opencode/auth.json'], loginCommand: 'opencode auth login' },
+};
+
+function check(id, category, name, status, message, fix = null, details = null) {
+  return { id, category, name, status, message, fix, details };
+}
+
+/**
+ * Run a command, resolving to its trimmed stdout or null
+ */
+async function tryCommand(command, options = {}) {
+  try {
+    const { stdout } = await execAsync(command, { timeout: COMMAND_TIMEOUT_MS, ...options });
+    return stdout.trim();
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Whether a process is alive
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
+// ==================== System ====================
+
+function checkNode() {
+  const required = parseInt((engines?.node || '>=18').replace(/[^\d.]/g, ''), 10);
+  const major = parseInt(process.versions.node.split('.')[0], 10);
+  if (major < required) {
+    return check('node', 'system', 'Node.js', 'fail',
+      `Node.js ${process.versions.node} is older than the required ${engines.node}`,
+      `Install Node.js ${required} or newer (e.g. "nvm install ${required}")`);
+  }
+  return check('node', 'system', 'Node.js', 'ok', `Node.js ${process.versions.node}`);
+}
+
+async function checkGit(workingDir) {
+  const results = [];
+  const version = await tryCommand('git --version');
+  if (!version) {
+    results.push(check('git', 'system', 'Git', 'fail', 'git is not installed or not on the PATH',
+      'Install git (https://git-scm.com/downloads)'));
+    return results;
+  }
+  results.push(check('git', 'system', 'Git', 'ok', version));
+
+  // Run in the working directory so a repository-level identity counts too
+  const name = await tryCommand('git config user.name', { cwd: workingDir });
+  const email = await tryCommand('git config user.email', { cwd: workingDir });
+  if (!name || !email) {
+    const missing = [!name && 'user.name', !email && 'user.email'].filter(Boolean);
+    results.push(check('git_identity', 'system', 'Git identity', 'fail',
+      `${missing.join(' and ')} not set; commits made by the orchestrator will fail`,
+      missing.map(key => `git config --global ${key} "${key === 'user.name' ? 'Your Name' : 'you@example.com'}"`).join(' && ')));
+  } else {
+    results.push(check('git_identity', 'system', 'Git identity', 'ok', `${name} <${email}>`));
+  }
+  return results;
+}
+
+async function checkDocker() {
+  const version = await tryCommand('docker --version');
+  if (!version) {
+    return check('docker', 'system', 'Docker', 'warn', 'docker is not installed; only needed for "gbos registry"',
+      'Install Docker (https://docs.docker.com/get-docker/)');
+  }
+  const server = await tryCommand('docker info --format "{{.ServerVersion}}"');
+  if (!server) {
+    return check('docker', 'system', 'Docker', 'warn', `${version}, but the daemon is not reachable`,
+      'Start the Docker daemon, or add your user to the docker group ("sudo usermod -aG docker $USER")');
+  }
+  return check('docker', 'system', 'Docker', 'ok', `${version} (daemon ${server})`);
+}
+
+function checkConfigDir() {
+  const dir = config.getConfigDir();
+  const probe = path.join(dir, `.doctor-${process.pid}`);
+  try {
+    fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+    fs.writeFileSync(probe, 'ok');
+    fs.rmSync(probe, { force: true });
+    return check('config_dir', 'system', 'Config directory', 'ok', `${dir} is writable`);
+  } catch (e) {
+    return check('config_dir', 'system', 'Config directory', 'fail', `Cannot write to ${dir}: ${e.message}`,
+      `Fix the permissions ("sudo chown -R $USER ${dir}") or set GBOS_CONFIG_DIR to a writable directory`);
+  }
+}
+
+function checkCredentialStore() {
+  const store = credentials.describe();
+  if (store.error) {
+    return check('credential_store', 'system', 'Credential store', 'fail', store.error,
+      'Unset GBOS_CREDENTIAL_STORE or set it to auto', store);
+  }
+  if (!store.secure) {
+    return check('credential_store', 'system', 'Credential store', 'warn',
+      'Tokens are stored in plain files (no keychain, libsecret or GBOS_KEY)',
+      'Install libsecret-tools with a running keyring, or set GBOS_KEY to encrypt tokens on disk', store);
+  }
+  return check('credential_store', 'system', 'Credential store', 'ok',
+    `${store.active}${store.forced ? ' (GBOS_CREDENTIAL_STORE)' : ''}`, null, store);
+}
+
+// ==================== Agents ====================
+
+/**
+ * Where an agent gets its API key from
+ * @returns {string|null}
+ */
+function findKeySource(agent, serverKeys) {
+  if (serverKeys?.[agent]) return 'GBOS server (application settings)';
+  const sources = AGENT_KEY_SOURCES[agent];
+  if (!sources) return null;
+  const envVar = sources.env.find(name => process.env[name]);
+  if (envVar) return `${envVar} environment variable`;
+  const login = sources.login.find(file => fs.existsSync(path.join(os.homedir(), file)));
+  if (login) return `CLI login (~/${login})`;
+  return null;
+}
+
+async function checkAgents(workingDir, serverKeys) {
+  const adapters = await checkInstalledAdapters({ projectDir: workingDir });
+  const results = [];
+
+  for (const [name, info] of Object.entries(adapters)) {
+    if (!info.available) {
+      results.push(check(`agent_${name}`, 'agents', name, 'skip', 'Not installed'));
+      continue;
+    }
+    if (!info.builtIn) {
+      results.push(check(`agent_${name}`, 'agents', name, 'ok', `${info.version} (custom agent)`));
+      continue;
+    }
+
+    const source = findKeySource(name, serverKeys);
+    if (source) {
+      results.push(check(`agent_${name}`, 'agents', name, 'ok', `${info.version}, key from ${source}`, null, { version: info.version, keySource: source }));
+    } else {
+      const sources = AGENT_KEY_SOURCES[name];
+      results.push(check(`agent_${name}`, 'agents', name, 'warn', `${info.version}, but no API key found`,
+        [
+          'Add the key to the application agent settings in GBOS',
+          sources?.env.length && `export ${sources.env[0]}=...`,
+          sources?.loginCommand && `run "${sources.loginCommand}"`,
+        ].filter(Boolean).join(', or '),
+        { version: info.version, keySource: null }));
+    }
+  }
+
+  if (!results.some(result => result.status !== 'skip')) {
+    results.unshift(check('agents', 'agents', 'Coding agents', 'fail', 'No coding agent CLI is installed',
+      'Install one, e.g. "npm install -g @anthropic-ai/claude-code", then check with "gbos agents list"'));
+  }
+  return results;
+}
+
+// ==================== GBOS ====================
+
+async function checkGbos() {
+  const results = [];
+  const apiUrl = config.getApiUrl();
+  const session = config.loadSession();
+
+  if (!session?.access_token) {
+    // Any HTTP answer means the API is reachable
+    try {
+      await fetch(apiUrl, { method: 'HEAD', signal: AbortSignal.timeout(NETWORK_TIMEOUT_MS) });
+      results.push(check('gbos_api', 'gbos', 'GBOS API', 'ok', `${apiUrl} is reachable`));
+    } catch (e) {
+      results.push(check('gbos_api', 'gbos', 'GBOS API', 'fail', `${apiUrl} is not reachable: ${e.cause?.code || e.message}`,
+        'Check your network or proxy, or GBOS_API_URL / the profile API URL'));
+    }
+    results.push(session?.credential_error
+      ? check('gbos_auth', 'gbos', 'GBOS session', 'fail', session.credential_error, 'Unlock the credential store or run "gbos auth --force"')
+      : check('gbos_auth', 'gbos', 'GBOS session', 'fail', 'Not authenticated', 'Run "gbos auth"'));
+    return { results, session: null };
+  }
+
+  try {
+    await api.request('/cli/auth/session', { method: 'GET', timeout: NETWORK_TIMEOUT_MS, retries: 0 });
+    results.push(check('gbos_api', 'gbos', 'GBOS API', 'ok', `${apiUrl} is reachable`));
+  } catch (e) {
+    if (e.status) {
+      results.push(check('gbos_api', 'gbos', 'GBOS API', 'ok', `${apiUrl} is reachable`));
+    } else {
+      results.push(check('gbos_api', 'gbos', 'GBOS API', 'fail', `${apiUrl} is not reachable: ${e.message}`,
+        'Check your network or proxy, or GBOS_API_URL / the profile API URL'));
+      return { results, session };
+    }
+    if (e.status === 401) {
+      results.push(check('gbos_auth', 'gbos', 'GBOS session', 'fail', 'The access token was rejected and could not be refreshed',
+        'Run "gbos auth" to sign in again'));
+      return { results, session: null };
+    }
+  }
+
+  // The request may have refreshed the token
+  const current = config.loadSession() || session;
+  const who = current.user_name || 'Signed in';
+  const expiresAt = current.token_expires_at ? new Date(current.token_expires_at) : null;
+  if (expiresAt && expiresAt < new Date() && !current.refresh_token) {
+    results.push(check('gbos_auth', 'gbos', 'GBOS session', 'fail', `Token expired ${expiresAt.toLocaleString()}`, 'Run "gbos auth"'));
+  } else if (expiresAt && expiresAt - Date.now() < EXPIRY_WARNING_MS && !current.refresh_token) {
+    results.push(check('gbos_auth', 'gbos', 'GBOS session', 'warn', `${who}, token expires ${expiresAt.toLocaleString()} and cannot be refreshed`,
+      'Run "gbos auth" before it expires'));
+  } else {
+    const expiry = expiresAt ? `, token valid until ${expiresAt.toLocaleString()}${current.refresh_token ? ' (refreshed automatically)' : ''}` : '';
+    results.push(check('gbos_auth', 'gbos', 'GBOS session', 'ok', `${who}${expiry}`));
+  }
+
+  if (!current.connection) {
+    results.push(check('gbos_connection', 'gbos', 'Node connection', 'warn', 'Not connected to a development node', 'Run "gbos connect"'));
+  } else {
+    results.push(check('gbos_connection', 'gbos', 'Node connection', 'ok',
+      `${current.connection.node?.name || 'node'} · ${current.connection.application?.name || 'application'}`));
+  }
+  return { results, session: current };
+}
+
+// ==================== GitLab ====================
+
+async function checkGitLab() {
+  const service = createGitLabService();
+  const token = await service.getToken();
+  if (!token) {
+    return check('gitlab_token', 'gitlab', 'GitLab token', 'warn', 'No GitLab token configured; pushing and merge requests will fail',
+      'Run "gbos gitlab auth --token <token>" with a token that has the api and write_repository scopes');
+  }
+
+  const headers = { 'PRIVATE-TOKEN': token };
+  const signal = () => AbortSignal.timeout(NETWORK_TIMEOUT_MS);
+  try {
+    const response = await fetch(`${service.host}/api/v4/personal_access_tokens/self`, { headers, signal: signal() });
+    if (response.status === 401) {
+      return check('gitlab_token', 'gitlab', 'GitLab token', 'fail', `${service.host} rejected the token (revoked or expired)`,
+        'Create a new token and run "gbos gitlab auth --token <token>"');
+    }
+
+    if (!response.ok) {
+      // Not a personal access token (e.g. OAuth); only validity can be checked
+      const user = await fetch(`${service.host}/api/v4/user`, { headers, signal: signal() });
+      if (!user.ok) {
+        return check('gitlab_token', 'gitlab', 'GitLab token', 'fail', `${service.host} rejected the token (${user.status})`,
+          'Create a new token and run "gbos gitlab auth --token <token>"');
+      }
+      return check('gitlab_token', 'gitlab', 'GitLab token', 'ok', `Valid for @${(await user.json()).username} (scopes unknown)`);
+    }
+
+    const info = await response.json();
+    const scopes = info.scopes || [];
+    const missing = GITLAB_REQUIRED_SCOPES.filter(scope => !scopes.includes(scope));
+    const missingRecommended = GITLAB_RECOMMENDED_SCOPES.filter(scope => !scopes.includes(scope));
+    const details = { host: service.host, scopes, expiresAt: info.expires_at || null };
+    const fix = 'Create a token with the api and write_repository scopes and run "gbos gitlab auth --token <token>"';
+
+    if (missing.length > 0) {
+      return check('gitlab_token', 'gitlab', 'GitLab token', 'fail', `Missing scope ${missing.join(', ')} (has ${scopes.join(', ') || 'none'})`, fix, details);
+    }
+    if (info.expires_at && new Date(info.expires_at) - Date.now() < EXPIRY_WARNING_MS) {
+      return check('gitlab_token', 'gitlab', 'GitLab token', 'warn', `Expires ${info.expires_at}`, fix, details);
+    }
+    if (missingRecommended.length > 0) {
+      return check('gitlab_token', 'gitlab', 'GitLab token', 'warn', `Missing scope ${missingRecommended.join(', ')}; git push over HTTPS may fail`, fix, details);
+    }
+    return check('gitlab_token', 'gitlab', 'GitLab token', 'ok',
+      `Scopes ${scopes.join(', ')}${info.expires_at ? `, expires ${info.expires_at}` : ''}`, null, details);
+  } catch (e) {
+    return check('gitlab_token', 'gitlab', 'GitLab token', 'fail', `${service.host} is not reachable: ${e.cause?.code || e.message}`,
+      'Check your network, or GITLAB_URL / the profile GitLab URL');
+  }
+}
+
+// ==================== Leftovers ====================
+
+function checkRuns() {
+  let files;
+  try {
+    files = fs.readdirSync(getRunsDir()).filter(f => f.endsWith('.json'));
+  } catch (e) {
+    return check('runs', 'housekeeping', 'Run files', 'ok', 'No runs yet');
+  }
+
+  const stale = [];
+  for (const file of files) {
+    try {
+      const run = StateMachine.loadRun(file.replace('.json', ''));
+      const last = run.context.stages[run.context.stages.length - 1]?.timestamp || run.context.startTime;
+      if (run.isResumable() && (!last || Date.now() - Date.parse(last) > STALE_RUN_MS)) {
+        stale.push({ runId: run.runId, state: run.state, lastActivity: last || null });
+      }
+    } catch (e) {
+      stale.push({ runId: file.replace('.json', ''), state: 'unreadable', lastActivity: null });
+    }
+  }
+
+  if (stale.length > 0) {
+    return check('runs', 'housekeeping', 'Run files', 'warn',
+      `${stale.length} unfinished run(s) idle for more than a day: ${stale.slice(0, 3).map(run => run.runId).join(', ')}${stale.length > 3 ? ', ...' : ''}`,
+      `Resume them with "gbos resume --run-id <runId>", or delete them from ${getRunsDir()}`,
+      { stale });
+  }
+  return check('runs', 'housekeeping', 'Run files', 'ok', `${files.length} run(s), none stale`);
+}
+
+function checkSyncs() {
+  const orphaned = [];
+
+  let syncs = {};
+  try {
+    syncs = JSON.parse(fs.readFileSync(config.getProfilePath('gitlab.json'), 'utf8')).syncs || {};
+  } catch (e) {
+    // No GitLab config
+  }
+  for (const [syncPath, info] of Object.entries(syncs)) {
+    if (!isProcessAlive(info.pid)) orphaned.push({ path: syncPath, pid: info.pid, pidFile: info.pidFile || null });
+  }
+
+  const pidDir = config.getConfigPath('sync');
+  const known = new Set(orphaned.map(entry => entry.pidFile));
+  try {
+    for (const file of fs.readdirSync(pidDir).filter(f => f.endsWith('.pid'))) {
+      const pidFile = path.join(pidDir, file);
+      const pid = parseInt(fs.readFileSync(pidFile, 'utf8'), 10);
+      if (!known.has(pidFile) && !isProcessAlive(pid)) orphaned.push({ path: null, pid, pidFile });
+    }
+  } catch (e) {
+    // No sync directory
+  }
+
+  if (orphaned.length > 0) {
+    const paths = orphaned.filter(entry => entry.path);
+    return check('syncs', 'housekeeping', 'GitLab syncs', 'warn',
+      `${orphaned.length} sync(s) recorded whose process is gone`,
+      paths.length > 0
+        ? `Run "gbos gitlab sync stop --path <path>" for ${paths.map(entry => entry.path).join(', ')}`
+        : `Delete the stale PID files in ${pidDir}`,
+      { orphaned });
+  }
+  return check('syncs', 'housekeeping', 'GitLab syncs', 'ok', `${Object.keys(syncs).length} active sync(s)`);
+}
+
+/**
+ * Run every check
+ * @param {Object} options - { workingDir } for git identity and project-level agents
+ * @returns {Promise<Object[]>} Check results, in display order
+ */
+async function runChecks(options = {}) {
+  const workingDir = options.workingDir || process.cwd();
+  const results = [checkNode(), ...(await checkGit(workingDir)), await checkDocker(), checkConfigDir(), checkCredentialStore()];
+
+  const gbos = await checkGbos();
+  results.push(...gbos.results);
+
+  let serverKeys = null;
+  const appId = gbos.session?.connection?.application?.id;
+  if (appId) {
+    try {
+      serverKeys = await api.getAgentConfig(appId);
+    } catch (e) {
+      // No server-side keys
+    }
+  }
+  results.push(...(await checkAgents(workingDir, serverKeys)));
+
+  results.push(await checkGitLab());
+  results.push(checkRuns(), checkSyncs());
+  return results;
+}
+
+module.exports = {
+  runChecks,
+};
@@ -0,0 +1,187 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const config = require('./config');
+const { runChecks } = require('./doctor');
+const { StateMachine, STATES } = require('../orchestrator/state-machine');
+
+const API_URL = 'https://gbos.test/api/v1';
+const GITLAB_URL = 'https://gitlab.test';
+const ENV_KEYS = ['HOME', 'GBOS_CONFIG_DIR', 'GBOS_PROFILE', 'GBOS_API_URL', 'GBOS_CREDENTIAL_STORE', 'GBOS_KEY',
+  'GITLAB_URL', 'GITLAB_TOKEN', 'GIT_CONFIG_GLOBAL', 'GIT_CONFIG_NOSYSTEM'];
+
+// A pid above the kernel's pid_max, so never a running process
+const DEAD_PID = 4194305;
+
+const json = (status, body) => new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+
+describe('Doctor', () => {
+  let root;
+  let repo;
+  let saved;
+  let savedFetch;
+  let route;
+
+  before(() => {
+    saved = { ...process.env };
+    savedFetch = global.fetch;
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'gbos-doctor-'));
+    fs.mkdirSync(path.join(root, 'home'));
+    fs.writeFileSync(path.join(root, 'gitconfig'), '');
+    process.env.HOME = path.join(root, 'home');
+    process.env.GIT_CONFIG_GLOBAL = path.join(root, 'gitconfig');
+    process.env.GIT_CONFIG_NOSYSTEM = '1';
+    process.env.GBOS_API_URL = API_URL;
+    process.env.GBOS_CREDENTIAL_STORE = 'file';
+    process.env.GITLAB_URL = GITLAB_URL;
+    delete process.env.GBOS_PROFILE;
+    delete process.env.GBOS_KEY;
+
+    repo = path.join(root, 'repo');
+    execFileSync('git', ['init', '-q', repo]);
+    execFileSync('git', ['config', 'user.name', 'Test Author'], { cwd: repo });
+    execFileSync('git', ['config', 'user.email', 'author@example.test'], { cwd: repo });
+  });
+
+  after(() => {
+    global.fetch = savedFetch;
+    fs.rmSync(root, { recursive: true, force: true });
+    for (const key of ENV_KEYS) {
+      if (saved[key] === undefined) delete process.env[key]; else process.env[key] = saved[key];
+    }
+  });
+
+  // A fresh config dir and an API that answers every request with route(url, options)
+  beforeEach(() => {
+    process.env.GBOS_CONFIG_DIR = fs.mkdtempSync(path.join(root, 'config-'));
+    delete process.env.GITLAB_TOKEN;
+    route = () => json(200, {});
+    global.fetch = async (url, options = {}) => route(String(url), options);
+  });
+
+  const checks = async (options = { workingDir: repo }) => Object.fromEntries((await runChecks(options)).map(result => [result.id, result]));
+
+  it('should pass the local setup and point a signed-out user at "gbos auth"', async () => {
+    const results = await checks();
+
+    assert.strictEqual(results.node.status, 'ok');
+    assert.strictEqual(results.git_identity.status, 'ok');
+    assert.strictEqual(results.git_identity.message, 'Test Author <author@example.test>');
+    assert.strictEqual(results.config_dir.status, 'ok');
+    assert.strictEqual(results.credential_store.status, 'warn');
+    assert.match(results.credential_store.fix, /set GBOS_KEY/);
+    assert.strictEqual(results.gbos_api.status, 'ok');
+    assert.deepStrictEqual([results.gbos_auth.status, results.gbos_auth.fix], ['fail', 'Run "gbos auth"']);
+    assert.strictEqual(results.gitlab_token.status, 'warn');
+    assert.strictEqual(results.runs.message, 'No runs yet');
+    assert.strictEqual(results.syncs.status, 'ok');
+    for (const result of Object.values(results)) {
+      assert.ok(['ok', 'warn', 'fail', 'skip'].includes(result.status), `${result.id}: ${result.status}`);
+    }
+  });
+
+  it('should say how to set a missing git identity', async () => {
+    const bare = path.join(root, 'no-identity');
+    execFileSync('git', ['init', '-q', bare]);
+
+    const results = await checks({ workingDir: bare });
+
+    assert.strictEqual(results.git_identity.status, 'fail');
+    assert.match(results.git_identity.message, /^user\.name and user\.email not set/);
+    assert.match(results.git_identity.fix, /git config --global user\.name "Your Name" && git config --global user\.email/);
+  });
+
+  it('should report an unreachable API', async () => {
+    route = () => {
+      throw Object.assign(new TypeError('fetch failed'), { cause: { code: 'ENOTFOUND' } });
+    };
+
+    const results = await checks();
+
+    assert.strictEqual(results.gbos_api.status, 'fail');
+    assert.strictEqual(results.gbos_api.message, `${API_URL} is not reachable: ENOTFOUND`);
+    assert.strictEqual(results.gitlab_token.status, 'warn');
+  });
+
+  it('should report a credential store it cannot read instead of a signed-out user', async () => {
+    fs.writeFileSync(config.getSessionFile(), JSON.stringify({ credential_store: 'encrypted-file', credential_ref: 'gone' }));
+
+    const results = await checks();
+
+    assert.strictEqual(results.gbos_auth.status, 'fail');
+    assert.match(results.gbos_auth.message, /^Credential store unavailable/);
+    assert.strictEqual(results.gbos_auth.fix, 'Unlock the credential store or run "gbos auth --force"');
+  });
+
+  it('should check the session, connection and GitLab token scopes of a signed-in user', async () => {
+    config.saveSession({
+      access_token: 'token-1',
+      refresh_token: 'refresh-1',
+      token_expires_at: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(),
+      user_name: 'Ada',
+      connection: { node: { name: 'build-1' }, application: { id: 5, name: 'Shop' } },
+    });
+    process.env.GITLAB_TOKEN = 'glpat-test';
+    const requested = [];
+    route = (url, options) => {
+      requested.push(url);
+      if (url === `${API_URL}/cli/applications/5`) return json(200, { data: { settings: { agent_keys: {} } } });
+      if (url === `${GITLAB_URL}/api/v4/personal_access_tokens/self`) {
+        assert.strictEqual(options.headers['PRIVATE-TOKEN'], 'glpat-test');
+        return json(200, { scopes: ['api', 'read_user'], expires_at: null });
+      }
+      return json(200, {});
+    };
+
+    const results = await checks();
+
+    assert.ok(requested.includes(`${API_URL}/cli/auth/session`));
+    assert.strictEqual(results.gbos_auth.status, 'ok');
+    assert.match(results.gbos_auth.message, /^Ada, token valid until .* \(refreshed automatically\)$/);
+    assert.deepStrictEqual([results.gbos_connection.status, results.gbos_connection.message], ['ok', 'build-1 · Shop']);
+    assert.strictEqual(results.gitlab_token.status, 'warn');
+    assert.match(results.gitlab_token.message, /^Missing scope write_repository/);
+    assert.deepStrictEqual(results.gitlab_token.details.scopes, ['api', 'read_user']);
+  });
+
+  it('should fail a GBOS token the API rejects and a revoked GitLab token', async () => {
+    config.saveSession({ access_token: 'token-1' });
+    process.env.GITLAB_TOKEN = 'glpat-revoked';
+    route = url => (url.startsWith(GITLAB_URL) ? json(401, { message: '401 Unauthorized' }) : json(401, { error: 'Token expired' }));
+
+    const results = await checks();
+
+    assert.strictEqual(results.gbos_api.status, 'ok');
+    assert.strictEqual(results.gbos_auth.status, 'fail');
+    assert.match(results.gbos_auth.message, /rejected and could not be refreshed/);
+    assert.strictEqual(results.gbos_connection, undefined);
+    assert.strictEqual(results.gitlab_token.status, 'fail');
+    assert.match(results.gitlab_token.message, /rejected the token \(revoked or expired\)/);
+  });
+
+  it('should point out stale runs and syncs whose process is gone', async () => {
+    const stale = new StateMachine('run_1000_stale');
+    stale.state = STATES.PAUSED;
+    stale.context.stages.push({ from: STATES.RUN_AGENT, to: STATES.PAUSED, timestamp: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString(), data: {} });
+    stale.save();
+    const fresh = new StateMachine('run_2000_fresh');
+    fresh.state = STATES.PAUSED;
+    fresh.context.stages.push({ from: STATES.RUN_AGENT, to: STATES.PAUSED, timestamp: new Date().toISOString(), data: {} });
+    fresh.save();
+    fs.writeFileSync(config.getProfilePath('gitlab.json'), JSON.stringify({
+      syncs: { '/srv/shop': { pid: DEAD_PID }, '/srv/live': { pid: process.pid } },
+    }));
+
+    const results = await checks();
+
+    assert.strictEqual(results.runs.status, 'warn');
+    assert.deepStrictEqual(results.runs.details.stale.map(run => run.runId), ['run_1000_stale']);
+    assert.match(results.runs.fix, /gbos resume --run-id <runId>/);
+    assert.strictEqual(results.syncs.status, 'warn');
+    assert.deepStrictEqual(results.syncs.details.orphaned.map(sync => sync.path), ['/srv/shop']);
+    assert.strictEqual(results.syncs.fix, 'Run "gbos gitlab sync stop --path <path>" for /srv/shop');
+  });
+});
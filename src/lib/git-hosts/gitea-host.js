@@ -0,0 +1,293 @@
+/**
+ * Gitea Host
+ * Self-hosted Gitea or Forgejo through the v1 API. The instance comes from
+ * GITEA_URL or the host `gbos repo auth --provider gitea --host <url>` stored;
+ * the token from GITEA_TOKEN or the credential store, like the GitLab token.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const credentials = require('../credentials');
+const { getKeychainAccount } = require('../gitlab');
+const BaseGitHost = require('./base-host');
+const { GitHostError, setupGitCredentials, removeGitCredentials } = BaseGitHost;
+
+const KEYCHAIN_SERVICE = 'gbos-cli-gitea';
+const getGiteaConfigFile = () => config.getProfilePath('gitea.json');
+
+// Combined commit status states mapped onto the shared statuses
+const COMMIT_STATES = {
+  success: 'success',
+  warning: 'success',
+  pending: 'pending',
+  failure: 'failed',
+  error: 'failed',
+};
+
+function loadGiteaConfig() {
+  try {
+    return JSON.parse(fs.readFileSync(getGiteaConfigFile(), 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+// Gitea host: GITEA_URL, then the host the token was stored for
+function getGiteaHost() {
+  return process.env.GITEA_URL || loadGiteaConfig()?.host || null;
+}
+
+// Path of a repository in the API, e.g. /repos/owner/repo
+function repoPath(projectPath) {
+  return `/repos/${projectPath.split('/').map(encodeURIComponent).join('/')}`;
+}
+
+// Title prefixes Gitea and Forgejo read as work in progress by default
+const WIP_PREFIX = /^\s*(wip:|\[wip\])\s*/i;
+
+/**
+ * Title with or without the WIP: prefix (unchanged when draft is undefined)
+ */
+function draftTitle(title, draft) {
+  if (draft === undefined || !title) return title;
+  const bare = title.replace(WIP_PREFIX, '');
+  return draft ? `WIP: ${bare}` : bare;
+}
+
+class GiteaHost extends BaseGitHost {
+  constructor(options = {}) {
+    super({ ...options, host: options.host || getGiteaHost() });
+    this.name = 'gitea';
+    this.displayName = 'Gitea';
+    this.mergeRequestName = 'pull request';
+  }
+
+  get apiUrl() {
+    return `${this.host}/api/v1`;
+  }
+
+  getAuthHeaders() {
+    return { Authorization: `token ${this.token}` };
+  }
+
+  getAuthHint() {
+    return 'gbos repo auth --provider gitea --host <url>';
+  }
+
+  async ensureToken() {
+    // There is no public Gitea instance to fall back to
+    if (!this.host) {
+      throw new GitHostError(`Gitea host not configured. Set GITEA_URL or run: ${this.getAuthHint()}`, { provider: this.name });
+    }
+    return super.ensureToken();
+  }
+
+  async getToken() {
+    if (process.env.GITEA_TOKEN) {
+      return process.env.GITEA_TOKEN;
+    }
+
+    // A token stored for another instance is never sent to this one
+    const giteaConfig = loadGiteaConfig();
+    if (!giteaConfig || giteaConfig.host !== this.host) return null;
+    if (giteaConfig.token_store) {
+      const token = credentials.retrieve(KEYCHAIN_SERVICE, getKeychainAccount(), giteaConfig.token_store);
+      if (token) return token;
+    }
+    return giteaConfig.token || null;
+  }
+
+  normalizeProject(repo) {
+    return {
+      id: repo.id,
+      name: repo.name,
+      path: repo.full_name,
+      description: repo.description || '',
+      visibility: repo.private ? 'private' : 'public',
+      defaultBranch: repo.default_branch || null,
+      webUrl: repo.html_url,
+      httpUrl: repo.clone_url,
+      sshUrl: repo.ssh_url,
+    };
+  }
+
+  normalizeMergeRequest(pr) {
+    return {
+      id: pr.number,
+      url: pr.html_url,
+      title: pr.title,
+      sourceBranch: pr.head?.ref || null,
+      targetBranch: pr.base?.ref || null,
+      sha: pr.head?.sha || null,
+      draft: pr.draft ?? WIP_PREFIX.test(pr.title || ''),
+    };
+  }
+
+  async getCurrentUser() {
+    const user = await this.request('GET', '/user');
+    return { username: user.login, name: user.full_name || null, email: user.email || null };
+  }
+
+  async getProject(projectPath) {
+    return this.normalizeProject(await this.request('GET', repoPath(projectPath)));
+  }
+
+  async createRepo(name, options = {}) {
+    // org/name creates the repository in an organization
+    const [org, repoName] = name.includes('/') ? name.split('/', 2) : [null, name];
+    const repo = await this.request('POST', org ? `/orgs/${encodeURIComponent(org)}/repos` : '/user/repos', {
+      name: repoName,
+      description: options.description || '',
+      private: (options.visibility || 'private') !== 'public',
+      auto_init: options.initializeWithReadme || false,
+    });
+    return this.normalizeProject(repo);
+  }
+
+  async listRepos(options = {}) {
+    if (options.all) {
+      const params = new URLSearchParams({ limit: '50', sort: 'updated', order: 'desc' });
+      if (options.search) params.set('q', options.search);
+      const { data = [] } = await this.request('GET', `/repos/search?${params}`);
+      return data.map(repo => this.normalizeProject(repo));
+    }
+
+    const repos = (await this.request('GET', '/user/repos?limit=50')).map(repo => this.normalizeProject(repo));
+    if (!options.search) return repos;
+    const search = options.search.toLowerCase();
+    return repos.filter(repo => repo.path.toLowerCase().includes(search));
+  }
+
+  async createMergeRequest(projectPath, options = {}) {
+    const pr = await this.request('POST', `${repoPath(projectPath)}/pulls`, {
+      title: draftTitle(options.title, options.draft || false),
+      head: options.sourceBranch,
+      base: options.targetBranch || 'main',
+      body: options.description || '',
+    });
+
+    const warnings = await this.applyMergeRequestMetadata(projectPath, pr.number, options);
+    return { ...this.normalizeMergeRequest(pr), warnings };
+  }
+
+  async findMergeRequest(projectPath, options = {}) {
+    // The list cannot be filtered by head branch
+    const pulls = await this.request('GET', `${repoPath(projectPath)}/pulls?state=open&limit=50`);
+    const pr = pulls.find(p => p.head?.ref === options.sourceBranch);
+    return pr ? this.normalizeMergeRequest(pr) : null;
+  }
+
+  async updateMergeRequest(projectPath, id, options = {}) {
+    const pr = await this.request('PATCH', `${repoPath(projectPath)}/pulls/${id}`, {
+      title: draftTitle(options.title, options.draft),
+      body: options.description,
+    });
+    const warnings = await this.applyMergeRequestMetadata(projectPath, id, options);
+    return { ...this.normalizeMergeRequest(pr), warnings };
+  }
+
+  async enableAutoMerge(projectPath, id) {
+    await this.request('POST', `${repoPath(projectPath)}/pulls/${id}/merge`, {
+      Do: 'merge',
+      merge_when_checks_succeed: true,
+    });
+  }
+
+  async addMergeRequestNote(projectPath, id, body) {
+    // Pull requests share the issue comment thread
+    await this.request('POST', `${repoPath(projectPath)}/issues/${id}/comments`, { body });
+  }
+
+  /**
+   * Add labels, assignees and requested reviewers to a pull request. They are
+   * set after the pull request exists, so failures become warnings.
+   * @returns {Promise<string[]>} Warnings
+   */
+  async applyMergeRequestMetadata(projectPath, number, options = {}) {
+    const warnings = [];
+    const steps = [
+      ['labels', async () => {
+        // Gitea takes label IDs
+        const labels = await this.request('GET', `${repoPath(projectPath)}/labels?limit=50`);
+        const ids = options.labels.map((name) => {
+          const label = labels.find(l => l.name === name);
+          if (!label) warnings.push(`Unknown Gitea label "${name}"`);
+          return label?.id;
+        }).filter(Boolean);
+        if (ids.length > 0) {
+          await this.request('POST', `${repoPath(projectPath)}/issues/${number}/labels`, { labels: ids });
+        }
+      }],
+      ['assignees', () => this.request('PATCH', `${repoPath(projectPath)}/issues/${number}`, { assignees: options.assignees })],
+      ['reviewers', () => this.request('POST', `${repoPath(projectPath)}/pulls/${number}/requested_reviewers`, { reviewers: options.reviewers })],
+    ];
+
+    for (const [key, apply] of steps) {
+      if (!options[key]?.length) continue;
+      try {
+        await apply();
+      } catch (e) {
+        warnings.push(`Could not set ${key} (${options[key].join(', ')}): ${e.message}`);
+      }
+    }
+    return warnings;
+  }
+
+  async getPipelineStatus(projectPath, ref) {
+    // Gitea Actions and external CI both report through commit statuses
+    const combined = await this.request('GET', `${repoPath(projectPath)}/commits/${encodeURIComponent(ref)}/status`);
+    if (!combined || !combined.total_count) {
+      return { status: 'none', ref, sha: combined?.sha || null, url: null };
+    }
+    return {
+      status: COMMIT_STATES[combined.state] || 'pending',
+      ref,
+      sha: combined.sha,
+      url: combined.statuses?.[0]?.target_url || null,
+    };
+  }
+
+  async storeToken(token) {
+    if (!this.host) {
+      throw new GitHostError('Gitea host not configured. Pass --host <url> or set GITEA_URL', { provider: this.name });
+    }
+
+    this.token = token;
+    let user;
+    try {
+      user = await this.getCurrentUser();
+    } catch (e) {
+      this.token = null;
+      throw new GitHostError(`Token validation failed: ${e.message}`, { provider: this.name, status: e.status });
+    }
+
+    // Keychain, libsecret or encrypted file; "file" means the config file keeps it
+    const tokenStore = credentials.store(KEYCHAIN_SERVICE, getKeychainAccount(), token);
+
+    fs.mkdirSync(path.dirname(getGiteaConfigFile()), { recursive: true });
+    fs.writeFileSync(getGiteaConfigFile(), JSON.stringify({
+      ...(tokenStore === 'file' ? { token } : { token_store: tokenStore }),
+      host: this.host,
+      user: user.username,
+      storedAt: new Date().toISOString(),
+    }, null, 2), { mode: 0o600 });
+
+    await setupGitCredentials(this.host, token, user.username);
+    return user;
+  }
+
+  async deleteToken() {
+    credentials.remove(KEYCHAIN_SERVICE, getKeychainAccount());
+    fs.rmSync(getGiteaConfigFile(), { force: true });
+    if (this.host) {
+      await removeGitCredentials(this.host);
+    }
+    this.token = null;
+  }
+}
+
+module.exports = GiteaHost;
+module.exports.KEYCHAIN_SERVICE = KEYCHAIN_SERVICE;
+module.exports.getGiteaHost = getGiteaHost;
+module.exports.getGiteaConfigFile = getGiteaConfigFile;
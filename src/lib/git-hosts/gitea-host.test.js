@@ -0,0 +1,428 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const GiteaHost = require('./gitea-host');
+const { detectProvider, getGitHost, GitHostError } = require('./index');
+const GitManager = require('../../orchestrator/managers/git-manager');
+const { loadProjectConfig } = require('../project-config');
+
+const sh = (args, cwd) => execFileSync('git', args, { cwd, encoding: 'utf8' }).trim();
+
+/**
+ * Fake Gitea API: routes are "METHOD /path" keys answering [status, body];
+ * every request is recorded with its headers and parsed body
+ */
+function startFakeGitea(routes) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body: raw ? JSON.parse(raw) : null });
+      const [status, body] = routes[`${req.method} ${req.url}`] || [404, { message: 'The target couldn\'t be found.' }];
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+const PULL = {
+  number: 7,
+  html_url: 'https://gitea.test/team/app/pulls/7',
+  title: 'Add login',
+  head: { ref: 'task/T-1-add-login' },
+  base: { ref: 'main' },
+};
+
+describe('GiteaHost', () => {
+  let fake;
+  let routes;
+
+  before(async () => {
+    routes = {};
+    fake = await startFakeGitea(routes);
+  });
+
+  after(() => {
+    fake.server.close();
+  });
+
+  beforeEach(() => {
+    fake.requests.length = 0;
+    for (const key of Object.keys(routes)) delete routes[key];
+  });
+
+  it('should create a pull request with the token', async () => {
+    routes['POST /api/v1/repos/team/app/pulls'] = [201, PULL];
+    const host = new GiteaHost({ host: fake.url, token: 'gitea-token' });
+
+    const mr = await host.createMergeRequest('team/app', {
+      sourceBranch: 'task/T-1-add-login',
+      targetBranch: 'main',
+      title: 'Add login',
+      description: 'Done',
+    });
+
+    assert.deepStrictEqual(mr, {
+      id: 7,
+      url: 'https://gitea.test/team/app/pulls/7',
+      title: 'Add login',
+      sourceBranch: 'task/T-1-add-login',
+      targetBranch: 'main',
+      sha: null,
+      draft: false,
+      warnings: [],
+    });
+    assert.strictEqual(fake.requests.length, 1);
+    assert.strictEqual(fake.requests[0].headers.authorization, 'token gitea-token');
+    assert.deepStrictEqual(fake.requests[0].body, {
+      title: 'Add login',
+      head: 'task/T-1-add-login',
+      base: 'main',
+      body: 'Done',
+    });
+  });
+
+  it('should set labels, assignees and reviewers and warn about unknown labels', async () => {
+    routes['POST /api/v1/repos/team/app/pulls'] = [201, PULL];
+    routes['GET /api/v1/repos/team/app/labels?limit=50'] = [200, [{ id: 4, name: 'backend' }, { id: 5, name: 'ui' }]];
+    routes['POST /api/v1/repos/team/app/issues/7/labels'] = [200, []];
+    routes['PATCH /api/v1/repos/team/app/issues/7'] = [201, {}];
+    routes['POST /api/v1/repos/team/app/pulls/7/requested_reviewers'] = [201, []];
+    const host = new GiteaHost({ host: fake.url, token: 'gitea-token' });
+
+    const mr = await host.createMergeRequest('team/app', {
+      sourceBranch: 'task/T-1-add-login',
+      title: 'Add login',
+      labels: ['backend', 'security'],
+      assignees: ['carol'],
+      reviewers: ['alice', 'bob'],
+    });
+
+    assert.deepStrictEqual(mr.warnings, ['Unknown Gitea label "security"']);
+    const body = (key) => fake.requests.find(r => `${r.method} ${r.url}` === key).body;
+    assert.deepStrictEqual(body('POST /api/v1/repos/team/app/issues/7/labels'), { labels: [4] });
+    assert.deepStrictEqual(body('PATCH /api/v1/repos/team/app/issues/7'), { assignees: ['carol'] });
+    assert.deepStrictEqual(body('POST /api/v1/repos/team/app/pulls/7/requested_reviewers'), { reviewers: ['alice', 'bob'] });
+  });
+
+  it('should keep the pull request when a reviewer cannot be requested', async () => {
+    routes['POST /api/v1/repos/team/app/pulls'] = [201, PULL];
+    routes['POST /api/v1/repos/team/app/pulls/7/requested_reviewers'] = [422, { message: 'reviewer does not exist' }];
+    const host = new GiteaHost({ host: fake.url, token: 'gitea-token' });
+
+    const mr = await host.createMergeRequest('team/app', { sourceBranch: 'a', title: 'A', reviewers: ['ghost'] });
+
+    assert.strictEqual(mr.url, PULL.html_url);
+    assert.deepStrictEqual(mr.warnings, ['Could not set reviewers (ghost): reviewer does not exist']);
+  });
+
+  it('should open draft pull requests with the WIP: prefix and mark them ready again', async () => {
+    routes['POST /api/v1/repos/team/app/pulls'] = [201, { ...PULL, title: 'WIP: Add login' }];
+    routes['PATCH /api/v1/repos/team/app/pulls/7'] = [201, PULL];
+    const host = new GiteaHost({ host: fake.url, token: 'gitea-token' });
+
+    const draft = await host.createMergeRequest('team/app', { sourceBranch: 'a', title: 'Add login', draft: true });
+    const ready = await host.updateMergeRequest('team/app', 7, { title: 'WIP: Add login', draft: false });
+    await host.updateMergeRequest('team/app', 7, { title: 'WIP: Add login' });
+
+    assert.strictEqual(draft.draft, true);
+    assert.strictEqual(ready.draft, false);
+    assert.deepStrictEqual(fake.requests.map(r => r.body.title), ['WIP: Add login', 'Add login', 'WIP: Add login']);
+  });
+
+  it('should schedule the merge for when the checks succeed', async () => {
+    routes['POST /api/v1/repos/team/app/pulls/7/merge'] = [200, null];
+    const host = new GiteaHost({ host: fake.url, token: 'gitea-token' });
+
+    await host.enableAutoMerge('team/app', 7);
+
+    assert.deepStrictEqual(fake.requests[0].body, { Do: 'merge', merge_when_checks_succeed: true });
+  });
+
+  it('should map the combined commit status onto the shared pipeline statuses', async () => {
+    routes['GET /api/v1/repos/team/app/commits/feature%2Fx/status'] = [200, {
+      state: 'failure',
+      sha: 'abc123',
+      total_count: 2,
+      statuses: [{ target_url: 'https://ci.test/1' }],
+    }];
+    routes['GET /api/v1/repos/team/app/commits/main/status'] = [200, { state: 'pending', sha: 'def456', total_count: 0, statuses: [] }];
+    const host = new GiteaHost({ host: fake.url, token: 'gitea-token' });
+
+    assert.deepStrictEqual(await host.getPipelineStatus('team/app', 'feature/x'), {
+      status: 'failed',
+      ref: 'feature/x',
+      sha: 'abc123',
+      url: 'https://ci.test/1',
+    });
+    assert.strictEqual((await host.getPipelineStatus('team/app', 'main')).status, 'none');
+  });
+
+  it('should normalize projects', async () => {
+    routes['GET /api/v1/repos/team/app'] = [200, {
+      id: 3,
+      name: 'app',
+      full_name: 'team/app',
+      description: null,
+      private: true,
+      default_branch: 'main',
+      html_url: 'https://gitea.test/team/app',
+      clone_url: 'https://gitea.test/team/app.git',
+      ssh_url: 'git@gitea.test:team/app.git',
+    }];
+    const host = new GiteaHost({ host: fake.url, token: 'gitea-token' });
+
+    const project = await host.getProject('team/app');
+    assert.strictEqual(project.path, 'team/app');
+    assert.strictEqual(project.visibility, 'private');
+    assert.strictEqual(project.description, '');
+    assert.strictEqual(project.httpUrl, 'https://gitea.test/team/app.git');
+  });
+
+  it('should reject with a GitHostError carrying the status and message', async () => {
+    routes['POST /api/v1/repos/team/app/pulls'] = [409, { message: 'pull request already exists for these targets' }];
+    const host = new GiteaHost({ host: fake.url, token: 'gitea-token' });
+
+    await assert.rejects(
+      host.createMergeRequest('team/app', { sourceBranch: 'a', title: 'A' }),
+      (error) => error instanceof GitHostError && error.status === 409 && error.provider === 'gitea' &&
+        error.message === 'pull request already exists for these targets',
+    );
+  });
+
+  it('should fail without a host instead of guessing one', async () => {
+    const saved = process.env.GITEA_URL;
+    delete process.env.GITEA_URL;
+    const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gbos-gitea-'));
+    const savedDir = process.env.GBOS_CONFIG_DIR;
+    process.env.GBOS_CONFIG_DIR = configDir;
+    try {
+      const host = new GiteaHost({ token: 'gitea-token' });
+      await assert.rejects(host.getCurrentUser(), /Gitea host not configured/);
+    } finally {
+      if (saved !== undefined) process.env.GITEA_URL = saved;
+      if (savedDir === undefined) delete process.env.GBOS_CONFIG_DIR; else process.env.GBOS_CONFIG_DIR = savedDir;
+      fs.rmSync(configDir, { recursive: true, force: true });
+    }
+  });
+
+  it('should not send a token stored for another instance', async () => {
+    const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gbos-gitea-'));
+    const savedDir = process.env.GBOS_CONFIG_DIR;
+    const savedToken = process.env.GITEA_TOKEN;
+    process.env.GBOS_CONFIG_DIR = configDir;
+    delete process.env.GITEA_TOKEN;
+    try {
+      fs.writeFileSync(GiteaHost.getGiteaConfigFile(), JSON.stringify({ host: 'https://gitea.other.test', token: 'other-token' }));
+      const host = new GiteaHost({ host: fake.url });
+      await assert.rejects(host.getCurrentUser(), /Gitea token not configured/);
+      assert.strictEqual(fake.requests.length, 0);
+    } finally {
+      if (savedDir === undefined) delete process.env.GBOS_CONFIG_DIR; else process.env.GBOS_CONFIG_DIR = savedDir;
+      if (savedToken !== undefined) process.env.GITEA_TOKEN = savedToken;
+      fs.rmSync(configDir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('Gitea provider selection', () => {
+  let fake;
+  let root;
+  let repo;
+  const saved = {};
+
+  before(async () => {
+    fake = await startFakeGitea({
+      'GET /api/v1/repos/team/app/pulls?state=open&limit=50': [200, []],
+      'POST /api/v1/repos/team/app/pulls': [201, PULL],
+    });
+    for (const key of ['GITEA_URL', 'GITEA_TOKEN', 'GBOS_CONFIG_DIR']) saved[key] = process.env[key];
+
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'gbos-gitea-'));
+    repo = path.join(root, 'repo');
+    sh(['init', '--quiet', repo], root);
+    sh(['remote', 'add', 'origin', `${fake.url}/team/app.git`], repo);
+  });
+
+  after(() => {
+    fake.server.close();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    process.env.GBOS_CONFIG_DIR = path.join(root, 'config');
+    process.env.GITEA_TOKEN = 'gitea-token';
+    delete process.env.GITEA_URL;
+    fake.requests.length = 0;
+  });
+
+  afterEach(() => {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key]; else process.env[key] = value;
+    }
+  });
+
+  it('should detect remotes on the configured Gitea host', () => {
+    assert.strictEqual(detectProvider(`${fake.url}/team/app.git`), 'gitlab');
+    process.env.GITEA_URL = fake.url;
+    assert.strictEqual(detectProvider(`${fake.url}/team/app.git`), 'gitea');
+    assert.strictEqual(detectProvider('git@127.0.0.1:team/app.git'), 'gitea');
+    assert.strictEqual(detectProvider('git@github.com:team/app.git'), 'github');
+  });
+
+  it('should open the pull request of a task on Gitea with owner/repo from the remote', async () => {
+    process.env.GITEA_URL = fake.url;
+    const git = new GitManager(repo, { pushBranch: 'task/T-1-add-login', targetBranch: 'main' });
+
+    const mr = await git.createMergeRequest({ title: 'Add login' });
+
+    assert.strictEqual(mr.url, PULL.html_url);
+    assert.strictEqual(mr.updated, undefined);
+    assert.deepStrictEqual(fake.requests.map(r => `${r.method} ${r.url}`), [
+      'GET /api/v1/repos/team/app/pulls?state=open&limit=50',
+      'POST /api/v1/repos/team/app/pulls',
+    ]);
+    assert.strictEqual(fake.requests[1].body.head, 'task/T-1-add-login');
+    assert.strictEqual(fake.requests[1].body.base, 'main');
+  });
+
+  it('should use the instance and token stored with gbos repo auth', async () => {
+    delete process.env.GITEA_TOKEN;
+    fs.mkdirSync(process.env.GBOS_CONFIG_DIR, { recursive: true });
+    fs.writeFileSync(GiteaHost.getGiteaConfigFile(), JSON.stringify({ host: fake.url, token: 'stored-token' }));
+
+    const host = getGitHost({ provider: 'gitea' });
+    assert.ok(host instanceof GiteaHost);
+    assert.strictEqual(host.host, fake.url);
+
+    const git = new GitManager(repo, { provider: 'gitea', pushBranch: 'task/T-1-add-login' });
+    await git.createMergeRequest({ title: 'Add login' });
+    assert.strictEqual(fake.requests.at(-1).headers.authorization, 'token stored-token');
+  });
+
+  it('should accept git_provider in the project config', () => {
+    const dir = path.join(root, 'project');
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, '.gbos.yml'), 'git_provider: gitea\n');
+    assert.strictEqual(loadProjectConfig(dir).gitProvider, 'gitea');
+
+    fs.writeFileSync(path.join(dir, '.gbos.yml'), 'git_provider: bitbucket\n');
+    assert.throws(() => loadProjectConfig(dir), /"git_provider" must be one of gitlab, github, gitea/);
+  });
+
+  it('should keep a draft pull request open when the host refuses auto-merge', async () => {
+    process.env.GITEA_URL = fake.url;
+    const git = new GitManager(repo, { pushBranch: 'task/T-1-add-login' });
+
+    const mr = await git.createMergeRequest({ title: 'Add login', draft: true, autoMerge: true });
+
+    assert.strictEqual(mr.url, PULL.html_url);
+    assert.strictEqual(fake.requests[1].body.title, 'WIP: Add login');
+    assert.strictEqual(mr.autoMerge, false);
+    assert.match(mr.warnings.at(-1), /^Could not enable auto-merge: /);
+  });
+
+  it('should accept the merge request policy in the project config', () => {
+    const dir = path.join(root, 'project');
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, '.gbos.yml'), 'mr_draft_unverified: true\nmr_auto_merge: false\n');
+    const projectConfig = loadProjectConfig(dir);
+    assert.strictEqual(projectConfig.mrDraftUnverified, true);
+    assert.strictEqual(projectConfig.mrAutoMerge, false);
+
+    fs.writeFileSync(path.join(dir, '.gbos.yml'), 'mr_auto_merge: yes please\n');
+    assert.throws(() => loadProjectConfig(dir), /"mr_auto_merge" must be true or false/);
+  });
+});
+
+describe('Re-running a task with an open pull request', () => {
+  let fake;
+  let root;
+  let repo;
+  let firstSha;
+  const saved = {};
+
+  before(async () => {
+    for (const key of ['GITEA_URL', 'GITEA_TOKEN', 'GBOS_CONFIG_DIR']) saved[key] = process.env[key];
+    process.env.GIT_AUTHOR_NAME = process.env.GIT_COMMITTER_NAME = 'GBOS Test';
+    process.env.GIT_AUTHOR_EMAIL = process.env.GIT_COMMITTER_EMAIL = 'test@gbos.test';
+
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'gbos-gitea-'));
+    repo = path.join(root, 'repo');
+    sh(['init', '--quiet', repo], root);
+    fs.writeFileSync(path.join(repo, 'login.js'), 'v1\n');
+    sh(['add', '-A'], repo);
+    sh(['commit', '--quiet', '-m', 'Complete task: Add login'], repo);
+    firstSha = sh(['rev-parse', 'HEAD'], repo);
+    fs.writeFileSync(path.join(repo, 'login.js'), 'v2\n');
+    sh(['commit', '--quiet', '-am', 'Complete task: Add login (run 2)'], repo);
+
+    fake = await startFakeGitea({
+      'GET /api/v1/repos/team/app/pulls?state=open&limit=50': [200, [
+        { ...PULL, number: 3, head: { ref: 'task/T-9-other', sha: 'f00' } },
+        { ...PULL, head: { ...PULL.head, sha: firstSha } },
+      ]],
+      'PATCH /api/v1/repos/team/app/pulls/7': [201, { ...PULL, title: '[T-1] Add login' }],
+      'POST /api/v1/repos/team/app/issues/7/comments': [201, { id: 1 }],
+    });
+    sh(['remote', 'add', 'origin', `${fake.url}/team/app.git`], repo);
+    process.env.GITEA_URL = fake.url;
+    process.env.GITEA_TOKEN = 'gitea-token';
+    process.env.GBOS_CONFIG_DIR = path.join(root, 'config');
+  });
+
+  after(() => {
+    fake.server.close();
+    fs.rmSync(root, { recursive: true, force: true });
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key]; else process.env[key] = value;
+    }
+  });
+
+  it('should update the open pull request and comment with the new commits and checks', async () => {
+    const git = new GitManager(repo, { pushBranch: 'task/T-1-add-login' });
+    const verification = {
+      linting: { passed: true, command: 'npm run lint', durationMs: 2100 },
+      formatting: { passed: true, command: null, durationMs: 0 },
+      unitTests: { passed: false, command: 'npm test', durationMs: 12000 },
+      typeCheck: null,
+      overall: { passed: false, summary: 'Verification failed: critical tests did not pass' },
+    };
+
+    const result = await git.addMergeRequest({ committed: true, pushed: true }, 'Complete task: Add login', {
+      id: 1,
+      task_key: 'T-1',
+      title: 'Add login',
+    }, { verification });
+
+    assert.strictEqual(result.mergeRequest.url, PULL.html_url);
+    assert.strictEqual(result.mergeRequest.updated, true);
+    assert.match(result.message, /MR updated/);
+    assert.deepStrictEqual(fake.requests.map(r => `${r.method} ${r.url}`), [
+      'GET /api/v1/repos/team/app/pulls?state=open&limit=50',
+      'PATCH /api/v1/repos/team/app/pulls/7',
+      'POST /api/v1/repos/team/app/issues/7/comments',
+    ]);
+    assert.strictEqual(fake.requests[1].body.title, '[T-1] Add login');
+    assert.match(fake.requests[1].body.body, /\*\*Key:\*\* T-1/);
+
+    const note = fake.requests[2].body.body;
+    assert.match(note, /Complete task: Add login \(run 2\)/);
+    assert.doesNotMatch(note, new RegExp(firstSha.slice(0, 7)));
+    assert.match(note, /\| lint \| passed \| 2\.1s \|/);
+    assert.match(note, /\| format \| skipped \| {2}\|/);
+    assert.match(note, /\| test \| failed \| 12\.0s \|/);
+    assert.doesNotMatch(note, /typecheck/);
+  });
+});
@@ -0,0 +1,319 @@
+/**
+ * GitHub Host
+ * github.com or GitHub Enterprise Server through the REST API. The token comes
+ * from GITHUB_TOKEN / GH_TOKEN, or the one `gbos repo auth --provider github`
+ * stored for the active profile.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const credentials = require('../credentials');
+const { getKeychainAccount } = require('../gitlab');
+const BaseGitHost = require('./base-host');
+const { GitHostError, setupGitCredentials, removeGitCredentials } = BaseGitHost;
+
+const DEFAULT_GITHUB_HOST = 'https://github.com';
+const KEYCHAIN_SERVICE = 'gbos-cli-github';
+const getGitHubConfigFile = () => config.getProfilePath('github.json');
+
+// Statuses of GitHub Actions runs still in progress
+const ACTIVE_RUN_STATUSES = ['queued', 'in_progress', 'waiting', 'requested', 'pending'];
+
+// Conclusions of finished runs mapped onto the shared statuses
+const RUN_CONCLUSIONS = {
+  success: 'success',
+  neutral: 'success',
+  skipped: 'canceled',
+  cancelled: 'canceled',
+  failure: 'failed',
+  timed_out: 'failed',
+  action_required: 'failed',
+  startup_failure: 'failed',
+};
+
+function loadGitHubConfig() {
+  try {
+    return JSON.parse(fs.readFileSync(getGitHubConfigFile(), 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+// GitHub host: GITHUB_URL, then the host the token was stored for
+function getGitHubHost() {
+  return process.env.GITHUB_URL || loadGitHubConfig()?.host || DEFAULT_GITHUB_HOST;
+}
+
+// Path of a repository in the API, e.g. /repos/owner/repo
+function repoPath(projectPath) {
+  return `/repos/${projectPath.split('/').map(encodeURIComponent).join('/')}`;
+}
+
+class GitHubHost extends BaseGitHost {
+  constructor(options = {}) {
+    super({ ...options, host: options.host || getGitHubHost() });
+    this.name = 'github';
+    this.displayName = 'GitHub';
+    this.mergeRequestName = 'pull request';
+  }
+
+  get apiUrl() {
+    // Enterprise Server serves the API under /api/v3 of the instance
+    return new URL(this.host).hostname === 'github.com' ? 'https://api.github.com' : `${this.host}/api/v3`;
+  }
+
+  get graphqlUrl() {
+    return new URL(this.host).hostname === 'github.com' ? 'https://api.github.com/graphql' : `${this.host}/api/graphql`;
+  }
+
+  getAuthHeaders() {
+    return {
+      Authorization: `Bearer ${this.token}`,
+      Accept: 'application/vnd.github+json',
+      'X-GitHub-Api-Version': '2022-11-28',
+      'User-Agent': 'gbos-cli',
+    };
+  }
+
+  async getToken() {
+    if (process.env.GITHUB_TOKEN || process.env.GH_TOKEN) {
+      return process.env.GITHUB_TOKEN || process.env.GH_TOKEN;
+    }
+
+    const githubConfig = loadGitHubConfig();
+    if (githubConfig?.token_store) {
+      const token = credentials.retrieve(KEYCHAIN_SERVICE, getKeychainAccount(), githubConfig.token_store);
+      if (token) return token;
+    }
+    return githubConfig?.token || null;
+  }
+
+  getErrorMessage(body) {
+    // Validation errors: { message: 'Validation Failed', errors: [{ message }] }
+    const details = (body?.errors || []).map(e => e.message || [e.field, e.code].filter(Boolean).join(' ')).filter(Boolean);
+    if (body?.message && details.length > 0) {
+      return `${body.message}: ${details.join('; ')}`;
+    }
+    return super.getErrorMessage(body);
+  }
+
+  normalizeProject(repo) {
+    return {
+      id: repo.id,
+      name: repo.name,
+      path: repo.full_name,
+      description: repo.description || '',
+      visibility: repo.visibility || (repo.private ? 'private' : 'public'),
+      defaultBranch: repo.default_branch || null,
+      webUrl: repo.html_url,
+      httpUrl: repo.clone_url,
+      sshUrl: repo.ssh_url,
+    };
+  }
+
+  normalizeMergeRequest(pr) {
+    return {
+      id: pr.number,
+      url: pr.html_url,
+      title: pr.title,
+      sourceBranch: pr.head?.ref || null,
+      targetBranch: pr.base?.ref || null,
+      sha: pr.head?.sha || null,
+      draft: !!pr.draft,
+    };
+  }
+
+  /**
+   * Run a GraphQL query; draft state and auto-merge have no REST endpoint
+   * @returns {Promise<Object>} data
+   */
+  async graphql(query, variables = {}) {
+    const body = await this.request('POST', this.graphqlUrl, { query, variables });
+    if (body?.errors?.length) {
+      throw new GitHostError(body.errors.map(e => e.message).join('; '), { provider: this.name });
+    }
+    return body?.data || null;
+  }
+
+  async getCurrentUser() {
+    const user = await this.request('GET', '/user');
+    return { username: user.login, name: user.name || null, email: user.email || null };
+  }
+
+  async getProject(projectPath) {
+    return this.normalizeProject(await this.request('GET', repoPath(projectPath)));
+  }
+
+  async createRepo(name, options = {}) {
+    // owner/name creates the repository in an organization
+    const [org, repoName] = name.includes('/') ? name.split('/', 2) : [null, name];
+    const repo = await this.request('POST', org ? `/orgs/${encodeURIComponent(org)}/repos` : '/user/repos', {
+      name: repoName,
+      description: options.description || '',
+      private: (options.visibility || 'private') !== 'public',
+      auto_init: options.initializeWithReadme || false,
+    });
+    return this.normalizeProject(repo);
+  }
+
+  async listRepos(options = {}) {
+    const params = new URLSearchParams({
+      per_page: '100',
+      sort: 'updated',
+      affiliation: options.all ? 'owner,collaborator,organization_member' : 'owner',
+    });
+    const repos = (await this.request('GET', `/user/repos?${params}`)).map(repo => this.normalizeProject(repo));
+
+    if (!options.search) return repos.slice(0, 50);
+    const search = options.search.toLowerCase();
+    return repos.filter(repo => repo.path.toLowerCase().includes(search)).slice(0, 50);
+  }
+
+  async createMergeRequest(projectPath, options = {}) {
+    const create = draft => this.request('POST', `${repoPath(projectPath)}/pulls`, {
+      title: options.title,
+      head: options.sourceBranch,
+      base: options.targetBranch || 'main',
+      body: options.description || '',
+      draft,
+    });
+
+    const warnings = [];
+    let pr;
+    try {
+      pr = await create(!!options.draft);
+    } catch (e) {
+      // Private repositories on free plans cannot have draft pull requests
+      if (!options.draft || e.status !== 422 || !/draft/i.test(e.message)) throw e;
+      warnings.push(`Opened as ready for review: ${e.message}`);
+      pr = await create(false);
+    }
+
+    warnings.push(...await this.applyMergeRequestMetadata(projectPath, pr.number, options));
+    return { ...this.normalizeMergeRequest(pr), warnings };
+  }
+
+  async findMergeRequest(projectPath, options = {}) {
+    // head takes owner:branch; task branches live in the repository itself
+    const owner = projectPath.split('/')[0];
+    const params = new URLSearchParams({ state: 'open', head: `${owner}:${options.sourceBranch}` });
+    const [pr] = await this.request('GET', `${repoPath(projectPath)}/pulls?${params}`);
+    return pr ? this.normalizeMergeRequest(pr) : null;
+  }
+
+  async updateMergeRequest(projectPath, id, options = {}) {
+    const pr = await this.request('PATCH', `${repoPath(projectPath)}/pulls/${id}`, {
+      title: options.title,
+      body: options.description,
+    });
+
+    const warnings = [];
+    if (options.draft !== undefined && !!pr.draft !== options.draft) {
+      const mutation = options.draft ? 'convertPullRequestToDraft' : 'markPullRequestReadyForReview';
+      try {
+        await this.graphql(`mutation($id: ID!) { ${mutation}(input: { pullRequestId: $id }) { clientMutationId } }`, { id: pr.node_id });
+        pr.draft = options.draft;
+      } catch (e) {
+        warnings.push(`Could not mark the pull request ${options.draft ? 'draft' : 'ready for review'}: ${e.message}`);
+      }
+    }
+
+    warnings.push(...await this.applyMergeRequestMetadata(projectPath, id, options));
+    return { ...this.normalizeMergeRequest(pr), warnings };
+  }
+
+  async enableAutoMerge(projectPath, id) {
+    // Needs "Allow auto-merge" in the repository settings and a protected base branch
+    const pr = await this.request('GET', `${repoPath(projectPath)}/pulls/${id}`);
+    await this.graphql(
+      'mutation($id: ID!) { enablePullRequestAutoMerge(input: { pullRequestId: $id }) { clientMutationId } }',
+      { id: pr.node_id }
+    );
+  }
+
+  async addMergeRequestNote(projectPath, id, body) {
+    // Pull requests share the issue comment thread
+    await this.request('POST', `${repoPath(projectPath)}/issues/${id}/comments`, { body });
+  }
+
+  /**
+   * Add labels, assignees and requested reviewers to a pull request. They are
+   * set after the pull request exists, so failures become warnings.
+   * @returns {Promise<string[]>} Warnings
+   */
+  async applyMergeRequestMetadata(projectPath, number, options = {}) {
+    const warnings = [];
+    const steps = [
+      ['labels', () => this.request('POST', `${repoPath(projectPath)}/issues/${number}/labels`, { labels: options.labels })],
+      ['assignees', () => this.request('POST', `${repoPath(projectPath)}/issues/${number}/assignees`, { assignees: options.assignees })],
+      ['reviewers', () => this.request('POST', `${repoPath(projectPath)}/pulls/${number}/requested_reviewers`, { reviewers: options.reviewers })],
+    ];
+
+    for (const [key, apply] of steps) {
+      if (!options[key]?.length) continue;
+      try {
+        await apply();
+      } catch (e) {
+        warnings.push(`Could not set ${key} (${options[key].join(', ')}): ${e.message}`);
+      }
+    }
+    return warnings;
+  }
+
+  async getPipelineStatus(projectPath, ref) {
+    // A branch name or a commit SHA
+    const filter = /^[0-9a-f]{40}$/i.test(ref) ? 'head_sha' : 'branch';
+    const params = new URLSearchParams({ [filter]: ref, per_page: '1' });
+    const { workflow_runs: [run] = [] } = await this.request('GET', `${repoPath(projectPath)}/actions/runs?${params}`);
+    if (!run) {
+      return { status: 'none', ref, sha: null, url: null };
+    }
+
+    let status;
+    if (ACTIVE_RUN_STATUSES.includes(run.status)) {
+      status = run.status === 'in_progress' ? 'running' : 'pending';
+    } else {
+      status = RUN_CONCLUSIONS[run.conclusion] || 'failed';
+    }
+    return { status, ref: run.head_branch || ref, sha: run.head_sha, url: run.html_url };
+  }
+
+  async storeToken(token) {
+    this.token = token;
+    let user;
+    try {
+      user = await this.getCurrentUser();
+    } catch (e) {
+      this.token = null;
+      throw new GitHostError(`Token validation failed: ${e.message}`, { provider: this.name, status: e.status });
+    }
+
+    // Keychain, libsecret or encrypted file; "file" means the config file keeps it
+    const tokenStore = credentials.store(KEYCHAIN_SERVICE, getKeychainAccount(), token);
+
+    fs.mkdirSync(path.dirname(getGitHubConfigFile()), { recursive: true });
+    fs.writeFileSync(getGitHubConfigFile(), JSON.stringify({
+      ...(tokenStore === 'file' ? { token } : { token_store: tokenStore }),
+      host: this.host,
+      user: user.username,
+      storedAt: new Date().toISOString(),
+    }, null, 2), { mode: 0o600 });
+
+    await setupGitCredentials(this.host, token, user.username);
+    return user;
+  }
+
+  async deleteToken() {
+    credentials.remove(KEYCHAIN_SERVICE, getKeychainAccount());
+    fs.rmSync(getGitHubConfigFile(), { force: true });
+    await removeGitCredentials(this.host);
+    this.token = null;
+  }
+}
+
+module.exports = GitHubHost;
+module.exports.DEFAULT_GITHUB_HOST = DEFAULT_GITHUB_HOST;
+module.exports.KEYCHAIN_SERVICE = KEYCHAIN_SERVICE;
+module.exports.getGitHubHost = getGitHubHost;
+module.exports.getGitHubConfigFile = getGitHubConfigFile;
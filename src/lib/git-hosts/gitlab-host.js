@@ -0,0 +1,222 @@
+/**
+ * GitLab Host
+ * GitLab (gitlab.com or self-managed) through the v4 API. Tokens are the ones
+ * `gbos gitlab auth` stores.
+ */
+
+const BaseGitHost = require('./base-host');
+const { createGitLabService } = require('../gitlab');
+
+// GitLab pipeline statuses mapped onto the shared ones
+const PIPELINE_STATUSES = {
+  success: 'success',
+  failed: 'failed',
+  canceled: 'canceled',
+  skipped: 'canceled',
+  running: 'running',
+};
+
+// Title prefixes GitLab reads as draft
+const DRAFT_PREFIX = /^\s*(\[draft\]|\(draft\)|draft:|draft\s+-|wip:)\s*/i;
+
+/**
+ * Title with or without the Draft: prefix (unchanged when draft is undefined)
+ */
+function draftTitle(title, draft) {
+  if (draft === undefined || !title) return title;
+  const bare = title.replace(DRAFT_PREFIX, '');
+  return draft ? `Draft: ${bare}` : bare;
+}
+
+class GitLabHost extends BaseGitHost {
+  constructor(options = {}) {
+    super(options);
+    this.name = 'gitlab';
+    this.displayName = 'GitLab';
+    this.mergeRequestName = 'merge request';
+    this.service = createGitLabService(this.host ? { host: this.host } : {});
+    this.host = this.service.host.replace(/\/+$/, '');
+  }
+
+  get apiUrl() {
+    return `${this.host}/api/v4`;
+  }
+
+  getAuthHeaders() {
+    return { 'PRIVATE-TOKEN': this.token };
+  }
+
+  async getToken() {
+    return this.service.getToken();
+  }
+
+  getAuthHint() {
+    return 'gbos gitlab auth --token <token>';
+  }
+
+  getErrorMessage(body) {
+    // Validation errors come as { message: { name: ['has already been taken'] } }
+    if (body?.message && typeof body.message === 'object') {
+      return Object.entries(body.message)
+        .map(([field, errors]) => `${field} ${[].concat(errors).join(', ')}`)
+        .join('; ');
+    }
+    return super.getErrorMessage(body);
+  }
+
+  normalizeProject(project) {
+    return {
+      id: project.id,
+      name: project.name,
+      path: project.path_with_namespace,
+      description: project.description || '',
+      visibility: project.visibility,
+      defaultBranch: project.default_branch || null,
+      webUrl: project.web_url,
+      httpUrl: project.http_url_to_repo,
+      sshUrl: project.ssh_url_to_repo,
+    };
+  }
+
+  normalizeMergeRequest(mr) {
+    return {
+      id: mr.iid,
+      url: mr.web_url,
+      title: mr.title,
+      sourceBranch: mr.source_branch,
+      targetBranch: mr.target_branch,
+      sha: mr.sha || null,
+      draft: !!(mr.draft ?? mr.work_in_progress),
+    };
+  }
+
+  async getCurrentUser() {
+    const user = await this.request('GET', '/user');
+    return { username: user.username, name: user.name || null, email: user.email || null };
+  }
+
+  async getProject(projectPath) {
+    return this.normalizeProject(await this.request('GET', `/projects/${encodeURIComponent(projectPath)}`));
+  }
+
+  async createRepo(name, options = {}) {
+    const [namespace, repoName] = name.includes('/')
+      ? [name.slice(0, name.lastIndexOf('/')), name.slice(name.lastIndexOf('/') + 1)]
+      : [null, name];
+
+    let namespaceId;
+    if (namespace) {
+      const group = await this.request('GET', `/namespaces/${encodeURIComponent(namespace)}`);
+      namespaceId = group.id;
+    }
+
+    const project = await this.request('POST', '/projects', {
+      name: repoName,
+      namespace_id: namespaceId,
+      visibility: options.visibility || 'private',
+      description: options.description || '',
+      initialize_with_readme: options.initializeWithReadme || false,
+    });
+    return this.normalizeProject(project);
+  }
+
+  async listRepos(options = {}) {
+    const params = new URLSearchParams({ per_page: '50', order_by: 'last_activity_at' });
+    if (!options.all) params.set('owned', 'true');
+    if (options.search) params.set('search', options.search);
+    if (options.all && !options.search) params.set('membership', 'true');
+    const projects = await this.request('GET', `/projects?${params}`);
+    return projects.map(project => this.normalizeProject(project));
+  }
+
+  /**
+   * IDs of GitLab users by username; unknown ones are noted in warnings
+   * @returns {Promise<number[]|undefined>} undefined when no usernames were given
+   */
+  async getUserIds(usernames = [], warnings = []) {
+    if (usernames.length === 0) return undefined;
+    const ids = [];
+    for (const username of usernames) {
+      const [user] = await this.request('GET', `/users?${new URLSearchParams({ username })}`);
+      if (user) {
+        ids.push(user.id);
+      } else {
+        warnings.push(`Unknown GitLab user "${username}"`);
+      }
+    }
+    return ids;
+  }
+
+  async createMergeRequest(projectPath, options = {}) {
+    const warnings = [];
+    const mr = await this.request('POST', `/projects/${encodeURIComponent(projectPath)}/merge_requests`, {
+      source_branch: options.sourceBranch,
+      target_branch: options.targetBranch || 'main',
+      title: draftTitle(options.title, options.draft || false),
+      description: options.description || '',
+      remove_source_branch: options.removeSourceBranch !== false,
+      labels: options.labels?.length ? options.labels.join(',') : undefined,
+      assignee_ids: await this.getUserIds(options.assignees, warnings),
+      reviewer_ids: await this.getUserIds(options.reviewers, warnings),
+    });
+
+    return { ...this.normalizeMergeRequest(mr), warnings };
+  }
+
+  async findMergeRequest(projectPath, options = {}) {
+    const params = new URLSearchParams({ state: 'opened', source_branch: options.sourceBranch });
+    const [mr] = await this.request('GET', `/projects/${encodeURIComponent(projectPath)}/merge_requests?${params}`);
+    return mr ? this.normalizeMergeRequest(mr) : null;
+  }
+
+  async updateMergeRequest(projectPath, id, options = {}) {
+    const warnings = [];
+    const mr = await this.request('PUT', `/projects/${encodeURIComponent(projectPath)}/merge_requests/${id}`, {
+      title: draftTitle(options.title, options.draft),
+      description: options.description,
+      add_labels: options.labels?.length ? options.labels.join(',') : undefined,
+      assignee_ids: await this.getUserIds(options.assignees, warnings),
+      reviewer_ids: await this.getUserIds(options.reviewers, warnings),
+    });
+    return { ...this.normalizeMergeRequest(mr), warnings };
+  }
+
+  async enableAutoMerge(projectPath, id) {
+    // auto_merge replaces merge_when_pipeline_succeeds from GitLab 17; older versions ignore it
+    await this.request('PUT', `/projects/${encodeURIComponent(projectPath)}/merge_requests/${id}/merge`, {
+      merge_when_pipeline_succeeds: true,
+      auto_merge: true,
+    });
+  }
+
+  async addMergeRequestNote(projectPath, id, body) {
+    await this.request('POST', `/projects/${encodeURIComponent(projectPath)}/merge_requests/${id}/notes`, { body });
+  }
+
+  async getPipelineStatus(projectPath, ref) {
+    const params = new URLSearchParams({ ref, per_page: '1', order_by: 'id', sort: 'desc' });
+    const [pipeline] = await this.request('GET', `/projects/${encodeURIComponent(projectPath)}/pipelines?${params}`);
+    if (!pipeline) {
+      return { status: 'none', ref, sha: null, url: null };
+    }
+    return {
+      status: PIPELINE_STATUSES[pipeline.status] || 'pending',
+      ref: pipeline.ref,
+      sha: pipeline.sha,
+      url: pipeline.web_url,
+    };
+  }
+
+  async storeToken(token) {
+    const user = await this.service.storeToken(token);
+    this.token = token;
+    return { username: user.username, name: user.name || null, email: user.email || null };
+  }
+
+  async deleteToken() {
+    await this.service.deleteToken();
+    this.token = null;
+  }
+}
+
+module.exports = GitLabHost;
@@ -0,0 +1,101 @@
+/**
+ * Git Hosts Index
+ * Picks the git hosting provider for a repository from its remote URL.
+ *
+ * A remote on github.com (or on the GitHub Enterprise host in GITHUB_URL)
+ * goes to GitHub, one on the configured Gitea/Forgejo host to Gitea; anything
+ * else to the configured GitLab host. Tokens are only ever sent to the host
+ * they were configured for.
+ */
+
+const fs = require('fs');
+const config = require('../config');
+const { getGitLabHost, getGitLabConfigFile } = require('../gitlab');
+const BaseGitHost = require('./base-host');
+const GitLabHost = require('./gitlab-host');
+const GitHubHost = require('./github-host');
+const GiteaHost = require('./gitea-host');
+const { parseRemoteUrl, GitHostError } = BaseGitHost;
+
+const PROVIDERS = {
+  gitlab: GitLabHost,
+  github: GitHubHost,
+  gitea: GiteaHost,
+};
+
+const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+// GitLab host: the one `gbos gitlab auth` stored, the session's, then GITLAB_URL / the profile's
+function getConfiguredGitLabHost() {
+  try {
+    const gitlabConfig = JSON.parse(fs.readFileSync(getGitLabConfigFile(), 'utf8'));
+    if (gitlabConfig.host) return gitlabConfig.host;
+  } catch (e) {
+    // Not authenticated with GitLab yet
+  }
+  return config.loadSession()?.gitlab_url || getGitLabHost();
+}
+
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Provider of a remote URL
+ * @param {string} remoteUrl
+ * @returns {string|null} gitlab, github or gitea, null when the URL cannot be parsed
+ */
+function detectProvider(remoteUrl) {
+  const remote = parseRemoteUrl(remoteUrl);
+  if (!remote) return null;
+
+  const hostname = remote.host.split(':')[0];
+  const githubHosts = ['github.com', hostnameOf(GitHubHost.getGitHubHost())];
+  if (githubHosts.includes(hostname)) return 'github';
+  const giteaHost = GiteaHost.getGiteaHost();
+  if (giteaHost && hostnameOf(giteaHost) === hostname) return 'gitea';
+  return 'gitlab';
+}
+
+/**
+ * Project path (group/project, owner/repo) of a remote URL
+ * @param {string} remoteUrl
+ * @returns {string|null}
+ */
+function extractProjectPath(remoteUrl) {
+  return parseRemoteUrl(remoteUrl)?.projectPath || null;
+}
+
+/**
+ * Provider for a repository
+ * @param {Object} options - { provider: force one, remoteUrl: detect from it, host, token }
+ * @returns {BaseGitHost}
+ */
+function getGitHost(options = {}) {
+  const name = options.provider || detectProvider(options.remoteUrl) || 'gitlab';
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new GitHostError(`Unknown git host provider "${name}" (use ${PROVIDER_NAMES.join(', ')})`);
+  }
+
+  const host = options.host || (name === 'gitlab' ? getConfiguredGitLabHost() : null);
+  return new Provider({ host, token: options.token });
+}
+
+module.exports = {
+  PROVIDERS,
+  PROVIDER_NAMES,
+  BaseGitHost,
+  GitLabHost,
+  GitHubHost,
+  GiteaHost,
+  GitHostError,
+  parseRemoteUrl,
+  extractProjectPath,
+  detectProvider,
+  getGitHost,
+};
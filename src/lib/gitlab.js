@@ -5,30 +5,30 @@
 
 const fs = require('fs');
 const path = require('path');
-const os = require('os');
-const { exec } = require('child_process');
-const { promisify } = require('util');
 const config = require('./config');
-
-const execAsync = promisify(exec);
+const credentials = require('./credentials');
+const { git } = require('./process');
+const { parseRemoteUrl, setupGitCredentials, removeGitCredentials } = require('./git-hosts/base-host');
 
 // GitLab configuration
-const GITLAB_HOST = process.env.GITLAB_URL || 'https://git.gbos.io';
-const GITLAB_CONFIG_FILE = path.join(os.homedir(), '.gbos', 'gitlab.json');
+const DEFAULT_GITLAB_HOST = 'https://git.gbos.io';
+const getGitLabConfigFile = () => config.getProfilePath('gitlab.json');
 const KEYCHAIN_SERVICE = 'gbos-cli-gitlab';
-const KEYCHAIN_ACCOUNT = 'token';
-
-// Try to load keytar for secure storage
-let keytar = null;
-try {
-  keytar = require('keytar');
-} catch (e) {
-  // keytar not available, will use file-based storage
+
+// GitLab host: GITLAB_URL, then the active profile's gitlab_url
+function getGitLabHost() {
+  return process.env.GITLAB_URL || config.getProfile().gitlab_url || DEFAULT_GITLAB_HOST;
+}
+
+// Credential store entry of the active profile (the default profile keeps the original one)
+function getKeychainAccount() {
+  const profile = config.getActiveProfileName();
+  return profile === config.DEFAULT_PROFILE ? 'token' : `token:${profile}`;
 }
 
 class GitLabService {
   constructor(options = {}) {
-    this.host = options.host || GITLAB_HOST;
+    this.host = options.host || getGitLabHost();
     this.token = null;
     this.user = null;
   }
@@ -72,20 +72,14 @@ class GitLabService {
       return session.gitlab_token;
     }
 
-    // 3. System keychain (if keytar available)
-    if (keytar) {
-      try {
-        const token = await keytar.getPassword(KEYCHAIN_SERVICE, KEYCHAIN_ACCOUNT);
-        if (token) return token;
-      } catch (e) {
-        // Keychain access failed
-      }
-    }
-
-    // 4. GitLab config file
+    // 3. GitLab config file, pointing at the credential store or (last resort) holding the token
     try {
-      if (fs.existsSync(GITLAB_CONFIG_FILE)) {
-        const gitlabConfig = JSON.parse(fs.readFileSync(GITLAB_CONFIG_FILE, 'utf8'));
+      if (fs.existsSync(getGitLabConfigFile())) {
+        const gitlabConfig = JSON.parse(fs.readFileSync(getGitLabConfigFile(), 'utf8'));
+        if (gitlabConfig.token_store) {
+          const token = credentials.retrieve(KEYCHAIN_SERVICE, getKeychainAccount(), gitlabConfig.token_store);
+          if (token) return token;
+        }
         if (gitlabConfig.token) return gitlabConfig.token;
       }
     } catch (e) {
@@ -116,29 +110,22 @@ class GitLabService {
       throw new Error(`Token validation failed: ${e.message}`);
     }
 
-    // Store in keychain if available
-    if (keytar) {
-      try {
-        await keytar.setPassword(KEYCHAIN_SERVICE, KEYCHAIN_ACCOUNT, token);
-      } catch (e) {
-        // Fall back to file storage
-      }
-    }
+    // Keychain, libsecret or encrypted file; "file" means the config file keeps it
+    const tokenStore = credentials.store(KEYCHAIN_SERVICE, getKeychainAccount(), token);
 
-    // Also store in config file as backup
-    const dir = path.dirname(GITLAB_CONFIG_FILE);
+    const dir = path.dirname(getGitLabConfigFile());
     if (!fs.existsSync(dir)) {
       fs.mkdirSync(dir, { recursive: true });
     }
 
     const gitlabConfig = {
-      token,
+      ...(tokenStore === 'file' ? { token } : { token_store: tokenStore }),
       host: this.host,
       user: this.user?.username,
       storedAt: new Date().toISOString(),
     };
 
-    fs.writeFileSync(GITLAB_CONFIG_FILE, JSON.stringify(gitlabConfig, null, 2), {
+    fs.writeFileSync(getGitLabConfigFile(), JSON.stringify(gitlabConfig, null, 2), {
       mode: 0o600, // Restrict permissions
     });
 
@@ -152,16 +139,10 @@ class GitLabService {
    * Delete stored token
    */
   async deleteToken() {
-    if (keytar) {
-      try {
-        await keytar.deletePassword(KEYCHAIN_SERVICE, KEYCHAIN_ACCOUNT);
-      } catch (e) {
-        // Ignore
-      }
-    }
+    credentials.remove(KEYCHAIN_SERVICE, getKeychainAccount());
 
-    if (fs.existsSync(GITLAB_CONFIG_FILE)) {
-      fs.unlinkSync(GITLAB_CONFIG_FILE);
+    if (fs.existsSync(getGitLabConfigFile())) {
+      fs.unlinkSync(getGitLabConfigFile());
     }
 
     // Remove git credentials
@@ -175,54 +156,14 @@ class GitLabService {
    * Setup git credentials for seamless git operations
    */
   async setupGitCredentials(token) {
-    const url = new URL(this.host);
-    const gitLabHost = url.host;
-
-    // Configure git credential helper
-    try {
-      await execAsync(`git config --global credential.https://${gitLabHost}.helper store`);
-    } catch (e) {
-      // May fail if git not configured
-    }
-
-    // Create/update credentials file
-    const credentialsPath = path.join(os.homedir(), '.git-credentials');
-    let credentials = '';
-
-    if (fs.existsSync(credentialsPath)) {
-      credentials = fs.readFileSync(credentialsPath, 'utf8');
-      // Remove existing entry for this host
-      credentials = credentials
-        .split('\n')
-        .filter(line => !line.includes(gitLabHost))
-        .join('\n');
-    }
-
-    // Add new credential
-    credentials = credentials.trim();
-    if (credentials) credentials += '\n';
-    credentials += `https://oauth2:${token}@${gitLabHost}\n`;
-
-    fs.writeFileSync(credentialsPath, credentials, { mode: 0o600 });
+    await setupGitCredentials(this.host, token);
   }
 
   /**
    * Remove git credentials
    */
   async removeGitCredentials() {
-    const url = new URL(this.host);
-    const gitLabHost = url.host;
-
-    const credentialsPath = path.join(os.homedir(), '.git-credentials');
-
-    if (fs.existsSync(credentialsPath)) {
-      let credentials = fs.readFileSync(credentialsPath, 'utf8');
-      credentials = credentials
-        .split('\n')
-        .filter(line => !line.includes(gitLabHost))
-        .join('\n');
-      fs.writeFileSync(credentialsPath, credentials, { mode: 0o600 });
-    }
+    await removeGitCredentials(this.host);
   }
 
   /**
@@ -360,19 +301,7 @@ class GitLabService {
    * Extract project path from URL
    */
   extractProjectPath(repoUrl) {
-    // Handle SSH URLs: git@gitlab.com:group/project.git
-    let match = repoUrl.match(/@[^:]+:(.+?)(?:\.git)?$/);
-    if (match) {
-      return match[1];
-    }
-
-    // Handle HTTPS URLs: https://gitlab.com/group/project.git
-    match = repoUrl.match(/https?:\/\/[^\/]+\/(.+?)(?:\.git)?$/);
-    if (match) {
-      return match[1];
-    }
-
-    return null;
+    return parseRemoteUrl(repoUrl)?.projectPath || null;
   }
 
   /**
@@ -387,7 +316,7 @@ class GitLabService {
     // Use authenticated URL
     const cloneUrl = this.getCloneUrl(projectPath);
 
-    await execAsync(`git clone ${cloneUrl} "${targetDir}"`);
+    await git(['clone', '--', cloneUrl, targetDir]);
 
     return targetDir;
   }
@@ -399,7 +328,7 @@ class GitLabService {
     // Check if already a git repo
     let isGitRepo = false;
     try {
-      await execAsync('git rev-parse --is-inside-work-tree', { cwd: dir });
+      await git(['rev-parse', '--is-inside-work-tree'], { cwd: dir });
       isGitRepo = true;
     } catch (e) {
       isGitRepo = false;
@@ -407,7 +336,7 @@ class GitLabService {
 
     // Initialize if needed
     if (!isGitRepo) {
-      await execAsync('git init', { cwd: dir });
+      await git(['init'], { cwd: dir });
     }
 
     // Create project on GitLab if doesn't exist
@@ -427,7 +356,7 @@ class GitLabService {
     // Check if remote exists
     let hasRemote = false;
     try {
-      await execAsync('git remote get-url origin', { cwd: dir });
+      await git(['remote', 'get-url', 'origin'], { cwd: dir });
       hasRemote = true;
     } catch (e) {
       hasRemote = false;
@@ -436,19 +365,19 @@ class GitLabService {
     // Add or update remote
     const remoteUrl = this.getPublicCloneUrl(project.path_with_namespace);
     if (hasRemote) {
-      await execAsync(`git remote set-url origin ${remoteUrl}`, { cwd: dir });
+      await git(['remote', 'set-url', 'origin', remoteUrl], { cwd: dir });
     } else {
-      await execAsync(`git remote add origin ${remoteUrl}`, { cwd: dir });
+      await git(['remote', 'add', 'origin', remoteUrl], { cwd: dir });
     }
 
     // Initial commit if needed
     try {
-      await execAsync('git rev-parse HEAD', { cwd: dir });
+      await git(['rev-parse', 'HEAD'], { cwd: dir });
     } catch (e) {
       // No commits yet
       try {
-        await execAsync('git add -A', { cwd: dir });
-        await execAsync('git commit -m "Initial commit from GBOS CLI" --allow-empty', { cwd: dir });
+        await git(['add', '-A'], { cwd: dir });
+        await git(['commit', '-m', 'Initial commit from GBOS CLI', '--allow-empty'], { cwd: dir });
       } catch (commitErr) {
         // May fail if nothing to commit
       }
@@ -456,14 +385,14 @@ class GitLabService {
 
     // Ensure main branch
     try {
-      await execAsync('git branch -M main', { cwd: dir });
+      await git(['branch', '-M', 'main'], { cwd: dir });
     } catch (e) {
       // May already be on main
     }
 
     // Push to remote
     try {
-      await execAsync('git push -u origin main', { cwd: dir });
+      await git(['push', '-u', 'origin', 'main'], { cwd: dir });
     } catch (e) {
       // May fail if already pushed or conflicts
     }
@@ -497,6 +426,9 @@ module.exports = {
   GitLabService,
   getGitLabService,
   createGitLabService,
-  GITLAB_HOST,
-  GITLAB_CONFIG_FILE,
+  DEFAULT_GITLAB_HOST,
+  getGitLabHost,
+  getGitLabConfigFile,
+  getKeychainAccount,
+  KEYCHAIN_SERVICE,
 };
@@ -0,0 +1,277 @@
+/**
+ * Metrics
+ * Counts what orchestrator runs do and renders it in the Prometheus text
+ * format, so unattended nodes can be scraped and alerted on.
+ *
+ * Counters start at zero when the process starts (Prometheus handles the
+ * reset); only the time of the last finished task is seeded from run files.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const { StateMachine, STATES, getRunsDir } = require('../orchestrator/state-machine');
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Run files checked for the last finished task on startup
+const SEED_RUN_FILES = 20;
+
+/**
+ * Escape a label value
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Render `name{a="1",b="2"} value`
+ */
+function formatSample(name, labels, value) {
+  const entries = Object.entries(labels || {});
+  const labelText = entries.length > 0
+    ? `{${entries.map(([key, v]) => `${key}="${escapeLabel(v)}"`).join(',')}}`
+    : '';
+  return `${name}${labelText} ${Number.isFinite(value) ? value : 0}`;
+}
+
+class MetricsCollector {
+  constructor() {
+    this.metrics = new Map(); // name -> { type, help, samples: Map(labelKey -> { labels, value }) }
+    this.runners = new Set();
+    this.lastTaskFinishedAt = this.findLastTaskTime();
+
+    this.define('gbos_tasks_processed_total', 'counter', 'Tasks the orchestrator finished, whatever the outcome');
+    this.define('gbos_tasks_review_total', 'counter', 'Tasks pushed and sent to review');
+    this.define('gbos_tasks_failed_total', 'counter', 'Tasks reported as failed, by reason');
+    this.define('gbos_task_duration_seconds', 'summary', 'Time from fetching a task to reporting it');
+    this.define('gbos_stage_duration_seconds', 'summary', 'Time spent in each orchestrator stage');
+    this.define('gbos_agent_exits_total', 'counter', 'Agent sessions by agent and exit code');
+    this.define('gbos_verification_runs_total', 'counter', 'Verification rounds by result');
+    this.define('gbos_verification_checks_total', 'counter', 'Verification checks that ran, by check and result');
+    this.define('gbos_verification_pass_ratio', 'gauge', 'Share of verification rounds (check="overall") or checks that passed');
+    this.define('gbos_heartbeat_failures_total', 'counter', 'Task heartbeats the GBOS API did not accept');
+    this.define('gbos_run_failures_total', 'counter', 'Orchestrator runs that stopped with an error');
+    this.define('gbos_run_active', 'gauge', 'Whether a run is in progress');
+    this.define('gbos_last_task_finished_timestamp_seconds', 'gauge', 'Unix time the last task finished');
+    this.define('gbos_seconds_since_last_task', 'gauge', 'Seconds since the last task finished');
+
+    // Unlabelled counters are exposed from the start so alerts have a series
+    for (const name of ['gbos_tasks_processed_total', 'gbos_tasks_review_total', 'gbos_heartbeat_failures_total', 'gbos_run_failures_total']) {
+      this.inc(name, {}, 0);
+    }
+  }
+
+  define(name, type, help) {
+    this.metrics.set(name, { type, help, samples: new Map() });
+  }
+
+  /**
+   * Add to a counter (or summary part) sample
+   */
+  inc(name, labels = {}, value = 1) {
+    const metric = this.metrics.get(name);
+    const key = JSON.stringify(labels);
+    const sample = metric.samples.get(key) || { labels, value: 0 };
+    sample.value += value;
+    metric.samples.set(key, sample);
+  }
+
+  /**
+   * Record one observation of a summary
+   */
+  observe(name, labels, value) {
+    const metric = this.metrics.get(name);
+    const key = JSON.stringify(labels);
+    const sample = metric.samples.get(key) || { labels, sum: 0, count: 0 };
+    sample.sum += value;
+    sample.count += 1;
+    metric.samples.set(key, sample);
+  }
+
+  /**
+   * Collect metrics from an Orchestrator or TaskScheduler
+   * @param {Orchestrator|TaskScheduler} runner
+   */
+  attach(runner) {
+    this.runners.add(runner);
+
+    runner.on('task_finished', ({ outcome, durationMs, stageDurations = [] }) => this.recordTask(outcome, durationMs, stageDurations));
+    runner.on('agent_done', ({ agent, exitCode }) => {
+      this.inc('gbos_agent_exits_total', { agent: agent || runner.options?.agent || 'unknown', exit_code: exitCode ?? 'none' });
+    });
+    runner.on('verification', ({ passed, checks = {} }) => {
+      this.inc('gbos_verification_runs_total', { result: passed ? 'passed' : 'failed' });
+      for (const [check, checkPassed] of Object.entries(checks)) {
+        if (checkPassed === null || checkPassed === undefined) continue;
+        this.inc('gbos_verification_checks_total', { check, result: checkPassed ? 'passed' : 'failed' });
+      }
+    });
+    runner.on('heartbeat_failed', () => this.inc('gbos_heartbeat_failures_total'));
+    // The scheduler renames its workers' 'failed' to 'worker_failed'
+    runner.on('failed', () => this.inc('gbos_run_failures_total'));
+    runner.on('worker_failed', () => this.inc('gbos_run_failures_total'));
+  }
+
+  /**
+   * Stop tracking whether a runner is active (its counts are kept)
+   */
+  detach(runner) {
+    this.runners.delete(runner);
+  }
+
+  recordTask(outcome, durationMs, stageDurations) {
+    this.inc('gbos_tasks_processed_total');
+    if (outcome === 'review') {
+      this.inc('gbos_tasks_review_total');
+    } else {
+      this.inc('gbos_tasks_failed_total', { reason: outcome || 'unknown' });
+    }
+
+    if (durationMs !== null && durationMs !== undefined) {
+      this.observe('gbos_task_duration_seconds', {}, durationMs / 1000);
+    }
+    for (const { stage, durationMs: stageMs } of stageDurations) {
+      if (Number.isFinite(stageMs)) {
+        this.observe('gbos_stage_duration_seconds', { stage }, stageMs / 1000);
+      }
+    }
+
+    this.lastTaskFinishedAt = Date.now();
+  }
+
+  /**
+   * Time the last task finished according to the newest run files
+   * @returns {number|null} Epoch milliseconds
+   */
+  findLastTaskTime() {
+    try {
+      const files = fs.readdirSync(getRunsDir())
+        .filter(f => f.endsWith('.json'))
+        .sort()
+        .slice(-SEED_RUN_FILES);
+
+      let latest = null;
+      for (const file of files) {
+        const run = StateMachine.loadRun(file.replace('.json', ''));
+        for (const stage of run.context.stages) {
+          const time = Date.parse(stage.timestamp);
+          if (stage.to === STATES.REPORT_STATUS && (latest === null || time > latest)) {
+            latest = time;
+          }
+        }
+      }
+      return latest;
+    } catch (e) {
+      return null; // No runs yet
+    }
+  }
+
+  /**
+   * Derive the ratio and point-in-time gauges
+   */
+  updateGauges() {
+    const ratio = this.metrics.get('gbos_verification_pass_ratio').samples;
+    ratio.clear();
+    const addRatio = (metricName, check, labelsFor) => {
+      const samples = this.metrics.get(metricName).samples;
+      const passed = samples.get(JSON.stringify(labelsFor('passed')))?.value || 0;
+      const failed = samples.get(JSON.stringify(labelsFor('failed')))?.value || 0;
+      if (passed + failed > 0) {
+        ratio.set(check, { labels: { check }, value: passed / (passed + failed) });
+      }
+    };
+    addRatio('gbos_verification_runs_total', 'overall', result => ({ result }));
+    for (const { labels } of this.metrics.get('gbos_verification_checks_total').samples.values()) {
+      if (!ratio.has(labels.check)) {
+        addRatio('gbos_verification_checks_total', labels.check, result => ({ check: labels.check, result }));
+      }
+    }
+
+    const active = [...this.runners].some(runner => runner.isRunning);
+    this.metrics.get('gbos_run_active').samples.set('{}', { labels: {}, value: active ? 1 : 0 });
+
+    const lastTask = this.metrics.get('gbos_last_task_finished_timestamp_seconds').samples;
+    const sinceLastTask = this.metrics.get('gbos_seconds_since_last_task').samples;
+    if (this.lastTaskFinishedAt) {
+      lastTask.set('{}', { labels: {}, value: Math.floor(this.lastTaskFinishedAt / 1000) });
+      sinceLastTask.set('{}', { labels: {}, value: Math.floor((Date.now() - this.lastTaskFinishedAt) / 1000) });
+    }
+  }
+
+  /**
+   * Render every metric in the Prometheus text exposition format
+   * @returns {string}
+   */
+  render() {
+    this.updateGauges();
+
+    const lines = [];
+    for (const [name, metric] of this.metrics) {
+      lines.push(`# HELP ${name} ${metric.help}`);
+      lines.push(`# TYPE ${name} ${metric.type}`);
+      for (const sample of metric.samples.values()) {
+        if (metric.type === 'summary') {
+          lines.push(formatSample(`${name}_sum`, sample.labels, sample.sum));
+          lines.push(formatSample(`${name}_count`, sample.labels, sample.count));
+        } else {
+          lines.push(formatSample(name, sample.labels, sample.value));
+        }
+      }
+    }
+    return lines.join('\n') + '\n';
+  }
+}
+
+/**
+ * Parse a --metrics-port value: "9464" or "0.0.0.0:9464"
+ * @param {string} value
+ * @returns {Object} { host, port }
+ */
+function parseListenAddress(value) {
+  const match = String(value).match(/^(?:(.+):)?(\d+)$/);
+  const port = match ? parseInt(match[2], 10) : NaN;
+  if (!match || port > 65535) {
+    throw new Error(`Invalid metrics address "${value}" (use <port> or <host>:<port>)`);
+  }
+  return { host: match[1] || '127.0.0.1', port };
+}
+
+/**
+ * Serve GET /metrics without authentication (for a Prometheus scraper)
+ * @param {MetricsCollector} collector
+ * @param {Object} options - { host, port }
+ * @returns {Promise<Object>} { server, url }
+ */
+async function startMetricsServer(collector, options = {}) {
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (req.method === 'GET' && pathname === '/metrics') {
+      res.writeHead(200, { 'Content-Type': CONTENT_TYPE });
+      res.end(collector.render());
+      return;
+    }
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Not found' }));
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port, options.host || '127.0.0.1', () => {
+      server.off('error', reject);
+      resolve();
+    });
+  });
+
+  // Don't keep a finished run alive just for the scraper
+  server.unref();
+
+  const { port } = server.address();
+  return { server, url: `http://${options.host || '127.0.0.1'}:${port}/metrics` };
+}
+
+module.exports = {
+  MetricsCollector,
+  startMetricsServer,
+  parseListenAddress,
+  CONTENT_TYPE,
+};
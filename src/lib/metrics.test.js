@@ -0,0 +1,137 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { MetricsCollector, startMetricsServer, parseListenAddress, CONTENT_TYPE } = require('./metrics');
+const { StateMachine, STATES } = require('../orchestrator/state-machine');
+
+// Sample lines of a metric (with the _sum and _count of a summary), without the HELP and TYPE comments
+const samples = (text, name) => text.split('\n').filter(line => new RegExp(`^${name}(_sum|_count)?[ {]`).test(line));
+
+describe('MetricsCollector', () => {
+  let root;
+  let savedConfigDir;
+
+  before(() => {
+    savedConfigDir = process.env.GBOS_CONFIG_DIR;
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'gbos-metrics-'));
+    process.env.GBOS_CONFIG_DIR = root;
+  });
+
+  after(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+    if (savedConfigDir === undefined) delete process.env.GBOS_CONFIG_DIR; else process.env.GBOS_CONFIG_DIR = savedConfigDir;
+  });
+
+  it('should render HELP, TYPE and zeroed counters before any run', () => {
+    const text = new MetricsCollector().render();
+
+    assert.match(text, /^# HELP gbos_tasks_processed_total Tasks the orchestrator finished, whatever the outcome\n# TYPE gbos_tasks_processed_total counter\ngbos_tasks_processed_total 0\n/);
+    assert.deepStrictEqual(samples(text, 'gbos_run_failures_total'), ['gbos_run_failures_total 0']);
+    assert.deepStrictEqual(samples(text, 'gbos_run_active'), ['gbos_run_active 0']);
+    assert.match(text, /# TYPE gbos_task_duration_seconds summary\n/);
+    assert.deepStrictEqual(samples(text, 'gbos_seconds_since_last_task'), []);
+    assert.ok(text.endsWith('\n'));
+  });
+
+  it('should count what an attached runner reports', () => {
+    const metrics = new MetricsCollector();
+    const runner = Object.assign(new EventEmitter(), { isRunning: true, options: { agent: 'codex' } });
+    metrics.attach(runner);
+
+    runner.emit('agent_done', { exitCode: 0 });
+    runner.emit('agent_done', { agent: 'aider', exitCode: 1 });
+    runner.emit('verification', { passed: false, checks: { test: false, lint: true, build: null } });
+    runner.emit('verification', { passed: true, checks: { test: true, lint: true } });
+    runner.emit('task_finished', {
+      outcome: 'review',
+      durationMs: 90000,
+      stageDurations: [{ stage: 'run_agent', durationMs: 60000 }, { stage: 'run_tests', durationMs: 1500 }],
+    });
+    runner.emit('task_finished', { outcome: 'verification_failed', durationMs: 30000 });
+    runner.emit('heartbeat_failed', {});
+    runner.emit('worker_failed', {});
+    const text = metrics.render();
+
+    assert.deepStrictEqual(samples(text, 'gbos_tasks_processed_total'), ['gbos_tasks_processed_total 2']);
+    assert.deepStrictEqual(samples(text, 'gbos_tasks_review_total'), ['gbos_tasks_review_total 1']);
+    assert.deepStrictEqual(samples(text, 'gbos_tasks_failed_total'), ['gbos_tasks_failed_total{reason="verification_failed"} 1']);
+    assert.deepStrictEqual(samples(text, 'gbos_agent_exits_total'), [
+      'gbos_agent_exits_total{agent="codex",exit_code="0"} 1',
+      'gbos_agent_exits_total{agent="aider",exit_code="1"} 1',
+    ]);
+    assert.deepStrictEqual(samples(text, 'gbos_task_duration_seconds'), [
+      'gbos_task_duration_seconds_sum 120',
+      'gbos_task_duration_seconds_count 2',
+    ]);
+    assert.ok(samples(text, 'gbos_stage_duration_seconds').includes('gbos_stage_duration_seconds_sum{stage="run_tests"} 1.5'));
+    assert.deepStrictEqual(samples(text, 'gbos_verification_checks_total'), [
+      'gbos_verification_checks_total{check="test",result="failed"} 1',
+      'gbos_verification_checks_total{check="lint",result="passed"} 2',
+      'gbos_verification_checks_total{check="test",result="passed"} 1',
+    ]);
+    assert.deepStrictEqual(samples(text, 'gbos_verification_pass_ratio'), [
+      'gbos_verification_pass_ratio{check="overall"} 0.5',
+      'gbos_verification_pass_ratio{check="test"} 0.5',
+      'gbos_verification_pass_ratio{check="lint"} 1',
+    ]);
+    assert.deepStrictEqual(samples(text, 'gbos_heartbeat_failures_total'), ['gbos_heartbeat_failures_total 1']);
+    assert.deepStrictEqual(samples(text, 'gbos_run_failures_total'), ['gbos_run_failures_total 1']);
+    assert.deepStrictEqual(samples(text, 'gbos_run_active'), ['gbos_run_active 1']);
+    assert.deepStrictEqual(samples(text, 'gbos_seconds_since_last_task'), ['gbos_seconds_since_last_task 0']);
+
+    // Counts stay after the runner is detached
+    metrics.detach(runner);
+    assert.deepStrictEqual(samples(metrics.render(), 'gbos_run_active'), ['gbos_run_active 0']);
+    assert.deepStrictEqual(samples(metrics.render(), 'gbos_tasks_processed_total'), ['gbos_tasks_processed_total 2']);
+  });
+
+  it('should escape label values', () => {
+    const metrics = new MetricsCollector();
+    metrics.inc('gbos_tasks_failed_total', { reason: 'say "no"\\\nagain' });
+
+    assert.ok(samples(metrics.render(), 'gbos_tasks_failed_total').includes('gbos_tasks_failed_total{reason="say \\"no\\"\\\\\\nagain"} 1'));
+  });
+
+  it('should seed the last finished task from the run files', () => {
+    const run = new StateMachine();
+    run.context.stages.push({ from: STATES.COMMIT_PUSH, to: STATES.REPORT_STATUS, timestamp: '2026-01-02T03:04:05.000Z', data: {} });
+    run.save();
+
+    const text = new MetricsCollector().render();
+
+    assert.deepStrictEqual(samples(text, 'gbos_last_task_finished_timestamp_seconds'), [
+      `gbos_last_task_finished_timestamp_seconds ${Date.parse('2026-01-02T03:04:05.000Z') / 1000}`,
+    ]);
+    assert.strictEqual(samples(text, 'gbos_seconds_since_last_task').length, 1);
+  });
+
+  it('should serve /metrics to a scraper and nothing else', async () => {
+    const metrics = new MetricsCollector();
+    const { server, url } = await startMetricsServer(metrics, { port: 0 });
+    try {
+      const response = await fetch(url);
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(response.headers.get('content-type'), CONTENT_TYPE);
+      assert.match(await response.text(), /^gbos_tasks_processed_total 0$/m);
+
+      assert.strictEqual((await fetch(url.replace('/metrics', '/runs'))).status, 404);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
+
+describe('parseListenAddress', () => {
+  it('should accept a port or a host and port', () => {
+    assert.deepStrictEqual(parseListenAddress('9464'), { host: '127.0.0.1', port: 9464 });
+    assert.deepStrictEqual(parseListenAddress('0.0.0.0:9464'), { host: '0.0.0.0', port: 9464 });
+  });
+
+  it('should reject anything else', () => {
+    assert.throws(() => parseListenAddress('metrics'), /Invalid metrics address "metrics"/);
+    assert.throws(() => parseListenAddress('70000'), /Invalid metrics address/);
+  });
+});
@@ -0,0 +1,243 @@
+/**
+ * Outbox
+ * Keeps API calls that must reach GBOS eventually (task status reports,
+ * completions, activity logs, heartbeats) on disk while the API is
+ * unreachable, and replays them in the order they were made.
+ *
+ * One JSON file per request in the profile's outbox directory, named so
+ * that sorting by name gives the original order. Requests the API rejects
+ * for good are moved to outbox/failed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+
+// A flush lock older than this was left behind by a process that died
+const STALE_LOCK_MS = 5 * 60 * 1000;
+
+let sequence = 0;
+let flushPromise = null;
+
+// Per profile, so requests are replayed against the API and account that made them
+const getOutboxDir = () => config.getProfilePath('outbox');
+const getFailedDir = () => path.join(getOutboxDir(), 'failed');
+
+/**
+ * Whether a failed request is worth retrying later (API unreachable or overloaded)
+ * @param {Error} error - GbosApiError from the API client
+ */
+function isTransientError(error) {
+  const status = error.status;
+  return !status || status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Write a file so readers never see it half-written
+ */
+function writeAtomic(filePath, data) {
+  const tempFile = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify(data, null, 2), { mode: 0o600 });
+  fs.renameSync(tempFile, filePath);
+}
+
+/**
+ * Read the entries in a directory, oldest first
+ */
+function readEntries(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith('.json'))
+    .sort()
+    .map((file) => {
+      try {
+        return { ...JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')), file: path.join(dir, file) };
+      } catch (e) {
+        return null; // Being written or corrupt
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Queued requests, oldest first
+ * @param {Object} options - { failed } lists the ones the API rejected instead
+ * @returns {Object[]}
+ */
+function list(options = {}) {
+  return readEntries(options.failed ? getFailedDir() : getOutboxDir());
+}
+
+/**
+ * Number of queued requests
+ */
+function count() {
+  if (!fs.existsSync(getOutboxDir())) return 0;
+  return fs.readdirSync(getOutboxDir()).filter(f => f.endsWith('.json')).length;
+}
+
+/**
+ * Queue a request for later
+ * @param {string} endpoint - API path, e.g. /development-tasks/12/status
+ * @param {Object} options - Request options ({ method, body })
+ * @param {Object} meta - { description, coalesceKey, error }. A queued request
+ *                        with the same coalesceKey is replaced (e.g. one heartbeat per task).
+ * @returns {Object} The entry
+ */
+function enqueue(endpoint, options = {}, meta = {}) {
+  fs.mkdirSync(getOutboxDir(), { recursive: true, mode: 0o700 });
+
+  const existing = meta.coalesceKey
+    ? list().find(entry => entry.coalesceKey === meta.coalesceKey)
+    : null;
+
+  const id = existing?.id
+    || `${String(Date.now()).padStart(13, '0')}-${process.pid}-${String(sequence++).padStart(4, '0')}`;
+
+  const entry = {
+    id,
+    endpoint,
+    method: (options.method || 'GET').toUpperCase(),
+    body: options.body ?? null,
+    description: meta.description || null,
+    coalesceKey: meta.coalesceKey || null,
+    createdAt: existing?.createdAt || new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+    attempts: existing?.attempts || 0,
+    lastError: meta.error ? meta.error.message : (existing?.lastError || null),
+  };
+
+  // Replacing in place keeps the coalesced request's position in the queue
+  writeAtomic(path.join(getOutboxDir(), `${id}.json`), entry);
+  return entry;
+}
+
+/**
+ * Take the cross-process flush lock
+ * @returns {boolean} Whether this process holds it
+ */
+function acquireLock() {
+  const lockFile = path.join(getOutboxDir(), '.lock');
+  try {
+    fs.writeFileSync(lockFile, String(process.pid), { flag: 'wx' });
+    return true;
+  } catch (e) {
+    if (e.code !== 'EEXIST') throw e;
+  }
+
+  try {
+    if (Date.now() - fs.statSync(lockFile).mtimeMs > STALE_LOCK_MS) {
+      fs.rmSync(lockFile, { force: true });
+      return acquireLock();
+    }
+  } catch (e) {
+    // Lock disappeared meanwhile; let the next flush take it
+  }
+  return false;
+}
+
+function releaseLock() {
+  fs.rmSync(path.join(getOutboxDir(), '.lock'), { force: true });
+}
+
+/**
+ * Replay queued requests in order. Stops at the first one the API cannot
+ * take yet, so later requests never overtake earlier ones.
+ * @param {GbosApiClient} client
+ * @returns {Promise<Object>} { sent, failed, remaining, locked, error }
+ */
+function flush(client) {
+  // Callers in the same process share one flush
+  if (!flushPromise) {
+    flushPromise = replay(client).finally(() => {
+      flushPromise = null;
+    });
+  }
+  return flushPromise;
+}
+
+async function replay(client) {
+  const result = { sent: 0, failed: 0, remaining: 0, locked: false, error: null };
+  if (count() === 0) return result;
+
+  if (!acquireLock()) {
+    result.locked = true;
+    result.remaining = count();
+    return result;
+  }
+
+  try {
+    for (const entry of list()) {
+      const { file, ...saved } = entry;
+      try {
+        await client.request(entry.endpoint, {
+          method: entry.method,
+          body: entry.body ?? undefined,
+          retries: 0,
+        });
+        fs.rmSync(file, { force: true });
+        result.sent++;
+      } catch (error) {
+        saved.attempts = (saved.attempts || 0) + 1;
+        saved.lastError = error.message;
+        saved.updatedAt = new Date().toISOString();
+
+        if (isTransientError(error) || error.status === 401) {
+          // Still offline (or signed out): keep this and everything after it
+          writeAtomic(file, saved);
+          result.error = error.message;
+          break;
+        }
+
+        // Rejected for good (e.g. the task no longer exists)
+        fs.mkdirSync(getFailedDir(), { recursive: true, mode: 0o700 });
+        writeAtomic(path.join(getFailedDir(), path.basename(file)), { ...saved, failedAt: saved.updatedAt, status: error.status });
+        fs.rmSync(file, { force: true });
+        result.failed++;
+      }
+    }
+  } finally {
+    releaseLock();
+  }
+
+  result.remaining = count();
+  return result;
+}
+
+/**
+ * Move rejected requests back into the queue so the next flush retries them
+ * @returns {number} Number of requests moved
+ */
+function requeueFailed() {
+  const entries = list({ failed: true });
+  fs.mkdirSync(getOutboxDir(), { recursive: true, mode: 0o700 });
+  for (const { file } of entries) {
+    fs.renameSync(file, path.join(getOutboxDir(), path.basename(file)));
+  }
+  return entries.length;
+}
+
+/**
+ * Delete queued requests
+ * @param {Object} options - { failed } deletes the rejected ones instead
+ * @returns {number} Number of requests deleted
+ */
+function clear(options = {}) {
+  const entries = list(options);
+  for (const { file } of entries) {
+    fs.rmSync(file, { force: true });
+  }
+  return entries.length;
+}
+
+module.exports = {
+  getOutboxDir,
+  getFailedDir,
+  isTransientError,
+  list,
+  count,
+  enqueue,
+  flush,
+  requeueFailed,
+  clear,
+};
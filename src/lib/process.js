@@ -0,0 +1,102 @@
+/**
+ * Process
+ * Runs programs with an argument array instead of a shell string, so task
+ * titles, branch names and commit messages reach the program as they are and
+ * never go through a shell.
+ */
+
+const { spawn } = require('child_process');
+
+const DEFAULT_MAX_BUFFER = 10 * 1024 * 1024;
+
+/**
+ * Run a program and collect its output
+ * @param {string} command - Program to run (looked up on the PATH, no shell)
+ * @param {string[]} args - Arguments, passed verbatim
+ * @param {Object} options - { cwd, env, input, timeout, maxBuffer }; input is written to stdin
+ * @returns {Promise<Object>} { stdout, stderr }
+ * @throws {Error} With code, signal, stdout and stderr when the program fails
+ *         (like child_process.exec)
+ */
+function run(command, args = [], options = {}) {
+  const maxBuffer = options.maxBuffer || DEFAULT_MAX_BUFFER;
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, {
+      cwd: options.cwd,
+      env: options.env,
+      stdio: ['pipe', 'pipe', 'pipe'],
+      windowsHide: true,
+    });
+
+    const stdout = [];
+    const stderr = [];
+    let size = 0;
+    let failure = null;
+    let timer = null;
+
+    const collect = chunks => (chunk) => {
+      size += chunk.length;
+      if (size > maxBuffer && !failure) {
+        failure = new Error(`${command} produced more than ${maxBuffer} bytes of output`);
+        child.kill();
+        return;
+      }
+      chunks.push(chunk);
+    };
+    child.stdout.on('data', collect(stdout));
+    child.stderr.on('data', collect(stderr));
+
+    if (options.timeout) {
+      timer = setTimeout(() => {
+        failure = failure || new Error(`${command} timed out after ${options.timeout}ms`);
+        child.kill('SIGTERM');
+      }, options.timeout);
+    }
+
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error); // e.g. ENOENT when the program is not installed
+    });
+
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      const result = {
+        stdout: Buffer.concat(stdout).toString('utf8'),
+        stderr: Buffer.concat(stderr).toString('utf8'),
+      };
+      if (!failure && code === 0) {
+        resolve(result);
+        return;
+      }
+
+      const error = failure
+        || new Error(`Command failed: ${[command, ...args].join(' ')}\n${result.stderr}`);
+      error.code = code;
+      error.signal = signal;
+      error.stdout = result.stdout;
+      error.stderr = result.stderr;
+      reject(error);
+    });
+
+    // A program that exits without reading stdin must not crash us with EPIPE
+    child.stdin.on('error', () => {});
+    child.stdin.end(options.input ?? '');
+  });
+}
+
+/**
+ * Run git
+ * @param {string[]} args - e.g. ['commit', '-F', '-']
+ * @param {Object} options - As for run()
+ * @returns {Promise<string>} Trimmed stdout
+ */
+async function git(args, options = {}) {
+  const { stdout } = await run('git', args, options);
+  return stdout.trim();
+}
+
+module.exports = {
+  run,
+  git,
+};
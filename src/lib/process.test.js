@@ -0,0 +1,51 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { run, git } = require('./process');
+
+describe('run', () => {
+  it('should pass arguments verbatim, without a shell', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gbos-process-'));
+    const marker = path.join(dir, 'pwned');
+    const args = [`$(touch ${marker})`, `\`touch ${marker}\``, `"; touch ${marker}; echo "`, "it's"];
+    try {
+      const { stdout } = await run(process.execPath, ['-e', 'console.log(JSON.stringify(process.argv.slice(1)))', ...args]);
+      assert.deepStrictEqual(JSON.parse(stdout), args);
+      assert.strictEqual(fs.existsSync(marker), false);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should write input to stdin', async () => {
+    const { stdout } = await run(process.execPath, ['-e', 'process.stdin.pipe(process.stdout)'], { input: 'line 1\n$(line 2)' });
+    assert.strictEqual(stdout, 'line 1\n$(line 2)');
+  });
+
+  it('should reject with the exit code and output of a failing program', async () => {
+    await assert.rejects(
+      run(process.execPath, ['-e', 'console.error("bad"); process.exit(3)']),
+      (error) => error.code === 3 && error.stderr.trim() === 'bad'
+    );
+  });
+
+  it('should reject when the program does not exist', async () => {
+    await assert.rejects(run('gbos-no-such-program', []), { code: 'ENOENT' });
+  });
+
+  it('should stop a program that runs past the timeout', async () => {
+    await assert.rejects(
+      run(process.execPath, ['-e', 'setTimeout(() => {}, 10000)'], { timeout: 200 }),
+      /timed out/
+    );
+  });
+});
+
+describe('git', () => {
+  it('should return trimmed stdout', async () => {
+    const version = await git(['--version']);
+    assert.match(version, /^git version \S+$/);
+  });
+});
@@ -0,0 +1,258 @@
+/**
+ * Project Configuration
+ * Reads the repo-committed .gbos.yml / .gbos.yaml / .gbos.json that tunes the
+ * orchestrator for one project. CLI flags override the file, the file
+ * overrides the built-in defaults.
+ *
+ * Keys:
+ *   agent              Default agent (claude-code, codex, gemini, aider, opencode, or a custom agent)
+ *   model              Default model for the agent
+ *   checks             Verification commands: lint, format, typecheck, test, e2e.
+ *                      A string replaces auto-detection, false disables the check.
+ *   critical           Checks that must pass for verification to pass (default: [test])
+ *   branch_pattern     Task branch name, supports {task_key}, {task_id}, {task_type} and {slug}
+ *                      (default: task/{task_key}-{slug})
+ *   mr_target_branch   Branch merge requests target (default: main)
+ *   on_conflict        When rebasing before a push conflicts: agent (let the agent resolve it,
+ *                      the default) or abort (report the task as conflict)
+ *   git_provider       Host merge requests are opened on: gitlab, github or gitea
+ *                      (default: the application's, else detected from the remote)
+ *   mr_draft_unverified  Open merge requests as draft when local verification failed or
+ *                      was skipped, instead of not opening one (default: false)
+ *   mr_auto_merge      Merge the merge request once its pipeline succeeds when local
+ *                      verification passed (default: false)
+ *   timeouts           Minutes per step: agent, lint, format, typecheck, test, e2e
+ *   prompt_context     Extra text appended to every agent prompt
+ *   hooks              Commands run before/after a stage, keyed before_<stage> or after_<stage>
+ *                      (e.g. before_run_agent). Each is a command string or
+ *                      { run, on_failure: abort|warn, timeout (minutes) }; on_failure defaults to abort.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { STATES } = require('../orchestrator/state-machine');
+const { PROVIDER_NAMES } = require('./git-hosts');
+
+const CONFIG_FILES = ['.gbos.yml', '.gbos.yaml', '.gbos.json'];
+
+// Check names used in the file, mapped to VerificationManager result keys
+const CHECKS = {
+  lint: 'linting',
+  format: 'formatting',
+  typecheck: 'typeCheck',
+  test: 'unitTests',
+  e2e: 'e2eTests',
+};
+
+const TIMEOUT_KEYS = ['agent', ...Object.keys(CHECKS)];
+
+const DEFAULT_BRANCH_PATTERN = 'task/{task_key}-{slug}';
+
+// Stages hooks can attach to
+const HOOK_STAGES = [
+  STATES.AUTH_CONFIG,
+  STATES.WORKSPACE_READY,
+  STATES.FETCH_TASK,
+  STATES.GENERATE_PROMPT,
+  STATES.RUN_AGENT,
+  STATES.POST_PROCESS,
+  STATES.RUN_TESTS,
+  STATES.COMMIT_PUSH,
+  STATES.REPORT_STATUS,
+];
+
+const HOOK_FAILURE_MODES = ['abort', 'warn'];
+
+const CONFLICT_MODES = ['agent', 'abort'];
+
+/**
+ * Find the config file in a project directory
+ * @param {string} projectDir
+ * @returns {string|null} Path of the first config file found
+ */
+function findProjectConfig(projectDir) {
+  if (!projectDir) return null;
+  for (const name of CONFIG_FILES) {
+    const filePath = path.join(projectDir, name);
+    if (fs.existsSync(filePath)) return filePath;
+  }
+  return null;
+}
+
+/**
+ * Check the raw file contents and convert them to the shape used in code
+ * @param {Object} raw - Parsed file
+ * @param {string} filePath - For error messages
+ * @returns {Object}
+ */
+function normalizeProjectConfig(raw, filePath) {
+  const fail = (message) => {
+    throw new Error(`Invalid project config ${filePath}: ${message}`);
+  };
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    fail('expected a mapping of settings');
+  }
+
+  const checks = {};
+  if (raw.checks !== undefined) {
+    if (!raw.checks || typeof raw.checks !== 'object') fail('"checks" must be a mapping');
+    for (const [name, command] of Object.entries(raw.checks)) {
+      if (!CHECKS[name]) fail(`unknown check "${name}" (use ${Object.keys(CHECKS).join(', ')})`);
+      if (command !== false && command !== null && typeof command !== 'string') {
+        fail(`check "${name}" must be a command string or false`);
+      }
+      checks[name] = command || false;
+    }
+  }
+
+  let critical = null;
+  if (raw.critical !== undefined) {
+    if (!Array.isArray(raw.critical)) fail('"critical" must be a list of checks');
+    for (const name of raw.critical) {
+      if (!CHECKS[name]) fail(`unknown critical check "${name}" (use ${Object.keys(CHECKS).join(', ')})`);
+    }
+    critical = raw.critical;
+  }
+
+  const timeouts = {};
+  if (raw.timeouts !== undefined) {
+    if (!raw.timeouts || typeof raw.timeouts !== 'object') fail('"timeouts" must be a mapping');
+    for (const [name, minutes] of Object.entries(raw.timeouts)) {
+      if (!TIMEOUT_KEYS.includes(name)) fail(`unknown timeout "${name}" (use ${TIMEOUT_KEYS.join(', ')})`);
+      if (typeof minutes !== 'number' || minutes <= 0) fail(`timeout "${name}" must be a positive number of minutes`);
+      timeouts[name] = minutes * 60 * 1000;
+    }
+  }
+
+  const hooks = {};
+  if (raw.hooks !== undefined) {
+    if (!raw.hooks || typeof raw.hooks !== 'object') fail('"hooks" must be a mapping');
+    for (const [name, entries] of Object.entries(raw.hooks)) {
+      const match = name.match(/^(before|after)_(\w+)$/);
+      if (!match || !HOOK_STAGES.includes(match[2])) {
+        fail(`unknown hook "${name}" (use before_<stage> or after_<stage> with a stage of ${HOOK_STAGES.join(', ')})`);
+      }
+      hooks[name] = (Array.isArray(entries) ? entries : [entries]).map((entry) => {
+        const hook = typeof entry === 'string' ? { run: entry } : entry;
+        if (!hook || typeof hook.run !== 'string' || !hook.run.trim()) {
+          fail(`hook "${name}" needs a command string or { run: <command> }`);
+        }
+        const onFailure = hook.on_failure || 'abort';
+        if (!HOOK_FAILURE_MODES.includes(onFailure)) {
+          fail(`hook "${name}" has invalid on_failure "${onFailure}" (use ${HOOK_FAILURE_MODES.join(' or ')})`);
+        }
+        if (hook.timeout !== undefined && (typeof hook.timeout !== 'number' || hook.timeout <= 0)) {
+          fail(`hook "${name}" timeout must be a positive number of minutes`);
+        }
+        return {
+          run: hook.run,
+          onFailure,
+          timeout: hook.timeout ? hook.timeout * 60 * 1000 : null,
+        };
+      });
+    }
+  }
+
+  for (const key of ['agent', 'model', 'branch_pattern', 'mr_target_branch', 'prompt_context', 'on_conflict', 'git_provider']) {
+    if (raw[key] !== undefined && raw[key] !== null && typeof raw[key] !== 'string') {
+      fail(`"${key}" must be a string`);
+    }
+  }
+  if (raw.on_conflict && !CONFLICT_MODES.includes(raw.on_conflict)) {
+    fail(`"on_conflict" must be ${CONFLICT_MODES.join(' or ')}`);
+  }
+  if (raw.git_provider && !PROVIDER_NAMES.includes(raw.git_provider)) {
+    fail(`"git_provider" must be one of ${PROVIDER_NAMES.join(', ')}`);
+  }
+  for (const key of ['mr_draft_unverified', 'mr_auto_merge']) {
+    if (raw[key] !== undefined && raw[key] !== null && typeof raw[key] !== 'boolean') {
+      fail(`"${key}" must be true or false`);
+    }
+  }
+
+  return {
+    path: filePath,
+    agent: raw.agent || null,
+    model: raw.model || null,
+    checks,
+    critical,
+    branchPattern: raw.branch_pattern || null,
+    mrTargetBranch: raw.mr_target_branch || null,
+    onConflict: raw.on_conflict || null,
+    gitProvider: raw.git_provider || null,
+    mrDraftUnverified: raw.mr_draft_unverified ?? null,
+    mrAutoMerge: raw.mr_auto_merge ?? null,
+    timeouts,
+    promptContext: raw.prompt_context ? raw.prompt_context.trim() : null,
+    hooks,
+  };
+}
+
+/**
+ * Load the project config, or an empty one when the project has none
+ * @param {string} projectDir
+ * @returns {Object} Normalized config (path is null without a file)
+ * @throws {Error} When the file cannot be parsed or has invalid settings
+ */
+function loadProjectConfig(projectDir) {
+  const filePath = findProjectConfig(projectDir);
+  if (!filePath) {
+    return normalizeProjectConfig({}, null);
+  }
+
+  let raw;
+  try {
+    const content = fs.readFileSync(filePath, 'utf8');
+    raw = filePath.endsWith('.json') ? JSON.parse(content) : YAML.parse(content);
+  } catch (e) {
+    throw new Error(`Invalid project config ${filePath}: ${e.message}`);
+  }
+
+  // An empty YAML file parses to null
+  return normalizeProjectConfig(raw || {}, filePath);
+}
+
+/**
+ * Make an identifier from the API safe inside a branch name, keeping its case
+ * (GB-42 stays GB-42): anything but letters, digits, _, - and . becomes a dash
+ */
+function sanitizeRefPart(value) {
+  return String(value ?? '')
+    .replace(/[^\w.-]+/g, '-')
+    .replace(/\.{2,}/g, '.')
+    .replace(/^[-.]+|[-.]+$/g, '');
+}
+
+/**
+ * Build a task branch name from a pattern. Every placeholder value is
+ * sanitized, since task fields come from the API.
+ * @param {string|null} pattern - Pattern with {task_key}, {task_id}, {task_type} and {slug}
+ * @param {Object} task
+ * @param {Function} sanitize - Turns free text into a branch-safe slug
+ * @returns {string}
+ */
+function formatBranchName(pattern, task, sanitize) {
+  const taskId = sanitizeRefPart(task.id);
+  const values = {
+    task_key: sanitizeRefPart(task.task_key) || taskId,
+    task_id: taskId,
+    task_type: (task.task_type && sanitize(String(task.task_type))) || 'task',
+    slug: sanitize(task.title || 'work') || 'work',
+  };
+  return (pattern || DEFAULT_BRANCH_PATTERN).replace(/\{(\w+)\}/g, (match, key) => (
+    values[key] !== undefined && values[key] !== null ? String(values[key]) : match
+  ));
+}
+
+module.exports = {
+  CONFIG_FILES,
+  CHECKS,
+  DEFAULT_BRANCH_PATTERN,
+  HOOK_STAGES,
+  CONFLICT_MODES,
+  findProjectConfig,
+  loadProjectConfig,
+  formatBranchName,
+};
@@ -0,0 +1,196 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadProjectConfig, formatBranchName, DEFAULT_BRANCH_PATTERN } = require('./project-config');
+
+const slugify = str => str.toLowerCase().replace(/[^a-z0-9-]/g, '-').replace(/-+/g, '-').replace(/^-|-$/g, '');
+
+describe('Project config', () => {
+  let root;
+
+  before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'gbos-project-config-'));
+  });
+
+  after(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  // A project directory holding one config file
+  const project = (file, content) => {
+    const dir = fs.mkdtempSync(path.join(root, 'project-'));
+    fs.writeFileSync(path.join(dir, file), content);
+    return dir;
+  };
+
+  it('should read .gbos.yml into the shape used in code', () => {
+    const dir = project('.gbos.yml', [
+      'agent: codex',
+      'model: o3',
+      'checks:',
+      '  lint: npm run lint',
+      '  e2e: false',
+      'critical: [test, lint]',
+      'branch_pattern: "{task_type}/{task_key}"',
+      'mr_target_branch: develop',
+      'on_conflict: abort',
+      'git_provider: gitea',
+      'mr_draft_unverified: true',
+      'mr_auto_merge: false',
+      'timeouts:',
+      '  agent: 45',
+      'prompt_context: |',
+      '  Use pnpm.',
+      'hooks:',
+      '  before_run_agent: make deps',
+      '  after_run_tests:',
+      '    - run: make report',
+      '      on_failure: warn',
+      '      timeout: 2',
+    ].join('\n'));
+
+    const config = loadProjectConfig(dir);
+
+    assert.strictEqual(config.path, path.join(dir, '.gbos.yml'));
+    assert.strictEqual(config.agent, 'codex');
+    assert.strictEqual(config.model, 'o3');
+    assert.deepStrictEqual(config.checks, { lint: 'npm run lint', e2e: false });
+    assert.deepStrictEqual(config.critical, ['test', 'lint']);
+    assert.strictEqual(config.branchPattern, '{task_type}/{task_key}');
+    assert.strictEqual(config.mrTargetBranch, 'develop');
+    assert.strictEqual(config.onConflict, 'abort');
+    assert.strictEqual(config.gitProvider, 'gitea');
+    assert.strictEqual(config.mrDraftUnverified, true);
+    assert.strictEqual(config.mrAutoMerge, false);
+    assert.deepStrictEqual(config.timeouts, { agent: 45 * 60 * 1000 });
+    assert.strictEqual(config.promptContext, 'Use pnpm.');
+    assert.deepStrictEqual(config.hooks, {
+      before_run_agent: [{ run: 'make deps', onFailure: 'abort', timeout: null }],
+      after_run_tests: [{ run: 'make report', onFailure: 'warn', timeout: 2 * 60 * 1000 }],
+    });
+  });
+
+  it('should fall back to .gbos.json and to empty settings', () => {
+    assert.strictEqual(loadProjectConfig(project('.gbos.json', '{ "agent": "aider" }')).agent, 'aider');
+
+    const empty = loadProjectConfig(project('.gbos.yml', ''));
+    assert.strictEqual(empty.agent, null);
+    assert.strictEqual(empty.onConflict, null);
+    assert.strictEqual(empty.mrDraftUnverified, null);
+    assert.strictEqual(loadProjectConfig(fs.mkdtempSync(path.join(root, 'none-'))).path, null);
+  });
+
+  const INVALID = [
+    ['- agent: codex', /expected a mapping of settings/],
+    ['agent: [codex]', /"agent" must be a string/],
+    ['checks:\n  style: npm run style', /unknown check "style"/],
+    ['checks:\n  lint: 3', /check "lint" must be a command string or false/],
+    ['critical: test', /"critical" must be a list of checks/],
+    ['timeouts:\n  agent: -1', /timeout "agent" must be a positive number of minutes/],
+    ['hooks:\n  before_deploy: make', /unknown hook "before_deploy"/],
+    ['hooks:\n  after_run_tests:\n    on_failure: warn', /hook "after_run_tests" needs a command string/],
+    ['hooks:\n  after_run_tests:\n    run: make\n    on_failure: ignore', /invalid on_failure "ignore"/],
+    ['on_conflict: merge', /"on_conflict" must be agent or abort/],
+    ['git_provider: bitbucket', /"git_provider" must be one of/],
+    ['mr_auto_merge: "yes"', /"mr_auto_merge" must be true or false/],
+    ['agent: codex\n  model: [', /Invalid project config/],
+  ];
+
+  for (const [content, error] of INVALID) {
+    it(`should reject ${content.split('\n')[0]}`, () => {
+      const dir = project('.gbos.yml', content);
+      assert.throws(() => loadProjectConfig(dir), (e) => {
+        assert.match(e.message, new RegExp(`^Invalid project config ${path.join(dir, '.gbos.yml').replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}: `));
+        assert.match(e.message, error);
+        return true;
+      });
+    });
+  }
+});
+
+describe('formatBranchName', () => {
+  it('should fill the default pattern with the task key and a slug of the title', () => {
+    assert.strictEqual(
+      formatBranchName(null, { id: 42, task_key: 'GB-42', title: 'Add login form' }, slugify),
+      'task/GB-42-add-login-form'
+    );
+    assert.strictEqual(DEFAULT_BRANCH_PATTERN, 'task/{task_key}-{slug}');
+  });
+
+  it('should sanitize every placeholder value', () => {
+    const task = { id: '7/../x', task_key: 'GB 7:~^', task_type: 'Bug Fix!', title: '$(rm -rf ~)' };
+
+    assert.strictEqual(
+      formatBranchName('{task_type}/{task_key}/{task_id}/{slug}', task, slugify),
+      'bug-fix/GB-7/7-.-x/rm-rf'
+    );
+  });
+
+  it('should fall back when a value sanitizes to nothing', () => {
+    assert.strictEqual(
+      formatBranchName('{task_type}/{task_key}-{slug}', { id: 9, task_key: '***', task_type: '!!', title: '???' }, slugify),
+      'task/9-work'
+    );
+  });
+});
+
+describe('Orchestrator settings precedence', () => {
+  let root;
+  let Orchestrator;
+
+  before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'gbos-precedence-'));
+    fs.writeFileSync(path.join(root, '.gbos.yml'), [
+      'agent: codex',
+      'model: o3',
+      'on_conflict: abort',
+      'mr_draft_unverified: true',
+      'mr_auto_merge: true',
+    ].join('\n'));
+    Orchestrator = require('../orchestrator/orchestrator');
+  });
+
+  after(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should take .gbos.yml over the defaults', () => {
+    const { options } = new Orchestrator({ workingDir: root, onConflict: null });
+
+    assert.strictEqual(options.agent, 'codex');
+    assert.strictEqual(options.model, 'o3');
+    assert.strictEqual(options.onConflict, 'abort');
+    assert.strictEqual(options.draftUnverified, true);
+    assert.strictEqual(options.autoMerge, true);
+  });
+
+  it('should take CLI flags over .gbos.yml', () => {
+    const { options } = new Orchestrator({
+      workingDir: root,
+      agent: 'gemini',
+      model: 'pro',
+      onConflict: 'agent',
+      draftUnverified: false,
+      autoMerge: false,
+    });
+
+    assert.strictEqual(options.agent, 'gemini');
+    assert.strictEqual(options.model, 'pro');
+    assert.strictEqual(options.onConflict, 'agent');
+    assert.strictEqual(options.draftUnverified, false);
+    assert.strictEqual(options.autoMerge, false);
+  });
+
+  it('should use the defaults without flags or a config file', () => {
+    const { options } = new Orchestrator({ workingDir: fs.mkdtempSync(path.join(root, 'bare-')) });
+
+    assert.strictEqual(options.agent, 'claude-code');
+    assert.strictEqual(options.model, null);
+    assert.strictEqual(options.onConflict, 'agent');
+    assert.strictEqual(options.draftUnverified, false);
+    assert.strictEqual(options.autoMerge, false);
+    assert.strictEqual(options.projectConfig.path, null);
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Aider Agent Adapter
+ * Uses `aider --message` which takes the prompt as an argument,
+ * applies the edits and exits when done.
+ */
+
+const BaseAdapter = require('./base-adapter');
+const { normalizeUsage, parseTokenCount } = require('../usage');
+const { exec } = require('child_process');
+const { promisify } = require('util');
+
+const execAsync = promisify(exec);
+
+class AiderAdapter extends BaseAdapter {
+  constructor(config = {}) {
+    super(config);
+    this.name = 'aider';
+    this.supportsNonInteractive = true;
+    this.supportsInteractive = true;
+    this.promptDelivery = 'argument';
+  }
+
+  async isAvailable() {
+    try {
+      await execAsync('which aider');
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  async getVersion() {
+    try {
+      const { stdout } = await execAsync('aider --version');
+      return stdout.trim();
+    } catch (e) {
+      return 'unknown';
+    }
+  }
+
+  getCommand(options = {}) {
+    const args = ['--message', options.prompt || ''];
+
+    // Confirm every prompt (file creation, shell commands) without asking
+    if (options.autoApprove) args.push('--yes-always');
+
+    // The orchestrator commits and pushes, so aider must leave git alone
+    args.push('--no-auto-commits', '--no-dirty-commits');
+
+    // Plain output for log files, no update nag in headless runs
+    args.push('--no-pretty', '--no-check-update', '--no-show-model-warnings');
+
+    if (options.model) args.push('--model', options.model);
+
+    return {
+      command: 'aider',
+      args,
+      env: {
+        ...process.env,
+        ...this.getProviderEnv(this.detectProvider(options.model), options.apiKey),
+      },
+      closeStdinOnWrite: true,
+    };
+  }
+
+  formatPrompt(task, context = {}) {
+    const lines = [];
+
+    lines.push(`# ${task.title || task.name || 'Task'}`);
+    lines.push('');
+    lines.push(`Task: ${task.task_key || task.id}`);
+    if (task.priority) lines.push(`Priority: ${task.priority}`);
+    lines.push('');
+
+    lines.push('## Instructions');
+    lines.push('');
+    if (task.agent_prompt) {
+      lines.push(task.agent_prompt);
+    } else if (task.prompt) {
+      lines.push(task.prompt);
+    } else if (task.description) {
+      lines.push(task.description);
+    }
+    lines.push('');
+
+    if (task.acceptance_criteria && task.acceptance_criteria.length > 0) {
+      lines.push('## Acceptance criteria');
+      task.acceptance_criteria.forEach((c, i) => {
+        lines.push(`${i + 1}. ${c}`);
+      });
+      lines.push('');
+    }
+
+    // Aider only edits files it has been told about, so name them explicitly
+    if (task.target_files && task.target_files.length > 0) {
+      lines.push('## Files to edit');
+      task.target_files.forEach(f => lines.push(`- ${f}`));
+      lines.push('');
+      lines.push('Add any other files you need to change to the chat.');
+      lines.push('');
+    }
+
+    lines.push('## Testing');
+    lines.push('');
+    if (context.cloudRunUrl) {
+      lines.push(`The app is deployed at ${context.cloudRunUrl}. Add or update Playwright tests that use it as the base URL.`);
+    } else {
+      lines.push('Add or update tests that cover the change.');
+    }
+    lines.push('');
+
+    lines.push('## Important');
+    lines.push('- Do NOT commit or push changes - the orchestrator handles git operations');
+    lines.push('');
+
+    return lines.join('\n');
+  }
+
+  extractUsage(output, parsed = null) {
+    // One line per message: "Tokens: 2.3k sent, 156 received. Cost: $0.01 message, $0.05 session."
+    // (cache counts may sit between sent and received)
+    const text = (output || '').replace(/\x1b\[[0-9;]*[A-Za-z]/g, '');
+    const tokenLines = [...text.matchAll(
+      /^Tokens: (\d[\d,.]*[kKmM]?) sent, (?:[^\n]*?, )?(\d[\d,.]*[kKmM]?) received\.(?: Cost: \$[\d.]+ message, \$(\d+(?:\.\d+)?) session\.)?[ \t]*$/gm
+    )];
+    if (tokenLines.length === 0) return super.extractUsage(output, parsed);
+
+    const costs = tokenLines.filter(m => m[3] !== undefined);
+    return normalizeUsage({
+      inputTokens: tokenLines.reduce((sum, m) => sum + parseTokenCount(m[1]), 0),
+      outputTokens: tokenLines.reduce((sum, m) => sum + parseTokenCount(m[2]), 0),
+      costUsd: costs.length > 0 ? parseFloat(costs[costs.length - 1][3]) : null,
+      turns: tokenLines.length,
+      source: 'summary',
+    });
+  }
+
+  detectCompletion(output) {
+    const patterns = [
+      /Applied edit to/i,
+      /Tokens: .* sent, .* received/i,
+    ];
+    return patterns.some(p => p.test(output)) || super.detectCompletion(output);
+  }
+
+  detectWaitingForInput(output) {
+    const patterns = [
+      /\(Y\)es\/\(N\)o/i,
+      /Add .+ to the chat\?/i,
+      /Create new file\?/i,
+      /Run shell commands?\?/i,
+    ];
+    return patterns.some(p => p.test(output)) || super.detectWaitingForInput(output);
+  }
+}
+
+module.exports = AiderAdapter;
@@ -0,0 +1,52 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const AiderAdapter = require('./aider-adapter');
+
+describe('AiderAdapter', () => {
+  it('should pass the prompt with --message and keep aider from committing', () => {
+    const { command, args, closeStdinOnWrite } = new AiderAdapter().getCommand({ prompt: 'Add login', autoApprove: true });
+
+    assert.strictEqual(command, 'aider');
+    assert.deepStrictEqual(args.slice(0, 2), ['--message', 'Add login']);
+    assert.ok(args.includes('--yes-always'));
+    assert.ok(args.includes('--no-auto-commits'));
+    assert.ok(args.includes('--no-dirty-commits'));
+    assert.strictEqual(closeStdinOnWrite, true);
+  });
+
+  it('should only auto-approve when asked and pass the model with its provider key', () => {
+    const { args, env } = new AiderAdapter().getCommand({ prompt: 'x', model: 'gpt-4o', apiKey: 'sk-test' });
+
+    assert.strictEqual(args.includes('--yes-always'), false);
+    assert.deepStrictEqual(args.slice(-2), ['--model', 'gpt-4o']);
+    assert.strictEqual(env.OPENAI_API_KEY, 'sk-test');
+  });
+
+  it('should read usage from the token lines only, ignoring colour codes', () => {
+    const output = [
+      '\x1b[32mApplied edit to src/app.js\x1b[0m',
+      '\x1b[2mTokens: 1,200 sent, 80 received. Cost: $0.004 message, $0.004 session.\x1b[0m',
+      'Tokens: 2.5k sent, 1k cache hit, 120 received.',
+    ].join('\n');
+
+    const usage = new AiderAdapter().extractUsage(output);
+
+    assert.strictEqual(usage.inputTokens, 3700);
+    assert.strictEqual(usage.outputTokens, 200);
+    assert.strictEqual(usage.costUsd, 0.004);
+    assert.strictEqual(usage.turns, 2);
+    assert.strictEqual(usage.source, 'summary');
+    assert.strictEqual(new AiderAdapter().extractUsage('Applied edit to src/app.js\n'), null);
+  });
+
+  it('should take the last lines of the output as the summary', () => {
+    const output = `${Array.from({ length: 50 }, (_, i) => `line ${i + 1}`).join('\n')}\n\n\x1b[1mDone.\x1b[0m\n`;
+
+    const summary = new AiderAdapter().extractSummary(output);
+
+    assert.strictEqual(summary.split('\n').length, 40);
+    assert.match(summary, /^line 12\n/);
+    assert.match(summary, /\nDone\.$/);
+    assert.strictEqual(new AiderAdapter().extractSummary('\n \n'), null);
+  });
+});
@@ -4,6 +4,24 @@
  */
 
 const { EventEmitter } = require('events');
+const { normalizeUsage } = require('../usage');
+
+// API key environment variables by model provider
+const PROVIDER_KEY_ENV = {
+  anthropic: 'ANTHROPIC_API_KEY',
+  openai: 'OPENAI_API_KEY',
+  gemini: 'GEMINI_API_KEY',
+  google: 'GEMINI_API_KEY',
+  openrouter: 'OPENROUTER_API_KEY',
+  deepseek: 'DEEPSEEK_API_KEY',
+  groq: 'GROQ_API_KEY',
+  mistral: 'MISTRAL_API_KEY',
+  xai: 'XAI_API_KEY',
+};
+
+// Closing summary taken from plain-text output
+const SUMMARY_LINES = 40;
+const SUMMARY_MAX_CHARS = 4000;
 
 class BaseAdapter extends EventEmitter {
   constructor(config = {}) {
@@ -14,6 +32,8 @@ class BaseAdapter extends EventEmitter {
     this.isRunning = false;
     this.supportsNonInteractive = false;
     this.supportsInteractive = true;
+    // How the prompt reaches the agent: 'stdin' or 'argument' (part of getCommand args)
+    this.promptDelivery = 'stdin';
   }
 
   /**
@@ -34,13 +54,52 @@ class BaseAdapter extends EventEmitter {
 
   /**
    * Generate the command to run the agent
-   * @param {Object} options - Run options
+   * @param {Object} options - Run options ({ autoApprove, model, apiKey, prompt, ... })
    * @returns {Object} { command, args, env }
    */
   getCommand(options = {}) {
     throw new Error('getCommand() must be implemented');
   }
 
+  /**
+   * Create a parser for structured agent output
+   * @param {Object} options - Same options passed to getCommand
+   * @returns {EventEmitter|null} Parser with push()/end()/getSummary()/describeToolUse(), or null for plain text
+   */
+  createOutputParser(options = {}) {
+    return null;
+  }
+
+  /**
+   * Guess the model provider from a model name
+   * Accepts "provider/model" as well as bare model names
+   * @param {string|null} model - Model name
+   * @param {string} fallback - Provider to use when the name gives no hint
+   * @returns {string}
+   */
+  detectProvider(model, fallback = 'anthropic') {
+    if (!model) return fallback;
+    if (model.includes('/')) return model.split('/')[0].toLowerCase();
+    if (/claude|sonnet|opus|haiku/i.test(model)) return 'anthropic';
+    if (/^(gpt|o\d|chatgpt|codex)/i.test(model)) return 'openai';
+    if (/gemini/i.test(model)) return 'gemini';
+    if (/deepseek/i.test(model)) return 'deepseek';
+    return fallback;
+  }
+
+  /**
+   * Build the API key environment for a model provider
+   * @param {string} provider - Provider name (see detectProvider)
+   * @param {string|null} apiKey - Key fetched from the GBOS server
+   * @returns {Object} Environment variables to merge into the agent env
+   */
+  getProviderEnv(provider, apiKey) {
+    const envVar = PROVIDER_KEY_ENV[provider];
+    if (!envVar) return {};
+    const value = apiKey || process.env[envVar];
+    return value ? { [envVar]: value } : {};
+  }
+
   /**
    * Format a prompt for this specific agent
    * @param {Object} task - Task object from GBOS API
@@ -51,6 +110,85 @@ class BaseAdapter extends EventEmitter {
     throw new Error('formatPrompt() must be implemented');
   }
 
+  /**
+   * The prompt the task was started with, for follow-up prompts. Every repair
+   * or conflict round runs a new agent process that has not seen the task.
+   * @param {Object} task - Task object from GBOS API
+   * @param {Object} context - ({ taskPrompt }) the prompt the task ran with, rebuilt when missing
+   * @returns {string[]} Lines
+   */
+  formatTaskRecap(task, context = {}) {
+    const prompt = context.taskPrompt || this.formatPrompt(task, {});
+    return [
+      '## The task',
+      '',
+      'This is the prompt you were given for the task. Its changes must stay in place:',
+      '',
+      '<task-prompt>',
+      prompt.trim(),
+      '</task-prompt>',
+      '',
+    ];
+  }
+
+  /**
+   * Format a follow-up prompt asking the agent to fix failed verification
+   * @param {Object} task - Task object from GBOS API
+   * @param {Object[]} failures - Failure report from VerificationManager.getFailureReport()
+   * @param {Object} context - Repair context ({ attempt, maxAttempts, taskPrompt })
+   * @returns {string} Formatted prompt
+   */
+  formatRepairPrompt(task, failures, context = {}) {
+    const lines = [];
+    lines.push(`# Fix failing checks (attempt ${context.attempt || 1} of ${context.maxAttempts || 1})`, '');
+    lines.push(`Your changes for task "${task.title || task.task_key || task.id}" did not pass verification.`);
+    lines.push('Fix the problems below without reverting, stubbing out or skipping the intended changes of the task.', '');
+    lines.push(...this.formatTaskRecap(task, context));
+    lines.push('# Failing checks', '');
+
+    for (const failure of failures) {
+      lines.push(`## ${failure.label}`);
+      if (failure.command) lines.push(`Command: \`${failure.command}\``);
+      lines.push('');
+      if (failure.failures.length > 0) {
+        failure.failures.forEach(f => lines.push(`- ${f}`));
+        lines.push('');
+      }
+      if (failure.excerpt) {
+        lines.push('Output (last lines):', '```text', failure.excerpt, '```', '');
+      }
+    }
+
+    lines.push('## Completion', '');
+    lines.push('Re-run the failing checks to confirm they pass.');
+    lines.push('**Important:** Do not run `git commit` or `git push` yourself - the GBOS orchestrator will handle this.', '');
+    return lines.join('\n');
+  }
+
+  /**
+   * Format a prompt asking the agent to resolve rebase conflicts
+   * @param {Object} task - Task object from GBOS API
+   * @param {Object} conflict - { onto, files } from a MergeConflictError
+   * @param {Object} context - ({ attempt, maxAttempts, taskPrompt })
+   * @returns {string} Formatted prompt
+   */
+  formatConflictPrompt(task, conflict, context = {}) {
+    const lines = [];
+    lines.push(`# Resolve merge conflicts (attempt ${context.attempt || 1} of ${context.maxAttempts || 1})`, '');
+    lines.push(`Your commit for task "${task.title || task.task_key || task.id}" is being rebased onto \`${conflict.onto}\`, which has changed since you started.`);
+    lines.push('The rebase stopped because both sides changed the same lines.', '');
+    lines.push(...this.formatTaskRecap(task, context));
+    lines.push('## Conflicted files', '');
+    conflict.files.forEach(file => lines.push(`- ${file}`));
+    lines.push('');
+    lines.push('## What to do', '');
+    lines.push('- Open each file and resolve every block between `<<<<<<<`, `=======` and `>>>>>>>`.');
+    lines.push('- Keep the changes from the remote branch and re-apply the intent of your task on top of them.');
+    lines.push('- Remove all conflict markers and make sure the code still builds and its tests pass.', '');
+    lines.push('**Important:** Do not run `git rebase --continue`, `git rebase --abort`, `git commit` or `git push` yourself - the GBOS orchestrator will finish the rebase and push.', '');
+    return lines.join('\n');
+  }
+
   /**
    * Detect if the agent has completed its work
    * Used for interactive mode
@@ -113,6 +251,37 @@ class BaseAdapter extends EventEmitter {
     };
   }
 
+  /**
+   * Extract token usage and cost from a finished session
+   * Only structured output is trusted by default; adapters override this to
+   * read their agent's own summary lines, never free text in the transcript.
+   * @param {string} output - Full output from the agent
+   * @param {Object|null} parsed - Summary from the structured output parser, if any
+   * @returns {Object|null} Normalized usage, or null when the agent reported none
+   */
+  extractUsage(output, parsed = null) {
+    return parsed?.usage ? normalizeUsage({ ...parsed.usage, source: 'structured' }) : null;
+  }
+
+  /**
+   * The agent's closing summary of what it did, for the merge request
+   * Uses the final message of structured output, else the last lines of the output.
+   * @param {string} output - Full output from the agent
+   * @param {Object|null} parsed - Summary from the structured output parser, if any
+   * @returns {string|null}
+   */
+  extractSummary(output, parsed = null) {
+    const text = parsed?.summary || (output || '')
+      .replace(/\x1b\[[0-9;]*[A-Za-z]/g, '')
+      .split('\n')
+      .filter(line => line.trim())
+      .slice(-SUMMARY_LINES)
+      .join('\n');
+    const trimmed = text.trim();
+    if (!trimmed) return null;
+    return trimmed.length > SUMMARY_MAX_CHARS ? `${trimmed.slice(0, SUMMARY_MAX_CHARS)}\n…` : trimmed;
+  }
+
   /**
    * Extract files modified from output
    * @param {string} output
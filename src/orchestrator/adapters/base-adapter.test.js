@@ -0,0 +1,52 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ClaudeAdapter = require('./claude-adapter');
+
+const TASK = {
+  id: 42,
+  task_key: 'GB-42',
+  title: 'Add login',
+  description: 'Users sign in with their email and a one-time code.',
+  acceptance_criteria: ['Login form validates email'],
+};
+
+const FAILURES = [{
+  check: 'unitTests',
+  label: 'Unit tests',
+  command: 'npm test',
+  failures: ['login > rejects invalid email'],
+  excerpt: '1 failing',
+}];
+
+describe('Repair prompts', () => {
+  it('should repeat the task prompt the agent started with', () => {
+    const taskPrompt = new ClaudeAdapter().formatPrompt(TASK, {});
+
+    const prompt = new ClaudeAdapter().formatRepairPrompt(TASK, FAILURES, { attempt: 1, maxAttempts: 2, taskPrompt });
+
+    assert.ok(prompt.includes(`<task-prompt>\n${taskPrompt.trim()}\n</task-prompt>`));
+    assert.match(prompt, /Users sign in with their email and a one-time code\./);
+    assert.match(prompt, /Login form validates email/);
+    assert.match(prompt, /- login > rejects invalid email/);
+  });
+
+  it('should rebuild the task prompt when the run did not record one', () => {
+    const prompt = new ClaudeAdapter().formatRepairPrompt(TASK, FAILURES);
+
+    assert.match(prompt, /<task-prompt>[\s\S]*Users sign in with their email and a one-time code\.[\s\S]*<\/task-prompt>/);
+  });
+});
+
+
+describe('Conflict prompts', () => {
+  it('should repeat the task prompt so the agent knows what to re-apply', () => {
+    const prompt = new ClaudeAdapter().formatConflictPrompt(TASK, { onto: 'origin/main', files: ['src/login.js'] }, {
+      attempt: 1,
+      maxAttempts: 2,
+      taskPrompt: 'Implement the login form.\n\nUsers sign in with their email and a one-time code.',
+    });
+
+    assert.match(prompt, /- src\/login\.js/);
+    assert.match(prompt, /<task-prompt>\nImplement the login form\.\n\nUsers sign in with their email and a one-time code\.\n<\/task-prompt>/);
+  });
+});
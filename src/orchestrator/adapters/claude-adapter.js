@@ -5,6 +5,7 @@
  */
 
 const BaseAdapter = require('./base-adapter');
+const ClaudeStreamParser = require('./claude-stream-parser');
 const { exec } = require('child_process');
 const { promisify } = require('util');
 const execAsync = promisify(exec);
@@ -30,7 +31,12 @@ class ClaudeAdapter extends BaseAdapter {
     if (options.autoApprove) args.push('--dangerously-skip-permissions');
     if (options.model) args.push('--model', options.model);
     if (options.maxTurns) args.push('--max-turns', options.maxTurns.toString());
-    if (options.verbose) args.push('--verbose');
+    if (options.outputFormat === 'stream-json') {
+      // stream-json in print mode requires --verbose
+      args.push('--output-format', 'stream-json', '--verbose');
+    } else if (options.verbose) {
+      args.push('--verbose');
+    }
 
     return {
       command: 'claude',
@@ -40,6 +46,41 @@ class ClaudeAdapter extends BaseAdapter {
     };
   }
 
+  createOutputParser(options = {}) {
+    return options.outputFormat === 'stream-json' ? new ClaudeStreamParser() : null;
+  }
+
+  extractUsage(output, parsed = null) {
+    // Plain `claude -p` output carries no usage; stream-json ends with a result message
+    if (!parsed && /^\s*\{"type":/m.test(output)) {
+      parsed = this.parseOutput(output);
+    }
+    return super.extractUsage(output, parsed);
+  }
+
+  parseOutput(output) {
+    // Plain text output falls back to the regex heuristics
+    if (!/^\s*\{"type":/m.test(output)) return super.parseOutput(output);
+
+    const parser = new ClaudeStreamParser();
+    const texts = [];
+    parser.on('text', ({ text }) => texts.push(text));
+    parser.push(output);
+    parser.end();
+
+    const summary = parser.getSummary();
+    const text = texts.join('\n');
+    return {
+      raw: output,
+      text,
+      filesModified: summary.filesModified,
+      testsRun: this.extractTestResults(text),
+      errors: this.extractErrors(text),
+      toolCalls: summary.toolCalls,
+      usage: summary.usage,
+    };
+  }
+
   formatPrompt(task, context = {}) {
     const lines = [];
     lines.push(`# GBOS Task: ${task.title || task.name || 'Task'}`, '');
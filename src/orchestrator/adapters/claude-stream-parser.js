@@ -0,0 +1,205 @@
+/**
+ * Claude Stream Parser
+ * Turns `claude -p --output-format stream-json` output (one JSON message per
+ * line) into typed events instead of guessing from plain text.
+ *
+ * Events:
+ *   text        { text }                        Assistant text
+ *   tool_use    { id, name, input, kind }       Any tool call (kind: file_edit | bash | other)
+ *   file_edit   { id, tool, path }              Edit/Write/MultiEdit/NotebookEdit calls
+ *   bash        { id, command, description }    Bash tool calls
+ *   tool_result { id, isError }                 Tool call finished
+ *   usage       { inputTokens, outputTokens, cacheReadTokens, cacheCreationTokens, costUsd, numTurns, durationMs, final }
+ *   result      { success, result, sessionId }  Final message
+ */
+
+const { EventEmitter } = require('events');
+
+const FILE_EDIT_TOOLS = ['Edit', 'MultiEdit', 'Write', 'NotebookEdit'];
+
+class ClaudeStreamParser extends EventEmitter {
+  constructor() {
+    super();
+    this.buffer = '';
+    this.sessionId = null;
+    this.model = null;
+    this.toolCalls = [];
+    this.messageIds = new Set(); // Assistant messages seen, one per turn
+    this.filesModified = new Set();
+    this.usage = null;
+    this.result = null;
+  }
+
+  /**
+   * Feed a chunk of stdout. Incomplete lines are kept until the rest arrives.
+   * @param {string} chunk
+   */
+  push(chunk) {
+    this.buffer += chunk.toString();
+    const lines = this.buffer.split('\n');
+    this.buffer = lines.pop();
+    lines.forEach(line => this.parseLine(line));
+  }
+
+  /**
+   * Flush whatever is left in the buffer once the process has exited
+   */
+  end() {
+    if (this.buffer) {
+      this.parseLine(this.buffer);
+      this.buffer = '';
+    }
+  }
+
+  /**
+   * Parse one line of output
+   * @param {string} line
+   */
+  parseLine(line) {
+    const trimmed = line.trim();
+    if (!trimmed) return;
+
+    let message;
+    try {
+      message = JSON.parse(trimmed);
+    } catch (e) {
+      // stderr and warnings are not JSON - pass them through as text
+      this.emit('text', { text: trimmed });
+      return;
+    }
+
+    this.handleMessage(message);
+  }
+
+  /**
+   * Dispatch a parsed stream-json message
+   * @param {Object} message
+   */
+  handleMessage(message) {
+    switch (message.type) {
+      case 'system':
+        if (message.subtype === 'init') {
+          this.sessionId = message.session_id || null;
+          this.model = message.model || null;
+        }
+        break;
+
+      case 'assistant':
+        if (message.message?.id) {
+          this.messageIds.add(message.message.id);
+        }
+        for (const block of message.message?.content || []) {
+          if (block.type === 'text' && block.text) {
+            this.emit('text', { text: block.text });
+          } else if (block.type === 'tool_use') {
+            this.handleToolUse(block);
+          }
+        }
+        if (message.message?.usage) {
+          this.emitUsage(message.message.usage, {}, false);
+        }
+        break;
+
+      case 'user':
+        for (const block of message.message?.content || []) {
+          if (block.type === 'tool_result') {
+            this.emit('tool_result', { id: block.tool_use_id, isError: !!block.is_error });
+          }
+        }
+        break;
+
+      case 'result':
+        this.emitUsage(message.usage || {}, message, true);
+        this.result = {
+          success: message.subtype === 'success' && !message.is_error,
+          result: message.result || null,
+          sessionId: message.session_id || this.sessionId,
+        };
+        this.emit('result', this.result);
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Record a tool call and emit the typed events for it
+   * @param {Object} block - tool_use content block
+   */
+  handleToolUse(block) {
+    const input = block.input || {};
+    let kind = 'other';
+
+    if (FILE_EDIT_TOOLS.includes(block.name)) {
+      kind = 'file_edit';
+      const filePath = input.file_path || input.notebook_path || input.path;
+      if (filePath) {
+        this.filesModified.add(filePath);
+        this.emit('file_edit', { id: block.id, tool: block.name, path: filePath });
+      }
+    } else if (block.name === 'Bash') {
+      kind = 'bash';
+      this.emit('bash', { id: block.id, command: input.command, description: input.description || null });
+    }
+
+    this.toolCalls.push({ id: block.id, name: block.name, kind });
+    this.emit('tool_use', { id: block.id, name: block.name, input, kind });
+  }
+
+  /**
+   * Emit token usage; per-message usage while running, totals with the result
+   */
+  emitUsage(usage, result, final) {
+    const entry = {
+      inputTokens: usage.input_tokens || 0,
+      outputTokens: usage.output_tokens || 0,
+      cacheReadTokens: usage.cache_read_input_tokens || 0,
+      cacheCreationTokens: usage.cache_creation_input_tokens || 0,
+      costUsd: result.total_cost_usd ?? result.cost_usd ?? null,
+      numTurns: result.num_turns ?? null,
+      durationMs: result.duration_ms ?? null,
+      model: this.model,
+      final,
+    };
+    if (final) {
+      this.usage = entry;
+    }
+    this.emit('usage', entry);
+  }
+
+  /**
+   * One-line description of a tool call for plain-text output
+   * @param {Object} event - tool_use event
+   * @returns {string}
+   */
+  describeToolUse({ name, input = {} }) {
+    const detail = input.command || input.file_path || input.notebook_path || input.pattern || input.url || input.description || '';
+    return detail ? `${name}: ${String(detail).split('\n')[0]}` : name;
+  }
+
+  /**
+   * Turns taken so far (the final result carries the authoritative count)
+   */
+  get turns() {
+    return this.usage?.numTurns ?? this.messageIds.size;
+  }
+
+  /**
+   * Summary of the session for the run record
+   */
+  getSummary() {
+    return {
+      sessionId: this.sessionId,
+      model: this.model,
+      toolCalls: this.toolCalls.length,
+      turns: this.turns,
+      filesModified: Array.from(this.filesModified),
+      usage: this.usage,
+      success: this.result ? this.result.success : null,
+      summary: this.result?.result || null, // Final message of the session
+    };
+  }
+}
+
+module.exports = ClaudeStreamParser;
@@ -4,6 +4,7 @@
  */
 
 const BaseAdapter = require('./base-adapter');
+const { normalizeUsage } = require('../usage');
 const { exec } = require('child_process');
 const { promisify } = require('util');
 
@@ -119,6 +120,16 @@ class CodexAdapter extends BaseAdapter {
     return lines.join('\n');
   }
 
+  extractUsage(output, parsed = null) {
+    // `codex exec` ends with "tokens used: 12,345" (optionally after a [timestamp]),
+    // or "tokens used" with the count on the next line; the last one is the total
+    const text = (output || '').replace(/\x1b\[[0-9;]*[A-Za-z]/g, '');
+    const matches = [...text.matchAll(/^(?:\[[^\]\n]*\][ \t]*)?tokens used:?[ \t]*\n?[ \t]*(\d[\d,]*)[ \t]*$/gim)];
+    if (matches.length === 0) return super.extractUsage(output, parsed);
+
+    return normalizeUsage({ totalTokens: matches[matches.length - 1][1], source: 'summary' });
+  }
+
   detectCompletion(output) {
     const patterns = [
       /completed successfully/i,
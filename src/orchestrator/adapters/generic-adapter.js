@@ -0,0 +1,291 @@
+/**
+ * Generic Agent Adapter
+ * Runs any agent CLI described by a JSON declaration, so new agents can be
+ * added from ~/.gbos/agents/*.json or <project>/.gbos/agents/*.json
+ * without code changes.
+ *
+ * Declaration fields:
+ *   name                 Agent name used with --agent (required)
+ *   command              Executable to run (required)
+ *   args                 Argument template, supports {prompt} and {model}
+ *   autoApproveArgs      Extra args when actions are auto-approved
+ *   modelArgs            Extra args when a model is selected, e.g. ["--model", "{model}"]
+ *   defaultModel         Model used when none is selected
+ *   versionArgs          Args that print the version (default ["--version"])
+ *   promptDelivery       "stdin" (default) or "argument"
+ *   env                  Env vars to set, values support {apiKey} and {model}
+ *   completionPatterns   Regexes that mean the agent is done
+ *   waitingPatterns      Regexes that mean the agent waits for input
+ *   errorPatterns        Regexes that mean the agent hit an error
+ *   aliases              Other names the agent answers to
+ *   usagePatterns        Regexes with one capture group for inputTokens, outputTokens,
+ *                        totalTokens and costUsd, read from the session output (^ and $ match per line)
+ *
+ * A command with a path must be absolute. Project declarations come with the
+ * repository, so they may only name a command on PATH and cannot set
+ * versionArgs: listing agents never runs anything a checkout brought along.
+ */
+
+const BaseAdapter = require('./base-adapter');
+const { normalizeUsage } = require('../usage');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs');
+const path = require('path');
+
+const execFileAsync = promisify(execFile);
+
+const PROMPT_DELIVERIES = ['stdin', 'argument'];
+const USAGE_FIELDS = ['inputTokens', 'outputTokens', 'totalTokens', 'costUsd'];
+
+// Whether a command is a path rather than a name looked up on PATH
+const hasPath = command => /[\\/]/.test(command);
+
+// Number of capture groups in a regex: an empty alternative always matches
+const countGroups = regex => new RegExp(`${regex.source}|`).exec('').length - 1;
+
+class GenericAdapter extends BaseAdapter {
+  /**
+   * @param {Object} declaration - Agent declaration (see file header)
+   * @param {Object} config - Adapter configuration
+   */
+  constructor(declaration, config = {}) {
+    super(config);
+    GenericAdapter.validate(declaration);
+
+    this.declaration = declaration;
+    this.name = declaration.name;
+    this.description = declaration.description || null;
+    this.source = declaration.source || null;
+    this.supportsNonInteractive = true;
+    this.supportsInteractive = false;
+    this.promptDelivery = declaration.promptDelivery || 'stdin';
+  }
+
+  /**
+   * Check a declaration has what is needed to run the agent
+   * @param {Object} declaration
+   * @throws {Error} When the declaration is invalid
+   */
+  static validate(declaration) {
+    if (!declaration || typeof declaration !== 'object') {
+      throw new Error('Agent declaration must be an object');
+    }
+    if (!declaration.name || typeof declaration.name !== 'string') {
+      throw new Error('Agent declaration is missing "name"');
+    }
+    if (!declaration.command || typeof declaration.command !== 'string') {
+      throw new Error(`Agent "${declaration.name}" is missing "command"`);
+    }
+    if (hasPath(declaration.command)) {
+      if (declaration.scope === 'project') {
+        throw new Error(`Agent "${declaration.name}" is declared in the project, so "command" must be a command on PATH, not a path`);
+      }
+      if (!path.isAbsolute(declaration.command)) {
+        throw new Error(`Agent "${declaration.name}" has relative "command" ${declaration.command} (use an absolute path or a command on PATH)`);
+      }
+    }
+    if (declaration.scope === 'project' && declaration.versionArgs !== undefined) {
+      throw new Error(`Agent "${declaration.name}" is declared in the project and cannot set "versionArgs"`);
+    }
+    if (declaration.promptDelivery && !PROMPT_DELIVERIES.includes(declaration.promptDelivery)) {
+      throw new Error(`Agent "${declaration.name}" has invalid promptDelivery "${declaration.promptDelivery}" (use ${PROMPT_DELIVERIES.join(' or ')})`);
+    }
+    for (const key of ['args', 'autoApproveArgs', 'modelArgs', 'versionArgs', 'completionPatterns', 'waitingPatterns', 'errorPatterns', 'aliases']) {
+      if (declaration[key] !== undefined && !Array.isArray(declaration[key])) {
+        throw new Error(`Agent "${declaration.name}" field "${key}" must be an array`);
+      }
+    }
+    for (const key of ['completionPatterns', 'waitingPatterns', 'errorPatterns']) {
+      for (const pattern of declaration[key] || []) {
+        try {
+          new RegExp(pattern, 'i');
+        } catch (e) {
+          throw new Error(`Agent "${declaration.name}" has invalid regex in "${key}": ${e.message}`);
+        }
+      }
+    }
+    GenericAdapter.validateUsagePatterns(declaration);
+  }
+
+  /**
+   * Check usagePatterns maps known fields to regexes with one capture group
+   * @throws {Error} When a pattern is unknown, invalid or captures no single value
+   */
+  static validateUsagePatterns(declaration) {
+    const patterns = declaration.usagePatterns;
+    if (patterns === undefined) return;
+    if (!patterns || typeof patterns !== 'object' || Array.isArray(patterns)) {
+      throw new Error(`Agent "${declaration.name}" field "usagePatterns" must be an object`);
+    }
+    for (const [field, pattern] of Object.entries(patterns)) {
+      if (!USAGE_FIELDS.includes(field)) {
+        throw new Error(`Agent "${declaration.name}" has unknown field "${field}" in "usagePatterns" (use ${USAGE_FIELDS.join(', ')})`);
+      }
+      if (typeof pattern !== 'string') {
+        throw new Error(`Agent "${declaration.name}" regex in "usagePatterns.${field}" must be a string`);
+      }
+      let regex;
+      try {
+        regex = new RegExp(pattern, 'gim');
+      } catch (e) {
+        throw new Error(`Agent "${declaration.name}" has invalid regex in "usagePatterns.${field}": ${e.message}`);
+      }
+      const groups = countGroups(regex);
+      if (groups !== 1) {
+        throw new Error(`Agent "${declaration.name}" regex in "usagePatterns.${field}" must have exactly one capture group, found ${groups}`);
+      }
+    }
+  }
+
+  async isAvailable() {
+    const { command } = this.declaration;
+    if (hasPath(command)) {
+      return fs.existsSync(command);
+    }
+    try {
+      await execFileAsync('which', [command]);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  async getVersion() {
+    try {
+      const { stdout } = await execFileAsync(this.declaration.command, this.declaration.versionArgs || ['--version'], { timeout: 10000 });
+      return stdout.trim().split('\n')[0] || 'unknown';
+    } catch (e) {
+      return 'unknown';
+    }
+  }
+
+  /**
+   * Fill {placeholders} in a template string
+   */
+  fillTemplate(template, values) {
+    return String(template).replace(/\{(\w+)\}/g, (match, key) => (
+      values[key] !== undefined && values[key] !== null ? String(values[key]) : match
+    ));
+  }
+
+  getCommand(options = {}) {
+    const decl = this.declaration;
+    const model = options.model || decl.defaultModel || null;
+    const values = { prompt: options.prompt || '', model: model || '', apiKey: options.apiKey || '' };
+
+    const template = [...(decl.args || [])];
+    if (options.autoApprove) template.push(...(decl.autoApproveArgs || []));
+    if (model) template.push(...(decl.modelArgs || []));
+
+    // Argument delivery without an explicit {prompt} slot appends the prompt last
+    if (this.promptDelivery === 'argument' && !template.some(arg => String(arg).includes('{prompt}'))) {
+      template.push('{prompt}');
+    }
+
+    const args = template.map(arg => this.fillTemplate(arg, values));
+
+    const env = { ...process.env };
+    for (const [key, value] of Object.entries(decl.env || {})) {
+      // Leave the variable alone when the key is not known rather than setting it empty
+      if (String(value).includes('{apiKey}') && !options.apiKey) continue;
+      env[key] = this.fillTemplate(value, values);
+    }
+
+    return {
+      command: decl.command,
+      args,
+      env,
+      closeStdinOnWrite: decl.closeStdinOnWrite !== false,
+    };
+  }
+
+  formatPrompt(task, context = {}) {
+    const lines = [];
+
+    lines.push(`# ${task.title || task.name || 'Task'}`);
+    lines.push('');
+    lines.push(`Task: ${task.task_key || task.id}`);
+    if (task.priority) lines.push(`Priority: ${task.priority}`);
+    lines.push('');
+
+    lines.push('## Instructions');
+    lines.push('');
+    if (task.agent_prompt) {
+      lines.push(task.agent_prompt);
+    } else if (task.prompt) {
+      lines.push(task.prompt);
+    } else if (task.description) {
+      lines.push(task.description);
+    }
+    lines.push('');
+
+    if (task.acceptance_criteria && task.acceptance_criteria.length > 0) {
+      lines.push('## Acceptance Criteria');
+      task.acceptance_criteria.forEach((c, i) => {
+        lines.push(`${i + 1}. ${c}`);
+      });
+      lines.push('');
+    }
+
+    if (task.target_files && task.target_files.length > 0) {
+      lines.push('## Files');
+      task.target_files.forEach(f => lines.push(`- ${f}`));
+      lines.push('');
+    }
+
+    lines.push('## Testing');
+    lines.push('');
+    if (context.cloudRunUrl) {
+      lines.push(`The app is deployed at ${context.cloudRunUrl}. Test your changes against it.`);
+    } else {
+      lines.push('Run the existing tests to verify your changes work.');
+    }
+    lines.push('');
+
+    lines.push('## Important');
+    lines.push('- Do NOT commit or push changes - the orchestrator handles git operations');
+    lines.push('');
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Test output against a list of regex strings from the declaration
+   */
+  matchesAny(patterns, output) {
+    return (patterns || []).some(p => new RegExp(p, 'i').test(output));
+  }
+
+  extractUsage(output, parsed = null) {
+    const patterns = this.declaration.usagePatterns;
+    if (!patterns) return super.extractUsage(output, parsed);
+
+    const usage = { source: 'summary' };
+    let found = false;
+    for (const field of USAGE_FIELDS) {
+      if (!patterns[field]) continue;
+      const matches = [...(output || '').matchAll(new RegExp(patterns[field], 'gim'))];
+      if (matches.length > 0) {
+        const value = matches[matches.length - 1][1];
+        usage[field] = field === 'costUsd' ? parseFloat(value) : value;
+        found = true;
+      }
+    }
+    return found ? normalizeUsage(usage) : super.extractUsage(output, parsed);
+  }
+
+  detectCompletion(output) {
+    return this.matchesAny(this.declaration.completionPatterns, output) || super.detectCompletion(output);
+  }
+
+  detectWaitingForInput(output) {
+    return this.matchesAny(this.declaration.waitingPatterns, output) || super.detectWaitingForInput(output);
+  }
+
+  detectError(output) {
+    return this.matchesAny(this.declaration.errorPatterns, output) || super.detectError(output);
+  }
+}
+
+module.exports = GenericAdapter;
@@ -1,11 +1,22 @@
 /**
  * Agent Adapters Index
- * Factory for creating agent adapters
+ * Factory for creating agent adapters (built-in and declared in config)
  */
 
+const fs = require('fs');
+const path = require('path');
 const ClaudeAdapter = require('./claude-adapter');
 const CodexAdapter = require('./codex-adapter');
 const GeminiAdapter = require('./gemini-adapter');
+const AiderAdapter = require('./aider-adapter');
+const OpenCodeAdapter = require('./opencode-adapter');
+const GenericAdapter = require('./generic-adapter');
+const config = require('../../lib/config');
+
+// User-level agent declarations (agents/ in the config dir)
+function getUserAgentsDir() {
+  return config.getConfigPath('agents');
+}
 
 const ADAPTERS = {
   'claude-code': ClaudeAdapter,
@@ -14,35 +25,115 @@ const ADAPTERS = {
   'openai': CodexAdapter,
   'gemini': GeminiAdapter,
   'google': GeminiAdapter,
+  'aider': AiderAdapter,
+  'opencode': OpenCodeAdapter,
 };
 
+/**
+ * Read agent declarations from a directory of JSON files
+ * @param {string} dir - Directory to scan
+ * @param {string} scope - 'user' or 'project'; project declarations are held to PATH commands
+ * @returns {{ declarations: Object[], errors: Object[] }}
+ */
+function readAgentDir(dir, scope) {
+  const declarations = [];
+  const errors = [];
+
+  if (!fs.existsSync(dir)) {
+    return { declarations, errors };
+  }
+
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort()) {
+    const filePath = path.join(dir, file);
+    try {
+      const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      // Where it was found decides the scope, whatever the file says
+      const declaration = parsed && typeof parsed === 'object' ? { ...parsed, source: filePath, scope } : parsed;
+      GenericAdapter.validate(declaration);
+      declarations.push(declaration);
+    } catch (e) {
+      errors.push({ file: filePath, error: e.message });
+    }
+  }
+
+  return { declarations, errors };
+}
+
+/**
+ * Load custom agent declarations. Project declarations override user-level
+ * ones with the same name; built-in adapters always take precedence.
+ * @param {string|null} projectDir - Project root (reads <projectDir>/.gbos/agents)
+ * @returns {{ agents: Object, errors: Object[] }} agents keyed by lowercase name and alias
+ */
+function loadCustomAdapters(projectDir = null) {
+  const agents = {};
+  const errors = [];
+  const dirs = [[getUserAgentsDir(), 'user']];
+  if (projectDir) {
+    dirs.push([path.join(projectDir, '.gbos', 'agents'), 'project']);
+  }
+
+  for (const [dir, scope] of dirs) {
+    const result = readAgentDir(dir, scope);
+    errors.push(...result.errors);
+
+    for (const declaration of result.declarations) {
+      // An override replaces the whole declaration, aliases included
+      const overridden = agents[declaration.name.toLowerCase()];
+      for (const [name, existing] of Object.entries(agents)) {
+        if (overridden && existing === overridden) delete agents[name];
+      }
+
+      for (const key of [declaration.name, ...(declaration.aliases || [])]) {
+        const name = key.toLowerCase();
+        if (ADAPTERS[name]) {
+          errors.push({ file: declaration.source, error: `"${key}" is a built-in agent and cannot be redeclared` });
+          continue;
+        }
+        agents[name] = declaration;
+      }
+    }
+  }
+
+  return { agents, errors };
+}
+
 /**
  * Get an adapter by name
  * @param {string} name - Adapter name
- * @param {Object} config - Adapter configuration
+ * @param {Object} config - Adapter configuration ({ projectDir } enables project-level agents)
  * @returns {BaseAdapter}
  */
 function getAdapter(name, config = {}) {
-  const AdapterClass = ADAPTERS[name.toLowerCase()];
-  if (!AdapterClass) {
-    throw new Error(`Unknown agent adapter: ${name}. Available: ${Object.keys(ADAPTERS).join(', ')}`);
+  const key = name.toLowerCase();
+  const AdapterClass = ADAPTERS[key];
+  if (AdapterClass) {
+    return new AdapterClass(config);
   }
-  return new AdapterClass(config);
+
+  const { agents } = loadCustomAdapters(config.projectDir);
+  if (agents[key]) {
+    return new GenericAdapter(agents[key], config);
+  }
+
+  throw new Error(`Unknown agent adapter: ${name}. Available: ${getAvailableAdapters(config.projectDir).join(', ')}`);
 }
 
 /**
  * Get all available adapters
+ * @param {string|null} projectDir - Project root for project-level agents
  * @returns {string[]}
  */
-function getAvailableAdapters() {
-  return Object.keys(ADAPTERS);
+function getAvailableAdapters(projectDir = null) {
+  return [...Object.keys(ADAPTERS), ...Object.keys(loadCustomAdapters(projectDir).agents)];
 }
 
 /**
  * Check which adapters are installed
+ * @param {Object} options - { projectDir } to include project-level agents
  * @returns {Promise<Object>}
  */
-async function checkInstalledAdapters() {
+async function checkInstalledAdapters(options = {}) {
   const results = {};
   const checked = new Set();
 
@@ -54,6 +145,23 @@ async function checkInstalledAdapters() {
     results[adapter.name] = {
       available: await adapter.isAvailable(),
       version: await adapter.getVersion(),
+      builtIn: true,
+    };
+  }
+
+  for (const declaration of Object.values(loadCustomAdapters(options.projectDir).agents)) {
+    if (checked.has(declaration)) continue;
+    checked.add(declaration);
+
+    const adapter = new GenericAdapter(declaration);
+    const available = await adapter.isAvailable();
+    results[adapter.name.toLowerCase()] = {
+      available,
+      version: available ? await adapter.getVersion() : 'unknown',
+      builtIn: false,
+      source: declaration.source,
+      scope: declaration.scope,
+      aliases: declaration.aliases || [],
     };
   }
 
@@ -64,7 +172,12 @@ module.exports = {
   getAdapter,
   getAvailableAdapters,
   checkInstalledAdapters,
+  loadCustomAdapters,
+  getUserAgentsDir,
+  GenericAdapter,
   ClaudeAdapter,
   CodexAdapter,
   GeminiAdapter,
+  AiderAdapter,
+  OpenCodeAdapter,
 };
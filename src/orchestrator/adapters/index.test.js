@@ -0,0 +1,89 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getAdapter, loadCustomAdapters, checkInstalledAdapters, GenericAdapter } = require('./index');
+
+describe('Agent declarations', () => {
+  let root;
+  let project;
+  let savedConfigDir;
+
+  const declare = (dir, file, declaration) => {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, file), typeof declaration === 'string' ? declaration : JSON.stringify(declaration));
+  };
+
+  before(() => {
+    savedConfigDir = process.env.GBOS_CONFIG_DIR;
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'gbos-agents-'));
+    process.env.GBOS_CONFIG_DIR = path.join(root, 'config');
+    project = path.join(root, 'project');
+    const userDir = path.join(root, 'config', 'agents');
+    const projectDir = path.join(project, '.gbos', 'agents');
+
+    declare(userDir, 'shared.json', { name: 'Shared', command: 'user-agent', aliases: ['sh-agent'] });
+    declare(userDir, 'mine.json', { name: 'mine', command: process.execPath, versionArgs: ['--version'] });
+    declare(userDir, 'claude.json', { name: 'claude', command: 'my-claude' });
+    declare(userDir, 'broken.json', '{ "name": ');
+    declare(projectDir, 'shared.json', { name: 'shared', command: 'project-agent' });
+    declare(projectDir, 'local.json', { name: 'local', command: './bin/agent' });
+    declare(projectDir, 'sneaky.json', { name: 'sneaky', command: 'node', versionArgs: ['-e', 'process.exit(3)'], scope: 'user' });
+  });
+
+  after(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+    if (savedConfigDir === undefined) delete process.env.GBOS_CONFIG_DIR; else process.env.GBOS_CONFIG_DIR = savedConfigDir;
+  });
+
+  it('should load user declarations and let project ones override them by name', () => {
+    const { agents } = loadCustomAdapters(project);
+
+    assert.strictEqual(agents.shared.command, 'project-agent');
+    assert.strictEqual(agents.shared.scope, 'project');
+    // Along with the aliases of the user declaration it replaces
+    assert.strictEqual(agents['sh-agent'], undefined);
+    assert.strictEqual(agents.mine.scope, 'user');
+    assert.strictEqual(agents.mine.source, path.join(root, 'config', 'agents', 'mine.json'));
+    assert.strictEqual(loadCustomAdapters(null).agents.shared.command, 'user-agent');
+  });
+
+  it('should report invalid declarations with their file instead of loading them', () => {
+    const { agents, errors } = loadCustomAdapters(project);
+    const errorFor = file => errors.find(e => path.basename(e.file) === file)?.error;
+
+    assert.strictEqual(agents.claude, undefined);
+    assert.match(errorFor('claude.json'), /"claude" is a built-in agent/);
+    assert.match(errorFor('broken.json'), /JSON/);
+    assert.match(errorFor('local.json'), /declared in the project, so "command" must be a command on PATH/);
+    assert.match(errorFor('sneaky.json'), /declared in the project and cannot set "versionArgs"/);
+    assert.strictEqual(agents.local, undefined);
+    assert.strictEqual(agents.sneaky, undefined);
+  });
+
+  it('should prefer built-in adapters and find declared agents by name or alias', () => {
+    assert.strictEqual(getAdapter('claude', { projectDir: project }).name, 'claude-code');
+    assert.strictEqual(getAdapter('SHARED', { projectDir: project }).declaration.command, 'project-agent');
+    assert.strictEqual(getAdapter('sh-agent').declaration.command, 'user-agent');
+    assert.throws(() => getAdapter('local', { projectDir: project }), /Unknown agent adapter: local/);
+  });
+
+  it('should refuse relative commands in user declarations', () => {
+    assert.throws(
+      () => new GenericAdapter({ name: 'rel', command: 'bin/agent' }),
+      /relative "command" bin\/agent \(use an absolute path or a command on PATH\)/
+    );
+    assert.doesNotThrow(() => new GenericAdapter({ name: 'abs', command: process.execPath }));
+  });
+
+  it('should check declared commands by absolute path or on PATH', async () => {
+    const adapters = await checkInstalledAdapters({ projectDir: project });
+
+    assert.strictEqual(adapters.mine.available, true);
+    assert.strictEqual(adapters.mine.version, process.version);
+    assert.strictEqual(adapters.shared.available, false);
+    assert.strictEqual(adapters.shared.scope, 'project');
+    assert.strictEqual(adapters.sneaky, undefined);
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * OpenCode Agent Adapter
+ * Uses `opencode run <prompt>` which runs the prompt non-interactively
+ * and exits when the agent is done.
+ */
+
+const BaseAdapter = require('./base-adapter');
+const { exec } = require('child_process');
+const { promisify } = require('util');
+
+const execAsync = promisify(exec);
+
+class OpenCodeAdapter extends BaseAdapter {
+  constructor(config = {}) {
+    super(config);
+    this.name = 'opencode';
+    this.supportsNonInteractive = true;
+    this.supportsInteractive = true;
+    this.promptDelivery = 'argument';
+  }
+
+  async isAvailable() {
+    try {
+      await execAsync('which opencode');
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  async getVersion() {
+    try {
+      const { stdout } = await execAsync('opencode --version');
+      return stdout.trim();
+    } catch (e) {
+      return 'unknown';
+    }
+  }
+
+  getCommand(options = {}) {
+    const args = ['run'];
+
+    // OpenCode expects provider/model, e.g. anthropic/claude-sonnet-4-5
+    if (options.model) args.push('--model', options.model);
+
+    args.push(options.prompt || '');
+
+    const env = {
+      ...process.env,
+      ...this.getProviderEnv(this.detectProvider(options.model), options.apiKey),
+    };
+
+    // OpenCode has no auto-approve flag; grant the permissions through inline config
+    if (options.autoApprove) {
+      env.OPENCODE_CONFIG_CONTENT = JSON.stringify({
+        permission: { edit: 'allow', bash: 'allow', webfetch: 'allow' },
+      });
+    }
+
+    return {
+      command: 'opencode',
+      args,
+      env,
+      closeStdinOnWrite: true,
+    };
+  }
+
+  formatPrompt(task, context = {}) {
+    const lines = [];
+
+    lines.push(`# ${task.title || task.name || 'Task'}`);
+    lines.push('');
+    lines.push(`> Task: ${task.task_key || task.id}`);
+    if (task.priority) lines.push(`> Priority: ${task.priority}`);
+    if (task.task_type) lines.push(`> Type: ${task.task_type}`);
+    lines.push('');
+
+    lines.push('## Instructions');
+    lines.push('');
+    if (task.agent_prompt) {
+      lines.push(task.agent_prompt);
+    } else if (task.prompt) {
+      lines.push(task.prompt);
+    } else if (task.description) {
+      lines.push(task.description);
+    }
+    lines.push('');
+
+    if (task.acceptance_criteria && task.acceptance_criteria.length > 0) {
+      lines.push('## Acceptance Criteria');
+      task.acceptance_criteria.forEach((c, i) => {
+        lines.push(`${i + 1}. ${c}`);
+      });
+      lines.push('');
+    }
+
+    if (task.target_files && task.target_files.length > 0) {
+      lines.push('## Files');
+      task.target_files.forEach(f => lines.push(`- \`${f}\``));
+      lines.push('');
+    }
+
+    lines.push('## Testing');
+    lines.push('');
+    if (context.cloudRunUrl) {
+      lines.push(`App URL: ${context.cloudRunUrl}`);
+      lines.push('');
+      lines.push('Write Playwright tests against the deployed URL to verify your changes.');
+    } else {
+      lines.push('Run the existing tests to verify your changes work.');
+    }
+    lines.push('');
+
+    lines.push('## Important');
+    lines.push('- Do NOT commit or push changes');
+    lines.push('- Ensure all tests pass');
+    lines.push('- The orchestrator handles git operations');
+    lines.push('');
+
+    if (context.repoUrl) {
+      lines.push('## Repository');
+      lines.push(`- **URL:** ${context.repoUrl}`);
+      lines.push(`- **Branch:** ${context.branch || 'main'}`);
+      lines.push('');
+    }
+
+    return lines.join('\n');
+  }
+
+  detectCompletion(output) {
+    const patterns = [
+      /changes are complete/i,
+      /I've (made|completed|implemented)/i,
+      /implementation complete/i,
+      /all tests pass/i,
+    ];
+    return patterns.some(p => p.test(output)) || super.detectCompletion(output);
+  }
+
+  detectWaitingForInput(output) {
+    const patterns = [
+      /permission required/i,
+      /allow (once|always)/i,
+      /Do you want me to/i,
+      /Should I/i,
+    ];
+    return patterns.some(p => p.test(output)) || super.detectWaitingForInput(output);
+  }
+}
+
+module.exports = OpenCodeAdapter;
@@ -0,0 +1,43 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const OpenCodeAdapter = require('./opencode-adapter');
+
+describe('OpenCodeAdapter', () => {
+  it('should run the prompt with opencode run, the prompt last', () => {
+    const { command, args } = new OpenCodeAdapter().getCommand({ prompt: 'Add login', model: 'anthropic/claude-sonnet-4' });
+
+    assert.strictEqual(command, 'opencode');
+    assert.deepStrictEqual(args, ['run', '--model', 'anthropic/claude-sonnet-4', 'Add login']);
+  });
+
+  it('should allow edits, shell and web access through OPENCODE_CONFIG_CONTENT when auto-approving', () => {
+    const saved = process.env.OPENCODE_CONFIG_CONTENT;
+    delete process.env.OPENCODE_CONFIG_CONTENT;
+    try {
+      const approved = new OpenCodeAdapter().getCommand({ prompt: 'x', autoApprove: true }).env;
+      const asking = new OpenCodeAdapter().getCommand({ prompt: 'x' }).env;
+
+      assert.deepStrictEqual(JSON.parse(approved.OPENCODE_CONFIG_CONTENT), {
+        permission: { edit: 'allow', bash: 'allow', webfetch: 'allow' },
+      });
+      assert.strictEqual(asking.OPENCODE_CONFIG_CONTENT, undefined);
+    } finally {
+      if (saved !== undefined) process.env.OPENCODE_CONFIG_CONTENT = saved;
+    }
+  });
+
+  it('should pass the provider key of a provider/model name', () => {
+    const { env } = new OpenCodeAdapter().getCommand({ prompt: 'x', model: 'openrouter/qwen-coder', apiKey: 'or-test' });
+
+    assert.strictEqual(env.OPENROUTER_API_KEY, 'or-test');
+  });
+
+  it('should report no usage from plain output and summarize its last lines', () => {
+    const output = 'Reading src/app.js\nTokens used: 5000\nI\'ve implemented the login form.\n';
+    const adapter = new OpenCodeAdapter();
+
+    assert.strictEqual(adapter.extractUsage(output), null);
+    assert.strictEqual(adapter.extractSummary(output), 'Reading src/app.js\nTokens used: 5000\nI\'ve implemented the login form.');
+    assert.strictEqual(adapter.extractSummary(output, { summary: 'Added the login form.' }), 'Added the login form.');
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Task Budget
+ * Agent time, cost and turn limits for a task, watched while the agent runs
+ */
+
+const { EventEmitter } = require('events');
+
+const LIMITS = {
+  maxMinutes: { metadata: ['max_minutes', 'maxMinutes'], unit: 'minutes' },
+  maxCost: { metadata: ['max_cost', 'maxCost', 'max_cost_usd'], unit: 'USD' },
+  maxTurns: { metadata: ['max_turns', 'maxTurns'], unit: 'turns' },
+};
+
+/**
+ * Parse a limit value; anything that is not a positive number means "no limit"
+ */
+function parseLimit(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) && number > 0 ? number : null;
+}
+
+/**
+ * Combine the run options with the task's own budget. When both set the same
+ * limit the stricter one wins, so a task can tighten but never loosen the
+ * limits given on the command line.
+ * @param {Object} options - Orchestrator options ({ maxMinutes, maxCost, maxTurns })
+ * @param {Object|null} task - Task from the GBOS API (budget in task.metadata.budget, task.metadata or task.budget)
+ * @returns {Object} { maxMinutes, maxCost, maxTurns } with null for unset limits
+ */
+function resolveBudget(options = {}, task = null) {
+  const sources = [task?.metadata?.budget, task?.metadata, task?.budget].filter(Boolean);
+  const budget = {};
+
+  for (const [limit, { metadata }] of Object.entries(LIMITS)) {
+    const candidates = [parseLimit(options[limit])];
+    for (const source of sources) {
+      for (const key of metadata) {
+        candidates.push(parseLimit(source[key]));
+      }
+    }
+    const values = candidates.filter(v => v !== null);
+    budget[limit] = values.length > 0 ? Math.min(...values) : null;
+  }
+
+  return budget;
+}
+
+/**
+ * Whether any limit is set
+ */
+function hasBudget(budget) {
+  return Object.keys(LIMITS).some(limit => budget?.[limit] !== null && budget?.[limit] !== undefined);
+}
+
+class BudgetMonitor extends EventEmitter {
+  /**
+   * @param {Object} budget - Limits from resolveBudget()
+   * @param {Object} spent - Usage already spent on the task before this session
+   *                         ({ durationMs, costUsd, turns }); time counts only while an agent ran,
+   *                         so a run resumed hours later continues from the same total
+   */
+  constructor(budget, spent = {}) {
+    super();
+    this.budget = budget;
+    this.startedAt = Date.now();
+    this.baseDurationMs = spent.durationMs || 0;
+    this.baseCost = spent.costUsd || 0;
+    this.baseTurns = spent.turns || 0;
+    this.costUsd = 0;
+    this.turns = 0;
+    this.exceeded = null;
+    this.interval = null;
+  }
+
+  /**
+   * Agent time spent on the task, this session included
+   */
+  getElapsedMs() {
+    return this.baseDurationMs + Date.now() - this.startedAt;
+  }
+
+  /**
+   * Milliseconds left before the time limit, or null without one
+   */
+  getRemainingMs() {
+    if (!this.budget.maxMinutes) return null;
+    return Math.max(0, this.budget.maxMinutes * 60 * 1000 - this.getElapsedMs());
+  }
+
+  /**
+   * Update the live usage of the current session
+   * @param {Object} usage - { costUsd, turns }
+   */
+  update(usage = {}) {
+    if (usage.costUsd !== undefined && usage.costUsd !== null) this.costUsd = usage.costUsd;
+    if (usage.turns !== undefined && usage.turns !== null) this.turns = usage.turns;
+    return this.check();
+  }
+
+  /**
+   * Compare usage against the limits and emit 'exceeded' the first time one is broken
+   * @returns {Object|null} The breach ({ limit, value, max, unit }) or null
+   */
+  check() {
+    if (this.exceeded) return this.exceeded;
+
+    const current = {
+      maxMinutes: this.getElapsedMs() / 60000,
+      maxCost: this.baseCost + this.costUsd,
+      maxTurns: this.baseTurns + this.turns,
+    };
+
+    for (const [limit, { unit }] of Object.entries(LIMITS)) {
+      const max = this.budget[limit];
+      if (max !== null && max !== undefined && current[limit] > max) {
+        this.exceeded = {
+          limit,
+          value: Math.round(current[limit] * 100) / 100,
+          max,
+          unit,
+        };
+        this.emit('exceeded', this.exceeded);
+        return this.exceeded;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check the limits periodically
+   * @param {Function|null} sample - Returns the live session usage ({ costUsd, turns })
+   * @param {number} intervalMs
+   */
+  start(sample = null, intervalMs = 5000) {
+    this.stop();
+    this.interval = setInterval(() => {
+      this.update(sample ? sample() || {} : {});
+    }, intervalMs);
+  }
+
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+  }
+}
+
+module.exports = {
+  BudgetMonitor,
+  resolveBudget,
+  hasBudget,
+};
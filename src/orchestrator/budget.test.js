@@ -0,0 +1,145 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BudgetMonitor, resolveBudget, hasBudget } = require('./budget');
+
+describe('resolveBudget', () => {
+  it('should let the smaller of the CLI and task limits win', () => {
+    const task = { metadata: { budget: { max_minutes: 10, max_cost: 5 }, max_turns: 40 } };
+
+    assert.deepStrictEqual(resolveBudget({ maxMinutes: 30, maxCost: 2, maxTurns: 50 }, task), {
+      maxMinutes: 10,
+      maxCost: 2,
+      maxTurns: 40,
+    });
+  });
+
+  it('should take limits from either side alone and ignore invalid ones', () => {
+    assert.deepStrictEqual(resolveBudget({ maxCost: '1.5' }, { budget: { maxTurns: 8, max_minutes: 'soon' } }), {
+      maxMinutes: null,
+      maxCost: 1.5,
+      maxTurns: 8,
+    });
+    assert.deepStrictEqual(resolveBudget({}, { metadata: { max_cost_usd: 0 } }), {
+      maxMinutes: null,
+      maxCost: null,
+      maxTurns: null,
+    });
+    assert.strictEqual(hasBudget(resolveBudget({}, null)), false);
+  });
+});
+
+describe('BudgetMonitor', () => {
+  const breachOf = (monitor, usage) => {
+    const events = [];
+    monitor.on('exceeded', breach => events.push(breach));
+    monitor.update(usage);
+    monitor.update(usage);
+    return events;
+  };
+
+  it('should emit one breach when the agent time runs out, earlier sessions included', () => {
+    const monitor = new BudgetMonitor({ maxMinutes: 10 }, { durationMs: 11 * 60 * 1000 });
+
+    assert.deepStrictEqual(breachOf(monitor, {}), [{ limit: 'maxMinutes', value: 11, max: 10, unit: 'minutes' }]);
+    assert.strictEqual(monitor.getRemainingMs(), 0);
+  });
+
+  it('should emit a breach when the cost goes over, earlier sessions included', () => {
+    const monitor = new BudgetMonitor({ maxCost: 1 }, { costUsd: 0.75 });
+
+    assert.deepStrictEqual(breachOf(monitor, { costUsd: 0.5 }), [{ limit: 'maxCost', value: 1.25, max: 1, unit: 'USD' }]);
+  });
+
+  it('should emit a breach when the turns go over', () => {
+    const monitor = new BudgetMonitor({ maxTurns: 20 }, { turns: 15 });
+
+    assert.strictEqual(monitor.update({ turns: 5 }), null);
+    assert.deepStrictEqual(breachOf(monitor, { turns: 6 }), [{ limit: 'maxTurns', value: 21, max: 20, unit: 'turns' }]);
+  });
+
+  it('should count only agent time, not the time since the task started', () => {
+    // A run resumed long after it started, with 4 minutes of agent time so far
+    const monitor = new BudgetMonitor({ maxMinutes: 10 }, { durationMs: 4 * 60 * 1000 });
+
+    assert.strictEqual(monitor.check(), null);
+    const remaining = monitor.getRemainingMs();
+    assert.ok(remaining > 5.9 * 60 * 1000 && remaining <= 6 * 60 * 1000);
+  });
+});
+
+describe('Orchestrator budget', () => {
+  let root;
+  let savedConfigDir;
+  let Orchestrator;
+  let StateMachine;
+
+  before(() => {
+    savedConfigDir = process.env.GBOS_CONFIG_DIR;
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'gbos-budget-'));
+    process.env.GBOS_CONFIG_DIR = path.join(root, 'config');
+    Orchestrator = require('./orchestrator');
+    ({ StateMachine } = require('./state-machine'));
+  });
+
+  after(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+    if (savedConfigDir === undefined) delete process.env.GBOS_CONFIG_DIR; else process.env.GBOS_CONFIG_DIR = savedConfigDir;
+  });
+
+  const orchestratorFor = (task, options = {}) => {
+    const orchestrator = new Orchestrator({ workingDir: root, ...options });
+    orchestrator.stateMachine = new StateMachine();
+    orchestrator.adapter = { name: 'claude-code' };
+    orchestrator.currentTask = task;
+    return orchestrator;
+  };
+
+  it('should resume the time budget from the agent time recorded for the task', () => {
+    const orchestrator = orchestratorFor({ id: 5, metadata: { max_minutes: 10 } });
+    // Started long ago (a paused run), but the agent has only run for 3 minutes
+    orchestrator.stateMachine.context.taskStartedAt = new Date(Date.now() - 5 * 60 * 60 * 1000).toISOString();
+    orchestrator.recordSessionUsage(null, 3 * 60 * 1000);
+    orchestrator.recordSessionUsage({ costUsd: 0.2, turns: 4, sessions: 1 }, 60 * 1000);
+    orchestrator.currentTask = { id: 6 };
+    orchestrator.recordSessionUsage(null, 60 * 60 * 1000);
+    orchestrator.currentTask = { id: 5, metadata: { max_minutes: 10 } };
+
+    const monitor = orchestrator.createBudgetMonitor();
+
+    assert.strictEqual(monitor.check(), null);
+    assert.strictEqual(monitor.baseDurationMs, 4 * 60 * 1000);
+    assert.strictEqual(monitor.baseCost, 0.2);
+    assert.strictEqual(monitor.baseTurns, 4);
+  });
+
+  it('should end the task with the budget_exceeded outcome on a breach', () => {
+    const orchestrator = orchestratorFor({ id: 7, task_key: 'GB-7', metadata: { max_cost: 1 } }, { echoOutput: false });
+    const events = [];
+    orchestrator.on('budget_exceeded', event => events.push(event));
+    orchestrator.on('log', () => {});
+
+    const monitor = orchestrator.createBudgetMonitor();
+    monitor.on('exceeded', breach => orchestrator.handleBudgetExceeded(breach));
+    monitor.update({ costUsd: 1.5 });
+
+    assert.strictEqual(orchestrator.isBudgetExceeded(), true);
+    assert.strictEqual(orchestrator.stateMachine.context.outcome, 'budget_exceeded');
+    assert.deepStrictEqual(orchestrator.stateMachine.context.budgetExceeded, { limit: 'maxCost', value: 1.5, max: 1, unit: 'USD' });
+    assert.deepStrictEqual(events, [{ taskId: 7, taskKey: 'GB-7', limit: 'maxCost', value: 1.5, max: 1, unit: 'USD' }]);
+  });
+
+  it('should log an agent that fails to stop on a breach instead of throwing', async () => {
+    const orchestrator = orchestratorFor({ id: 8, metadata: { max_turns: 2 } }, { echoOutput: false });
+    const logs = [];
+    orchestrator.on('log', ({ message }) => logs.push(message));
+    const session = { stop: async () => { throw new Error('kill EPERM'); } };
+
+    await orchestrator.stopOverBudget(session, { limit: 'maxTurns', value: 3, max: 2, unit: 'turns' });
+
+    assert.strictEqual(orchestrator.isBudgetExceeded(), true);
+    assert.strictEqual(logs[logs.length - 1], 'Failed to stop the agent over budget: kill EPERM');
+  });
+});
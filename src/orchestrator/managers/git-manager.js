@@ -1,50 +1,138 @@
 /**
  * Git Automation Manager
- * Handles git operations: commit, push, branch management, and GitLab integration
+ * Handles git operations: commit, push, branch management, and merge requests on GitLab, GitHub or Gitea
  */
 
-const { exec } = require('child_process');
-const { promisify } = require('util');
-const config = require('../../lib/config');
+const fs = require('fs');
+const path = require('path');
+const processes = require('../../lib/process');
+const { getGitHost, extractProjectPath } = require('../../lib/git-hosts');
+const { CHECKS } = require('../../lib/project-config');
+const { formatTokens, formatCost } = require('../usage');
 
-const execAsync = promisify(exec);
+// git's messages for a push the remote refused because it is not a fast-forward
+const REJECTED_PUSH_PATTERN = /\[rejected\]|non-fast-forward|fetch first|Updates were rejected/i;
+
+/**
+ * The remote refused a push because it has commits the local branch lacks
+ */
+class PushRejectedError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} details - { remote, branch, stderr }
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'PushRejectedError';
+    this.remote = details.remote || null;
+    this.branch = details.branch || null;
+    this.stderr = details.stderr || '';
+  }
+}
+
+/**
+ * A rebase stopped on conflicting changes
+ */
+class MergeConflictError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} details - { onto, files, inProgress, stderr }
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'MergeConflictError';
+    this.onto = details.onto || null; // e.g. origin/task/ABC-1
+    this.files = details.files || []; // Paths with conflicts
+    this.inProgress = !!details.inProgress; // Rebase left stopped for someone to resolve
+    this.stderr = details.stderr || '';
+    this.commit = null; // Task commit being rebased, set by commitAndPush
+  }
+}
+
+/**
+ * Link to a task in the GBOS web app: the task's own, else built from GBOS_WEB_URL
+ */
+function getTaskUrl(task) {
+  if (task.web_url || task.url) return task.web_url || task.url;
+  const webUrl = process.env.GBOS_WEB_URL;
+  return webUrl ? `${webUrl.replace(/\/+$/, '')}/tasks/${encodeURIComponent(task.id)}` : null;
+}
+
+/**
+ * Markdown lines for VerificationManager results: the overall summary and a
+ * table of the checks with their result and time
+ * @param {Object|null} verification
+ * @returns {string[]}
+ */
+function formatVerification(verification) {
+  if (!verification?.overall) {
+    return ['Not run'];
+  }
+
+  const lines = [verification.overall.summary, '', '| Check | Result | Time |', '|-------|--------|------|'];
+  for (const [name, key] of Object.entries(CHECKS)) {
+    const check = verification[key];
+    if (!check) continue;
+    const outcome = !check.command ? 'skipped' : (check.passed ? 'passed' : 'failed');
+    const time = check.command && check.durationMs !== undefined ? `${(check.durationMs / 1000).toFixed(1)}s` : '';
+    lines.push(`| ${name} | ${outcome} | ${time} |`);
+  }
+  return lines;
+}
+
+/**
+ * Labels, assignees and reviewers for a task's MR, from task.metadata.merge_request
+ * or task.metadata; each a list or a comma-separated string
+ * @param {Object|null} task
+ * @returns {Object} { labels, assignees, reviewers } - Usernames without a leading @
+ */
+function resolveMRMetadata(task) {
+  const sources = [task?.metadata?.merge_request, task?.metadata].filter(Boolean);
+  const list = (key, isUser) => {
+    const value = sources.map(source => source[key]).find(v => v !== undefined && v !== null && v !== '');
+    if (!value) return [];
+    return (Array.isArray(value) ? value : String(value).split(','))
+      .map(item => String(item).trim())
+      .map(item => (isUser ? item.replace(/^@/, '') : item))
+      .filter(Boolean);
+  };
+
+  return {
+    labels: list('labels', false),
+    assignees: list('assignees', true),
+    reviewers: list('reviewers', true),
+  };
+}
 
 class GitManager {
   constructor(workingDir, options = {}) {
     this.workingDir = workingDir;
     this.options = {
       remote: options.remote || 'origin',
+      pushBranch: options.pushBranch || null, // Remote branch to push to when it differs from the local one
+      rebaseBeforePush: options.rebaseBeforePush || false,
+      targetBranch: options.targetBranch || 'main', // Merge request target
+      provider: options.provider || null, // gitlab, github or gitea; detected from the remote URL when null
+      pushAttempts: options.pushAttempts || 3, // Rebase and retry a rejected push this many times in all
+      abortOnConflict: options.abortOnConflict !== false, // false leaves a conflicted rebase in progress for continueRebase
       ...options,
     };
   }
 
   /**
    * Execute git command
+   * @param {string[]} args - Passed to git as they are, never through a shell
+   * @param {Object} options - { input } is written to git's stdin
    */
-  async git(args) {
-    const { stdout, stderr } = await execAsync(`git ${args}`, {
-      cwd: this.workingDir,
-      maxBuffer: 10 * 1024 * 1024,
-    });
-    return stdout.trim();
-  }
-
-  /**
-   * Get GitLab configuration
-   */
-  getGitLabConfig() {
-    const session = config.loadSession();
-    return {
-      url: session?.gitlab_url || process.env.GITLAB_URL || 'https://gitlab.com',
-      token: session?.gitlab_token || process.env.GITLAB_TOKEN || null,
-    };
+  async git(args, options = {}) {
+    return processes.git(args, { ...options, cwd: this.workingDir });
   }
 
   /**
    * Stage all changes
    */
   async stageAll() {
-    await this.git('add -A');
+    await this.git(['add', '-A']);
     return this.getStatus();
   }
 
@@ -52,7 +140,7 @@ class GitManager {
    * Get current status
    */
   async getStatus() {
-    const output = await this.git('status --porcelain');
+    const output = await this.git(['status', '--porcelain']);
     const lines = output.split('\n').filter(l => l);
 
     return {
@@ -82,8 +170,8 @@ class GitManager {
     // Add GBOS signature
     fullMessage += '\n\nAutomated by GBOS CLI orchestrator';
 
-    // Commit
-    await this.git(`commit -m "${fullMessage.replace(/"/g, '\\"')}"`);
+    // Commit, with the message on stdin so task text is never parsed
+    await this.git(['commit', '-F', '-'], { input: fullMessage });
 
     // Return commit info
     return this.getLastCommit();
@@ -93,10 +181,10 @@ class GitManager {
    * Get last commit info
    */
   async getLastCommit() {
-    const hash = await this.git('rev-parse HEAD');
-    const message = await this.git('log -1 --pretty=%B');
-    const author = await this.git('log -1 --pretty=%an');
-    const date = await this.git('log -1 --pretty=%ci');
+    const hash = await this.git(['rev-parse', 'HEAD']);
+    const message = await this.git(['log', '-1', '--pretty=%B']);
+    const author = await this.git(['log', '-1', '--pretty=%an']);
+    const date = await this.git(['log', '-1', '--pretty=%ci']);
 
     return {
       hash,
@@ -108,31 +196,198 @@ class GitManager {
   }
 
   /**
-   * Push to remote
+   * Push to remote. A push rejected because the remote branch moved on is
+   * rebased onto it and retried.
+   * @throws {PushRejectedError} Still rejected after options.pushAttempts
+   * @throws {MergeConflictError} The rebase hit conflicts
    */
   async push(branch = null, force = false) {
     const currentBranch = branch || await this.getCurrentBranch();
-    const forceFlag = force ? '--force' : '';
+    const targetBranch = this.options.pushBranch || currentBranch;
+    const refspec = targetBranch === currentBranch ? currentBranch : `${currentBranch}:${targetBranch}`;
+    const previousHead = await this.getRemoteHead(targetBranch);
+
+    let rebases = 0;
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await this.pushOnce(refspec, targetBranch, force);
+        break;
+      } catch (e) {
+        if (!(e instanceof PushRejectedError) || force || attempt >= this.options.pushAttempts) {
+          throw e;
+        }
+        await this.rebaseOnRemote(targetBranch);
+        rebases++;
+      }
+    }
+
+    return {
+      branch: targetBranch,
+      remote: this.options.remote,
+      rebases,
+      previousHead, // Last known remote head before the push, null for a new branch
+    };
+  }
 
+  /**
+   * Commit the remote-tracking branch points at, as of the last fetch or push
+   * @returns {Promise<string|null>}
+   */
+  async getRemoteHead(branch) {
+    try {
+      return await this.git(['rev-parse', '--verify', '--quiet', `refs/remotes/${this.options.remote}/${branch}`]);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * One push attempt
+   * @throws {PushRejectedError} The remote has commits this branch lacks
+   */
+  async pushOnce(refspec, targetBranch, force) {
+    const forceFlag = force ? ['--force'] : [];
     try {
       // Try to push with upstream tracking
-      await this.git(`push ${forceFlag} -u ${this.options.remote} ${currentBranch}`);
+      await this.git(['push', ...forceFlag, '-u', this.options.remote, refspec]);
+      return;
     } catch (e) {
-      // If that fails, try without -u
-      await this.git(`push ${forceFlag} ${this.options.remote} ${currentBranch}`);
+      if (REJECTED_PUSH_PATTERN.test(e.stderr || '')) {
+        throw this.pushRejected(targetBranch, e);
+      }
     }
 
-    return {
-      branch: currentBranch,
+    try {
+      // Setting the upstream can fail on its own, try without -u
+      await this.git(['push', ...forceFlag, this.options.remote, refspec]);
+    } catch (e) {
+      if (REJECTED_PUSH_PATTERN.test(e.stderr || '')) {
+        throw this.pushRejected(targetBranch, e);
+      }
+      throw e;
+    }
+  }
+
+  pushRejected(branch, error) {
+    return new PushRejectedError(`Push to ${this.options.remote}/${branch} was rejected: the remote branch has commits this branch does not`, {
       remote: this.options.remote,
-    };
+      branch,
+      stderr: error.stderr,
+    });
+  }
+
+  /**
+   * Rebase the current branch onto the latest remote branch so a push to a
+   * branch shared with other tasks (or updated by someone else) fast-forwards
+   * @returns {Promise<boolean>} false when the remote branch does not exist yet
+   * @throws {MergeConflictError} On conflicts; the rebase is aborted unless
+   *         options.abortOnConflict is false
+   */
+  async rebaseOnRemote(branch) {
+    try {
+      await this.git(['fetch', this.options.remote, branch]);
+    } catch (e) {
+      // Remote branch does not exist yet - nothing to rebase onto
+      return false;
+    }
+
+    const onto = `${this.options.remote}/${branch}`;
+    try {
+      await this.git(['rebase', onto]);
+    } catch (e) {
+      const files = await this.getConflictedFiles();
+      if (files.length > 0) {
+        if (this.options.abortOnConflict) {
+          await this.abortRebase();
+        }
+        throw new MergeConflictError(`Rebase onto ${onto} stopped on conflicts in ${files.join(', ')}`, {
+          onto,
+          files,
+          inProgress: !this.options.abortOnConflict,
+          stderr: e.stderr,
+        });
+      }
+      await this.abortRebase();
+      throw new Error(`Rebase onto ${onto} failed: ${e.message}`);
+    }
+    return true;
+  }
+
+  /**
+   * Paths with unresolved conflicts
+   * @returns {Promise<string[]>}
+   */
+  async getConflictedFiles() {
+    try {
+      const output = await this.git(['diff', '--name-only', '--diff-filter=U']);
+      return output.split('\n').filter(Boolean);
+    } catch (e) {
+      return [];
+    }
+  }
+
+  /**
+   * Give up a stopped rebase, restoring the branch as it was before
+   */
+  async abortRebase() {
+    try {
+      await this.git(['rebase', '--abort']);
+    } catch (e) {
+      // No rebase in progress
+    }
+  }
+
+  /**
+   * Continue a rebase after its conflicts were resolved in the working tree
+   * @throws {MergeConflictError} Markers are left, or the next commit conflicts too
+   */
+  async continueRebase(onto = null) {
+    const unresolved = await this.findConflictMarkers();
+    if (unresolved.length > 0) {
+      throw new MergeConflictError(`Conflict markers are still present in ${unresolved.join(', ')}`, {
+        onto,
+        files: unresolved,
+        inProgress: true,
+      });
+    }
+
+    await this.git(['add', '-A']);
+    try {
+      // core.editor=true keeps the commit message without opening an editor
+      await this.git(['-c', 'core.editor=true', 'rebase', '--continue']);
+    } catch (e) {
+      const files = await this.getConflictedFiles();
+      if (files.length === 0) throw e;
+      throw new MergeConflictError(`Rebase onto ${onto || 'the remote branch'} stopped on conflicts in ${files.join(', ')}`, {
+        onto,
+        files,
+        inProgress: true,
+        stderr: e.stderr,
+      });
+    }
+  }
+
+  /**
+   * Files (staged or not) that still contain conflict markers
+   * @returns {Promise<string[]>}
+   */
+  async findConflictMarkers() {
+    const output = await this.git(['diff', '--name-only', 'HEAD']);
+    const files = output.split('\n').filter(Boolean);
+    return files.filter((file) => {
+      try {
+        return /^(<{7}|>{7})( |$)/m.test(fs.readFileSync(path.join(this.workingDir, file), 'utf8'));
+      } catch (e) {
+        return false; // Deleted
+      }
+    });
   }
 
   /**
    * Get current branch
    */
   async getCurrentBranch() {
-    return this.git('rev-parse --abbrev-ref HEAD');
+    return this.git(['rev-parse', '--abbrev-ref', 'HEAD']);
   }
 
   /**
@@ -140,83 +395,89 @@ class GitManager {
    */
   async getRemoteUrl() {
     try {
-      return await this.git(`remote get-url ${this.options.remote}`);
+      return await this.git(['remote', 'get-url', this.options.remote]);
     } catch (e) {
       return null;
     }
   }
 
   /**
-   * Create a merge request on GitLab
+   * Git host (GitLab, GitHub or Gitea) of the remote
+   * @returns {Promise<BaseGitHost>}
    */
-  async createMergeRequest(options = {}) {
-    const gitlab = this.getGitLabConfig();
-
-    if (!gitlab.token) {
-      throw new Error('GitLab token not configured');
-    }
-
+  async getGitHost() {
     const remoteUrl = await this.getRemoteUrl();
     if (!remoteUrl) {
       throw new Error('No remote URL configured');
     }
+    return getGitHost({ provider: this.options.provider, remoteUrl });
+  }
 
-    // Extract project path from URL
-    const projectPath = this.extractProjectPath(remoteUrl);
-    const encodedPath = encodeURIComponent(projectPath);
-
-    const currentBranch = await this.getCurrentBranch();
-
-    const mrData = {
-      source_branch: currentBranch,
-      target_branch: options.targetBranch || 'main',
-      title: options.title || `[GBOS] ${currentBranch}`,
-      description: options.description || 'Automated merge request from GBOS orchestrator',
-      remove_source_branch: options.removeSourceBranch !== false,
+  /**
+   * Create a merge request (a pull request on GitHub and Gitea) for the pushed
+   * branch. When one is already open for it (a resumed or re-run task), its
+   * title and description are updated instead and a note lists the new
+   * commits and the verification results.
+   * @param {Object} options - { title, description, targetBranch, removeSourceBranch, verification,
+   *   since: commit the remote branch was at before the push, labels, assignees, reviewers,
+   *   draft: open (or mark) it as draft, autoMerge: merge it once the pipeline succeeds }
+   * @returns {Promise<Object>} Merge request, with updated: true when it already existed and
+   *   autoMerge: whether auto-merge was enabled (when requested)
+   */
+  async createMergeRequest(options = {}) {
+    const host = await this.getGitHost();
+    const projectPath = this.extractProjectPath(await this.getRemoteUrl());
+    const currentBranch = this.options.pushBranch || await this.getCurrentBranch();
+    const title = options.title || `[GBOS] ${currentBranch}`;
+    const description = options.description || 'Automated merge request from GBOS orchestrator';
+    const metadata = {
+      labels: options.labels || [],
+      assignees: options.assignees || [],
+      reviewers: options.reviewers || [],
+      draft: options.draft,
     };
 
-    const response = await fetch(`${gitlab.url}/api/v4/projects/${encodedPath}/merge_requests`, {
-      method: 'POST',
-      headers: {
-        'PRIVATE-TOKEN': gitlab.token,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(mrData),
-    });
-
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(error.message || `Failed to create MR: ${response.status}`);
+    let mr;
+    const existing = await host.findMergeRequest(projectPath, { sourceBranch: currentBranch });
+    if (existing) {
+      // Without a draft option the new title keeps the merge request's draft state
+      const draft = options.draft ?? existing.draft;
+      mr = { ...await host.updateMergeRequest(projectPath, existing.id, { title, description, ...metadata, draft }), updated: true };
+      const note = await this.buildMRNote(options.since || existing.sha, options.verification);
+      await host.addMergeRequestNote(projectPath, existing.id, note);
+    } else {
+      mr = await host.createMergeRequest(projectPath, {
+        sourceBranch: currentBranch,
+        targetBranch: options.targetBranch || this.options.targetBranch,
+        title,
+        description,
+        removeSourceBranch: options.removeSourceBranch !== false,
+        ...metadata,
+      });
     }
 
-    const mr = await response.json();
-
-    return {
-      id: mr.iid,
-      url: mr.web_url,
-      title: mr.title,
-      sourceBranch: mr.source_branch,
-      targetBranch: mr.target_branch,
-    };
+    if (options.autoMerge) {
+      // The merge request is open either way; a host that refuses only costs the auto-merge
+      try {
+        await host.enableAutoMerge(projectPath, mr.id);
+        mr.autoMerge = true;
+      } catch (e) {
+        mr.autoMerge = false;
+        mr.warnings = [...(mr.warnings || []), `Could not enable auto-merge: ${e.message}`];
+      }
+    }
+    return mr;
   }
 
   /**
    * Extract project path from git URL
    */
   extractProjectPath(url) {
-    // Handle SSH URLs: git@gitlab.com:group/project.git
-    let match = url.match(/@[^:]+:(.+?)(?:\.git)?$/);
-    if (match) {
-      return match[1];
-    }
-
-    // Handle HTTPS URLs: https://gitlab.com/group/project.git
-    match = url.match(/https?:\/\/[^\/]+\/(.+?)(?:\.git)?$/);
-    if (match) {
-      return match[1];
+    const projectPath = extractProjectPath(url);
+    if (!projectPath) {
+      throw new Error(`Cannot extract project path from URL: ${url}`);
     }
-
-    throw new Error(`Cannot extract project path from URL: ${url}`);
+    return projectPath;
   }
 
   /**
@@ -232,8 +493,8 @@ class GitManager {
    */
   async getDiffSummary() {
     try {
-      const stat = await this.git('diff --stat HEAD~1');
-      const numstat = await this.git('diff --numstat HEAD~1');
+      const stat = await this.git(['diff', '--stat', 'HEAD~1']);
+      const numstat = await this.git(['diff', '--numstat', 'HEAD~1']);
 
       const lines = numstat.split('\n').filter(l => l);
       let additions = 0;
@@ -298,19 +559,40 @@ class GitManager {
     // Commit
     const commit = await this.commit(message, task);
 
-    // Push
+    try {
+      // Catch up with commits other tasks pushed to the shared branch
+      if (this.options.rebaseBeforePush && this.options.pushBranch) {
+        await this.rebaseOnRemote(this.options.pushBranch);
+      }
+      return await this.pushCommitted(commit);
+    } catch (e) {
+      if (e instanceof MergeConflictError) e.commit = commit;
+      throw e;
+    }
+  }
+
+  /**
+   * Push a commit that is already made (e.g. once its rebase conflicts are resolved)
+   * @param {Object} commit - From commit()
+   */
+  async pushCommitted(commit) {
     const push = await this.push();
 
+    // A rebase rewrote the commit
+    const pushedCommit = commit.hash !== await this.git(['rev-parse', 'HEAD'])
+      ? await this.getLastCommit()
+      : commit;
+
     // Get diff summary
     const diff = await this.getDiffSummary();
 
     return {
       committed: true,
       pushed: true,
-      commit,
+      commit: pushedCommit,
       push,
       diff,
-      message: `Committed and pushed: ${commit.shortHash}`,
+      message: `Committed and pushed: ${pushedCommit.shortHash}`,
     };
   }
 
@@ -324,16 +606,30 @@ class GitManager {
       return result;
     }
 
-    // Create MR
+    return this.addMergeRequest(result, message, task, mrOptions);
+  }
+
+  /**
+   * Open an MR for a pushed commit and note it in the result
+   * @param {Object} result - From commitAndPush() / pushCommitted()
+   * @param {string} message - Commit message, the MR title when there is no task
+   * @param {Object|null} task
+   * @param {Object} mrOptions - createMergeRequest() options, plus what the description
+   *   reports: { verification, agent, model, usage, summary }
+   */
+  async addMergeRequest(result, message, task = null, mrOptions = {}) {
     try {
       const mr = await this.createMergeRequest({
         title: task ? `[${task.task_key || task.id}] ${task.title || message}` : message,
-        description: this.buildMRDescription(task, result),
+        description: this.buildMRDescription(task, result, mrOptions),
+        since: result.push?.previousHead,
+        ...resolveMRMetadata(task),
         ...mrOptions,
       });
 
       result.mergeRequest = mr;
-      result.message = `Committed, pushed, and MR created: ${mr.url}`;
+      result.message = `Committed, pushed, and ${mr.draft ? 'draft ' : ''}MR ${mr.updated ? 'updated' : 'created'}: ${mr.url}`
+        + (mr.autoMerge ? ' (merges when the pipeline succeeds)' : '');
     } catch (e) {
       result.mergeRequestError = e.message;
       result.message = `Committed and pushed, but MR creation failed: ${e.message}`;
@@ -344,15 +640,20 @@ class GitManager {
 
   /**
    * Build MR description
+   * @param {Object|null} task
+   * @param {Object} commitResult - From commitAndPush()
+   * @param {Object} details - { verification, agent, model, usage, summary }
    */
-  buildMRDescription(task, commitResult) {
+  buildMRDescription(task, commitResult, details = {}) {
     const lines = [];
 
     lines.push('## Summary');
     lines.push('');
 
     if (task) {
-      lines.push(`**Task:** ${task.title || task.name || 'Task'}`);
+      const taskUrl = getTaskUrl(task);
+      const name = task.title || task.name || 'Task';
+      lines.push(`**Task:** ${taskUrl ? `[${name}](${taskUrl})` : name}`);
       if (task.task_key) lines.push(`**Key:** ${task.task_key}`);
       lines.push(`**ID:** ${task.id}`);
       lines.push('');
@@ -362,8 +663,18 @@ class GitManager {
         lines.push(task.description);
         lines.push('');
       }
+
+      if (task.acceptance_criteria?.length > 0) {
+        lines.push('### Acceptance Criteria');
+        task.acceptance_criteria.forEach(criterion => lines.push(`- [ ] ${criterion}`));
+        lines.push('');
+      }
     }
 
+    lines.push('### Verification');
+    lines.push(...formatVerification(details.verification));
+    lines.push('');
+
     lines.push('### Changes');
     if (commitResult.diff) {
       lines.push(`- **Files changed:** ${commitResult.diff.filesChanged}`);
@@ -372,11 +683,67 @@ class GitManager {
     }
     lines.push('');
 
+    if (details.agent) {
+      lines.push('### Agent');
+      lines.push(`- **Agent:** ${details.agent}`);
+      if (details.model) lines.push(`- **Model:** ${details.model}`);
+      if (details.usage?.sessions) {
+        lines.push(`- **Tokens:** ${formatTokens(details.usage.totalTokens)}`);
+        lines.push(`- **Cost:** ${formatCost(details.usage.costUsd)}`);
+      }
+      lines.push('');
+    }
+
+    if (details.summary) {
+      lines.push('<details>');
+      lines.push('<summary>Agent summary</summary>');
+      lines.push('');
+      lines.push(details.summary);
+      lines.push('');
+      lines.push('</details>');
+      lines.push('');
+    }
+
     lines.push('---');
     lines.push('*Automated by GBOS CLI orchestrator*');
 
     return lines.join('\n');
   }
+
+  /**
+   * Build the note added to an existing MR: the commits this run pushed and
+   * its verification results
+   * @param {string|null} since - Head of the MR branch before the push
+   * @param {Object|null} verification - VerificationManager results
+   */
+  async buildMRNote(since, verification = null) {
+    const lines = ['## Updated by GBOS', ''];
+
+    // Without a known earlier head (or one unknown locally) show the last commit
+    let log = '';
+    if (since) {
+      try {
+        log = await this.git(['log', '--format=%h %s', '--max-count=20', `${since}..HEAD`]);
+      } catch (e) {
+        // Unknown locally
+      }
+    }
+    if (!log) {
+      log = await this.git(['log', '--format=%h %s', '--max-count=1']);
+    }
+
+    lines.push('### New commits');
+    log.split('\n').filter(Boolean).forEach(line => lines.push(`- ${line}`));
+    lines.push('');
+
+    lines.push('### Verification');
+    lines.push(...formatVerification(verification));
+
+    return lines.join('\n');
+  }
 }
 
 module.exports = GitManager;
+module.exports.PushRejectedError = PushRejectedError;
+module.exports.MergeConflictError = MergeConflictError;
+module.exports.resolveMRMetadata = resolveMRMetadata;
@@ -0,0 +1,380 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const GitManager = require('./git-manager');
+const { resolveMRMetadata } = GitManager;
+const WorkspaceManager = require('./workspace-manager');
+
+// Titles that would run a command if they were ever pasted into a shell string
+const MALICIOUS_TITLES = [
+  'Fix $(touch {marker})',
+  'Fix `touch {marker}`',
+  'Fix "; touch {marker}; echo "',
+  "Fix '; touch {marker}; echo '",
+  'Fix\n$(touch {marker})',
+];
+
+const sh = (args, cwd) => execFileSync('git', args, { cwd, encoding: 'utf8' }).trim();
+
+describe('GitManager with malicious task titles', () => {
+  let root;
+  let remote;
+  let repo;
+  let marker;
+
+  before(() => {
+    process.env.GIT_AUTHOR_NAME = process.env.GIT_COMMITTER_NAME = 'GBOS Test';
+    process.env.GIT_AUTHOR_EMAIL = process.env.GIT_COMMITTER_EMAIL = 'test@gbos.test';
+
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'gbos-git-'));
+    marker = path.join(root, 'pwned');
+    remote = path.join(root, 'remote.git');
+    repo = path.join(root, 'repo');
+    sh(['init', '--quiet', '--bare', remote], root);
+    sh(['init', '--quiet', repo], root);
+    sh(['checkout', '--quiet', '-b', 'main'], repo);
+    sh(['remote', 'add', 'origin', remote], repo);
+    fs.writeFileSync(path.join(repo, 'README.md'), 'base\n');
+    sh(['add', '-A'], repo);
+    sh(['commit', '--quiet', '-m', 'base'], repo);
+  });
+
+  after(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  for (const [index, template] of MALICIOUS_TITLES.entries()) {
+    it(`should commit and push "${template.replace('\n', '\\n')}" as plain text`, async () => {
+      const title = template.replace('{marker}', marker);
+      fs.writeFileSync(path.join(repo, `file-${index}.txt`), `${index}\n`);
+
+      const git = new GitManager(repo);
+      const result = await git.commitAndPush(`Complete task: ${title}`, { id: 7, task_key: 'GB-7', title });
+
+      assert.strictEqual(result.pushed, true);
+      assert.strictEqual(fs.existsSync(marker), false);
+      assert.strictEqual(
+        sh(['log', '-1', '--pretty=%B'], repo),
+        `[GB-7] Complete task: ${title}\n\nAutomated by GBOS CLI orchestrator`
+      );
+      assert.strictEqual(sh(['rev-parse', 'main'], remote), result.commit.hash);
+    });
+  }
+
+  it('should report the remote head the push started from', async () => {
+    const before = sh(['rev-parse', 'main'], remote);
+    fs.writeFileSync(path.join(repo, 'next.txt'), 'next\n');
+
+    const result = await new GitManager(repo).commitAndPush('Complete task: next');
+
+    assert.strictEqual(result.push.previousHead, before);
+    assert.notStrictEqual(result.commit.hash, before);
+  });
+});
+
+describe('GitManager pushing to a branch that moved on', () => {
+  let root;
+  let remote;
+  let repo;
+  let other;
+
+  before(() => {
+    process.env.GIT_AUTHOR_NAME = process.env.GIT_COMMITTER_NAME = 'GBOS Test';
+    process.env.GIT_AUTHOR_EMAIL = process.env.GIT_COMMITTER_EMAIL = 'test@gbos.test';
+
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'gbos-rebase-'));
+    remote = path.join(root, 'remote.git');
+    repo = path.join(root, 'repo');
+    other = path.join(root, 'other');
+    sh(['init', '--quiet', '--bare', remote], root);
+    sh(['init', '--quiet', repo], root);
+    sh(['checkout', '--quiet', '-b', 'main'], repo);
+    sh(['remote', 'add', 'origin', remote], repo);
+    fs.writeFileSync(path.join(repo, 'shared.txt'), 'one\ntwo\nthree\n');
+    sh(['add', '-A'], repo);
+    sh(['commit', '--quiet', '-m', 'base'], repo);
+    sh(['push', '--quiet', '-u', 'origin', 'main'], repo);
+    sh(['clone', '--quiet', '-b', 'main', remote, other], root);
+  });
+
+  after(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  // Someone else pushes to main while the task works
+  const pushFromOther = (file, content) => {
+    sh(['pull', '--quiet', '--rebase'], other);
+    fs.writeFileSync(path.join(other, file), content);
+    sh(['add', '-A'], other);
+    sh(['commit', '--quiet', '-m', `other: ${file}`], other);
+    sh(['push', '--quiet'], other);
+  };
+
+  const rebaseInProgress = () => ['rebase-merge', 'rebase-apply']
+    .some(dir => fs.existsSync(path.join(repo, '.git', dir)));
+
+  it('should rebase a rejected push onto the remote branch and retry', async () => {
+    pushFromOther('other.txt', 'other\n');
+    fs.writeFileSync(path.join(repo, 'task.txt'), 'task\n');
+
+    const result = await new GitManager(repo).commitAndPush('Complete task: retry');
+
+    assert.strictEqual(result.pushed, true);
+    assert.strictEqual(result.push.rebases, 1);
+    assert.strictEqual(sh(['rev-parse', 'main'], remote), sh(['rev-parse', 'HEAD'], repo));
+    assert.strictEqual(result.commit.hash, sh(['rev-parse', 'HEAD'], repo));
+    assert.ok(fs.existsSync(path.join(repo, 'other.txt')));
+  });
+
+  it('should abort a conflicted rebase by default and keep the task commit', async () => {
+    pushFromOther('shared.txt', 'one\nTWO (other)\nthree\n');
+    fs.writeFileSync(path.join(repo, 'shared.txt'), 'one\nTWO (task)\nthree\n');
+    const remoteHead = sh(['rev-parse', 'main'], remote);
+
+    const error = await new GitManager(repo).commitAndPush('Complete task: abort').catch(e => e);
+
+    assert.ok(error instanceof GitManager.MergeConflictError);
+    assert.strictEqual(error.onto, 'origin/main');
+    assert.deepStrictEqual(error.files, ['shared.txt']);
+    assert.strictEqual(error.inProgress, false);
+    assert.strictEqual(error.commit.hash, sh(['rev-parse', 'HEAD'], repo));
+    assert.strictEqual(rebaseInProgress(), false);
+    assert.strictEqual(sh(['rev-parse', 'main'], remote), remoteHead);
+  });
+
+  it('should leave a conflicted rebase for continueRebase when asked, then push', async () => {
+    const git = new GitManager(repo, { abortOnConflict: false });
+    // The task commit from the previous test is still unpushed
+    const commit = await git.getLastCommit();
+
+    const error = await git.rebaseOnRemote('main').catch(e => e);
+    assert.ok(error instanceof GitManager.MergeConflictError);
+    assert.strictEqual(error.inProgress, true);
+    assert.strictEqual(rebaseInProgress(), true);
+
+    // Markers left in place are refused
+    await assert.rejects(git.continueRebase(error.onto), (e) => {
+      assert.ok(e instanceof GitManager.MergeConflictError);
+      assert.deepStrictEqual(e.files, ['shared.txt']);
+      return true;
+    });
+    assert.strictEqual(rebaseInProgress(), true);
+
+    fs.writeFileSync(path.join(repo, 'shared.txt'), 'one\nTWO (other, task)\nthree\n');
+    await git.continueRebase(error.onto);
+    assert.strictEqual(rebaseInProgress(), false);
+
+    const result = await git.pushCommitted(commit);
+
+    assert.strictEqual(result.pushed, true);
+    assert.notStrictEqual(result.commit.hash, commit.hash);
+    assert.strictEqual(sh(['rev-parse', 'main'], remote), result.commit.hash);
+    assert.strictEqual(sh(['show', 'main:shared.txt'], remote), 'one\nTWO (other, task)\nthree');
+  });
+
+  it('should give up a push that stays rejected after pushAttempts', async () => {
+    const git = new GitManager(repo, { pushAttempts: 2 });
+    // Every rebase finds the remote moved on again
+    git.rebaseOnRemote = async () => {
+      pushFromOther('race.txt', `${Date.now()}\n`);
+      return true;
+    };
+    pushFromOther('race.txt', 'first\n');
+    fs.writeFileSync(path.join(repo, 'late.txt'), 'late\n');
+
+    const error = await git.commitAndPush('Complete task: late').catch(e => e);
+
+    assert.ok(error instanceof GitManager.PushRejectedError);
+    assert.strictEqual(error.branch, 'main');
+  });
+});
+
+describe('WorkspaceManager with malicious task titles', () => {
+  let root;
+  let marker;
+
+  before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'gbos-workspace-'));
+    marker = path.join(root, 'pwned');
+    sh(['init', '--quiet', root], os.tmpdir());
+    sh(['commit', '--quiet', '--allow-empty', '-m', 'base'], root);
+  });
+
+  after(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  const workspaceFor = async (task, options = {}) => {
+    const workspace = new WorkspaceManager({ workingDir: root, ...options });
+    await workspace.initialize({ name: 'app' }, task);
+    return workspace;
+  };
+
+  it('should sanitize titles into branch names', async () => {
+    const workspace = await workspaceFor({ id: 1, task_key: 'GB-1', title: `Fix $(touch ${marker})` });
+    await workspace.checkoutBranch();
+
+    assert.match(workspace.branch, /^[\w/-]+$/);
+    assert.strictEqual(await workspace.getCurrentBranch(), workspace.branch);
+    assert.strictEqual(fs.existsSync(marker), false);
+  });
+
+  it('should sanitize unsafe task keys, ids and types', async () => {
+    const workspace = await workspaceFor(
+      { id: '2 $(id)', task_key: `$(touch ${marker})`, task_type: 'Bug; rm', title: 'x' },
+      { branchPattern: '{task_type}/{task_key}-{task_id}' }
+    );
+    await workspace.checkoutBranch();
+
+    assert.match(workspace.branch, /^bug-rm\/touch-[\w.-]+-pwned-2-id$/);
+    assert.strictEqual(await workspace.getCurrentBranch(), workspace.branch);
+    assert.strictEqual(fs.existsSync(marker), false);
+  });
+
+  it('should keep task keys that read as git options out of the branch name', async () => {
+    const workspace = await workspaceFor({ id: 3, task_key: '--upload-pack=touch', title: 'x' }, { branchPattern: '{task_key}' });
+
+    assert.strictEqual(workspace.branch, 'upload-pack-touch');
+  });
+
+  it('should refuse branch names that read as git options', async () => {
+    await assert.rejects(
+      workspaceFor({ id: 4, task_key: 'GB-4', title: 'x' }, { branch: '--upload-pack=touch' }),
+      /Invalid branch name/
+    );
+  });
+});
+
+describe('WorkspaceManager worktrees', () => {
+  let root;
+  let repo;
+  let savedConfigDir;
+
+  before(() => {
+    savedConfigDir = process.env.GBOS_CONFIG_DIR;
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'gbos-worktree-'));
+    process.env.GBOS_CONFIG_DIR = path.join(root, 'config');
+    repo = path.join(root, 'app');
+    sh(['init', '--quiet', repo], root);
+    sh(['checkout', '--quiet', '-b', 'main'], repo);
+    fs.writeFileSync(path.join(repo, 'README.md'), 'base\n');
+    sh(['add', '-A'], repo);
+    sh(['commit', '--quiet', '-m', 'base'], repo);
+  });
+
+  after(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+    if (savedConfigDir === undefined) delete process.env.GBOS_CONFIG_DIR; else process.env.GBOS_CONFIG_DIR = savedConfigDir;
+  });
+
+  const worktreeFor = async (task) => {
+    const workspace = new WorkspaceManager({ workingDir: repo });
+    await workspace.initialize({ name: 'app' }, task);
+    await workspace.prepareWorktree();
+    return workspace;
+  };
+
+  it('should give each task its own worktree on its own branch off main', async () => {
+    const [first, second] = await Promise.all([
+      worktreeFor({ id: 1, task_key: 'GB-1', title: 'First' }),
+      worktreeFor({ id: 2, task_key: 'GB-2', title: 'Second' }),
+    ]);
+
+    assert.strictEqual(first.baseDir, repo);
+    assert.notStrictEqual(first.workingDir, second.workingDir);
+    for (const workspace of [first, second]) {
+      assert.ok(workspace.workingDir.startsWith(path.join(root, 'config', 'worktrees')));
+      assert.strictEqual(sh(['rev-parse', '--abbrev-ref', 'HEAD'], workspace.workingDir), workspace.branch);
+      assert.strictEqual(sh(['rev-parse', 'HEAD'], workspace.workingDir), sh(['rev-parse', 'main'], repo));
+    }
+    // The main checkout stays where it was
+    assert.strictEqual(sh(['rev-parse', '--abbrev-ref', 'HEAD'], repo), 'main');
+  });
+
+  it('should remove the worktree but keep its branch', async () => {
+    const workspace = await worktreeFor({ id: 3, task_key: 'GB-3', title: 'Third' });
+    const worktreeDir = workspace.workingDir;
+    fs.writeFileSync(path.join(worktreeDir, 'work.txt'), 'uncommitted\n');
+
+    await workspace.removeWorktree();
+    await workspace.removeWorktree();
+
+    assert.strictEqual(fs.existsSync(worktreeDir), false);
+    assert.strictEqual(workspace.workingDir, repo);
+    assert.doesNotMatch(sh(['worktree', 'list'], repo), new RegExp(worktreeDir));
+    assert.strictEqual(sh(['branch', '--list', workspace.branch], repo).replace(/^[*+ ]+/, ''), workspace.branch);
+  });
+
+  it('should replace a worktree left behind by an interrupted run', async () => {
+    const stale = await worktreeFor({ id: 4, task_key: 'GB-4', title: 'Fourth' });
+    fs.writeFileSync(path.join(stale.workingDir, 'stale.txt'), 'stale\n');
+
+    const workspace = await worktreeFor({ id: 4, task_key: 'GB-4', title: 'Fourth' });
+
+    assert.strictEqual(workspace.workingDir, stale.workingDir);
+    assert.strictEqual(fs.existsSync(path.join(workspace.workingDir, 'stale.txt')), false);
+    await workspace.removeWorktree();
+  });
+});
+
+describe('Merge request description', () => {
+  const task = {
+    id: 42,
+    task_key: 'GB-42',
+    title: 'Add login',
+    description: 'Users sign in with email.',
+    acceptance_criteria: ['Login form validates email', 'Session survives reload'],
+    web_url: 'https://app.gbos.test/tasks/42',
+  };
+  const commitResult = { diff: { filesChanged: 3, additions: 40, deletions: 2 } };
+
+  it('should report criteria, verification, agent, cost and summary', () => {
+    const description = new GitManager('/tmp').buildMRDescription(task, commitResult, {
+      verification: {
+        linting: { passed: true, command: 'npm run lint', durationMs: 1500 },
+        unitTests: { passed: true, command: 'npm test', durationMs: 30250 },
+        e2eTests: null,
+        overall: { passed: true, summary: 'Verification passed (3/4 optional checks passed)' },
+      },
+      agent: 'claude-code',
+      model: 'sonnet',
+      usage: { sessions: 2, totalTokens: 123456, costUsd: 1.5 },
+      summary: 'Added the login form and session handling.',
+    });
+
+    assert.match(description, /\*\*Task:\*\* \[Add login\]\(https:\/\/app\.gbos\.test\/tasks\/42\)/);
+    assert.match(description, /- \[ \] Login form validates email\n- \[ \] Session survives reload/);
+    assert.match(description, /\| lint \| passed \| 1\.5s \|\n\| test \| passed \| 30\.3s \|/);
+    assert.doesNotMatch(description, /\| e2e \|/);
+    assert.match(description, /\*\*Agent:\*\* claude-code\n- \*\*Model:\*\* sonnet\n- \*\*Tokens:\*\* 123\.5k\n- \*\*Cost:\*\* \$1\.50/);
+    assert.match(description, /<details>\n<summary>Agent summary<\/summary>\n\nAdded the login form and session handling\.\n\n<\/details>/);
+  });
+
+  it('should link the task through GBOS_WEB_URL and say when verification did not run', () => {
+    const saved = process.env.GBOS_WEB_URL;
+    process.env.GBOS_WEB_URL = 'https://gbos.test/';
+    try {
+      const description = new GitManager('/tmp').buildMRDescription({ ...task, web_url: undefined }, commitResult);
+      assert.match(description, /\[Add login\]\(https:\/\/gbos\.test\/tasks\/42\)/);
+      assert.match(description, /### Verification\nNot run/);
+      assert.doesNotMatch(description, /### Agent|<details>/);
+    } finally {
+      if (saved === undefined) delete process.env.GBOS_WEB_URL; else process.env.GBOS_WEB_URL = saved;
+    }
+  });
+
+  it('should take labels, assignees and reviewers from task metadata', () => {
+    assert.deepStrictEqual(resolveMRMetadata({ metadata: { labels: 'backend, auth', reviewers: ['@alice', 'bob'] } }), {
+      labels: ['backend', 'auth'],
+      assignees: [],
+      reviewers: ['alice', 'bob'],
+    });
+    assert.deepStrictEqual(resolveMRMetadata({
+      metadata: { labels: ['ignored'], merge_request: { labels: ['ui'], assignees: 'carol' } },
+    }), { labels: ['ui'], assignees: ['carol'], reviewers: [] });
+    assert.deepStrictEqual(resolveMRMetadata(null), { labels: [], assignees: [], reviewers: [] });
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Hook Manager
+ * Runs the project's own commands before and after orchestrator stages
+ * (e.g. before_run_agent, after_run_tests), configured under `hooks` in .gbos.yml
+ */
+
+const { exec } = require('child_process');
+const { promisify } = require('util');
+
+const execAsync = promisify(exec);
+
+const DEFAULT_HOOK_TIMEOUT = 10 * 60 * 1000;
+
+/**
+ * A hook command set to abort failed
+ */
+class HookAbortError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} details - { hook, task: the task the hook ran for, null outside a task }
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'HookAbortError';
+    this.hook = details.hook || null;
+    this.task = details.task || null;
+  }
+}
+
+class HookManager {
+  /**
+   * @param {Object} hooks - Hook name -> list of { run, onFailure, timeout } from the project config
+   */
+  constructor(hooks = {}) {
+    this.hooks = hooks;
+  }
+
+  /**
+   * Whether any command is configured for a hook
+   * @param {string} name - e.g. before_run_agent
+   */
+  has(name) {
+    return (this.hooks[name] || []).length > 0;
+  }
+
+  /**
+   * Run the commands of a hook one after another. A failing command with
+   * onFailure "warn" is recorded and the next one runs; with "abort" the
+   * hook stops there.
+   * @param {string} name - e.g. before_run_agent
+   * @param {Object} options - { cwd, env }
+   * @returns {Promise<Object>} { hook, passed, aborted, results }
+   */
+  async run(name, options = {}) {
+    const results = [];
+    let aborted = false;
+
+    for (const hook of this.hooks[name] || []) {
+      const result = await this.runCommand(hook, options);
+      results.push(result);
+
+      if (!result.passed && hook.onFailure === 'abort') {
+        aborted = true;
+        break;
+      }
+    }
+
+    return {
+      hook: name,
+      passed: results.every(r => r.passed),
+      aborted,
+      results,
+    };
+  }
+
+  /**
+   * Run a single hook command
+   * @param {Object} hook - { run, onFailure, timeout }
+   * @param {Object} options - { cwd, env }
+   */
+  async runCommand(hook, options = {}) {
+    const startedAt = Date.now();
+    const result = {
+      command: hook.run,
+      onFailure: hook.onFailure,
+      passed: false,
+      exitCode: null,
+      output: '',
+      durationMs: 0,
+    };
+
+    try {
+      const { stdout, stderr } = await execAsync(hook.run, {
+        cwd: options.cwd,
+        env: options.env || process.env,
+        timeout: hook.timeout || DEFAULT_HOOK_TIMEOUT,
+        maxBuffer: 10 * 1024 * 1024,
+      });
+      result.output = stdout + stderr;
+      result.exitCode = 0;
+      result.passed = true;
+    } catch (error) {
+      result.output = (error.stdout || '') + (error.stderr || '') || error.message;
+      result.exitCode = typeof error.code === 'number' ? error.code : null;
+      if (error.killed) {
+        result.output += `\nHook timed out after ${Math.round((hook.timeout || DEFAULT_HOOK_TIMEOUT) / 1000)}s`;
+      }
+    }
+
+    result.durationMs = Date.now() - startedAt;
+    return result;
+  }
+}
+
+module.exports = HookManager;
+module.exports.HookAbortError = HookAbortError;
@@ -7,6 +7,7 @@ const { exec, spawn } = require('child_process');
 const { promisify } = require('util');
 const fs = require('fs');
 const path = require('path');
+const { CHECKS } = require('../../lib/project-config');
 
 const execAsync = promisify(exec);
 
@@ -14,9 +15,12 @@ class VerificationManager {
   constructor(workingDir, options = {}) {
     this.workingDir = workingDir;
     this.options = {
+      ...options,
       timeout: options.timeout || 10 * 60 * 1000, // 10 minutes
       cloudRunUrl: options.cloudRunUrl || null,
-      ...options,
+      commands: options.commands || {}, // Per-check commands from the project config (false disables a check)
+      critical: options.critical || ['test'], // Checks that must pass, by project config name
+      timeouts: options.timeouts || {}, // Per-check timeouts in ms
     };
     this.results = {
       linting: null,
@@ -53,6 +57,22 @@ class VerificationManager {
     return { type: 'unknown' };
   }
 
+  /**
+   * Command configured for a check in the project config
+   * @param {string} check - lint, format, typecheck, test or e2e
+   * @returns {string|false|undefined} undefined when the check is auto-detected
+   */
+  getConfiguredCommand(check) {
+    return this.options.commands[check];
+  }
+
+  /**
+   * Timeout for a check, from the project config or the built-in default
+   */
+  getTimeout(check, fallback) {
+    return this.options.timeouts[check] || fallback;
+  }
+
   /**
    * Run all verification steps
    */
@@ -60,20 +80,20 @@ class VerificationManager {
     const project = await this.detectProjectType();
 
     // Run linting
-    this.results.linting = await this.runLinting(project);
+    this.results.linting = await this.timed(() => this.runLinting(project));
 
     // Run formatting check
-    this.results.formatting = await this.runFormatting(project);
+    this.results.formatting = await this.timed(() => this.runFormatting(project));
 
     // Run type checking
-    this.results.typeCheck = await this.runTypeCheck(project);
+    this.results.typeCheck = await this.timed(() => this.runTypeCheck(project));
 
     // Run unit tests
-    this.results.unitTests = await this.runUnitTests(project);
+    this.results.unitTests = await this.timed(() => this.runUnitTests(project));
 
-    // Run E2E tests if cloud URL available
-    if (this.options.cloudRunUrl) {
-      this.results.e2eTests = await this.runE2ETests(project);
+    // Run E2E tests if cloud URL available or the project configures them
+    if (this.options.cloudRunUrl || this.getConfiguredCommand('e2e')) {
+      this.results.e2eTests = await this.timed(() => this.runE2ETests(project));
     }
 
     // Calculate overall result
@@ -82,6 +102,15 @@ class VerificationManager {
     return this.results;
   }
 
+  /**
+   * Run one check and note how long it took in durationMs
+   */
+  async timed(runCheck) {
+    const startedAt = Date.now();
+    const result = await runCheck();
+    return { ...result, durationMs: Date.now() - startedAt };
+  }
+
   /**
    * Run linting
    */
@@ -89,7 +118,10 @@ class VerificationManager {
     const result = { passed: false, output: '', command: null };
 
     try {
-      if (project.type === 'node') {
+      const configured = this.getConfiguredCommand('lint');
+      if (configured !== undefined) {
+        result.command = configured || null;
+      } else if (project.type === 'node') {
         // Try ESLint
         if (project.scripts?.lint) {
           result.command = 'npm run lint';
@@ -103,7 +135,7 @@ class VerificationManager {
       if (result.command) {
         const { stdout, stderr } = await execAsync(result.command, {
           cwd: this.workingDir,
-          timeout: 60000,
+          timeout: this.getTimeout('lint', 60000),
         });
         result.output = stdout + stderr;
         result.passed = true;
@@ -126,7 +158,10 @@ class VerificationManager {
     const result = { passed: false, output: '', command: null };
 
     try {
-      if (project.type === 'node') {
+      const configured = this.getConfiguredCommand('format');
+      if (configured !== undefined) {
+        result.command = configured || null;
+      } else if (project.type === 'node') {
         if (project.scripts?.format) {
           result.command = 'npm run format -- --check';
         } else if (project.dependencies?.prettier) {
@@ -139,7 +174,7 @@ class VerificationManager {
       if (result.command) {
         const { stdout, stderr } = await execAsync(result.command, {
           cwd: this.workingDir,
-          timeout: 60000,
+          timeout: this.getTimeout('format', 60000),
         });
         result.output = stdout + stderr;
         result.passed = true;
@@ -148,7 +183,7 @@ class VerificationManager {
         result.passed = true;
       }
     } catch (error) {
-      result.output = error.message;
+      result.output = error.message + (error.stdout || '') + (error.stderr || '');
       result.passed = false;
     }
 
@@ -162,7 +197,10 @@ class VerificationManager {
     const result = { passed: false, output: '', command: null };
 
     try {
-      if (project.type === 'node') {
+      const configured = this.getConfiguredCommand('typecheck');
+      if (configured !== undefined) {
+        result.command = configured || null;
+      } else if (project.type === 'node') {
         if (project.dependencies?.typescript) {
           result.command = 'npx tsc --noEmit';
         }
@@ -173,7 +211,7 @@ class VerificationManager {
       if (result.command) {
         const { stdout, stderr } = await execAsync(result.command, {
           cwd: this.workingDir,
-          timeout: 120000,
+          timeout: this.getTimeout('typecheck', 120000),
         });
         result.output = stdout + stderr;
         result.passed = true;
@@ -182,7 +220,7 @@ class VerificationManager {
         result.passed = true;
       }
     } catch (error) {
-      result.output = error.message;
+      result.output = error.message + (error.stdout || '') + (error.stderr || '');
       result.passed = false;
     }
 
@@ -196,7 +234,10 @@ class VerificationManager {
     const result = { passed: false, output: '', command: null, stats: null };
 
     try {
-      if (project.type === 'node') {
+      const configured = this.getConfiguredCommand('test');
+      if (configured !== undefined) {
+        result.command = configured || null;
+      } else if (project.type === 'node') {
         if (project.scripts?.test) {
           result.command = 'npm test';
         } else if (project.dependencies?.jest) {
@@ -213,7 +254,7 @@ class VerificationManager {
       if (result.command) {
         const { stdout, stderr } = await execAsync(result.command, {
           cwd: this.workingDir,
-          timeout: this.options.timeout,
+          timeout: this.getTimeout('test', this.options.timeout),
           env: { ...process.env, CI: 'true' },
         });
         result.output = stdout + stderr;
@@ -233,12 +274,19 @@ class VerificationManager {
   }
 
   /**
-   * Run E2E tests with Playwright
+   * Run E2E tests with Playwright, or the command from the project config
    */
   async runE2ETests(project) {
     const result = { passed: false, output: '', command: null };
+    const configured = this.getConfiguredCommand('e2e');
 
-    if (!this.options.cloudRunUrl) {
+    if (configured === false) {
+      result.output = 'E2E tests disabled in project config';
+      result.passed = true;
+      return result;
+    }
+
+    if (!this.options.cloudRunUrl && !configured) {
       result.output = 'No cloud URL configured for E2E tests';
       result.passed = true;
       return result;
@@ -249,17 +297,17 @@ class VerificationManager {
       const hasPlaywright = project.type === 'node' &&
         (project.dependencies?.['@playwright/test'] || project.dependencies?.playwright);
 
-      if (hasPlaywright) {
-        result.command = 'npx playwright test';
+      if (configured || hasPlaywright) {
+        result.command = configured || 'npx playwright test';
+        const env = { ...process.env, CI: 'true' };
+        if (this.options.cloudRunUrl) {
+          env.BASE_URL = this.options.cloudRunUrl;
+          env.PLAYWRIGHT_BASE_URL = this.options.cloudRunUrl;
+        }
         const { stdout, stderr } = await execAsync(result.command, {
           cwd: this.workingDir,
-          timeout: this.options.timeout,
-          env: {
-            ...process.env,
-            CI: 'true',
-            BASE_URL: this.options.cloudRunUrl,
-            PLAYWRIGHT_BASE_URL: this.options.cloudRunUrl,
-          },
+          timeout: this.getTimeout('e2e', this.options.timeout),
+          env,
         });
         result.output = stdout + stderr;
         result.passed = true;
@@ -319,8 +367,8 @@ class VerificationManager {
    * Calculate overall verification result
    */
   calculateOverall() {
-    const critical = ['unitTests'];
-    const optional = ['linting', 'formatting', 'typeCheck', 'e2eTests'];
+    const critical = this.options.critical.map(check => CHECKS[check]);
+    const optional = Object.values(CHECKS).filter(key => !critical.includes(key));
 
     // All critical tests must pass
     const criticalPassed = critical.every(key =>
@@ -343,6 +391,74 @@ class VerificationManager {
     };
   }
 
+  /**
+   * Summarize failing checks so they can be handed back to the agent
+   * @param {Object} results - Results from runAll() (defaults to the last run)
+   * @returns {Object[]} One entry per failed check
+   */
+  getFailureReport(results = this.results) {
+    const labels = {
+      linting: 'Lint',
+      formatting: 'Formatting',
+      typeCheck: 'Type check',
+      unitTests: 'Unit tests',
+      integrationTests: 'Integration tests',
+      e2eTests: 'E2E tests',
+    };
+
+    return Object.entries(labels)
+      .filter(([key]) => results[key] && !results[key].passed)
+      .map(([key, label]) => {
+        const output = results[key].output || '';
+        return {
+          check: key,
+          label,
+          command: results[key].command,
+          failures: this.extractFailures(key, output),
+          excerpt: output.split('\n').slice(-60).join('\n').slice(-4000),
+        };
+      });
+  }
+
+  /**
+   * Extract failing test names, lint errors or type errors from check output
+   */
+  extractFailures(check, output) {
+    const patterns = {
+      linting: [
+        /^\s*\d+:\d+\s+error\s+.+$/gm, // ESLint
+        /^\S+:\d+:\d+: [EFW]\d+ .+$/gm, // flake8
+      ],
+      formatting: [
+        /^\[warn\] (?!Code style issues).+$/gm, // Prettier
+        /^would reformat .+$/gm, // Black
+      ],
+      typeCheck: [
+        /^\S+\(\d+,\d+\): error TS\d+: .+$/gm, // tsc
+        /^\S+:\d+: error: .+$/gm, // mypy
+      ],
+      unitTests: [
+        /^\s*● .+ › .+$/gm, // Jest
+        /^\s*\d+\) .+$/gm, // Mocha
+        /^FAILED \S+::.+$/gm, // pytest
+        /^\s*(?:FAIL|×)\s+.+ > .+$/gm, // Vitest
+      ],
+      e2eTests: [
+        /^\s*\d+\) \[.+\] › .+$/gm, // Playwright
+      ],
+    };
+
+    const failures = new Set();
+    (patterns[check] || []).forEach(pattern => {
+      let match;
+      while ((match = pattern.exec(output)) !== null) {
+        failures.add(match[0].trim());
+      }
+    });
+
+    return Array.from(failures).slice(0, 50);
+  }
+
   /**
    * Run post-processing (formatting, linting fixes)
    */
@@ -7,12 +7,20 @@ const { exec } = require('child_process');
 const { promisify } = require('util');
 const fs = require('fs');
 const path = require('path');
-const os = require('os');
 const api = require('../../lib/api');
+const config = require('../../lib/config');
+const Mutex = require('../mutex');
+const { formatBranchName } = require('../../lib/project-config');
+const { git } = require('../../lib/process');
+const { detectProvider } = require('../../lib/git-hosts');
 
 const execAsync = promisify(exec);
 
-const WORKSPACES_DIR = path.join(os.homedir(), '.gbos', 'workspaces');
+const getWorkspacesDir = () => config.getConfigPath('workspaces');
+const getWorktreesDir = () => config.getConfigPath('worktrees');
+
+// git worktree add/remove lock the shared repository, so run them one at a time
+const worktreeLock = new Mutex();
 
 class WorkspaceManager {
   constructor(options = {}) {
@@ -24,15 +32,19 @@ class WorkspaceManager {
     this.isReady = false;
     this.application = null;
     this.gitlabService = null;
+    this.gitProvider = null; // gitlab, github or gitea; null when unknown
     this.hasRepo = false;
+    this.baseDir = null; // Main checkout when working in a worktree
+    this.pushBranch = null;
+    this.warnings = []; // Problems worth reporting that did not stop the workspace
   }
 
   /**
    * Ensure workspaces directory exists
    */
   static ensureWorkspacesDir() {
-    if (!fs.existsSync(WORKSPACES_DIR)) {
-      fs.mkdirSync(WORKSPACES_DIR, { recursive: true });
+    if (!fs.existsSync(getWorkspacesDir())) {
+      fs.mkdirSync(getWorkspacesDir(), { recursive: true });
     }
   }
 
@@ -66,8 +78,14 @@ class WorkspaceManager {
 
     this.hasRepo = !!this.repoUrl;
 
-    // Initialize GitLab service for authenticated operations (only if we have a repo)
-    if (this.hasRepo) {
+    // Git host: the project config's, the application's, else detected from the repo URL
+    this.gitProvider = this.options.gitProvider ||
+                       this.application?.git_provider ||
+                       detectProvider(this.repoUrl);
+
+    // Initialize GitLab service for authenticated operations (only if we have a
+    // GitLab repo; other hosts rely on the git credentials `gbos repo auth` set up)
+    if (this.hasRepo && this.gitProvider === 'gitlab') {
       try {
         const { getGitLabService } = require('../../lib/gitlab');
         this.gitlabService = await getGitLabService();
@@ -92,16 +110,25 @@ class WorkspaceManager {
         // Fall back to workspaces directory
         WorkspaceManager.ensureWorkspacesDir();
         const repoName = this.extractRepoName(this.repoUrl);
-        this.workingDir = path.join(WORKSPACES_DIR, repoName);
+        this.workingDir = path.join(getWorkspacesDir(), repoName);
       }
     } else {
       // No repo URL - use current working directory
       this.workingDir = process.cwd();
     }
 
-    // Create task branch name
-    this.branch = this.options.branch ||
-      `task/${task.task_key || task.id}-${this.sanitizeBranchName(task.title || 'work')}`;
+    // Create task branch name. Worktrees need a branch of their own, so a
+    // fixed branch only becomes the push target there.
+    const taskBranch = formatBranchName(this.options.branchPattern, task, (str) => this.sanitizeBranchName(str));
+    this.branch = this.options.worktree ? taskBranch : (this.options.branch || taskBranch);
+    this.pushBranch = this.options.branch || this.branch;
+
+    // Branch names are passed to git as arguments; one starting with a dash would read as an option
+    for (const name of [this.branch, this.pushBranch]) {
+      if (name.startsWith('-')) {
+        throw new Error(`Invalid branch name "${name}"`);
+      }
+    }
 
     return this;
   }
@@ -111,8 +138,7 @@ class WorkspaceManager {
    */
   async isMatchingRepo(dir, repoUrl) {
     try {
-      const { stdout } = await execAsync('git remote get-url origin', { cwd: dir });
-      const currentUrl = stdout.trim();
+      const currentUrl = await git(['remote', 'get-url', 'origin'], { cwd: dir });
 
       // Normalize URLs for comparison
       const normalize = (url) => url
@@ -151,6 +177,9 @@ class WorkspaceManager {
    * Prepare the workspace
    */
   async prepare() {
+    if (this.options.worktree) {
+      return this.prepareWorktree();
+    }
     if (this.hasRepo) {
       return this.prepareWithRepo();
     }
@@ -158,9 +187,25 @@ class WorkspaceManager {
   }
 
   /**
-   * Prepare workspace with remote repository
+   * Make sure the working directory holds a git repository, cloning or
+   * initializing it when needed
    */
-  async prepareWithRepo() {
+  async ensureRepository() {
+    if (!this.hasRepo) {
+      if (!fs.existsSync(this.workingDir)) {
+        fs.mkdirSync(this.workingDir, { recursive: true });
+      }
+      if (!await this.isGitRepo()) {
+        await git(['init'], { cwd: this.workingDir });
+        try {
+          await git(['commit', '--allow-empty', '-m', 'Initial commit'], { cwd: this.workingDir });
+        } catch (e) {
+          // May fail if nothing to commit
+        }
+      }
+      return this;
+    }
+
     // Check if directory exists
     const dirExists = fs.existsSync(this.workingDir);
     const isRepo = dirExists && await this.isGitRepo();
@@ -178,6 +223,15 @@ class WorkspaceManager {
       throw new Error(`${this.workingDir} is not a git repository`);
     }
 
+    return this;
+  }
+
+  /**
+   * Prepare workspace with remote repository
+   */
+  async prepareWithRepo() {
+    await this.ensureRepository();
+
     // Fetch latest
     await this.fetchLatest();
 
@@ -198,32 +252,111 @@ class WorkspaceManager {
    * Prepare workspace without remote repo (local-only mode)
    */
   async prepareLocalOnly() {
-    // Ensure directory exists
-    if (!fs.existsSync(this.workingDir)) {
-      fs.mkdirSync(this.workingDir, { recursive: true });
-    }
+    await this.ensureRepository();
+
+    // Create and checkout branch
+    await this.checkoutBranch();
+
+    // Check for required tooling
+    await this.checkTooling();
+
+    this.isReady = true;
+    return this;
+  }
+
+  /**
+   * Prepare a dedicated git worktree for the task so several tasks can run
+   * side by side off the same clone
+   */
+  async prepareWorktree() {
+    this.baseDir = this.baseDir || this.workingDir;
+    this.workingDir = this.baseDir;
+    await this.ensureRepository();
+
+    const worktreeDir = path.join(
+      getWorktreesDir(),
+      this.extractRepoName(this.repoUrl || this.baseDir),
+      this.sanitizeBranchName(this.branch.replace(/^task\//, ''))
+    );
+
+    await worktreeLock.runExclusive(async () => {
+      if (this.hasRepo) {
+        await this.fetchLatest();
+      }
+
+      // Drop stale registrations left behind by interrupted runs
+      await git(['worktree', 'prune'], { cwd: this.baseDir });
+      if (fs.existsSync(worktreeDir)) {
+        try {
+          await git(['worktree', 'remove', '--force', worktreeDir], { cwd: this.baseDir });
+        } catch (e) {
+          fs.rmSync(worktreeDir, { recursive: true, force: true });
+        }
+      }
+      fs.mkdirSync(path.dirname(worktreeDir), { recursive: true });
 
-    // Initialize git if needed
-    const isRepo = await this.isGitRepo();
-    if (!isRepo) {
-      await execAsync('git init', { cwd: this.workingDir });
+      let branchExists = false;
       try {
-        await execAsync('git commit --allow-empty -m "Initial commit"', { cwd: this.workingDir });
+        await git(['show-ref', '--verify', '--quiet', `refs/heads/${this.branch}`], { cwd: this.baseDir });
+        branchExists = true;
       } catch (e) {
-        // May fail if nothing to commit
+        branchExists = false;
       }
-    }
 
-    // Create and checkout branch
-    await this.checkoutBranch();
+      if (branchExists) {
+        await git(['worktree', 'add', worktreeDir, this.branch], { cwd: this.baseDir });
+      } else {
+        const baseRef = await this.resolveBaseRef();
+        await git(['worktree', 'add', '-b', this.branch, worktreeDir, baseRef], { cwd: this.baseDir });
+      }
+    });
 
-    // Check for required tooling
+    this.workingDir = worktreeDir;
+
+    // Check for required tooling (installs dependencies in the worktree)
     await this.checkTooling();
 
     this.isReady = true;
     return this;
   }
 
+  /**
+   * Resolve the ref new task branches start from: the remote default branch
+   * when available, otherwise the local main/master
+   */
+  async resolveBaseRef() {
+    const candidates = this.hasRepo
+      ? ['origin/main', 'origin/master', 'main', 'master']
+      : ['main', 'master'];
+
+    for (const ref of candidates) {
+      try {
+        await git(['rev-parse', '--verify', '--quiet', ref], { cwd: this.baseDir });
+        return ref;
+      } catch (e) {
+        // Try the next candidate
+      }
+    }
+    return 'HEAD';
+  }
+
+  /**
+   * Remove the task worktree (the branch itself is kept)
+   */
+  async removeWorktree() {
+    if (!this.baseDir || this.workingDir === this.baseDir) return;
+
+    const worktreeDir = this.workingDir;
+    await worktreeLock.runExclusive(async () => {
+      try {
+        await git(['worktree', 'remove', '--force', worktreeDir], { cwd: this.baseDir });
+      } catch (e) {
+        // Already removed
+      }
+    });
+    this.workingDir = this.baseDir;
+  }
+
   /**
    * Clone the repository using GitLab authentication
    */
@@ -244,7 +377,7 @@ class WorkspaceManager {
     }
 
     // Direct clone (relies on git credentials being set up)
-    await execAsync(`git clone "${this.repoUrl}" "${this.workingDir}"`);
+    await git(['clone', '--', this.repoUrl, this.workingDir]);
   }
 
   /**
@@ -257,7 +390,7 @@ class WorkspaceManager {
     }
 
     // Initialize git
-    await execAsync('git init', { cwd: this.workingDir });
+    await git(['init'], { cwd: this.workingDir });
 
     // If we have GitLab service, set up the remote
     if (this.gitlabService) {
@@ -265,11 +398,11 @@ class WorkspaceManager {
       if (projectPath) {
         const remoteUrl = this.gitlabService.getPublicCloneUrl(projectPath);
         try {
-          await execAsync(`git remote add origin "${remoteUrl}"`, { cwd: this.workingDir });
+          await git(['remote', 'add', 'origin', remoteUrl], { cwd: this.workingDir });
         } catch (e) {
           // Remote may already exist
           try {
-            await execAsync(`git remote set-url origin "${remoteUrl}"`, { cwd: this.workingDir });
+            await git(['remote', 'set-url', 'origin', remoteUrl], { cwd: this.workingDir });
           } catch (e2) {
             // Ignore
           }
@@ -278,7 +411,7 @@ class WorkspaceManager {
     } else {
       // Use the repo URL directly
       try {
-        await execAsync(`git remote add origin "${this.repoUrl}"`, { cwd: this.workingDir });
+        await git(['remote', 'add', 'origin', this.repoUrl], { cwd: this.workingDir });
       } catch (e) {
         // Remote may already exist
       }
@@ -286,12 +419,12 @@ class WorkspaceManager {
 
     // Create initial commit if needed
     try {
-      await execAsync('git rev-parse HEAD', { cwd: this.workingDir });
+      await git(['rev-parse', 'HEAD'], { cwd: this.workingDir });
     } catch (e) {
       // No commits yet - create initial commit
-      await execAsync('git add -A', { cwd: this.workingDir });
+      await git(['add', '-A'], { cwd: this.workingDir });
       try {
-        await execAsync('git commit -m "Initial commit from GBOS CLI" --allow-empty', { cwd: this.workingDir });
+        await git(['commit', '-m', 'Initial commit from GBOS CLI', '--allow-empty'], { cwd: this.workingDir });
       } catch (commitErr) {
         // May fail if nothing to commit
       }
@@ -299,14 +432,14 @@ class WorkspaceManager {
 
     // Ensure main branch
     try {
-      await execAsync('git branch -M main', { cwd: this.workingDir });
+      await git(['branch', '-M', 'main'], { cwd: this.workingDir });
     } catch (e) {
       // May already be on main
     }
 
     // Try to pull from remote if it exists
     try {
-      await execAsync('git pull origin main --rebase --allow-unrelated-histories', { cwd: this.workingDir });
+      await git(['pull', 'origin', 'main', '--rebase', '--allow-unrelated-histories'], { cwd: this.workingDir });
     } catch (e) {
       // May fail if remote is empty or doesn't exist
     }
@@ -317,7 +450,7 @@ class WorkspaceManager {
    */
   async isGitRepo() {
     try {
-      await execAsync('git rev-parse --is-inside-work-tree', { cwd: this.workingDir });
+      await git(['rev-parse', '--is-inside-work-tree'], { cwd: this.workingDir });
       return true;
     } catch (e) {
       return false;
@@ -329,7 +462,7 @@ class WorkspaceManager {
    */
   async fetchLatest() {
     try {
-      await execAsync('git fetch origin --prune', { cwd: this.workingDir });
+      await git(['fetch', 'origin', '--prune'], { cwd: this.workingDir });
     } catch (e) {
       // May fail if no network, continue anyway
     }
@@ -341,14 +474,14 @@ class WorkspaceManager {
   async cleanWorkingDir() {
     try {
       // Stash any local changes
-      await execAsync('git stash --include-untracked', { cwd: this.workingDir });
+      await git(['stash', '--include-untracked'], { cwd: this.workingDir });
     } catch (e) {
       // No changes to stash
     }
 
     // Reset to clean state
     try {
-      await execAsync('git checkout -- .', { cwd: this.workingDir });
+      await git(['checkout', '--', '.'], { cwd: this.workingDir });
     } catch (e) {
       // May fail if nothing to checkout
     }
@@ -360,10 +493,10 @@ class WorkspaceManager {
   async checkoutBranch() {
     // First checkout main/master
     try {
-      await execAsync('git checkout main', { cwd: this.workingDir });
+      await git(['checkout', 'main'], { cwd: this.workingDir });
     } catch (e) {
       try {
-        await execAsync('git checkout master', { cwd: this.workingDir });
+        await git(['checkout', 'master'], { cwd: this.workingDir });
       } catch (e2) {
         // Use current branch
       }
@@ -372,16 +505,23 @@ class WorkspaceManager {
     // Pull latest (only if we have a remote)
     if (this.hasRepo) {
       try {
-        await execAsync('git pull origin HEAD --rebase', { cwd: this.workingDir });
+        await git(['pull', 'origin', 'HEAD', '--rebase'], { cwd: this.workingDir });
       } catch (e) {
-        // May fail if no remote tracking
+        // A conflicting pull leaves the checkout mid-rebase, which every later
+        // step would trip over
+        if (await this.isRebaseInProgress()) {
+          await git(['rebase', '--abort'], { cwd: this.workingDir }).catch(() => {});
+          throw new Error(`Pulling the latest changes into ${this.workingDir} conflicted with local commits; rebase aborted. Reconcile the branch by hand and run again.\n${(e.stderr || e.message).trim()}`);
+        }
+        // e.g. no remote tracking or offline: carry on with the local copy
+        this.warnings.push(`Could not pull the latest changes, working from the local copy: ${(e.stderr || e.message).trim()}`);
       }
     }
 
     // Check if branch exists
     let branchExists = false;
     try {
-      await execAsync(`git show-ref --verify --quiet refs/heads/${this.branch}`, { cwd: this.workingDir });
+      await git(['show-ref', '--verify', '--quiet', `refs/heads/${this.branch}`], { cwd: this.workingDir });
       branchExists = true;
     } catch (e) {
       branchExists = false;
@@ -389,10 +529,25 @@ class WorkspaceManager {
 
     // Create or checkout branch
     if (branchExists) {
-      await execAsync(`git checkout ${this.branch}`, { cwd: this.workingDir });
+      await git(['checkout', this.branch, '--'], { cwd: this.workingDir });
     } else {
-      await execAsync(`git checkout -b ${this.branch}`, { cwd: this.workingDir });
+      await git(['checkout', '-b', this.branch], { cwd: this.workingDir });
+    }
+  }
+
+  /**
+   * Whether a rebase was left in progress in the working directory
+   */
+  async isRebaseInProgress() {
+    for (const dir of ['rebase-merge', 'rebase-apply']) {
+      try {
+        const gitPath = await git(['rev-parse', '--git-path', dir], { cwd: this.workingDir });
+        if (fs.existsSync(path.resolve(this.workingDir, gitPath))) return true;
+      } catch (e) {
+        return false;
+      }
     }
+    return false;
   }
 
   /**
@@ -444,8 +599,8 @@ class WorkspaceManager {
    * Get current git status
    */
   async getGitStatus() {
-    const { stdout } = await execAsync('git status --porcelain', { cwd: this.workingDir });
-    const lines = stdout.trim().split('\n').filter(l => l);
+    const output = await git(['status', '--porcelain'], { cwd: this.workingDir });
+    const lines = output.split('\n').filter(l => l);
 
     return {
       hasChanges: lines.length > 0,
@@ -459,16 +614,14 @@ class WorkspaceManager {
    * Get current commit hash
    */
   async getCurrentCommit() {
-    const { stdout } = await execAsync('git rev-parse HEAD', { cwd: this.workingDir });
-    return stdout.trim();
+    return git(['rev-parse', 'HEAD'], { cwd: this.workingDir });
   }
 
   /**
    * Get current branch
    */
   async getCurrentBranch() {
-    const { stdout } = await execAsync('git rev-parse --abbrev-ref HEAD', { cwd: this.workingDir });
-    return stdout.trim();
+    return git(['rev-parse', '--abbrev-ref', 'HEAD'], { cwd: this.workingDir });
   }
 
   /**
@@ -480,6 +633,7 @@ class WorkspaceManager {
       repoUrl: this.repoUrl,
       cloudRunUrl: this.cloudRunUrl,
       branch: this.branch,
+      baseDir: this.baseDir,
       hasRepo: this.hasRepo,
       isReady: this.isReady,
       currentCommit: this.isReady ? await this.getCurrentCommit() : null,
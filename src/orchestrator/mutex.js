@@ -0,0 +1,24 @@
+/**
+ * Mutex
+ * Serializes async sections (pushes, worktree creation) across parallel tasks
+ */
+
+class Mutex {
+  constructor() {
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Run a function once all previously queued functions have settled
+   * @param {Function} fn - Async function to run exclusively
+   * @returns {Promise<*>} Result of fn
+   */
+  runExclusive(fn) {
+    const result = this.queue.then(() => fn());
+    // Keep the chain alive even when fn rejects
+    this.queue = result.catch(() => {});
+    return result;
+  }
+}
+
+module.exports = Mutex;
@@ -7,24 +7,61 @@ const { EventEmitter } = require('events');
 const api = require('../lib/api');
 const config = require('../lib/config');
 const { StateMachine, STATES } = require('./state-machine');
-const { getAdapter, checkInstalledAdapters } = require('./adapters');
+const { getAdapter } = require('./adapters');
 const SessionRunner = require('./runners/session-runner');
 const WorkspaceManager = require('./managers/workspace-manager');
 const VerificationManager = require('./managers/verification-manager');
 const GitManager = require('./managers/git-manager');
+const { MergeConflictError } = require('./managers/git-manager');
+const HookManager = require('./managers/hook-manager');
+const { HookAbortError } = require('./managers/hook-manager');
+const { BudgetMonitor, resolveBudget, hasBudget } = require('./budget');
+const { emptyUsage } = require('./usage');
+const { loadProjectConfig, CHECKS } = require('../lib/project-config');
+
+// Agent session timeout when neither a --max-minutes budget nor a project timeout applies
+const DEFAULT_SESSION_TIMEOUT = 30 * 60 * 1000;
+
+// Events emitted by the orchestrator (forwarded per task by the scheduler)
+const EVENTS = [
+  'started', 'resumed', 'stopped', 'completed', 'failed',
+  'stage', 'log', 'task_fetched', 'task_status', 'prompt',
+  'agent_start', 'agent_output', 'agent_done', 'agent_tool_use', 'agent_file_edit',
+  'agent_usage', 'budget_exceeded', 'repair_attempt', 'committed', 'hook',
+  'verification', 'task_finished', 'heartbeat_failed', 'conflict',
+];
 
 class Orchestrator extends EventEmitter {
   constructor(options = {}) {
     super();
+    // Settings from the project's .gbos.yml; explicit options take precedence
+    const projectConfig = options.projectConfig || loadProjectConfig(options.workingDir || process.cwd());
+
     this.options = {
-      agent: options.agent || 'claude-code',
+      agent: options.agent || projectConfig.agent || 'claude-code',
+      model: options.model || projectConfig.model || null,
       autoApprove: options.autoApprove !== false, // Default true for orchestrator
       createMR: options.createMR !== false,
       continuous: options.continuous || false,
       maxTasks: options.maxTasks || 1,
       skipVerification: options.skipVerification || false,
       skipGit: options.skipGit || false,
+      maxRepairAttempts: options.maxRepairAttempts ?? 2,
+      worktree: options.worktree || false, // Run the task in its own git worktree
+      pushLock: options.pushLock || null, // Mutex shared by parallel orchestrators
+      echoOutput: options.echoOutput !== false, // Mirror agent output to stdout
+      streamJson: options.streamJson || false, // Structured agent output where the adapter supports it
+      maxMinutes: options.maxMinutes || null, // Per-task budget, tightened by task metadata
+      maxCost: options.maxCost || null,
+      maxTurns: options.maxTurns || null,
       ...options,
+      // Rebase conflicts before a push: 'agent' resolves them (up to maxRepairAttempts rounds), 'abort' gives up.
+      // After the spread so an unset option (null from the CLI) still falls back
+      onConflict: options.onConflict || projectConfig.onConflict || 'agent',
+      // Push tasks that fail verification as draft MRs; set MRs of verified tasks to merge when the pipeline succeeds
+      draftUnverified: options.draftUnverified ?? projectConfig.mrDraftUnverified ?? false,
+      autoMerge: options.autoMerge ?? projectConfig.mrAutoMerge ?? false,
+      projectConfig,
     };
 
     this.stateMachine = null;
@@ -33,6 +70,7 @@ class Orchestrator extends EventEmitter {
     this.workspace = null;
     this.verification = null;
     this.git = null;
+    this.hooks = new HookManager(this.options.projectConfig.hooks);
 
     this.currentTask = null;
     this.application = null;
@@ -171,7 +209,7 @@ class Orchestrator extends EventEmitter {
 
     // Restore adapter
     const agentVendor = this.stateMachine.context.agentVendor || this.options.agent;
-    this.adapter = getAdapter(agentVendor);
+    this.adapter = getAdapter(agentVendor, { projectDir: this.stateMachine.context.workingDir || process.cwd() });
 
     // Restore task if saved
     if (this.stateMachine.context.taskId && !this.currentTask) {
@@ -204,99 +242,176 @@ class Orchestrator extends EventEmitter {
     const state = this.stateMachine.state;
 
     // Determine where to start/resume
-    switch (state) {
-      case STATES.IDLE:
-        await this.stageAuthConfig();
-        // Fall through
-      case STATES.AUTH_CONFIG:
-        await this.stageWorkspaceReady();
-        // Fall through
-      case STATES.WORKSPACE_READY:
-      case STATES.REPORT_STATUS:
-        // Task loop
-        while (!this.isPaused && (this.options.continuous || this.tasksCompleted < this.options.maxTasks)) {
-          await this.stageFetchTask();
-
-          if (!this.currentTask) {
-            // No more tasks
-            this.stateMachine.transition(STATES.COMPLETED);
-            this.emit('completed', { tasksCompleted: this.tasksCompleted });
-            return;
-          }
-
-          await this.stageGeneratePrompt();
-          await this.stageRunAgent();
-
-          // Conditionally run verification stages
-          if (!this.options.skipVerification) {
-            await this.stagePostProcess();
-            await this.stageRunTests();
-          }
-
-          // Conditionally run git stages
-          if (!this.options.skipGit) {
-            await this.stageCommitPush();
+    try {
+      switch (state) {
+        case STATES.IDLE:
+          await this.runStage(STATES.AUTH_CONFIG, () => this.stageAuthConfig());
+          // Fall through
+        case STATES.AUTH_CONFIG:
+          await this.runStage(STATES.WORKSPACE_READY, () => this.stageWorkspaceReady());
+          // Fall through
+        case STATES.WORKSPACE_READY:
+        case STATES.REPORT_STATUS:
+          // Task loop
+          while (!this.isPaused && (this.options.continuous || this.tasksCompleted < this.options.maxTasks)) {
+            try {
+              await this.runStage(STATES.FETCH_TASK, () => this.stageFetchTask());
+
+              if (!this.currentTask) {
+                // No more tasks
+                this.stateMachine.transition(STATES.COMPLETED);
+                this.emit('completed', { tasksCompleted: this.tasksCompleted });
+                return;
+              }
+
+              await this.runStage(STATES.GENERATE_PROMPT, () => this.stageGeneratePrompt());
+              await this.runStage(STATES.RUN_AGENT, () => this.stageRunAgent());
+              await this.finishTask();
+            } catch (error) {
+              await this.failTaskOnHookAbort(error);
+            }
+
+            this.tasksCompleted++;
           }
+          break;
+
+        case STATES.FETCH_TASK:
+          await this.runStage(STATES.FETCH_TASK, () => this.stageFetchTask());
+          await this.runStage(STATES.GENERATE_PROMPT, () => this.stageGeneratePrompt());
+          // Fall through to continue
+        case STATES.GENERATE_PROMPT:
+          await this.runStage(STATES.RUN_AGENT, () => this.stageRunAgent());
+          // Fall through
+        case STATES.RUN_AGENT:
+        case STATES.PAUSED:
+          await this.runStage(STATES.RUN_AGENT, () => this.stageRunAgent());
+          await this.finishTask();
+          break;
+
+        case STATES.POST_PROCESS:
+        case STATES.RUN_TESTS:
+          await this.finishTask();
+          break;
+
+        case STATES.COMMIT_PUSH:
+          await this.runStage(STATES.COMMIT_PUSH, () => this.stageCommitPush());
+          await this.runStage(STATES.REPORT_STATUS, () => this.stageReportStatus());
+          break;
+
+        default:
+          throw new Error(`Cannot resume from state: ${state}`);
+      }
+    } catch (error) {
+      await this.failTaskOnHookAbort(error);
+    }
 
-          await this.stageReportStatus();
+    // Final state
+    if (!this.isPaused && this.stateMachine.state !== STATES.FAILED) {
+      this.stateMachine.transition(STATES.COMPLETED);
+      this.emit('completed', { tasksCompleted: this.tasksCompleted });
+    }
+  }
 
-          this.tasksCompleted++;
-        }
-        break;
-
-      case STATES.FETCH_TASK:
-        await this.stageFetchTask();
-        await this.stageGeneratePrompt();
-        // Fall through to continue
-      case STATES.GENERATE_PROMPT:
-        await this.stageRunAgent();
-        // Fall through
-      case STATES.RUN_AGENT:
-      case STATES.PAUSED:
-        await this.stageRunAgent();
-        if (!this.options.skipVerification) {
-          await this.stagePostProcess();
-          await this.stageRunTests();
-        }
-        if (!this.options.skipGit) {
-          await this.stageCommitPush();
-        }
-        await this.stageReportStatus();
-        break;
-
-      case STATES.POST_PROCESS:
-        await this.stagePostProcess();
-        await this.stageRunTests();
-        if (!this.options.skipGit) {
-          await this.stageCommitPush();
-        }
-        await this.stageReportStatus();
-        break;
+  /**
+   * Run a stage with the project's before_<stage> and after_<stage> hooks around it
+   * @param {string} state - STATES value of the stage
+   * @param {Function} stage - Runs the stage
+   * @returns {Promise<*>} Whatever the stage returns
+   */
+  async runStage(state, stage) {
+    await this.runHook(`before_${state}`, this.currentTask);
+    // report_status clears the current task, the after hook still gets it
+    const task = this.currentTask;
+    const result = await stage();
+    await this.runHook(`after_${state}`, this.currentTask || task);
+    return result;
+  }
 
-      case STATES.RUN_TESTS:
-        await this.stageRunTests();
-        if (!this.options.skipGit) {
-          await this.stageCommitPush();
-        }
-        await this.stageReportStatus();
-        break;
+  /**
+   * Run the commands configured for a hook and record the result. A failing
+   * command set to abort throws a HookAbortError, which fails the task (or the
+   * run, outside a task); set to warn it is only logged.
+   * @param {string} name - e.g. before_run_agent
+   * @param {Object|null} task - Task the hook runs for
+   */
+  async runHook(name, task) {
+    if (!this.hooks.has(name)) return;
 
-      case STATES.COMMIT_PUSH:
-        await this.stageCommitPush();
-        await this.stageReportStatus();
-        break;
+    this.log(`Running hook: ${name}`);
+    const result = await this.hooks.run(name, {
+      cwd: this.workspace?.workingDir || this.options.workingDir || process.cwd(),
+      env: this.getHookEnvironment(name, task),
+    });
+    this.stateMachine.recordOutput(`hook:${name}`, result);
+
+    for (const command of result.results) {
+      this.emit('hook', {
+        taskId: task?.id ?? null,
+        hook: name,
+        command: command.command,
+        passed: command.passed,
+        exitCode: command.exitCode,
+        durationMs: command.durationMs,
+        onFailure: command.onFailure,
+      });
+      if (!command.passed) {
+        this.log(`Hook ${name} failed (${command.onFailure}): ${command.command} exited with code ${command.exitCode ?? 'n/a'}`);
+      }
+    }
 
-      default:
-        throw new Error(`Cannot resume from state: ${state}`);
+    if (result.aborted) {
+      const failed = result.results[result.results.length - 1];
+      this.stateMachine.context.hookFailure = { hook: name, command: failed.command, exitCode: failed.exitCode };
+      this.stateMachine.save();
+      throw new HookAbortError(`Hook ${name} failed: ${failed.command} exited with code ${failed.exitCode ?? 'n/a'}`, { hook: name, task });
     }
+  }
 
-    // Final state
-    if (!this.isPaused && this.stateMachine.state !== STATES.FAILED) {
-      this.stateMachine.transition(STATES.COMPLETED);
-      this.emit('completed', { tasksCompleted: this.tasksCompleted });
+  /**
+   * A hook set to abort failed during a task: report the task as hook_failed,
+   * clean up its worktree and let the run go on with the next task. Any other
+   * error, or a hook outside a task, is rethrown and ends the run.
+   * @param {Error} error
+   */
+  async failTaskOnHookAbort(error) {
+    if (!(error instanceof HookAbortError) || !error.task) throw error;
+
+    this.log(`${error.message}, task ${error.task.task_key || error.task.id} failed`);
+    // after_report_status hooks run once the task is already reported
+    if (this.currentTask) {
+      this.stateMachine.context.outcome = 'hook_failed';
+      this.stateMachine.save();
+      await this.stageReportStatus();
+    }
+    if (this.options.worktree && this.workspace) {
+      await this.workspace.removeWorktree();
     }
   }
 
+  /**
+   * Environment for hook commands: the workspace variables plus the task context
+   * @param {string} name - Hook name
+   * @param {Object|null} task
+   */
+  getHookEnvironment(name, task) {
+    const context = this.stateMachine.context;
+    const testsPassed = context.outputs?.tests?.output?.overall?.passed;
+    const vars = {
+      GBOS_HOOK: name,
+      GBOS_STAGE: name.replace(/^(before|after)_/, ''),
+      GBOS_RUN_ID: this.stateMachine.runId,
+      GBOS_AGENT: this.options.agent,
+      GBOS_APP_ID: String(context.appId ?? ''),
+      GBOS_TASK_ID: String(task?.id ?? ''),
+      GBOS_TASK_KEY: task?.task_key || '',
+      GBOS_TASK_TITLE: task?.title || '',
+      GBOS_OUTCOME: context.outcome || '',
+      GBOS_TESTS_PASSED: testsPassed === undefined ? '' : String(testsPassed),
+      GBOS_COMMIT: context.outputs?.git?.output?.commit?.hash || '',
+    };
+    return this.workspace ? this.workspace.getEnvironment(vars) : { ...process.env, ...vars };
+  }
+
   /**
    * Stage: Auth & Config
    */
@@ -306,7 +421,7 @@ class Orchestrator extends EventEmitter {
 
     // Check authentication
     if (!config.isAuthenticated()) {
-      throw new Error('Not authenticated. Run "gbos auth" first.');
+      throw new Error(config.loadSession()?.credential_error || 'Not authenticated. Run "gbos auth" first.');
     }
 
     // Check connection
@@ -323,16 +438,17 @@ class Orchestrator extends EventEmitter {
       this.application = connection.application;
     }
 
-    // Check agent availability
-    const adapters = await checkInstalledAdapters();
-    const agentInfo = adapters[this.options.agent];
+    // Check agent availability (custom agents may be declared in the project)
+    this.adapter = getAdapter(this.options.agent, { projectDir: this.options.workingDir || process.cwd() });
 
-    if (!agentInfo?.available) {
+    if (!await this.adapter.isAvailable()) {
       throw new Error(`Agent "${this.options.agent}" is not installed`);
     }
 
-    this.adapter = getAdapter(this.options.agent);
-    this.log(`Using agent: ${this.adapter.name} (${agentInfo.version})`);
+    this.log(`Using agent: ${this.adapter.name} (${await this.adapter.getVersion()})`);
+    if (this.options.projectConfig.path) {
+      this.log(`Project config: ${this.options.projectConfig.path}`);
+    }
 
     // Fetch agent API keys from GBOS server (never stored locally)
     if (this.application?.id) {
@@ -348,6 +464,7 @@ class Orchestrator extends EventEmitter {
 
     this.stateMachine.transition(STATES.AUTH_CONFIG, {
       appId: this.application?.id,
+      appName: this.application?.name || null,
       nodeId: connection.node?.id,
       agentVendor: this.options.agent,
     });
@@ -370,6 +487,9 @@ class Orchestrator extends EventEmitter {
     this.workspace = new WorkspaceManager({
       workingDir: this.options.workingDir,
       branch: this.options.branch || null,
+      branchPattern: this.options.projectConfig.branchPattern,
+      worktree: this.options.worktree,
+      gitProvider: this.options.projectConfig.gitProvider,
     });
 
     // Initialize with a placeholder task for branch creation
@@ -440,6 +560,9 @@ class Orchestrator extends EventEmitter {
       // Update workspace for this task
       await this.workspace.initialize(this.application, this.currentTask);
       await this.workspace.prepare();
+      for (const warning of this.workspace.warnings.splice(0)) {
+        this.log(warning);
+      }
 
       // Set task status to in_progress
       try {
@@ -462,6 +585,9 @@ class Orchestrator extends EventEmitter {
         taskId: this.currentTask.id,
         taskKey: this.currentTask.task_key,
         branch: this.workspace.branch,
+        outcome: null,
+        budgetExceeded: null,
+        taskStartedAt: new Date().toISOString(),
       });
 
     } catch (error) {
@@ -491,7 +617,10 @@ class Orchestrator extends EventEmitter {
       workingDir: this.workspace.workingDir,
     };
 
-    const prompt = this.adapter.formatPrompt(this.currentTask, context);
+    let prompt = this.adapter.formatPrompt(this.currentTask, context);
+    if (this.options.projectConfig.promptContext) {
+      prompt += `\n## Project Context\n\n${this.options.projectConfig.promptContext}\n`;
+    }
 
     this.stateMachine.recordOutput('prompt', prompt);
     this.stateMachine.transition(STATES.GENERATE_PROMPT, { prompt });
@@ -501,13 +630,24 @@ class Orchestrator extends EventEmitter {
 
   /**
    * Stage: Run Agent
+   * @param {string|null} promptOverride - Prompt to send instead of the task prompt (repair rounds)
    */
-  async stageRunAgent() {
+  async stageRunAgent(promptOverride = null) {
     this.log('Stage: Run Agent');
     this.emit('stage', { stage: 'run_agent' });
+
+    const monitor = this.createBudgetMonitor();
+    if (monitor?.check()) {
+      // Budget used up by earlier sessions (e.g. before a repair round)
+      this.handleBudgetExceeded(monitor.exceeded);
+      this.stateMachine.transition(STATES.RUN_AGENT);
+      return { exitCode: null, output: '', budgetExceeded: monitor.exceeded };
+    }
+
     this.emit('agent_start', { agent: this.adapter.name });
 
-    const prompt = this.stateMachine.context.outputs?.prompt?.output ||
+    const prompt = promptOverride ||
+                   this.stateMachine.context.outputs?.prompt?.output ||
                    this.stateMachine.context.prompt;
 
     if (!prompt) {
@@ -516,25 +656,65 @@ class Orchestrator extends EventEmitter {
 
     // Get command to run (pass server-side API key for the agent)
     const agentKey = this.agentKeys?.[this.adapter.name] || null;
-    const cmdConfig = this.adapter.getCommand({
+    const commandOptions = {
       nonInteractive: this.adapter.supportsNonInteractive,
       autoApprove: this.options.autoApprove,
+      model: this.options.model || null,
       apiKey: agentKey,
-    });
+      prompt,
+      outputFormat: this.options.streamJson ? 'stream-json' : null,
+    };
+    const cmdConfig = this.adapter.getCommand(commandOptions);
+    const parser = this.adapter.createOutputParser(commandOptions);
 
-    // Create session runner - agent works at repo root
+    // Create session runner - agent works at repo root. With a time budget the
+    // monitor stops the agent; the timeout is only a backstop.
+    const remainingMs = monitor?.getRemainingMs();
     this.session = new SessionRunner({
       cwd: this.workspace.workingDir,
       env: this.workspace.getEnvironment(cmdConfig.env),
-      timeout: 30 * 60 * 1000, // 30 minutes
+      timeout: remainingMs != null
+        ? remainingMs + 60 * 1000
+        : this.options.projectConfig.timeouts.agent || DEFAULT_SESSION_TIMEOUT,
       closeStdinOnWrite: cmdConfig.closeStdinOnWrite || false,
     });
 
-    // Set up event handlers
-    this.session.on('data', (data) => {
+    if (monitor) {
+      const session = this.session;
+      monitor.on('exceeded', breach => this.stopOverBudget(session, breach));
+      // Only structured usage is trusted live; agents without it have their cost checked after the run.
+      // Claude Code reports cost only in its final result message, so its cost limit is also enforced
+      // once the session ends; time and turns are enforced while it runs.
+      monitor.start(() => (parser ? {
+        costUsd: parser.getSummary().usage?.costUsd,
+        turns: parser.turns,
+      } : {}));
+    }
+
+    const writeOutput = (data) => {
       this.emit('agent_output', { data });
-      process.stdout.write(data);
-    });
+      if (this.options.echoOutput) {
+        process.stdout.write(data);
+      }
+    };
+
+    // Set up event handlers
+    if (parser) {
+      // Structured output: re-emit typed events and show readable text instead of raw JSON
+      this.session.on('data', (data) => parser.push(data));
+      parser.on('text', ({ text }) => writeOutput(`${text}\n`));
+      parser.on('tool_use', (event) => {
+        this.emit('agent_tool_use', event);
+        writeOutput(`→ ${parser.describeToolUse(event)}\n`);
+      });
+      parser.on('file_edit', (event) => this.emit('agent_file_edit', event));
+      parser.on('usage', (event) => {
+        this.emit('agent_usage', event);
+        if (monitor) monitor.update({ costUsd: event.costUsd, turns: parser.turns });
+      });
+    } else {
+      this.session.on('data', writeOutput);
+    }
 
     this.session.on('error', (error) => {
       this.log(`Session error: ${error.message}`);
@@ -542,13 +722,35 @@ class Orchestrator extends EventEmitter {
 
     // Run the agent
     this.log(`Running ${this.adapter.name}...`);
+    const agentStartedAt = Date.now();
 
     try {
-      const result = await this.session.start(cmdConfig.command, cmdConfig.args, prompt);
+      // Adapters that take the prompt as an argument get nothing on stdin
+      const input = this.adapter.promptDelivery === 'argument' ? null : prompt;
+      const result = await this.session.start(cmdConfig.command, cmdConfig.args, input);
+      if (parser) parser.end();
+      if (this.session.logFile) {
+        this.stateMachine.addArtifact('session_log', this.session.logFile, { taskId: this.currentTask?.id ?? null });
+      }
+
+      const parsed = parser ? parser.getSummary() : null;
+      const usage = this.adapter.extractUsage(result.output, parsed);
+      this.recordSessionUsage(usage, Date.now() - agentStartedAt);
+      if (monitor) {
+        monitor.stop();
+        // The final cost, for agents that only report it when they finish
+        monitor.update({ costUsd: usage?.costUsd, turns: usage?.turns || null });
+        result.budgetExceeded = monitor.exceeded;
+      }
 
       this.stateMachine.recordOutput('agent', {
         exitCode: result.exitCode,
         outputLength: result.output.length,
+        ...(parsed || {}),
+        summary: this.adapter.extractSummary(result.output, parsed),
+        usage,
+        // Includes earlier sessions for the same task (repair rounds)
+        taskUsage: this.stateMachine.getUsage(this.currentTask?.id ?? null),
       });
 
       if (result.exitCode !== 0) {
@@ -556,14 +758,90 @@ class Orchestrator extends EventEmitter {
       }
 
       this.stateMachine.transition(STATES.RUN_AGENT);
-      this.emit('agent_done', { exitCode: result.exitCode });
+      this.emit('agent_done', { exitCode: result.exitCode, agent: this.adapter.name });
+
+      return result;
 
     } catch (error) {
+      if (monitor) monitor.stop();
+      this.recordSessionUsage(null, Date.now() - agentStartedAt);
       this.stateMachine.recordError(error, 'run_agent');
       throw error;
     }
   }
 
+  /**
+   * Record an agent session's usage and running time for the current task.
+   * Sessions that reported no usage are still recorded (with zero sessions
+   * and tokens), so the time budget sees every minute the agent ran.
+   * @param {Object|null} usage - From the adapter
+   * @param {number} durationMs - How long the agent ran
+   */
+  recordSessionUsage(usage, durationMs) {
+    this.stateMachine.recordUsage({
+      taskId: this.currentTask?.id,
+      taskKey: this.currentTask?.task_key,
+      agent: this.adapter.name,
+      model: usage?.model || this.options.model || null,
+      appId: this.stateMachine.context.appId,
+      appName: this.stateMachine.context.appName,
+      ...(usage || emptyUsage()),
+      durationMs,
+    });
+  }
+
+  /**
+   * Budget monitor for the current task, or null when no limits apply
+   * @returns {BudgetMonitor|null}
+   */
+  createBudgetMonitor() {
+    const budget = resolveBudget(this.options, this.currentTask);
+    if (!hasBudget(budget)) return null;
+
+    // Earlier sessions on the same task (repair rounds, before a resume) count towards the budget
+    const spent = this.stateMachine.getUsage(this.currentTask?.id ?? null);
+    return new BudgetMonitor(budget, {
+      durationMs: spent.durationMs,
+      costUsd: spent.costUsd,
+      turns: spent.turns,
+    });
+  }
+
+  /**
+   * Record a budget breach; the task is reported as budget_exceeded instead of pushed
+   * @param {Object} breach - { limit, value, max, unit } from BudgetMonitor
+   */
+  handleBudgetExceeded(breach) {
+    this.stateMachine.context.outcome = 'budget_exceeded';
+    this.stateMachine.context.budgetExceeded = breach;
+    this.stateMachine.save();
+
+    this.log(`Budget exceeded: ${breach.value} of ${breach.max} ${breach.unit}, stopping agent`);
+    this.emit('budget_exceeded', { taskId: this.currentTask?.id, taskKey: this.currentTask?.task_key, ...breach });
+  }
+
+  /**
+   * Record a breach during a session and stop the agent. Runs from an event
+   * listener, so a failure to stop is logged rather than thrown.
+   * @param {SessionRunner} session
+   * @param {Object} breach - { limit, value, max, unit } from BudgetMonitor
+   */
+  async stopOverBudget(session, breach) {
+    this.handleBudgetExceeded(breach);
+    try {
+      await session.stop();
+    } catch (error) {
+      this.log(`Failed to stop the agent over budget: ${error.message}`);
+    }
+  }
+
+  /**
+   * Whether the current task ran out of budget
+   */
+  isBudgetExceeded() {
+    return this.stateMachine.context.outcome === 'budget_exceeded';
+  }
+
   /**
    * Stage: Post Process
    */
@@ -571,9 +849,7 @@ class Orchestrator extends EventEmitter {
     this.log('Stage: Post Process');
     this.emit('stage', { stage: 'post_process' });
 
-    this.verification = new VerificationManager(this.workspace.workingDir, {
-      cloudRunUrl: this.stateMachine.context.cloudRunUrl,
-    });
+    this.verification = this.createVerificationManager();
 
     const project = await this.verification.detectProjectType();
     const postProcessResults = await this.verification.runPostProcessing(project);
@@ -582,6 +858,20 @@ class Orchestrator extends EventEmitter {
     this.stateMachine.transition(STATES.POST_PROCESS);
   }
 
+  /**
+   * Verification manager for the workspace, with the checks, critical list
+   * and timeouts from the project config
+   */
+  createVerificationManager() {
+    const { checks, critical, timeouts } = this.options.projectConfig;
+    return new VerificationManager(this.workspace.workingDir, {
+      cloudRunUrl: this.stateMachine.context.cloudRunUrl,
+      commands: checks,
+      critical,
+      timeouts,
+    });
+  }
+
   /**
    * Stage: Run Tests
    */
@@ -590,9 +880,7 @@ class Orchestrator extends EventEmitter {
     this.emit('stage', { stage: 'run_tests' });
 
     if (!this.verification) {
-      this.verification = new VerificationManager(this.workspace.workingDir, {
-        cloudRunUrl: this.stateMachine.context.cloudRunUrl,
-      });
+      this.verification = this.createVerificationManager();
     }
 
     const results = await this.verification.runAll();
@@ -600,13 +888,106 @@ class Orchestrator extends EventEmitter {
     this.stateMachine.recordOutput('tests', results);
 
     if (!results.overall.passed) {
-      this.log('Tests failed, but continuing...');
-      // In future: could retry agent or fail
+      this.log(results.overall.summary);
     }
 
     this.stateMachine.transition(STATES.RUN_TESTS, {
       testsPassed: results.overall.passed,
     });
+
+    // Per check: true/false, or null when it did not run
+    const checks = {};
+    for (const [name, key] of Object.entries(CHECKS)) {
+      checks[name] = results[key] ? results[key].passed : null;
+    }
+    this.emit('verification', { taskId: this.currentTask?.id ?? null, passed: results.overall.passed, checks });
+
+    return results;
+  }
+
+  /**
+   * Run verification, handing failures back to the agent until the checks
+   * pass or the configured repair attempts are used up
+   * @returns {Promise<boolean>} Whether verification passed
+   */
+  async verifyWithRepair() {
+    await this.runStage(STATES.POST_PROCESS, () => this.stagePostProcess());
+    let results = await this.runStage(STATES.RUN_TESTS, () => this.stageRunTests());
+
+    const maxAttempts = this.options.maxRepairAttempts;
+    let attempt = (this.stateMachine.context.repairAttempts || [])
+      .filter(a => a.taskId === this.currentTask?.id).length;
+
+    while (!results.overall.passed && attempt < maxAttempts && !this.isPaused) {
+      attempt++;
+      const failures = this.verification.getFailureReport(results);
+
+      this.log(`Verification failed, asking agent to repair (attempt ${attempt}/${maxAttempts})`);
+      this.emit('repair_attempt', {
+        attempt,
+        maxAttempts,
+        failedChecks: failures.map(f => f.check),
+      });
+
+      const repairPrompt = this.adapter.formatRepairPrompt(this.currentTask, failures, {
+        attempt,
+        maxAttempts,
+        taskPrompt: this.stateMachine.context.outputs?.prompt?.output,
+      });
+      this.stateMachine.recordOutput('repair_prompt', repairPrompt);
+
+      const agentResult = await this.runStage(STATES.RUN_AGENT, () => this.stageRunAgent(repairPrompt));
+      if (agentResult.budgetExceeded) {
+        return false;
+      }
+      await this.runStage(STATES.POST_PROCESS, () => this.stagePostProcess());
+      results = await this.runStage(STATES.RUN_TESTS, () => this.stageRunTests());
+
+      this.stateMachine.recordRepairAttempt({
+        taskId: this.currentTask?.id,
+        taskKey: this.currentTask?.task_key,
+        attempt,
+        failedChecks: failures.map(f => f.check),
+        agentExitCode: agentResult.exitCode,
+        passed: results.overall.passed,
+      });
+    }
+
+    return results.overall.passed;
+  }
+
+  /**
+   * Verify, commit and report the current task once the agent has run.
+   * Tasks that still fail verification after the repair rounds are
+   * reported as failed instead of being pushed, or with draftUnverified
+   * pushed with a draft MR and still reported as failed.
+   */
+  async finishTask() {
+    let passed = true;
+    if (!this.options.skipVerification && !this.isBudgetExceeded()) {
+      passed = await this.verifyWithRepair();
+    }
+
+    if (this.isBudgetExceeded()) {
+      this.log('Task ran out of budget, it will not be pushed');
+    } else if (!passed) {
+      this.stateMachine.context.outcome = 'tests_failed';
+      this.stateMachine.save();
+      if (this.options.draftUnverified && this.options.createMR && !this.options.skipGit) {
+        this.log('Verification still failing after repair attempts, pushing the task as a draft MR');
+        await this.runStage(STATES.COMMIT_PUSH, () => this.stageCommitPush());
+      } else {
+        this.log('Verification still failing after repair attempts, task will not be pushed');
+      }
+    } else if (!this.options.skipGit) {
+      await this.runStage(STATES.COMMIT_PUSH, () => this.stageCommitPush());
+    }
+
+    await this.runStage(STATES.REPORT_STATUS, () => this.stageReportStatus());
+
+    if (this.options.worktree) {
+      await this.workspace.removeWorktree();
+    }
   }
 
   /**
@@ -616,7 +997,25 @@ class Orchestrator extends EventEmitter {
     this.log('Stage: Commit & Push');
     this.emit('stage', { stage: 'commit_push' });
 
-    this.git = new GitManager(this.workspace.workingDir);
+    // Parallel tasks share the remote, so only one of them pushes at a time
+    if (this.options.pushLock) {
+      return this.options.pushLock.runExclusive(() => this.commitAndPush());
+    }
+    return this.commitAndPush();
+  }
+
+  /**
+   * Commit the task changes and push them (with an MR when configured)
+   */
+  async commitAndPush() {
+    const { branch, pushBranch } = this.workspace;
+    this.git = new GitManager(this.workspace.workingDir, {
+      pushBranch: pushBranch !== branch ? pushBranch : null,
+      rebaseBeforePush: this.options.worktree && pushBranch !== branch,
+      targetBranch: this.options.projectConfig.mrTargetBranch,
+      abortOnConflict: this.options.onConflict !== 'agent',
+      provider: this.workspace.gitProvider,
+    });
 
     const message = `Complete task: ${this.currentTask.title || this.currentTask.task_key || this.currentTask.id}`;
 
@@ -624,25 +1023,166 @@ class Orchestrator extends EventEmitter {
     const hasRemote = this.workspace.hasRepo || !!(await this.git.getRemoteUrl());
 
     let result;
-    if (hasRemote && this.options.createMR) {
-      result = await this.git.commitPushAndMR(message, this.currentTask);
-    } else if (hasRemote) {
-      result = await this.git.commitAndPush(message, this.currentTask);
-    } else {
-      // No remote at all: just commit locally
-      result = await this.git.commitOnly(message);
+    try {
+      if (hasRemote && this.options.createMR) {
+        result = await this.git.commitPushAndMR(message, this.currentTask, this.getMROptions());
+      } else if (hasRemote) {
+        result = await this.git.commitAndPush(message, this.currentTask);
+      } else {
+        // No remote at all: just commit locally
+        result = await this.git.commitOnly(message);
+      }
+    } catch (error) {
+      if (!(error instanceof MergeConflictError)) throw error;
+      result = await this.handleConflict(error, message);
     }
 
     this.stateMachine.recordOutput('git', result);
+    if (result.mergeRequest) {
+      this.recordMRPolicy(result.mergeRequest);
+    }
     this.stateMachine.transition(STATES.COMMIT_PUSH, {
       commit: result.commit?.shortHash,
       mergeRequest: result.mergeRequest?.url,
     });
 
     this.log(result.message);
+    for (const warning of result.mergeRequest?.warnings || []) {
+      this.log(`MR: ${warning}`);
+    }
     this.emit('committed', result);
   }
 
+  /**
+   * What the task's MR description reports: verification results, the agent
+   * and model, the task's usage and the agent's closing summary
+   */
+  getMROptions() {
+    const agentOutput = this.stateMachine.context.outputs?.agent?.output || {};
+    const verification = this.getVerificationState();
+    return {
+      verification: this.stateMachine.context.outputs?.tests?.output || null,
+      agent: this.adapter?.name || null,
+      model: agentOutput.model || agentOutput.usage?.model || this.options.model || null,
+      usage: this.stateMachine.getUsage(this.currentTask?.id ?? null),
+      summary: agentOutput.summary || null,
+      // Left undefined without the policy so re-runs do not touch the draft state of an open MR
+      draft: this.options.draftUnverified ? verification !== 'passed' : undefined,
+      autoMerge: this.options.autoMerge && verification === 'passed',
+    };
+  }
+
+  /**
+   * Local verification of the current task
+   * @returns {string} passed, failed or skipped
+   */
+  getVerificationState() {
+    const results = this.stateMachine.context.outputs?.tests?.output;
+    if (this.options.skipVerification || !results) return 'skipped';
+    return results.overall?.passed ? 'passed' : 'failed';
+  }
+
+  /**
+   * Record in the run file which MR policy the task got
+   * @param {Object} mr - Merge request from GitManager
+   */
+  recordMRPolicy(mr) {
+    this.stateMachine.context.mrPolicy = {
+      taskId: this.currentTask?.id ?? null,
+      verification: this.getVerificationState(),
+      draft: !!mr.draft,
+      autoMerge: mr.autoMerge === undefined ? 'off' : (mr.autoMerge ? 'enabled' : 'failed'),
+    };
+  }
+
+  /**
+   * The rebase before the push conflicted. With onConflict 'agent' the agent
+   * resolves the conflicts (re-verified before the push) for up to
+   * maxRepairAttempts rounds; otherwise, or when it does not manage, the
+   * rebase is aborted and the task ends with the conflict outcome.
+   * @param {MergeConflictError} error - From GitManager, carrying the task commit
+   * @param {string} message - Commit message, the MR title fallback
+   * @returns {Promise<Object>} Git result
+   */
+  async handleConflict(error, message) {
+    const maxAttempts = Math.max(1, this.options.maxRepairAttempts);
+    const taskId = this.currentTask?.id ?? null;
+    let conflict = error;
+    let attempt = 0;
+
+    while (conflict) {
+      const resolve = conflict.inProgress && this.options.onConflict === 'agent'
+        && attempt < maxAttempts && !this.isPaused && !this.isBudgetExceeded();
+      this.stateMachine.context.conflict = { onto: conflict.onto, files: conflict.files, attempts: attempt, resolved: false };
+      this.emit('conflict', { taskId, onto: conflict.onto, files: conflict.files, attempt, action: resolve ? 'agent' : 'abort' });
+
+      if (!resolve) {
+        await this.git.abortRebase();
+        if (!this.stateMachine.context.outcome) {
+          this.stateMachine.context.outcome = 'conflict';
+        }
+        this.stateMachine.save();
+        this.log(`${conflict.message}; rebase aborted, the task will not be pushed`);
+        return {
+          committed: true,
+          pushed: false,
+          commit: error.commit,
+          conflict: { onto: conflict.onto, files: conflict.files },
+          message: `Committed locally but not pushed: ${conflict.message}`,
+        };
+      }
+
+      attempt++;
+      this.log(`${conflict.message}, asking agent to resolve (attempt ${attempt}/${maxAttempts})`);
+      const prompt = this.adapter.formatConflictPrompt(this.currentTask, conflict, {
+        attempt,
+        maxAttempts,
+        taskPrompt: this.stateMachine.context.outputs?.prompt?.output,
+      });
+      this.stateMachine.recordOutput('conflict_prompt', prompt);
+      await this.runStage(STATES.RUN_AGENT, () => this.stageRunAgent(prompt));
+      if (this.isBudgetExceeded()) continue;
+
+      try {
+        await this.git.continueRebase(conflict.onto);
+      } catch (e) {
+        if (!(e instanceof MergeConflictError)) throw e;
+        conflict = e;
+        continue;
+      }
+
+      // The merged code has not been verified yet
+      if (!this.options.skipVerification) {
+        await this.runStage(STATES.POST_PROCESS, () => this.stagePostProcess());
+        const results = await this.runStage(STATES.RUN_TESTS, () => this.stageRunTests());
+        if (!results.overall.passed) {
+          this.stateMachine.context.outcome = 'tests_failed';
+          this.stateMachine.save();
+          this.log('Verification failed after resolving conflicts, task will not be pushed');
+          return {
+            committed: true,
+            pushed: false,
+            commit: await this.git.getLastCommit(),
+            message: 'Conflicts resolved but verification failed, not pushed',
+          };
+        }
+      }
+
+      try {
+        const result = await this.git.pushCommitted(error.commit);
+        this.stateMachine.context.conflict = { onto: conflict.onto, files: conflict.files, attempts: attempt, resolved: true };
+        this.log(`Conflicts with ${conflict.onto} resolved by ${this.adapter.name}`);
+        return this.options.createMR
+          ? this.git.addMergeRequest(result, message, this.currentTask, this.getMROptions())
+          : result;
+      } catch (e) {
+        // The remote moved on again while the agent worked
+        if (!(e instanceof MergeConflictError)) throw e;
+        conflict = e;
+      }
+    }
+  }
+
   /**
    * Stage: Report Status
    */
@@ -655,34 +1195,120 @@ class Orchestrator extends EventEmitter {
       return;
     }
 
+    const outcome = this.stateMachine.context.outcome;
+    if (outcome && outcome !== 'review') {
+      await this.reportTaskFailure(outcome);
+      this.stateMachine.transition(STATES.REPORT_STATUS);
+      this.emitTaskFinished(outcome);
+      this.currentTask = null;
+      return;
+    }
+
     try {
       const gitResult = this.stateMachine.context.outputs?.git?.output;
       const testResult = this.stateMachine.context.outputs?.tests?.output;
 
       // Set task status to "review" (not "completed") so it can be reviewed
-      await api.request(`/development-tasks/${this.currentTask.id}/status`, {
-        method: 'PATCH',
-        body: {
-          status: 'review',
-          completion_notes: `Task completed by GBOS orchestrator using ${this.adapter.name}`,
-          commit_hash: gitResult?.commit?.hash,
-          merge_request_url: gitResult?.mergeRequest?.url,
-          tests_passed: testResult?.overall?.passed,
-        },
+      const response = await api.reportTaskStatus(this.currentTask.id, {
+        status: 'review',
+        completion_notes: `Task completed by GBOS orchestrator using ${this.adapter.name}`,
+        commit_hash: gitResult?.commit?.hash,
+        merge_request_url: gitResult?.mergeRequest?.url,
+        tests_passed: testResult?.overall?.passed,
+        usage: this.stateMachine.getUsage(this.currentTask.id),
       });
 
-      this.emit('task_status', { taskId: this.currentTask.id, taskKey: this.currentTask.task_key, status: 'review' });
-      this.log(`Task ${this.currentTask.task_key || this.currentTask.id} set to review`);
+      this.emit('task_status', { taskId: this.currentTask.id, taskKey: this.currentTask.task_key, status: 'review', queued: !!response?.queued });
+      this.log(response?.queued
+        ? `GBOS API unreachable, review status for ${this.currentTask.task_key || this.currentTask.id} queued in the outbox`
+        : `Task ${this.currentTask.task_key || this.currentTask.id} set to review`);
 
     } catch (error) {
       this.log(`Failed to report status: ${error.message}`);
       // Don't throw - task is done locally
     }
 
+    this.stateMachine.context.outcome = 'review';
     this.stateMachine.transition(STATES.REPORT_STATUS);
+    this.emitTaskFinished('review');
     this.currentTask = null;
   }
 
+  /**
+   * Announce that the current task is done, with how long each stage took
+   * @param {string} outcome - review, tests_failed, budget_exceeded, hook_failed, ...
+   */
+  emitTaskFinished(outcome) {
+    const stages = this.stateMachine.context.stages;
+    // The task's stages start at its fetch_task transition
+    let first = stages.length - 1;
+    while (first > 0 && stages[first].to !== STATES.FETCH_TASK) first--;
+
+    const stageDurations = [];
+    for (let i = Math.max(first, 1); i < stages.length; i++) {
+      stageDurations.push({
+        stage: stages[i].to,
+        durationMs: Date.parse(stages[i].timestamp) - Date.parse(stages[i - 1].timestamp),
+      });
+    }
+
+    const startedAt = this.stateMachine.context.taskStartedAt;
+    this.emit('task_finished', {
+      taskId: this.currentTask.id,
+      taskKey: this.currentTask.task_key,
+      agent: this.adapter?.name || this.options.agent,
+      outcome,
+      durationMs: startedAt ? Date.now() - Date.parse(startedAt) : null,
+      stageDurations,
+    });
+  }
+
+  /**
+   * Report the current task as failed with the reason it was not pushed
+   * @param {string} reason - Task outcome (e.g. tests_failed)
+   */
+  async reportTaskFailure(reason) {
+    const testResult = this.stateMachine.context.outputs?.tests?.output;
+    const repairs = (this.stateMachine.context.repairAttempts || [])
+      .filter(a => a.taskId === this.currentTask.id).length;
+
+    const breach = this.stateMachine.context.budgetExceeded;
+    const notes = {
+      tests_failed: `Verification failed after ${repairs} repair attempt(s) using ${this.adapter.name}: ${testResult?.overall?.summary || 'checks did not pass'}`,
+      budget_exceeded: breach
+        ? `Agent ${this.adapter.name} stopped after exceeding its budget: ${breach.value} of ${breach.max} ${breach.unit}`
+        : 'Agent stopped after exceeding its budget',
+      hook_failed: `Hook ${this.stateMachine.context.hookFailure?.hook} failed: ${this.stateMachine.context.hookFailure?.command}`,
+      conflict: `Rebase onto ${this.stateMachine.context.conflict?.onto} conflicted in ${(this.stateMachine.context.conflict?.files || []).join(', ')}`
+        + (this.stateMachine.context.conflict?.attempts ? ` and ${this.adapter.name} did not resolve it in ${this.stateMachine.context.conflict.attempts} attempt(s)` : ''),
+    };
+
+    // The task was still pushed with a draft MR (outputs.git may be an earlier task's otherwise)
+    const pushed = this.stateMachine.context.mrPolicy?.taskId === this.currentTask.id;
+    const gitResult = pushed ? this.stateMachine.context.outputs?.git?.output : null;
+
+    try {
+      const response = await api.reportTaskStatus(this.currentTask.id, {
+        status: 'failed',
+        failure_reason: reason,
+        completion_notes: notes[reason] || `Task stopped by GBOS orchestrator: ${reason}`,
+        commit_hash: gitResult?.pushed ? gitResult.commit?.hash : undefined,
+        merge_request_url: gitResult?.mergeRequest?.url,
+        tests_passed: testResult?.overall?.passed,
+        repair_attempts: repairs,
+        usage: this.stateMachine.getUsage(this.currentTask.id),
+        budget: breach || undefined,
+      });
+
+      this.emit('task_status', { taskId: this.currentTask.id, taskKey: this.currentTask.task_key, status: 'failed', reason, queued: !!response?.queued });
+      this.log(response?.queued
+        ? `GBOS API unreachable, failed status for ${this.currentTask.task_key || this.currentTask.id} queued in the outbox`
+        : `Task ${this.currentTask.task_key || this.currentTask.id} set to failed (${reason})`);
+    } catch (error) {
+      this.log(`Failed to report status: ${error.message}`);
+    }
+  }
+
   /**
    * Start periodic status updates
    */
@@ -693,12 +1319,17 @@ class Orchestrator extends EventEmitter {
       if (!this.isRunning || !this.currentTask) return;
 
       try {
-        await api.sendHeartbeat(this.currentTask.id, {
+        const response = await api.sendHeartbeat(this.currentTask.id, {
           state: this.stateMachine.state,
           stage: this.stateMachine.context.stages.length,
         });
+        // Queued in the outbox: the API did not get it now
+        if (response?.queued) {
+          this.emit('heartbeat_failed', { taskId: this.currentTask?.id ?? null, error: 'GBOS API unreachable', queued: true });
+        }
       } catch (e) {
-        // Ignore heartbeat failures
+        // Keep working; the failure only shows up in events and metrics
+        this.emit('heartbeat_failed', { taskId: this.currentTask?.id ?? null, error: e.message });
       }
     }, 30000);
   }
@@ -747,4 +1378,6 @@ class Orchestrator extends EventEmitter {
   }
 }
 
+Orchestrator.EVENTS = EVENTS;
+
 module.exports = Orchestrator;
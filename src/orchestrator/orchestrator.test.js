@@ -0,0 +1,214 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const sh = (args, cwd) => execFileSync('git', args, { cwd, encoding: 'utf8' }).trim();
+
+describe('Orchestrator with a hook set to abort', () => {
+  let root;
+  let savedConfigDir;
+  let Orchestrator;
+  let StateMachine;
+  let STATES;
+
+  before(() => {
+    savedConfigDir = process.env.GBOS_CONFIG_DIR;
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'gbos-hooks-'));
+    process.env.GBOS_CONFIG_DIR = path.join(root, 'config');
+    // Fails for task 1 only
+    fs.writeFileSync(path.join(root, '.gbos.yml'), 'hooks:\n  before_run_agent: test "$GBOS_TASK_ID" != 1\n');
+    Orchestrator = require('./orchestrator');
+    ({ StateMachine, STATES } = require('./state-machine'));
+  });
+
+  after(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+    if (savedConfigDir === undefined) delete process.env.GBOS_CONFIG_DIR; else process.env.GBOS_CONFIG_DIR = savedConfigDir;
+  });
+
+  it('should fail that task and go on with the next one', async () => {
+    const orchestrator = new Orchestrator({ workingDir: root, continuous: true, worktree: true, echoOutput: false });
+    const queue = [{ id: 1, task_key: 'GB-1' }, { id: 2, task_key: 'GB-2' }];
+    const failures = [];
+    const finished = [];
+    let worktreesRemoved = 0;
+
+    orchestrator.stateMachine = new StateMachine();
+    orchestrator.stateMachine.state = STATES.WORKSPACE_READY;
+    orchestrator.adapter = { name: 'claude-code' };
+    orchestrator.workspace = {
+      workingDir: root,
+      getEnvironment: vars => ({ ...process.env, ...vars }),
+      removeWorktree: async () => { worktreesRemoved++; },
+    };
+    orchestrator.on('log', () => {});
+    orchestrator.on('task_finished', ({ taskId, outcome }) => finished.push([taskId, outcome]));
+
+    orchestrator.stageFetchTask = async () => {
+      orchestrator.currentTask = queue.shift() || null;
+      if (orchestrator.currentTask) {
+        orchestrator.stateMachine.transition(STATES.FETCH_TASK, { outcome: null });
+      }
+    };
+    orchestrator.stageGeneratePrompt = async () => orchestrator.stateMachine.transition(STATES.GENERATE_PROMPT);
+    orchestrator.stageRunAgent = async () => orchestrator.stateMachine.transition(STATES.RUN_AGENT);
+    orchestrator.finishTask = async () => {
+      await orchestrator.stageReportStatus();
+      await orchestrator.workspace.removeWorktree();
+    };
+    orchestrator.reportTaskFailure = async (reason) => failures.push([orchestrator.currentTask.id, reason]);
+    orchestrator.stageReportStatus = (original => async () => {
+      // Only the failure report is exercised; a passing task just finishes
+      if (orchestrator.stateMachine.context.outcome) return original.call(orchestrator);
+      orchestrator.stateMachine.transition(STATES.REPORT_STATUS);
+      orchestrator.emitTaskFinished('review');
+      orchestrator.currentTask = null;
+    })(orchestrator.stageReportStatus);
+
+    await orchestrator.runWorkflow();
+
+    assert.deepStrictEqual(failures, [[1, 'hook_failed']]);
+    assert.deepStrictEqual(finished, [[1, 'hook_failed'], [2, 'review']]);
+    assert.strictEqual(worktreesRemoved, 2);
+    assert.strictEqual(orchestrator.stateMachine.state, STATES.COMPLETED);
+    assert.deepStrictEqual(orchestrator.stateMachine.context.hookFailure, {
+      hook: 'before_run_agent',
+      command: 'test "$GBOS_TASK_ID" != 1',
+      exitCode: 1,
+    });
+  });
+});
+
+describe('Orchestrator with a push that conflicts', () => {
+  const TASK = { id: 3, task_key: 'GB-3', title: 'Shout two' };
+  const TASK_PROMPT = 'Implement GB-3.\n\nWrite TWO in capitals on the second line.';
+  let root;
+  let savedConfigDir;
+  let Orchestrator;
+  let ClaudeAdapter;
+  let StateMachine;
+  let STATES;
+
+  before(() => {
+    savedConfigDir = process.env.GBOS_CONFIG_DIR;
+    process.env.GIT_AUTHOR_NAME = process.env.GIT_COMMITTER_NAME = 'GBOS Test';
+    process.env.GIT_AUTHOR_EMAIL = process.env.GIT_COMMITTER_EMAIL = 'test@gbos.test';
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'gbos-conflict-'));
+    process.env.GBOS_CONFIG_DIR = path.join(root, 'config');
+    Orchestrator = require('./orchestrator');
+    ClaudeAdapter = require('./adapters/claude-adapter');
+    ({ StateMachine, STATES } = require('./state-machine'));
+  });
+
+  after(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+    if (savedConfigDir === undefined) delete process.env.GBOS_CONFIG_DIR; else process.env.GBOS_CONFIG_DIR = savedConfigDir;
+  });
+
+  // A checkout with the task change uncommitted, and a remote main that changed the same line since
+  const conflictingCheckout = (name) => {
+    const dir = path.join(root, name);
+    const remote = path.join(dir, 'remote.git');
+    const repo = path.join(dir, 'repo');
+    const other = path.join(dir, 'other');
+    fs.mkdirSync(dir);
+    sh(['init', '--quiet', '--bare', remote], dir);
+    sh(['init', '--quiet', repo], dir);
+    sh(['checkout', '--quiet', '-b', 'main'], repo);
+    sh(['remote', 'add', 'origin', remote], repo);
+    fs.writeFileSync(path.join(repo, 'shared.txt'), 'one\ntwo\nthree\n');
+    sh(['add', '-A'], repo);
+    sh(['commit', '--quiet', '-m', 'base'], repo);
+    sh(['push', '--quiet', '-u', 'origin', 'main'], repo);
+    sh(['clone', '--quiet', '-b', 'main', remote, other], dir);
+    fs.writeFileSync(path.join(other, 'shared.txt'), 'one\ntwo (other)\nthree\n');
+    sh(['commit', '--quiet', '-am', 'other'], other);
+    sh(['push', '--quiet'], other);
+    fs.writeFileSync(path.join(repo, 'shared.txt'), 'one\nTWO\nthree\n');
+    return { remote, repo };
+  };
+
+  const orchestratorFor = (repo, options, resolution) => {
+    const orchestrator = new Orchestrator({ workingDir: repo, createMR: false, echoOutput: false, ...options });
+    const calls = { prompts: [], verified: 0 };
+
+    orchestrator.stateMachine = new StateMachine();
+    orchestrator.stateMachine.state = STATES.RUN_TESTS;
+    orchestrator.stateMachine.recordOutput('prompt', TASK_PROMPT);
+    orchestrator.adapter = new ClaudeAdapter();
+    orchestrator.currentTask = TASK;
+    orchestrator.workspace = { workingDir: repo, branch: 'main', pushBranch: 'main', hasRepo: true, gitProvider: null };
+    orchestrator.on('log', () => {});
+
+    // The agent run is the only stage that is faked
+    orchestrator.stageRunAgent = async (prompt) => {
+      orchestrator.stateMachine.transition(STATES.RUN_AGENT);
+      calls.prompts.push(prompt);
+      if (resolution) fs.writeFileSync(path.join(repo, 'shared.txt'), resolution);
+    };
+    orchestrator.stagePostProcess = async () => orchestrator.stateMachine.transition(STATES.POST_PROCESS);
+    orchestrator.stageRunTests = async () => {
+      orchestrator.stateMachine.transition(STATES.RUN_TESTS);
+      calls.verified++;
+      return { overall: { passed: true } };
+    };
+    return { orchestrator, calls };
+  };
+
+  it('should have the agent resolve the conflict, re-verify and push', async () => {
+    const { remote, repo } = conflictingCheckout('agent');
+    const { orchestrator, calls } = orchestratorFor(repo, { onConflict: 'agent' }, 'one\nTWO (other)\nthree\n');
+
+    await orchestrator.commitAndPush();
+
+    const result = orchestrator.stateMachine.context.outputs.git.output;
+    assert.strictEqual(result.pushed, true);
+    assert.strictEqual(calls.prompts.length, 1);
+    assert.match(calls.prompts[0], /- shared\.txt/);
+    assert.ok(calls.prompts[0].includes(`<task-prompt>\n${TASK_PROMPT}\n</task-prompt>`));
+    assert.strictEqual(calls.verified, 1);
+    assert.strictEqual(sh(['show', 'main:shared.txt'], remote), 'one\nTWO (other)\nthree');
+    assert.deepStrictEqual(orchestrator.stateMachine.context.conflict, { onto: 'origin/main', files: ['shared.txt'], attempts: 1, resolved: true });
+    assert.strictEqual(orchestrator.stateMachine.context.outcome ?? null, null);
+    assert.strictEqual(orchestrator.stateMachine.state, STATES.COMMIT_PUSH);
+  });
+
+  it('should abort the rebase without the agent when on_conflict is abort', async () => {
+    const { remote, repo } = conflictingCheckout('abort');
+    const remoteHead = sh(['rev-parse', 'main'], remote);
+    const { orchestrator, calls } = orchestratorFor(repo, { onConflict: 'abort' }, 'one\nTWO (other)\nthree\n');
+
+    await orchestrator.commitAndPush();
+
+    const result = orchestrator.stateMachine.context.outputs.git.output;
+    assert.strictEqual(result.pushed, false);
+    assert.deepStrictEqual(result.conflict, { onto: 'origin/main', files: ['shared.txt'] });
+    assert.strictEqual(calls.prompts.length, 0);
+    assert.strictEqual(orchestrator.stateMachine.context.outcome, 'conflict');
+    assert.strictEqual(sh(['rev-parse', 'main'], remote), remoteHead);
+    assert.strictEqual(sh(['status', '--porcelain'], repo), '');
+    assert.strictEqual(fs.readFileSync(path.join(repo, 'shared.txt'), 'utf8'), 'one\nTWO\nthree\n');
+  });
+
+  it('should give up once the agent has used its attempts', async () => {
+    const { remote, repo } = conflictingCheckout('exhausted');
+    const remoteHead = sh(['rev-parse', 'main'], remote);
+    // The agent never removes the conflict markers
+    const { orchestrator, calls } = orchestratorFor(repo, { onConflict: 'agent', maxRepairAttempts: 2 });
+
+    await orchestrator.commitAndPush();
+
+    const result = orchestrator.stateMachine.context.outputs.git.output;
+    assert.strictEqual(result.pushed, false);
+    assert.strictEqual(calls.prompts.length, 2);
+    assert.match(calls.prompts[1], /attempt 2 of 2/);
+    assert.strictEqual(calls.verified, 0);
+    assert.strictEqual(orchestrator.stateMachine.context.outcome, 'conflict');
+    assert.deepStrictEqual(orchestrator.stateMachine.context.conflict, { onto: 'origin/main', files: ['shared.txt'], attempts: 2, resolved: false });
+    assert.strictEqual(sh(['rev-parse', 'main'], remote), remoteHead);
+    assert.strictEqual(sh(['status', '--porcelain'], repo), '');
+  });
+});
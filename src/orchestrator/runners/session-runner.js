@@ -8,9 +8,7 @@ const { spawn } = require('child_process');
 const { EventEmitter } = require('events');
 const fs = require('fs');
 const path = require('path');
-const os = require('os');
-
-const LOGS_DIR = path.join(os.homedir(), '.gbos', 'logs');
+const config = require('../../lib/config');
 
 class SessionRunner extends EventEmitter {
   constructor(options = {}) {
@@ -37,9 +35,13 @@ class SessionRunner extends EventEmitter {
     this.retryCount = 0;
   }
 
+  static getLogsDir() {
+    return config.getConfigPath('logs');
+  }
+
   static ensureLogsDir() {
-    if (!fs.existsSync(LOGS_DIR)) {
-      fs.mkdirSync(LOGS_DIR, { recursive: true });
+    if (!fs.existsSync(SessionRunner.getLogsDir())) {
+      fs.mkdirSync(SessionRunner.getLogsDir(), { recursive: true });
     }
   }
 
@@ -54,7 +56,7 @@ class SessionRunner extends EventEmitter {
     if (this.options.logToFile) {
       SessionRunner.ensureLogsDir();
       const timestamp = this.startTime.toISOString().replace(/[:.]/g, '-');
-      this.logFile = path.join(LOGS_DIR, `session_${timestamp}.log`);
+      this.logFile = path.join(SessionRunner.getLogsDir(), `session_${timestamp}.log`);
       this.logStream = fs.createWriteStream(this.logFile, { flags: 'a' });
       this.log(`Session started: ${command} ${args.join(' ')}`);
       this.log(`Working directory: ${this.options.cwd}`);
@@ -135,6 +137,9 @@ class SessionRunner extends EventEmitter {
               this.process.stdin.end();
             }
           });
+        } else if (this.options.closeStdinOnWrite) {
+          // Prompt was passed as an argument - nothing to write
+          this.process.stdin.end();
         }
 
         this.emit('started', { pid: this.process.pid });
@@ -0,0 +1,311 @@
+/**
+ * Task Scheduler
+ * Keeps several orchestrators busy at once, each working on its own task in
+ * a dedicated git worktree, while pushes and MR creation run one at a time
+ */
+
+const { EventEmitter } = require('events');
+const api = require('../lib/api');
+const config = require('../lib/config');
+const Orchestrator = require('./orchestrator');
+const WorkspaceManager = require('./managers/workspace-manager');
+const Mutex = require('./mutex');
+
+// Orchestrator lifecycle events are renamed so they don't clash with the scheduler's own
+const WORKER_EVENTS = {
+  started: 'worker_started',
+  resumed: 'worker_resumed',
+  stopped: 'worker_stopped',
+  completed: 'worker_completed',
+  failed: 'worker_failed',
+};
+
+// Polling again while the server only hands back tasks already being worked on
+const CLAIM_BACKOFF_MS = 5000;
+const MAX_CLAIM_BACKOFF_MS = 60000;
+
+class TaskScheduler extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = {
+      concurrency: options.concurrency || 2,
+      continuous: options.continuous || false,
+      maxTasks: options.maxTasks || options.concurrency || 2,
+      claimBackoffMs: options.claimBackoffMs || CLAIM_BACKOFF_MS,
+      ...options,
+    };
+
+    this.pushLock = new Mutex();
+    this.fetchLock = new Mutex();
+    this.workers = new Map(); // taskId -> Orchestrator
+    this.dispatched = new Set();
+    this.workspaces = []; // Workspaces of dispatched workers, to remove their worktrees on a failed run
+    this.claimError = null;
+    this.cancelWait = null;
+    this.tasksCompleted = 0;
+    this.tasksFailed = 0;
+    this.isRunning = false;
+    this.isStopping = false;
+    this.workingDir = null;
+  }
+
+  /**
+   * Start the scheduler and wait until every worker has finished
+   */
+  async start() {
+    if (this.isRunning) {
+      throw new Error('Scheduler is already running');
+    }
+
+    this.isRunning = true;
+    this.isStopping = false;
+    this.claimError = null;
+
+    try {
+      await this.prepareBaseWorkspace();
+
+      this.emit('started', { concurrency: this.options.concurrency, workingDir: this.workingDir });
+      this.log(`Scheduler started with ${this.options.concurrency} workers`);
+
+      const slots = [];
+      for (let i = 0; i < this.options.concurrency; i++) {
+        slots.push(this.runSlot(i + 1));
+      }
+      await Promise.all(slots);
+
+      // Claiming failed: the workers in flight have finished, clean up after them
+      if (this.claimError) {
+        await this.removeWorktrees();
+        throw this.claimError;
+      }
+
+      this.emit('completed', { tasksCompleted: this.tasksCompleted, tasksFailed: this.tasksFailed });
+    } catch (error) {
+      this.emit('failed', { error });
+      throw error;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Stop all running workers gracefully
+   */
+  async stop() {
+    this.log('Stopping scheduler...');
+    this.isStopping = true;
+    this.cancelWait?.();
+
+    await Promise.all([...this.workers.values()].map(worker => worker.stop()));
+
+    this.isRunning = false;
+    this.emit('stopped', { runIds: [...this.workers.values()].map(w => w.stateMachine?.runId).filter(Boolean) });
+  }
+
+  /**
+   * Make sure the shared clone exists before workers add worktrees to it
+   */
+  async prepareBaseWorkspace() {
+    if (!config.isAuthenticated()) {
+      throw new Error(config.loadSession()?.credential_error || 'Not authenticated. Run "gbos auth" first.');
+    }
+
+    const connection = config.getConnection();
+    if (!connection) {
+      throw new Error('Not connected. Run "gbos connect" first.');
+    }
+
+    const workspace = new WorkspaceManager({ workingDir: this.options.workingDir });
+    const placeholderTask = { id: 'setup', title: 'setup', task_key: 'SETUP' };
+    await workspace.initialize(connection.application, placeholderTask);
+    await workspace.ensureRepository();
+
+    this.workingDir = workspace.workingDir;
+  }
+
+  /**
+   * Worker slot loop: claim a task, run it, repeat while there is work
+   */
+  async runSlot(slot) {
+    while (!this.isStopping && this.hasCapacity()) {
+      let task;
+      try {
+        task = await this.fetchLock.runExclusive(() => this.claimNextTask());
+      } catch (error) {
+        // Stop claiming in every slot but let the tasks already running finish
+        this.log(`Worker ${slot}: failed to fetch the next task: ${error.message}`);
+        this.claimError = this.claimError || error;
+        this.isStopping = true;
+        return;
+      }
+      if (!task) {
+        this.log(`Worker ${slot}: no more tasks`);
+        return;
+      }
+      await this.dispatch(task);
+    }
+  }
+
+  /**
+   * Whether more tasks may be dispatched
+   */
+  hasCapacity() {
+    return this.options.continuous || this.dispatched.size < this.options.maxTasks;
+  }
+
+  /**
+   * Fetch the next task and mark it in progress so no other worker picks it up.
+   * While the server only hands back a task another worker is still running,
+   * poll again with backoff: its next task may be queued once that one is done.
+   * @returns {Promise<Object|null>} Task, or null when the queue is empty
+   * @throws {GbosApiError} The API failed with anything but a 404
+   */
+  async claimNextTask() {
+    let task;
+    for (let attempt = 0; ; attempt++) {
+      if (this.isStopping || !this.hasCapacity()) return null;
+
+      task = await this.fetchNextTask();
+      if (!task) return null;
+      if (!this.dispatched.has(task.id)) break;
+      // Already run by this scheduler and handed back again: nothing new is queued
+      if (!this.workers.has(task.id)) return null;
+
+      const delay = Math.min(this.options.claimBackoffMs * 2 ** attempt, MAX_CLAIM_BACKOFF_MS);
+      this.log(`Task ${task.task_key || task.id} is already running, checking for another task in ${Math.round(delay / 1000)}s`);
+      await this.wait(delay);
+    }
+
+    try {
+      await api.request(`/development-tasks/${task.id}/status`, {
+        method: 'PATCH',
+        body: { status: 'in_progress' },
+      });
+    } catch (e) {
+      try {
+        await api.startTask(task.id);
+      } catch (e2) {
+        this.log(`Failed to claim task ${task.task_key || task.id}: ${e2.message}`);
+      }
+    }
+
+    this.dispatched.add(task.id);
+    return task;
+  }
+
+  /**
+   * The task given with --task once, then the next one from the queue
+   * @returns {Promise<Object|null>} null when the queue is empty
+   */
+  async fetchNextTask() {
+    try {
+      if (this.options.taskId) {
+        const response = await api.request(`/development-tasks/${this.options.taskId}`, { method: 'GET' });
+        this.options.taskId = null; // Only use once, then fall back to getNextTask
+        return response.data || null;
+      }
+      const response = await api.getNextTask(true);
+      return response.data?.task || response.data || null;
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Sleep between polls; stop() cuts it short
+   */
+  wait(ms) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(resolve, ms);
+      this.cancelWait = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+  }
+
+  /**
+   * Run a single task in its own orchestrator and worktree
+   */
+  async dispatch(task) {
+    const worker = new Orchestrator({
+      ...this.options,
+      workingDir: this.workingDir,
+      taskId: task.id,
+      continuous: false,
+      maxTasks: 1,
+      worktree: true,
+      pushLock: this.pushLock,
+      echoOutput: false,
+    });
+
+    this.workers.set(task.id, worker);
+    this.forwardEvents(worker, task);
+
+    try {
+      await worker.start();
+      this.tasksCompleted++;
+    } catch (error) {
+      // The worker already emitted worker_failed; keep the other slots going
+      this.tasksFailed++;
+    } finally {
+      this.workers.delete(task.id);
+      if (worker.workspace) this.workspaces.push(worker.workspace);
+    }
+  }
+
+  /**
+   * Remove the worktrees dispatched workers left behind (the branches are kept)
+   */
+  async removeWorktrees() {
+    for (const workspace of this.workspaces.splice(0)) {
+      try {
+        await workspace.removeWorktree();
+      } catch (e) {
+        this.log(`Failed to remove worktree ${workspace.workingDir}: ${e.message}`);
+      }
+    }
+  }
+
+  /**
+   * Re-emit worker events tagged with the task they belong to
+   */
+  forwardEvents(worker, task) {
+    for (const event of Orchestrator.EVENTS) {
+      worker.on(event, (payload = {}) => {
+        this.emit(WORKER_EVENTS[event] || event, {
+          ...payload,
+          taskId: payload.taskId ?? task.id,
+          taskKey: payload.taskKey ?? task.task_key,
+        });
+      });
+    }
+  }
+
+  /**
+   * Log a message
+   */
+  log(message, data = {}) {
+    const timestamp = new Date().toISOString();
+    this.emit('log', { timestamp, message, data, taskId: null });
+  }
+
+  /**
+   * Get current status
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      concurrency: this.options.concurrency,
+      tasksCompleted: this.tasksCompleted,
+      tasksFailed: this.tasksFailed,
+      workers: [...this.workers.values()].map(worker => worker.getStatus()),
+    };
+  }
+}
+
+// Everything a scheduler emits: its own lifecycle plus the forwarded worker events
+TaskScheduler.EVENTS = [...new Set([...Orchestrator.EVENTS, ...Object.values(WORKER_EVENTS)])];
+
+module.exports = TaskScheduler;
@@ -0,0 +1,130 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const api = require('../lib/api');
+const TaskScheduler = require('./scheduler');
+const Mutex = require('./mutex');
+
+const notFound = () => Object.assign(new Error('No task available'), { status: 404 });
+
+describe('TaskScheduler claiming tasks', () => {
+  let queue;
+  let claimed;
+
+  // Each getNextTask call takes the next entry: a task, or an error to throw
+  beforeEach(() => {
+    queue = [];
+    claimed = [];
+    api.getNextTask = async () => {
+      const next = queue.shift();
+      if (!next || next instanceof Error) throw next || notFound();
+      return { data: { task: next } };
+    };
+    api.request = async (endpoint, options) => {
+      claimed.push([endpoint, options.body?.status]);
+      return { data: {} };
+    };
+  });
+
+  afterEach(() => {
+    delete api.getNextTask;
+    delete api.request;
+  });
+
+  const schedulerFor = (options = {}) => {
+    const scheduler = new TaskScheduler({ concurrency: 2, maxTasks: 5, claimBackoffMs: 1, ...options });
+    scheduler.on('log', () => {});
+    return scheduler;
+  };
+
+  it('should keep polling while the server hands back a task another worker runs', async () => {
+    const scheduler = schedulerFor();
+    scheduler.dispatched.add(1);
+    scheduler.workers.set(1, {});
+    queue.push({ id: 1 }, { id: 1 }, { id: 2, task_key: 'GB-2' });
+
+    const task = await scheduler.claimNextTask();
+
+    assert.strictEqual(task.id, 2);
+    assert.strictEqual(queue.length, 0);
+    assert.deepStrictEqual(claimed, [['/development-tasks/2/status', 'in_progress']]);
+    assert.ok(scheduler.dispatched.has(2));
+  });
+
+  it('should end the slot when the queue is empty or only hands back a finished task', async () => {
+    const scheduler = schedulerFor();
+
+    assert.strictEqual(await scheduler.claimNextTask(), null);
+
+    scheduler.dispatched.add(3);
+    queue.push({ id: 3 });
+    assert.strictEqual(await scheduler.claimNextTask(), null);
+    assert.deepStrictEqual(claimed, []);
+  });
+
+  it('should stop polling when the scheduler stops', async () => {
+    const scheduler = schedulerFor({ claimBackoffMs: 60000 });
+    scheduler.dispatched.add(1);
+    scheduler.workers.set(1, { stop: async () => {} });
+    queue.push({ id: 1 }, { id: 2 });
+
+    const claim = scheduler.claimNextTask();
+    await new Promise(resolve => setImmediate(resolve));
+    await scheduler.stop();
+
+    assert.strictEqual(await claim, null);
+    assert.strictEqual(queue.length, 1);
+  });
+
+  it('should let running tasks finish and remove their worktrees before failing on an API error', async () => {
+    const scheduler = schedulerFor();
+    const apiError = Object.assign(new Error('Internal Server Error'), { status: 500 });
+    const events = [];
+    let finishWorker;
+    queue.push({ id: 1 }, apiError);
+
+    scheduler.prepareBaseWorkspace = async () => {};
+    scheduler.dispatch = async (task) => {
+      events.push(`dispatch ${task.id}`);
+      await new Promise((resolve) => { finishWorker = resolve; });
+      events.push(`finished ${task.id}`);
+      scheduler.workspaces.push({ workingDir: `/tmp/worktree-${task.id}`, removeWorktree: async () => events.push(`removed ${task.id}`) });
+    };
+    scheduler.on('failed', () => events.push('failed'));
+
+    const run = scheduler.start();
+    await new Promise(resolve => setImmediate(resolve));
+    setTimeout(() => finishWorker(), 10);
+
+    await assert.rejects(run, /Internal Server Error/);
+    assert.deepStrictEqual(events, ['dispatch 1', 'finished 1', 'removed 1', 'failed']);
+    assert.strictEqual(scheduler.isRunning, false);
+  });
+});
+
+describe('Mutex', () => {
+  it('should run sections one at a time in the order they were queued', async () => {
+    const lock = new Mutex();
+    const events = [];
+    const section = (name, ms) => lock.runExclusive(async () => {
+      events.push(`start ${name}`);
+      await new Promise(resolve => setTimeout(resolve, ms));
+      events.push(`end ${name}`);
+      return name;
+    });
+
+    const results = await Promise.all([section('a', 20), section('b', 1), section('c', 5)]);
+
+    assert.deepStrictEqual(results, ['a', 'b', 'c']);
+    assert.deepStrictEqual(events, ['start a', 'end a', 'start b', 'end b', 'start c', 'end c']);
+  });
+
+  it('should go on with the next section when one rejects', async () => {
+    const lock = new Mutex();
+
+    const failed = lock.runExclusive(async () => { throw new Error('push rejected'); });
+    const next = lock.runExclusive(async () => 'pushed');
+
+    await assert.rejects(failed, /push rejected/);
+    assert.strictEqual(await next, 'pushed');
+  });
+});
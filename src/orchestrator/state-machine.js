@@ -5,8 +5,9 @@
 
 const fs = require('fs');
 const path = require('path');
-const os = require('os');
 const { EventEmitter } = require('events');
+const config = require('../lib/config');
+const { sumUsage } = require('./usage');
 
 // Run states
 const STATES = {
@@ -30,9 +31,11 @@ const TRANSITIONS = {
   [STATES.IDLE]: [STATES.AUTH_CONFIG],
   [STATES.AUTH_CONFIG]: [STATES.WORKSPACE_READY, STATES.FAILED],
   [STATES.WORKSPACE_READY]: [STATES.FETCH_TASK, STATES.COMPLETED, STATES.FAILED],
-  [STATES.FETCH_TASK]: [STATES.GENERATE_PROMPT, STATES.COMPLETED, STATES.FAILED],
-  [STATES.GENERATE_PROMPT]: [STATES.RUN_AGENT, STATES.FAILED],
-  [STATES.RUN_AGENT]: [STATES.POST_PROCESS, STATES.RUN_TESTS, STATES.COMMIT_PUSH, STATES.REPORT_STATUS, STATES.COMPLETED, STATES.FAILED, STATES.PAUSED],
+  // REPORT_STATUS from the early task stages: a hook set to abort failed the task
+  [STATES.FETCH_TASK]: [STATES.GENERATE_PROMPT, STATES.REPORT_STATUS, STATES.COMPLETED, STATES.FAILED],
+  [STATES.GENERATE_PROMPT]: [STATES.RUN_AGENT, STATES.REPORT_STATUS, STATES.FAILED],
+  // RUN_AGENT again: resolving push conflicts when verification is skipped
+  [STATES.RUN_AGENT]: [STATES.RUN_AGENT, STATES.POST_PROCESS, STATES.RUN_TESTS, STATES.COMMIT_PUSH, STATES.REPORT_STATUS, STATES.COMPLETED, STATES.FAILED, STATES.PAUSED],
   [STATES.POST_PROCESS]: [STATES.RUN_TESTS, STATES.COMMIT_PUSH, STATES.REPORT_STATUS, STATES.FAILED],
   [STATES.RUN_TESTS]: [STATES.COMMIT_PUSH, STATES.REPORT_STATUS, STATES.RUN_AGENT, STATES.FAILED],
   [STATES.COMMIT_PUSH]: [STATES.REPORT_STATUS, STATES.FAILED],
@@ -42,8 +45,10 @@ const TRANSITIONS = {
   [STATES.FAILED]: [],
 };
 
-// Runs directory
-const RUNS_DIR = path.join(os.homedir(), '.gbos', 'runs');
+// Runs directory (under the config dir, which an embedding process may move)
+function getRunsDir() {
+  return config.getConfigPath('runs');
+}
 
 class StateMachine extends EventEmitter {
   constructor(runId = null) {
@@ -53,6 +58,7 @@ class StateMachine extends EventEmitter {
     this.context = {
       runId: this.runId,
       appId: null,
+      appName: null,
       nodeId: null,
       taskId: null,
       taskKey: null,
@@ -64,11 +70,14 @@ class StateMachine extends EventEmitter {
       errors: [],
       outputs: {},
       artifacts: [],
+      repairAttempts: [],
+      usage: [],
+      outcome: null,
       repoUrl: null,
       cloudRunUrl: null,
       workingDir: null,
     };
-    this.runFile = path.join(RUNS_DIR, `${this.runId}.json`);
+    this.runFile = path.join(getRunsDir(), `${this.runId}.json`);
   }
 
   generateRunId() {
@@ -79,14 +88,14 @@ class StateMachine extends EventEmitter {
 
   // Initialize runs directory
   static ensureRunsDir() {
-    if (!fs.existsSync(RUNS_DIR)) {
-      fs.mkdirSync(RUNS_DIR, { recursive: true });
+    if (!fs.existsSync(getRunsDir())) {
+      fs.mkdirSync(getRunsDir(), { recursive: true });
     }
   }
 
   // Load existing run
   static loadRun(runId) {
-    const runFile = path.join(RUNS_DIR, `${runId}.json`);
+    const runFile = path.join(getRunsDir(), `${runId}.json`);
     if (!fs.existsSync(runFile)) {
       throw new Error(`Run ${runId} not found`);
     }
@@ -100,7 +109,7 @@ class StateMachine extends EventEmitter {
   // Get latest run
   static getLatestRun() {
     StateMachine.ensureRunsDir();
-    const files = fs.readdirSync(RUNS_DIR)
+    const files = fs.readdirSync(getRunsDir())
       .filter(f => f.endsWith('.json'))
       .sort()
       .reverse();
@@ -116,14 +125,14 @@ class StateMachine extends EventEmitter {
   // Get active run (not completed or failed)
   static getActiveRun() {
     StateMachine.ensureRunsDir();
-    const files = fs.readdirSync(RUNS_DIR)
+    const files = fs.readdirSync(getRunsDir())
       .filter(f => f.endsWith('.json'))
       .sort()
       .reverse();
 
     for (const file of files) {
       try {
-        const data = JSON.parse(fs.readFileSync(path.join(RUNS_DIR, file), 'utf8'));
+        const data = JSON.parse(fs.readFileSync(path.join(getRunsDir(), file), 'utf8'));
         if (data.state !== STATES.COMPLETED && data.state !== STATES.FAILED) {
           const runId = file.replace('.json', '');
           return StateMachine.loadRun(runId);
@@ -207,6 +216,36 @@ class StateMachine extends EventEmitter {
     this.save();
   }
 
+  // Record an agent repair round after failed verification
+  recordRepairAttempt(attempt) {
+    if (!this.context.repairAttempts) {
+      this.context.repairAttempts = [];
+    }
+    this.context.repairAttempts.push({
+      ...attempt,
+      timestamp: new Date().toISOString(),
+    });
+    this.save();
+  }
+
+  // Record token/cost usage of one agent session
+  recordUsage(entry) {
+    if (!this.context.usage) {
+      this.context.usage = [];
+    }
+    this.context.usage.push({
+      ...entry,
+      timestamp: new Date().toISOString(),
+    });
+    this.save();
+  }
+
+  // Total usage, optionally for a single task
+  getUsage(taskId = null) {
+    const entries = (this.context.usage || []).filter(u => taskId === null || u.taskId === taskId);
+    return sumUsage(entries);
+  }
+
   // Add artifact
   addArtifact(type, path, metadata = {}) {
     this.context.artifacts.push({
@@ -244,6 +283,9 @@ class StateMachine extends EventEmitter {
       endTime: this.context.endTime,
       stageCount: this.context.stages.length,
       errorCount: this.context.errors.length,
+      repairAttempts: (this.context.repairAttempts || []).length,
+      outcome: this.context.outcome || null,
+      usage: this.getUsage(),
       isResumable: this.isResumable(),
     };
   }
@@ -253,5 +295,5 @@ module.exports = {
   StateMachine,
   STATES,
   TRANSITIONS,
-  RUNS_DIR,
+  getRunsDir,
 };
@@ -0,0 +1,121 @@
+/**
+ * Usage Accounting
+ * Helpers for token and cost totals recorded per agent session
+ */
+
+const USAGE_FIELDS = ['inputTokens', 'outputTokens', 'cacheReadTokens', 'cacheCreationTokens'];
+
+/**
+ * Zeroed usage totals
+ * @returns {Object}
+ */
+function emptyUsage() {
+  return {
+    inputTokens: 0,
+    outputTokens: 0,
+    cacheReadTokens: 0,
+    cacheCreationTokens: 0,
+    totalTokens: 0,
+    costUsd: null,
+    turns: 0,
+    sessions: 0,
+    durationMs: 0, // Time the agent ran
+  };
+}
+
+/**
+ * Parse a token count as printed by agent CLIs ("12,345", "2.3k", "1.2M")
+ * @param {string|number} value
+ * @returns {number}
+ */
+function parseTokenCount(value) {
+  if (typeof value === 'number') return value;
+  if (!value) return 0;
+
+  const match = String(value).trim().replace(/,/g, '').match(/^([\d.]+)\s*([kKmM]?)$/);
+  if (!match) return 0;
+
+  const multiplier = { k: 1e3, m: 1e6 }[match[2].toLowerCase()] || 1;
+  return Math.round(parseFloat(match[1]) * multiplier);
+}
+
+/**
+ * Fill in missing fields and the token total
+ * @param {Object|null} usage - Usage as extracted by an adapter
+ * @returns {Object|null}
+ */
+function normalizeUsage(usage) {
+  if (!usage) return null;
+
+  const normalized = emptyUsage();
+  for (const field of USAGE_FIELDS) {
+    normalized[field] = parseTokenCount(usage[field]);
+  }
+  normalized.totalTokens = usage.totalTokens
+    ? parseTokenCount(usage.totalTokens)
+    : USAGE_FIELDS.reduce((sum, field) => sum + normalized[field], 0);
+  normalized.costUsd = usage.costUsd !== undefined && usage.costUsd !== null ? Number(usage.costUsd) : null;
+  normalized.turns = usage.turns || usage.numTurns || 0;
+  normalized.durationMs = usage.durationMs || 0;
+  normalized.sessions = 1;
+  if (usage.model) normalized.model = usage.model;
+  if (usage.source) normalized.source = usage.source;
+
+  return normalized;
+}
+
+/**
+ * Add usage b onto a copy of usage a. Cost stays null until a session reports one.
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {Object}
+ */
+function addUsage(a, b) {
+  const sum = { ...emptyUsage(), ...a };
+  if (!b) return sum;
+
+  for (const field of [...USAGE_FIELDS, 'totalTokens', 'turns', 'sessions', 'durationMs']) {
+    sum[field] = (sum[field] || 0) + (b[field] || 0);
+  }
+  if (b.costUsd !== null && b.costUsd !== undefined) {
+    sum.costUsd = (sum.costUsd || 0) + b.costUsd;
+  }
+
+  return sum;
+}
+
+/**
+ * Sum a list of usage entries
+ * @param {Object[]} entries
+ * @returns {Object}
+ */
+function sumUsage(entries) {
+  return entries.reduce((total, entry) => addUsage(total, entry), emptyUsage());
+}
+
+/**
+ * Format a token count for display (1234567 -> 1.23M)
+ */
+function formatTokens(count) {
+  if (count >= 1e6) return `${(count / 1e6).toFixed(2)}M`;
+  if (count >= 1e3) return `${(count / 1e3).toFixed(1)}k`;
+  return String(count || 0);
+}
+
+/**
+ * Format a USD cost for display
+ */
+function formatCost(costUsd) {
+  if (costUsd === null || costUsd === undefined) return 'n/a';
+  return `$${costUsd.toFixed(costUsd < 1 ? 4 : 2)}`;
+}
+
+module.exports = {
+  emptyUsage,
+  parseTokenCount,
+  normalizeUsage,
+  addUsage,
+  sumUsage,
+  formatTokens,
+  formatCost,
+};
@@ -0,0 +1,132 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseTokenCount, normalizeUsage, addUsage } = require('./usage');
+const ClaudeAdapter = require('./adapters/claude-adapter');
+const CodexAdapter = require('./adapters/codex-adapter');
+const GeminiAdapter = require('./adapters/gemini-adapter');
+const AiderAdapter = require('./adapters/aider-adapter');
+const OpenCodeAdapter = require('./adapters/opencode-adapter');
+const GenericAdapter = require('./adapters/generic-adapter');
+
+// An agent showing the code it is editing; none of this is a usage report
+const SOURCE_CODE = [
+  'const pricing = {',
+  '  total_cost: 250,',
+  '  cost: $99.50,',
+  '  input_tokens: 120000,',
+  '  output_tokens: 64000,',
+  '  "tokens used": 5000,',
+  '};',
+  '// Tokens: 2.3k sent, 156 received.',
+  'log(`tokens used: ${count}`);',
+].join('\n');
+
+const ADAPTERS = [
+  new ClaudeAdapter(),
+  new CodexAdapter(),
+  new GeminiAdapter(),
+  new AiderAdapter(),
+  new OpenCodeAdapter(),
+  new GenericAdapter({ name: 'my-agent', command: 'my-agent' }),
+];
+
+describe('Usage accounting', () => {
+  it('should parse token counts as agents print them', () => {
+    assert.strictEqual(parseTokenCount('12,345'), 12345);
+    assert.strictEqual(parseTokenCount('2.3k'), 2300);
+    assert.strictEqual(parseTokenCount('1.2M'), 1200000);
+    assert.strictEqual(parseTokenCount('n/a'), 0);
+  });
+
+  it('should total tokens and keep cost null until a session reports one', () => {
+    const a = normalizeUsage({ inputTokens: '1k', outputTokens: 200 });
+    const b = normalizeUsage({ totalTokens: 500, costUsd: 0.25 });
+
+    assert.strictEqual(a.totalTokens, 1200);
+    assert.strictEqual(a.costUsd, null);
+    const sum = addUsage(a, b);
+    assert.strictEqual(sum.totalTokens, 1700);
+    assert.strictEqual(sum.costUsd, 0.25);
+    assert.strictEqual(sum.sessions, 2);
+  });
+});
+
+describe('Adapter usage parsing', () => {
+  for (const adapter of ADAPTERS) {
+    it(`should find no usage in source code printed by ${adapter.name}`, () => {
+      assert.strictEqual(adapter.extractUsage(SOURCE_CODE), null);
+      assert.strictEqual(adapter.extractUsage(`Editing pricing.js\n${SOURCE_CODE}\nDone.`), null);
+    });
+  }
+
+  it('should read Claude Code usage from the stream-json result message', () => {
+    const output = [
+      JSON.stringify({ type: 'assistant', message: { id: 'm1', content: [{ type: 'text', text: 'total_cost: 250,' }] } }),
+      JSON.stringify({
+        type: 'result',
+        subtype: 'success',
+        result: 'Done',
+        num_turns: 3,
+        total_cost_usd: 0.42,
+        usage: { input_tokens: 1200, output_tokens: 340, cache_read_input_tokens: 5000 },
+      }),
+    ].join('\n');
+
+    const usage = new ClaudeAdapter().extractUsage(output);
+
+    assert.strictEqual(usage.costUsd, 0.42);
+    assert.strictEqual(usage.inputTokens, 1200);
+    assert.strictEqual(usage.outputTokens, 340);
+    assert.strictEqual(usage.totalTokens, 6540);
+    assert.strictEqual(usage.turns, 3);
+    assert.strictEqual(usage.source, 'structured');
+  });
+
+  it('should read the Codex tokens used line, in either layout', () => {
+    const codex = new CodexAdapter();
+
+    assert.strictEqual(codex.extractUsage('[2025-09-01T10:00:00] tokens used: 12,345\n').totalTokens, 12345);
+    assert.strictEqual(codex.extractUsage('Edited src/app.js\ntokens used\n8,120\n').totalTokens, 8120);
+    assert.strictEqual(codex.extractUsage('\x1b[2mtokens used: 900\x1b[0m\n').totalTokens, 900);
+  });
+
+  it('should add up Aider token lines and take the session cost', () => {
+    const output = [
+      'Applied edit to src/app.js',
+      'Tokens: 2.3k sent, 156 received. Cost: $0.01 message, $0.01 session.',
+      'total_cost: 250,',
+      'Tokens: 4.1k sent, 1.2k cache write, 310 received. Cost: $0.02 message, $0.03 session.',
+    ].join('\n');
+
+    const usage = new AiderAdapter().extractUsage(output);
+
+    assert.strictEqual(usage.inputTokens, 6400);
+    assert.strictEqual(usage.outputTokens, 466);
+    assert.strictEqual(usage.costUsd, 0.03);
+    assert.strictEqual(usage.turns, 2);
+  });
+
+  it('should read declared usage patterns of a custom agent', () => {
+    const adapter = new GenericAdapter({
+      name: 'my-agent',
+      command: 'my-agent',
+      usagePatterns: { totalTokens: '^Total tokens: (\\d+)$', costUsd: '^Cost: \\$(\\d+\\.\\d+)$' },
+    });
+
+    const usage = adapter.extractUsage('working\nTotal tokens: 4000\nCost: $0.12\n');
+
+    assert.strictEqual(usage.totalTokens, 4000);
+    assert.strictEqual(usage.costUsd, 0.12);
+  });
+
+  it('should refuse usage patterns that do not capture exactly one value', () => {
+    const declare = usagePatterns => new GenericAdapter({ name: 'my-agent', command: 'my-agent', usagePatterns });
+
+    assert.throws(() => declare({ totalTokens: 'Total tokens: \\d+' }), /"usagePatterns\.totalTokens" must have exactly one capture group, found 0/);
+    assert.throws(() => declare({ costUsd: '(Cost): \\$(\\d+)' }), /found 2/);
+    assert.throws(() => declare({ totalTokens: 'Total (\\d+' }), /invalid regex in "usagePatterns\.totalTokens"/);
+    assert.throws(() => declare({ tokens: 'Tokens: (\\d+)' }), /unknown field "tokens"/);
+    assert.throws(() => declare(['Tokens: (\\d+)']), /"usagePatterns" must be an object/);
+    assert.doesNotThrow(() => declare({ totalTokens: 'Total (?:tokens|toks): (\\d+)', costUsd: 'Cost: \\$(?<cost>[\\d.]+)' }));
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * GBOS Node API
+ * Library entry point for driving orchestrator runs in-process:
+ *
+ *   const gbos = require('gbos');
+ *   gbos.configure({ configDir: '/srv/gbos', apiUrl: 'https://api.example.com/api/v1' });
+ *   const orchestrator = new gbos.Orchestrator({ agent: 'claude-code', workingDir: '/srv/repo' });
+ *   orchestrator.on('agent_output', ({ data }) => process.stdout.write(data));
+ *   await orchestrator.start();
+ *
+ * configure() only changes where files are read and written from then on, so
+ * call it before starting a run.
+ */
+
+const config = require('./lib/config');
+const api = require('./lib/api');
+const { loadProjectConfig } = require('./lib/project-config');
+const Orchestrator = require('./orchestrator/orchestrator');
+const TaskScheduler = require('./orchestrator/scheduler');
+const { StateMachine, STATES, getRunsDir } = require('./orchestrator/state-machine');
+const {
+  getAdapter,
+  getAvailableAdapters,
+  checkInstalledAdapters,
+  loadCustomAdapters,
+  GenericAdapter,
+} = require('./orchestrator/adapters');
+const BaseAdapter = require('./orchestrator/adapters/base-adapter');
+const SessionRunner = require('./orchestrator/runners/session-runner');
+const WorkspaceManager = require('./orchestrator/managers/workspace-manager');
+const VerificationManager = require('./orchestrator/managers/verification-manager');
+const GitManager = require('./orchestrator/managers/git-manager');
+const HookManager = require('./orchestrator/managers/hook-manager');
+const { MetricsCollector } = require('./lib/metrics');
+
+/**
+ * Point GBOS at its files and API
+ * @param {Object} options
+ * @param {string} [options.configDir] - Replaces ~/.gbos (runs, logs, workspaces, agents, ...)
+ * @param {string} [options.sessionFile] - Session file (default: session.json in the config dir)
+ * @param {string} [options.apiUrl] - GBOS API endpoint (default: GBOS_API_URL or https://api.gbos.io/api/v1)
+ */
+function configure(options = {}) {
+  config.configure(options);
+}
+
+module.exports = {
+  configure,
+  config,
+  api,
+  GbosApiClient: api.GbosApiClient,
+  GbosApiError: api.GbosApiError,
+  Orchestrator,
+  EVENTS: Orchestrator.EVENTS,
+  TaskScheduler,
+  StateMachine,
+  STATES,
+  getRunsDir,
+  getAdapter,
+  getAvailableAdapters,
+  checkInstalledAdapters,
+  loadCustomAdapters,
+  BaseAdapter,
+  GenericAdapter,
+  SessionRunner,
+  WorkspaceManager,
+  VerificationManager,
+  GitManager,
+  HookManager,
+  loadProjectConfig,
+  MetricsCollector,
+};
@@ -0,0 +1,69 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const gbos = require('./sdk');
+
+describe('configure()', () => {
+  let root;
+  let saved;
+
+  before(() => {
+    saved = { ...process.env };
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'gbos-sdk-'));
+    // Keep tokens in session.json so the test can read them back
+    process.env.GBOS_CREDENTIAL_STORE = 'file';
+    process.env.GBOS_CONFIG_DIR = path.join(root, 'env');
+    delete process.env.GBOS_API_URL;
+    delete process.env.GBOS_PROFILE;
+  });
+
+  after(() => {
+    gbos.configure({ configDir: null, sessionFile: null, apiUrl: null });
+    fs.rmSync(root, { recursive: true, force: true });
+    for (const key of ['GBOS_CREDENTIAL_STORE', 'GBOS_CONFIG_DIR', 'GBOS_API_URL', 'GBOS_PROFILE']) {
+      if (saved[key] === undefined) delete process.env[key]; else process.env[key] = saved[key];
+    }
+  });
+
+  it('should read and write the session, runs and API URL where it is pointed', () => {
+    const configDir = path.join(root, 'embedded');
+    const sessionFile = path.join(root, 'secrets', 'gbos-session.json');
+
+    gbos.configure({ configDir, sessionFile, apiUrl: 'https://gbos.example.test/api/v1' });
+    gbos.config.saveSession({ access_token: 'token-1', user_id: 7 });
+
+    const onDisk = JSON.parse(fs.readFileSync(sessionFile, 'utf8'));
+    assert.strictEqual(onDisk.access_token, 'token-1');
+    assert.strictEqual(onDisk.user_id, 7);
+    assert.strictEqual(gbos.config.loadSession().access_token, 'token-1');
+    assert.strictEqual(gbos.config.getConfigDir(), configDir);
+    assert.strictEqual(gbos.getRunsDir(), path.join(configDir, 'runs'));
+    assert.strictEqual(gbos.config.getApiUrl(), 'https://gbos.example.test/api/v1');
+    assert.strictEqual(new gbos.GbosApiClient().getBaseUrl(), 'https://gbos.example.test/api/v1');
+    assert.strictEqual(fs.existsSync(path.join(root, 'env')), false);
+  });
+
+  it('should put the session in the config dir when only that is set', () => {
+    const configDir = path.join(root, 'other');
+
+    gbos.configure({ configDir, sessionFile: null });
+    gbos.config.saveSession({ access_token: 'token-2' });
+
+    assert.strictEqual(gbos.config.getSessionFile(), path.join(configDir, 'session.json'));
+    assert.strictEqual(JSON.parse(fs.readFileSync(path.join(configDir, 'session.json'), 'utf8')).access_token, 'token-2');
+  });
+
+  it('should go back to the defaults when a setting is reset with null', () => {
+    gbos.configure({ configDir: path.join(root, 'embedded'), apiUrl: 'https://gbos.example.test/api/v1' });
+    process.env.GBOS_API_URL = 'https://env.example.test/api/v1';
+
+    gbos.configure({ configDir: null, sessionFile: null, apiUrl: null });
+
+    assert.strictEqual(gbos.config.getConfigDir(), path.join(root, 'env'));
+    assert.strictEqual(gbos.config.getSessionFile(), path.join(root, 'env', 'session.json'));
+    assert.strictEqual(gbos.config.getApiUrl(), 'https://env.example.test/api/v1');
+    assert.strictEqual(gbos.config.loadSession(), null);
+  });
+});